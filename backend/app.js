@@ -5,6 +5,7 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const path = require('path');
 
 // Import CORS configuration
 const { getCorsConfig } = require('./domains/security/middleware/corsConfig');
@@ -59,7 +60,7 @@ app.use(
 );
 
 // ===== IMPORT DOMAINS SAFELY =====
-let securityDomain, authDomain, linksDomain, analyticsDomain, usersDomain, adminDomain;
+let securityDomain, authDomain, linksDomain, analyticsDomain, usersDomain, workspacesDomain, adminDomain;
 
 try {
   securityDomain = require('./domains/security');
@@ -98,6 +99,13 @@ try {
   console.warn('⚠️ Users domain failed to load:', error.message);
 }
 
+try {
+  workspacesDomain = require('./domains/workspaces');
+  console.log('✅ Workspaces domain loaded');
+} catch (error) {
+  console.warn('⚠️ Workspaces domain failed to load:', error.message);
+}
+
 try {
   adminDomain = require('./domains/admin');
   console.log('✅ Admin domain loaded');
@@ -129,11 +137,32 @@ app.get('/health', (req, res) => {
       links: !!linksDomain,
       analytics: !!analyticsDomain,
       users: !!usersDomain,
+      workspaces: !!workspacesDomain,
       admin: !!adminDomain,
     },
   });
 });
 
+// ===== UPLOADED FILES (local storage driver) =====
+// Mounted before the short code redirects so /uploads/... is not treated as a short code
+const config = require('./config');
+if (config.storage.driver === 'local') {
+  app.use(
+    '/uploads',
+    express.static(path.resolve(config.storage.local.dir), {
+      index: false,
+      dotfiles: 'deny',
+      maxAge: '7d',
+      setHeaders: (res) => {
+        // Avatar được frontend (khác origin) hiển thị
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+      },
+    })
+  );
+  console.log(`✅ Uploads served from ${config.storage.local.dir} at /uploads`);
+}
+
 // ===== MAIN API ROUTES =====
 console.log('🛤️ Setting up routes...');
 
@@ -183,6 +212,12 @@ if (usersDomain && usersDomain.routes) {
   console.log('✅ Users routes mounted at /api/users');
 }
 
+// Workspaces routes
+if (workspacesDomain && workspacesDomain.routes) {
+  app.use('/api/workspaces', workspacesDomain.routes);
+  console.log('✅ Workspaces routes mounted at /api/workspaces');
+}
+
 // Admin routes
 if (adminDomain && adminDomain.routes) {
   app.use('/api/admin', adminDomain.routes);
@@ -0,0 +1,126 @@
+// backend/benchmark-redirect.js
+// Redirect throughput / latency with the Redis link cache + write-behind counters off vs on.
+// Needs Postgres + Redis (same .env as the server) and an existing active link:
+//   npm run bench:redirect -- --code=abc123 [--domain=go.example.com] [--duration=20] [--connections=50]
+//     [--out=benchmark-results.json]  (kết quả + thông số chạy) - kết quả đã đo: benchmark-redirect-results.md
+// Only the redirect routes are mounted (no general rate limiter / request logging), each request
+// comes from a random visitor IP - clicks ARE recorded on that link.
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const express = require('express');
+const autocannon = require('autocannon');
+const config = require('./config');
+const db = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const redisConnection = require('./core/database/RedisConnection');
+const settingsService = require('./core/settings/SettingsService');
+const geoIpService = require('./core/geo/GeoIpService');
+const clickCounterService = require('./domains/links/services/ClickCounterService');
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value ?? true];
+  })
+);
+
+const print = (...lines) => process.stdout.write(`${lines.join('\n')}\n`);
+const randomIp = () => `10.${Math.floor(Math.random() * 256)}.${Math.floor(Math.random() * 256)}.${Math.floor(Math.random() * 254) + 1}`;
+
+async function run(url, { label, linkCache, bufferCounters }) {
+  config.redirect.linkCache = linkCache;
+  config.redirect.bufferCounters = bufferCounters;
+  await cacheService.clearPattern('link:resolve:*');
+
+  const options = {
+    url,
+    connections: parseInt(args.connections) || 50,
+    // Không có --domain -> Host = system domain (127.0.0.1 bị coi là custom domain chưa đăng ký)
+    headers: { host: args.domain || settingsService.get('system.domain') || 'localhost' },
+    requests: [
+      {
+        setupRequest: (request) => ({
+          ...request,
+          headers: { ...request.headers, 'x-forwarded-for': randomIp() },
+        }),
+      },
+    ],
+  };
+
+  // Warm-up (connection pool, cache fill, JIT) rồi mới đo
+  await autocannon({ ...options, duration: 3 });
+  const result = await autocannon({ ...options, duration: parseInt(args.duration) || 20 });
+  await clickCounterService.flush();
+
+  return {
+    label,
+    requestsPerSecond: Math.round(result.requests.average),
+    p50: result.latency.p50,
+    p99: result.latency.p99,
+    redirects: result['3xx'],
+    errors: result.errors + result.timeouts + result['4xx'] + result['5xx'],
+  };
+}
+
+async function benchmark() {
+  if (!args.code) {
+    print('Usage: npm run bench:redirect -- --code=<shortCode> [--domain=<host>] [--duration=20] [--connections=50] [--out=<file.json>]');
+    process.exit(1);
+  }
+
+  await cacheService.initialize();
+  await db.sequelize.authenticate();
+  await settingsService.initialize();
+  await geoIpService.initialize();
+
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(require('./domains/links').routes.redirect);
+
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/${args.code}`;
+
+  // Log mỗi click làm nhiễu kết quả
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+
+  try {
+    const results = [
+      await run(url, { label: 'Postgres (cache + counter buffer off)', linkCache: false, bufferCounters: false }),
+      await run(url, { label: 'Redis (cache + counter buffer on)', linkCache: true, bufferCounters: true }),
+    ];
+
+    Object.assign(console, { log, warn });
+    print(`\n🏁 Redirect benchmark: /${args.code}${args.domain ? ` on ${args.domain}` : ''}\n`);
+    console.table(results);
+
+    if (args.out) {
+      const report = {
+        date: new Date().toISOString(),
+        node: process.version,
+        cpus: `${os.cpus().length} x ${os.cpus()[0]?.model}`,
+        connections: parseInt(args.connections) || 50,
+        duration: parseInt(args.duration) || 20,
+        results,
+      };
+      fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+      print(`📝 Results written to ${args.out}`);
+    }
+  } finally {
+    Object.assign(console, { log, warn });
+    server.close();
+    geoIpService.close();
+    await settingsService.disconnect();
+    await db.sequelize.close();
+    await redisConnection.disconnect();
+  }
+}
+
+benchmark()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+  });
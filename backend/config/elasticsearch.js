@@ -218,6 +218,7 @@ class ElasticSearchConnection {
           properties: {
             linkId: { type: 'keyword' },
             userId: { type: 'keyword' },
+            workspaceId: { type: 'keyword' },
             shortCode: { type: 'keyword' },
             originalUrl: { type: 'text' },
             campaign: { type: 'keyword' },
@@ -226,11 +227,21 @@ class ElasticSearchConnection {
             date: { type: 'date' },
             hour: { type: 'date' },
             ipAddress: { type: 'ip' },
+            visitorId: { type: 'keyword' },
             country: { type: 'keyword' },
+            region: { type: 'keyword' },
+            regionCode: { type: 'keyword' },
             city: { type: 'keyword' },
+            asn: { type: 'long' },
+            asOrganization: { type: 'keyword' },
             deviceType: { type: 'keyword' },
             browser: { type: 'keyword' },
+            browserVersion: { type: 'keyword' },
             os: { type: 'keyword' },
+            osVersion: { type: 'keyword' },
+            isBot: { type: 'boolean' },
+            routingRuleId: { type: 'keyword' },
+            variantId: { type: 'keyword' },
             referrer: { type: 'text' },
             userAgent: { type: 'text' }
           }
@@ -248,6 +259,18 @@ class ElasticSearchConnection {
             body: { mappings: mapping }
           });
           console.log(`✅ Created index: ${index}`);
+        } else {
+          // Index cũ: chỉ thêm field còn thiếu (workspaceId, visitorId) - đổi kiểu field đã có sẽ bị ES từ chối
+          const current = await this.client.indices.getMapping({ index });
+          const existing = current[index]?.mappings?.properties || {};
+          const missing = Object.fromEntries(
+            Object.entries(mapping.properties).filter(([field]) => !existing[field])
+          );
+
+          if (Object.keys(missing).length > 0) {
+            await this.client.indices.putMapping({ index, properties: missing });
+            console.log(`✅ Added fields to ${index}: ${Object.keys(missing).join(', ')}`);
+          }
         }
       } catch (error) {
         console.error(`❌ Error setting up index ${index}:`, error.message);
@@ -36,6 +36,48 @@ module.exports = {
     expiresIn: process.env.JWT_EXPIRES_IN || '24h'
   },
 
+  // Mail config - transport: log | file | smtp
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'log',
+    from: process.env.MAIL_FROM || 'Shortlink <no-reply@localhost>',
+    fileDir: process.env.MAIL_FILE_DIR || './data/mail',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || null,
+      password: process.env.SMTP_PASSWORD || null
+    }
+  },
+
+  // File storage (avatars, personal data exports) - driver: local
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    local: {
+      dir: process.env.STORAGE_LOCAL_DIR || './data/uploads',
+      // Not served at /uploads - files here are only sent by authenticated endpoints
+      privateDir: process.env.STORAGE_PRIVATE_DIR || './data/private',
+      publicUrl: process.env.STORAGE_PUBLIC_URL || `${process.env.API_URL || 'http://localhost:4000'}/uploads`
+    }
+  },
+
+  // GeoIP databases (MaxMind .mmdb: GeoLite2-City/Country + GeoLite2-ASN), reloaded when the files change
+  geoip: {
+    city: process.env.GEOIP_CITY_DB || './data/geoip/GeoLite2-City.mmdb',
+    asn: process.env.GEOIP_ASN_DB || './data/geoip/GeoLite2-ASN.mmdb',
+    cacheSize: parseInt(process.env.GEOIP_CACHE_SIZE) || 10000,
+    watchInterval: parseInt(process.env.GEOIP_WATCH_INTERVAL_MS) || 60000
+  },
+
+  // Redirect hot path: link resolution cached in Redis, click counters buffered in Redis and flushed in batches
+  redirect: {
+    linkCache: process.env.LINK_CACHE_ENABLED !== 'false',
+    linkCacheTtl: parseInt(process.env.LINK_CACHE_TTL) || 300,
+    notFoundCacheTtl: parseInt(process.env.LINK_CACHE_NOT_FOUND_TTL) || 30,
+    bufferCounters: process.env.CLICK_COUNTER_BUFFER_ENABLED !== 'false',
+    counterFlushInterval: parseInt(process.env.CLICK_COUNTER_FLUSH_INTERVAL_MS) || 5000
+  },
+
   // App config
   app: {
     name: process.env.APP_NAME || 'Shortlink-System',
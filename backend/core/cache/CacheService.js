@@ -81,17 +81,140 @@ class CacheService {
     }
   }
 
-  // Link-specific cache methods
-  async getLinkByShortCode(shortCode) {
-    return await this.get(`link:${shortCode}`);
+  isReady() {
+    return !!this.redis && this.redis.status === 'ready';
   }
 
-  async setLinkCache(shortCode, linkData, ttl = 7200) { // 2 hours
-    return await this.set(`link:${shortCode}`, linkData, ttl);
+  // Link-specific cache methods - redirect resolution, keyed by host + shortCode (null domain = system domain)
+  linkCacheKey(shortCode, domain = null) {
+    return `link:resolve:${domain ? domain.toLowerCase() : '_'}:${shortCode}`;
   }
 
-  async deleteLinkCache(shortCode) {
-    return await this.del(`link:${shortCode}`);
+  async getLinkByShortCode(shortCode, domain = null) {
+    return await this.get(this.linkCacheKey(shortCode, domain));
+  }
+
+  // Bumped by every deleteLinkCache - a reader only caches what it loaded under the same version
+  linkVersionKey(shortCode, domain = null) {
+    return `link:resolve:version:${domain ? domain.toLowerCase() : '_'}:${shortCode}`;
+  }
+
+  /**
+   * expected = { versionKey, version, generationKey, generation } read before loading the row:
+   * written only if neither changed meanwhile (an invalidation in between would be undone otherwise)
+   */
+  async setLinkCache(shortCode, linkData, ttl = 7200, domain = null, expected = null) { // 2 hours
+    if (!expected) {
+      return await this.set(this.linkCacheKey(shortCode, domain), linkData, ttl);
+    }
+
+    try {
+      const written = await this.redis.eval(
+        `if (redis.call('get', KEYS[2]) or '0') ~= ARGV[3] then return 0 end
+        if (redis.call('get', KEYS[3]) or '0') ~= ARGV[4] then return 0 end
+        redis.call('set', KEYS[1], ARGV[1], 'EX', ARGV[2])
+        return 1`,
+        3,
+        this.linkCacheKey(shortCode, domain),
+        expected.versionKey,
+        expected.generationKey,
+        JSON.stringify(linkData),
+        ttl,
+        String(expected.version || 0),
+        String(expected.generation || 0)
+      );
+      return written === 1;
+    } catch (error) {
+      console.error(`Cache setLinkCache error for ${shortCode}:`, error.message);
+      return false;
+    }
+  }
+
+  async deleteLinkCache(shortCode, domain = null) {
+    try {
+      const versionKey = this.linkVersionKey(shortCode, domain);
+      await this.redis
+        .multi()
+        .incr(versionKey)
+        .expire(versionKey, 86400) // lâu hơn mọi lần đọc DB đang dở
+        .del(this.linkCacheKey(shortCode, domain))
+        .exec();
+      return true;
+    } catch (error) {
+      console.error(`Cache deleteLinkCache error for ${shortCode}:`, error.message);
+      return false;
+    }
+  }
+
+  // Write-behind click counters: hash link:counters:<linkId> + set of links waiting for a flush
+  async incrementLinkCounters(linkId, { clicks = 1, unique = 0, bots = 0, lastClickAt = Date.now() } = {}) {
+    try {
+      const key = `link:counters:${linkId}`;
+      const multi = this.redis
+        .multi()
+        .hincrby(key, 'clicks', clicks)
+        .hincrby(key, 'unique', unique)
+        .hincrby(key, 'bots', bots);
+      if (lastClickAt) {
+        multi.hset(key, 'lastClickAt', lastClickAt);
+      }
+      const results = await multi.sadd('link:counters:dirty', linkId).exec();
+
+      const failed = results.find(([error]) => error);
+      if (failed) throw failed[0];
+      return true;
+    } catch (error) {
+      console.error(`Cache incrementLinkCounters error for link ${linkId}:`, error.message);
+      return false;
+    }
+  }
+
+  // Take (read + delete atomically) the pending counters of up to `count` links
+  async takeLinkCounters(count) {
+    try {
+      const linkIds = await this.redis.spop('link:counters:dirty', count);
+      if (linkIds.length === 0) {
+        return [];
+      }
+
+      const pipeline = this.redis.pipeline();
+      for (const linkId of linkIds) {
+        pipeline.eval(
+          "local counters = redis.call('hgetall', KEYS[1]); redis.call('del', KEYS[1]); return counters",
+          1,
+          `link:counters:${linkId}`
+        );
+      }
+      const results = await pipeline.exec();
+
+      // Hash không đọc được -> trả link về hàng đợi cho lần flush sau
+      const failed = linkIds.filter((linkId, index) => results[index][0]);
+      if (failed.length > 0) {
+        await this.redis.sadd('link:counters:dirty', ...failed);
+      }
+
+      return linkIds
+        .map((linkId, index) => {
+          const [error, fields] = results[index];
+          if (error || !fields || fields.length === 0) return null;
+
+          const counters = {};
+          for (let i = 0; i < fields.length; i += 2) {
+            counters[fields[i]] = parseInt(fields[i + 1]) || 0;
+          }
+          return {
+            linkId,
+            clicks: counters.clicks || 0,
+            unique: counters.unique || 0,
+            bots: counters.bots || 0,
+            lastClickAt: counters.lastClickAt || null,
+          };
+        })
+        .filter(Boolean);
+    } catch (error) {
+      console.error('Cache takeLinkCounters error:', error.message);
+      return [];
+    }
   }
 
   // User session cache
@@ -167,6 +290,98 @@ class CacheService {
     }
   }
 
+  // Delete key only if it still holds this value (atomic) - single-use tokens
+  async compareAndDelete(key, value) {
+    try {
+      const deleted = await this.redis.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        1,
+        key,
+        JSON.stringify(value)
+      );
+      return deleted === 1;
+    } catch (error) {
+      console.error(`Cache compareAndDelete error for key ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  // Atomic counter; TTL is set when the key is created
+  async increment(key, ttl = this.defaultTTL) {
+    try {
+      const value = await this.redis.incr(key);
+      if (value === 1 && ttl) {
+        await this.redis.expire(key, ttl);
+      }
+      return value;
+    } catch (error) {
+      console.error(`Cache increment error for key ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  // SET NX: true if the key was created, false if it already existed, null on error
+  async setIfAbsent(key, value, ttl = this.defaultTTL) {
+    try {
+      const result = await this.redis.set(key, JSON.stringify(value), 'EX', ttl, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      console.error(`Cache setIfAbsent error for key ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  // SET XX KEEPTTL (Redis >= 6): overwrite an existing key and keep its remaining TTL.
+  // true if updated, false if the key is gone (never recreated without a TTL), null on error
+  async setIfExists(key, value) {
+    try {
+      const result = await this.redis.set(key, JSON.stringify(value), 'XX', 'KEEPTTL');
+      return result === 'OK';
+    } catch (error) {
+      console.error(`Cache setIfExists error for key ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  // Set operations - e.g. index of a user's session ids
+  async addToSet(key, member, ttl = this.defaultTTL) {
+    try {
+      await this.redis.multi().sadd(key, member).expire(key, ttl).exec();
+      return true;
+    } catch (error) {
+      console.error(`Cache addToSet error for key ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  async removeFromSet(key, ...members) {
+    try {
+      return members.length > 0 ? await this.redis.srem(key, ...members) : 0;
+    } catch (error) {
+      console.error(`Cache removeFromSet error for key ${key}:`, error.message);
+      return 0;
+    }
+  }
+
+  async getSetMembers(key) {
+    try {
+      return await this.redis.smembers(key);
+    } catch (error) {
+      console.error(`Cache getSetMembers error for key ${key}:`, error.message);
+      return [];
+    }
+  }
+
+  // Find keys by pattern
+  async keys(pattern) {
+    try {
+      return await this.redis.keys(pattern);
+    } catch (error) {
+      console.error(`Cache keys error for ${pattern}:`, error.message);
+      return [];
+    }
+  }
+
   // Clear cache by pattern
   async clearPattern(pattern) {
     try {
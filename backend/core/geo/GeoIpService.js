@@ -0,0 +1,117 @@
+// core/geo/GeoIpService.js
+// Click geolocation từ file MaxMind .mmdb trên disk (GeoLite2/GeoIP2 City + ASN) - không gọi mạng
+const fs = require('fs');
+const net = require('net');
+const { Reader } = require('maxmind');
+const config = require('../../config');
+
+const DATABASES = ['city', 'asn'];
+
+class GeoIpService {
+  constructor() {
+    this.readers = { city: null, asn: null };
+    this.cache = new Map(); // ip -> location | null, thứ tự chèn = LRU
+    this.watched = [];
+  }
+
+  /**
+   * Load the configured databases and watch them for changes: a replaced file
+   * (e.g. by geoipupdate) is reloaded without a restart. Missing files are fine -
+   * lookups return null until the file appears.
+   */
+  async initialize() {
+    for (const type of DATABASES) {
+      const file = config.geoip[type];
+      if (!file) continue;
+
+      await this.load(type, file);
+
+      fs.watchFile(file, { interval: config.geoip.watchInterval, persistent: false }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs && current.size > 0) {
+          this.load(type, file);
+        }
+      });
+      this.watched.push(file);
+    }
+  }
+
+  async load(type, file) {
+    try {
+      const buffer = await fs.promises.readFile(file);
+      const reader = new Reader(buffer);
+
+      this.readers[type] = reader;
+      this.cache.clear();
+      console.log(`🌍 GeoIP ${type} database loaded: ${reader.metadata.databaseType} (${new Date(reader.metadata.buildEpoch).toISOString().slice(0, 10)})`);
+    } catch (error) {
+      // File chưa có hoặc đang được ghi dở -> giữ reader cũ
+      if (error.code === 'ENOENT') {
+        console.warn(`⚠️ GeoIP ${type} database not found at ${file}, ${type} lookups disabled`);
+      } else {
+        console.error(`❌ GeoIP ${type} database load failed:`, error.message);
+      }
+    }
+  }
+
+  isReady() {
+    return DATABASES.some((type) => this.readers[type]);
+  }
+
+  /**
+   * IP -> { country, region, regionCode, city, asn, asOrganization } or null
+   * (private/unknown IP or no database loaded)
+   */
+  lookup(ipAddress) {
+    const ip = String(ipAddress || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    if (!this.isReady() || !net.isIP(ip)) {
+      return null;
+    }
+
+    if (this.cache.has(ip)) {
+      const cached = this.cache.get(ip);
+      this.cache.delete(ip);
+      this.cache.set(ip, cached);
+      return cached;
+    }
+
+    const location = this.resolve(ip);
+
+    this.cache.set(ip, location);
+    if (this.cache.size > config.geoip.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return location;
+  }
+
+  resolve(ip) {
+    try {
+      const city = this.readers.city?.get(ip);
+      const asn = this.readers.asn?.get(ip);
+      const subdivision = city?.subdivisions?.[0];
+
+      const location = {
+        country: city?.country?.iso_code || city?.registered_country?.iso_code || null,
+        region: subdivision?.names?.en || null,
+        regionCode: subdivision?.iso_code || null,
+        city: city?.city?.names?.en || null,
+        asn: asn?.autonomous_system_number || null,
+        asOrganization: asn?.autonomous_system_organization || null,
+      };
+
+      return Object.values(location).some(Boolean) ? location : null;
+    } catch (error) {
+      console.warn('⚠️ GeoIP lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  close() {
+    for (const file of this.watched) {
+      fs.unwatchFile(file);
+    }
+    this.watched = [];
+  }
+}
+
+module.exports = new GeoIpService();
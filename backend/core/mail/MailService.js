@@ -0,0 +1,62 @@
+// core/mail/MailService.js
+// Render email theo template rồi gửi qua transport cấu hình bởi MAIL_TRANSPORT (log | file | smtp)
+const config = require('../../config');
+const templates = require('./templates');
+const LogTransport = require('./transports/LogTransport');
+const FileTransport = require('./transports/FileTransport');
+const SmtpTransport = require('./transports/SmtpTransport');
+
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.factories = {
+      log: () => new LogTransport(),
+      file: () => new FileTransport({ dir: config.mail.fileDir }),
+      smtp: () => new SmtpTransport(config.mail.smtp),
+    };
+  }
+
+  /**
+   * Plug in another driver (e.g. SES, SendGrid): factory() -> { name, send(message) }
+   */
+  registerTransport(name, factory) {
+    this.factories[name] = factory;
+    if (this.transport?.name === name) {
+      this.transport = null;
+    }
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const factory = this.factories[config.mail.transport];
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+      }
+      this.transport = factory();
+      console.log(`📨 Mail transport: ${this.transport.name}`);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Render template `type` with data and send it to `to`
+   */
+  async send(type, to, data = {}) {
+    const template = templates[type];
+    if (!template) {
+      throw new Error(`Unknown email type: ${type}`);
+    }
+
+    const { subject, text, html } = template(data);
+
+    return await this.getTransport().send({
+      from: config.mail.from,
+      to,
+      subject,
+      text,
+      html,
+    });
+  }
+}
+
+module.exports = new MailService();
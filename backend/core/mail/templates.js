@@ -0,0 +1,158 @@
+// core/mail/templates.js
+// Email templates theo job type: (data) => { subject, text, html }
+const config = require('../../config');
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[char]);
+
+// Layout chung: đoạn văn + nút hành động (nếu có)
+const layout = ({ title, paragraphs, action }) => {
+  const appName = config.app.name;
+
+  const text = [
+    ...paragraphs,
+    action ? `${action.label}: ${action.url}` : null,
+    `— ${appName}`,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 24px;">
+  <h2 style="margin-top: 0;">${escapeHtml(title)}</h2>
+  ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n  ')}
+  ${
+    action
+      ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 18px; background: #1677ff; color: #fff; text-decoration: none; border-radius: 4px;">${escapeHtml(action.label)}</a></p>
+  <p style="font-size: 12px; color: #666;">${escapeHtml(action.url)}</p>`
+      : ''
+  }
+  <p style="font-size: 12px; color: #999;">— ${escapeHtml(appName)}</p>
+</body>
+</html>`;
+
+  return { text, html };
+};
+
+const templates = {
+  welcome: (data) => ({
+    subject: `Welcome to ${config.app.name}`,
+    ...layout({
+      title: `Welcome, ${data.userName || 'there'}!`,
+      paragraphs: ['Your account is ready. Start shortening and tracking your links.'],
+      action: { label: 'Open dashboard', url: `${config.app.url}/dashboard` },
+    }),
+  }),
+
+  emailVerification: (data) => ({
+    subject: 'Verify your email address',
+    ...layout({
+      title: 'Verify your email',
+      paragraphs: [
+        `Hi ${data.userName || 'there'}, please confirm that ${data.email} is your email address.`,
+        `This link expires in ${data.expiresIn}.`,
+      ],
+      action: { label: 'Verify email', url: data.actionUrl },
+    }),
+  }),
+
+  passwordReset: (data) => ({
+    subject: 'Reset your password',
+    ...layout({
+      title: 'Password reset',
+      paragraphs: [
+        `Hi ${data.userName || 'there'}, we received a request to reset your password.`,
+        `This link expires in ${data.expiresIn} and can only be used once. If you did not request it, you can ignore this email.`,
+      ],
+      action: { label: 'Reset password', url: data.actionUrl },
+    }),
+  }),
+
+  workspaceInvitation: (data) => ({
+    subject: `${data.inviterName || 'Someone'} invited you to ${data.workspaceName}`,
+    ...layout({
+      title: `Join ${data.workspaceName}`,
+      paragraphs: [
+        `${data.inviterName || 'A team member'} invited you to the ${data.workspaceName} workspace on ${config.app.name} as ${data.role}.`,
+        `Sign in or create an account with this email address to accept. This invitation expires in ${data.expiresIn}.`,
+      ],
+      action: { label: 'Accept invitation', url: data.actionUrl },
+    }),
+  }),
+
+  passwordChanged: (data) => ({
+    subject: 'Your password was changed',
+    ...layout({
+      title: 'Password changed',
+      paragraphs: [
+        `Hi ${data.userName || 'there'}, the password for your account was changed and all sessions were signed out.`,
+        'If this was not you, reset your password immediately and contact support.',
+      ],
+    }),
+  }),
+
+  dataExportReady: (data) => ({
+    subject: 'Your data export is ready',
+    ...layout({
+      title: 'Data export ready',
+      paragraphs: [
+        `Hi ${data.userName || 'there'}, the archive with your personal data is ready to download from your profile.`,
+        `It will be deleted in ${data.expiresIn}.`,
+      ],
+      action: { label: 'Open profile', url: data.actionUrl },
+    }),
+  }),
+
+  accountErasureScheduled: (data) => ({
+    subject: 'Your account is scheduled for deletion',
+    ...layout({
+      title: 'Account deletion scheduled',
+      paragraphs: [
+        `Hi ${data.userName || 'there'}, your account and all of its data will be permanently deleted on ${data.erasureDate}.`,
+        'Until then you can keep using it and cancel the deletion from your profile. If you did not request this, cancel it and change your password.',
+      ],
+      action: { label: 'Open profile', url: data.actionUrl },
+    }),
+  }),
+
+  linkExpired: (data) => {
+    const reasons = {
+      date: 'it reached its expiration date',
+      clicks: `it reached its limit of ${data.limit} clicks`,
+      unique_clicks: `it reached its limit of ${data.limit} unique visitors`,
+    };
+
+    return {
+      subject: `Your link ${data.shortCode} has expired`,
+      ...layout({
+        title: 'Link expired',
+        paragraphs: [
+          `Hi ${data.userName || 'there'}, your link ${data.title ? `"${data.title}" (${data.shortCode})` : data.shortCode} stopped working because ${reasons[data.reason] || reasons.date}.`,
+          data.fallbackUrl
+            ? `Visitors are now sent to your fallback URL: ${data.fallbackUrl}`
+            : 'Visitors now see an "expired" page. Raise the limit or change the expiration date to turn it back on.',
+        ],
+        action: { label: 'Open dashboard', url: data.actionUrl },
+      }),
+    };
+  },
+
+  accountErased: (data) => ({
+    subject: 'Your account was deleted',
+    ...layout({
+      title: 'Account deleted',
+      paragraphs: [
+        `Hi ${data.userName || 'there'}, as requested your account, links, domains and click history have been permanently deleted.`,
+      ],
+    }),
+  }),
+};
+
+module.exports = templates;
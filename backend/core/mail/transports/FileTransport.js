@@ -0,0 +1,33 @@
+// core/mail/transports/FileTransport.js
+// Ghi mỗi email thành <messageId>.json + .eml vào MAIL_FILE_DIR - dùng cho test và môi trường không có SMTP
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+class FileTransport {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+    // streamTransport chỉ build raw MIME message, không gửi đi đâu
+    this.builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const info = await this.builder.sendMail(message);
+    const messageId = info.messageId.replace(/[<>]/g, '');
+    const baseName = `${Date.now()}-${messageId.replace(/[^a-z0-9.-]/gi, '_')}`;
+
+    await fs.promises.writeFile(path.join(this.dir, `${baseName}.eml`), info.message);
+    await fs.promises.writeFile(
+      path.join(this.dir, `${baseName}.json`),
+      JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2)
+    );
+
+    console.log(`📨 [mail:file] ${message.subject} -> ${message.to} (${baseName}.eml)`);
+    return { messageId, file: path.join(this.dir, `${baseName}.eml`) };
+  }
+}
+
+module.exports = FileTransport;
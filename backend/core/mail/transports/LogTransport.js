@@ -0,0 +1,18 @@
+// core/mail/transports/LogTransport.js
+// Development default: không gửi, chỉ log ra console
+class LogTransport {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send(message) {
+    const messageId = `log-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    console.log(`📨 [mail:log] ${message.subject} -> ${message.to}`);
+    console.log(message.text);
+
+    return { messageId };
+  }
+}
+
+module.exports = LogTransport;
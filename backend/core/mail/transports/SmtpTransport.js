@@ -0,0 +1,31 @@
+// core/mail/transports/SmtpTransport.js
+// SMTP thật hoặc SMTP sink (MailHog, Mailpit, smtp4dev...) cho test
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  constructor({ host, port, secure, user, password }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 20000,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    console.log(`📨 [mail:smtp] ${message.subject} -> ${message.to} (${info.messageId})`);
+    return { messageId: info.messageId, response: info.response };
+  }
+
+  async close() {
+    this.transporter.close();
+  }
+}
+
+module.exports = SmtpTransport;
@@ -1,5 +1,5 @@
 // backend/core/queue/BullMQService.js - COMPLETE VERSION AFTER MIGRATION
-const { Queue, Worker, QueueEvents } = require('bullmq');
+const { Queue, Worker, QueueEvents, UnrecoverableError } = require('bullmq');
 const Redis = require('ioredis');
 
 class BullMQService {
@@ -44,6 +44,15 @@ class BullMQService {
       // Khởi tạo event listeners
       this.initializeEventListeners();
 
+      // Lịch quét lại link định kỳ với blocklist
+      await this.scheduleLinkRescan();
+
+      // Lịch đánh dấu link quá expiresAt / hết lượt click + email chủ link
+      await this.scheduleLinkExpirySweep();
+
+      // Lịch xoá tài khoản hết thời gian chờ + dọn archive export hết hạn
+      await this.schedulePrivacySweep();
+
       this.isInitialized = true;
       console.log('✅ BullMQ Service khởi tạo hoàn tất');
     } catch (error) {
@@ -74,6 +83,9 @@ class BullMQService {
     this.queues.email = new Queue('email-notifications', queueOptions);
     this.queues.analytics = new Queue('analytics-processing', queueOptions);
     this.queues.clickTracking = new Queue('click-tracking', queueOptions);
+    this.queues.linkImport = new Queue('link-import', queueOptions);
+    this.queues.linkScan = new Queue('link-scanning', queueOptions);
+    this.queues.privacy = new Queue('privacy', queueOptions);
 
     console.log('✅ Các queue được khởi tạo thành công');
   }
@@ -123,6 +135,33 @@ class BullMQService {
       { ...workerOptions, concurrency: 10 }
     ); // Cao hơn vì click tracking nhiều
 
+    // Worker xử lý import links - 1 job một lúc vì mỗi job có thể hàng nghìn dòng
+    this.workers.linkImport = new Worker(
+      'link-import',
+      async (job) => {
+        return await this.processImportJob(job);
+      },
+      { ...workerOptions, concurrency: 1 }
+    );
+
+    // Worker quét lại link với blocklist - chỉ 1 lần quét tại một thời điểm
+    this.workers.linkScan = new Worker(
+      'link-scanning',
+      async (job) => {
+        return await this.processLinkScanJob(job);
+      },
+      { ...workerOptions, concurrency: 1 }
+    );
+
+    // Worker GDPR: export dữ liệu cá nhân + xoá tài khoản - tuần tự, mỗi job có thể nặng
+    this.workers.privacy = new Worker(
+      'privacy',
+      async (job) => {
+        return await this.processPrivacyJob(job);
+      },
+      { ...workerOptions, concurrency: 1 }
+    );
+
     console.log('✅ Tất cả Workers đã được khởi tạo');
 
     // Add error handlers for all workers
@@ -169,12 +208,22 @@ class BullMQService {
       throw new Error('BullMQ Service chưa được khởi tạo');
     }
 
-    const job = await this.queues.metadata.add('fetch', {
-      linkId,
-      url,
-      userId,
-      timestamp: new Date(),
-    });
+    const job = await this.queues.metadata.add(
+      'fetch',
+      {
+        linkId,
+        url,
+        userId,
+        timestamp: new Date(),
+      },
+      {
+        attempts: parseInt(process.env.METADATA_FETCH_ATTEMPTS) || 3,
+        backoff: {
+          type: 'exponential',
+          delay: 5000, // 5s, 10s, 20s - cho site tạm lỗi thời gian hồi phục
+        },
+      }
+    );
 
     console.log(`📋 Metadata job được thêm: ${job.id} cho URL: ${url}`);
     return job.id;
@@ -250,6 +299,189 @@ class BullMQService {
     return job.id;
   }
 
+  /**
+   * Add link import job (CSV/JSON rows, optionally dry-run)
+   */
+  async addImportJob(userId, rows, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('BullMQ Service chưa được khởi tạo');
+    }
+
+    const job = await this.queues.linkImport.add(
+      options.dryRun ? 'dry-run' : 'import',
+      {
+        userId,
+        rows,
+        options,
+        timestamp: new Date(),
+      },
+      {
+        attempts: 1, // Không retry - import dở dang sẽ tạo link trùng
+        removeOnComplete: { age: 24 * 60 * 60 }, // Giữ kết quả 24h để poll
+        removeOnFail: { age: 24 * 60 * 60 },
+      }
+    );
+
+    console.log(`📥 Import job được thêm: ${job.id} (${rows.length} rows, dryRun: ${!!options.dryRun})`);
+    return job.id;
+  }
+
+  /**
+   * Get import job status for polling
+   */
+  async getImportJob(jobId) {
+    if (!this.isInitialized) {
+      throw new Error('BullMQ Service chưa được khởi tạo');
+    }
+
+    const job = await this.queues.linkImport.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    return {
+      id: job.id,
+      userId: job.data.userId,
+      workspaceId: job.data.options?.workspaceId || null,
+      type: job.name,
+      state: await job.getState(),
+      progress: job.progress,
+      totalRows: job.data.rows.length,
+      result: job.returnvalue || null,
+      failedReason: job.failedReason || null,
+      createdAt: new Date(job.timestamp),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+    };
+  }
+
+  /**
+   * Register the repeatable blocklist rescan (LINK_RESCAN_INTERVAL_MS, default 6h)
+   */
+  async scheduleLinkRescan() {
+    const every = parseInt(process.env.LINK_RESCAN_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+    await this.queues.linkScan.upsertJobScheduler(
+      'link-rescan',
+      { every },
+      {
+        name: 'rescan',
+        data: { trigger: 'schedule' },
+        opts: {
+          attempts: 1,
+          removeOnComplete: 20,
+          removeOnFail: 20,
+        },
+      }
+    );
+
+    console.log(`🔎 Link rescan được lên lịch mỗi ${Math.round(every / 60000)} phút`);
+  }
+
+  /**
+   * Register the repeatable link expiry sweep on the link scan queue (LINK_EXPIRY_SWEEP_INTERVAL_MS, default 5min)
+   */
+  async scheduleLinkExpirySweep() {
+    const every = parseInt(process.env.LINK_EXPIRY_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+
+    await this.queues.linkScan.upsertJobScheduler(
+      'link-expiry',
+      { every },
+      {
+        name: 'expiry',
+        data: { trigger: 'schedule' },
+        opts: {
+          attempts: 1,
+          removeOnComplete: 20,
+          removeOnFail: 20,
+        },
+      }
+    );
+
+    console.log(`⌛ Link expiry sweep được lên lịch mỗi ${Math.round(every / 60000)} phút`);
+  }
+
+  /**
+   * Trigger a blocklist rescan now (admin)
+   */
+  async addLinkScanJob(triggeredBy) {
+    if (!this.isInitialized) {
+      throw new Error('BullMQ Service chưa được khởi tạo');
+    }
+
+    const job = await this.queues.linkScan.add(
+      'rescan',
+      { trigger: 'manual', triggeredBy, timestamp: new Date() },
+      { attempts: 1, removeOnComplete: 20, removeOnFail: 20 }
+    );
+
+    console.log(`🔎 Link scan job được thêm: ${job.id}`);
+    return job.id;
+  }
+
+  /**
+   * Register the repeatable privacy sweep (PRIVACY_SWEEP_INTERVAL_MS, default 1h) and click retention purge
+   */
+  async schedulePrivacySweep() {
+    const every = parseInt(process.env.PRIVACY_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+    await this.queues.privacy.upsertJobScheduler(
+      'privacy-sweep',
+      { every },
+      {
+        name: 'sweep',
+        data: { trigger: 'schedule' },
+        opts: {
+          attempts: 1,
+          removeOnComplete: 20,
+          removeOnFail: 20,
+        },
+      }
+    );
+
+    console.log(`🛡️ Privacy sweep được lên lịch mỗi ${Math.round(every / 60000)} phút`);
+
+    // Click retention purge (PRIVACY_RETENTION_INTERVAL_MS, default 24h)
+    const retentionEvery = parseInt(process.env.PRIVACY_RETENTION_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+
+    await this.queues.privacy.upsertJobScheduler(
+      'click-retention',
+      { every: retentionEvery },
+      {
+        name: 'retention',
+        data: { trigger: 'schedule' },
+        opts: {
+          attempts: 1,
+          removeOnComplete: 20,
+          removeOnFail: 20,
+        },
+      }
+    );
+
+    console.log(`🧹 Click retention được lên lịch mỗi ${Math.round(retentionEvery / 3600000)} giờ`);
+  }
+
+  /**
+   * Add personal data export job
+   */
+  async addPrivacyJob(type, data) {
+    if (!this.isInitialized) {
+      throw new Error('BullMQ Service chưa được khởi tạo');
+    }
+
+    const job = await this.queues.privacy.add(
+      type,
+      { ...data, timestamp: new Date() },
+      {
+        attempts: 1, // PrivacyRequest giữ trạng thái failed, user tạo lại yêu cầu
+        removeOnComplete: 50,
+        removeOnFail: 50,
+      }
+    );
+
+    console.log(`🛡️ Privacy job được thêm: ${job.id} (${type})`);
+    return job.id;
+  }
+
   // ===== COMPATIBILITY ALIASES (for QueueService replacement) =====
 
   /**
@@ -272,29 +504,17 @@ class BullMQService {
    * Process metadata fetching job
    */
   async processMetadataJob(job) {
-    const { linkId, url, userId } = job.data;
-    console.log(`🔍 Đang xử lý metadata cho: ${url}`);
+    const { linkId, url } = job.data;
+    console.log(`🔍 Đang xử lý metadata cho: ${url} (lần thử ${job.attemptsMade + 1})`);
+
+    const metadataService = require('../../domains/links/services/MetadataService');
 
     try {
-      // Update progress
       await job.updateProgress(25);
 
-      // Simulate metadata fetching with axios or cheerio
-      await new Promise((resolve) => setTimeout(resolve, 2000)); // Giả lập 2 giây
+      const metadata = await metadataService.refreshLinkMetadata(linkId, url);
 
-      await job.updateProgress(75);
-
-      // Giả lập kết quả metadata (thực tế sẽ fetch từ URL)
-      const metadata = {
-        title: `Title for ${url}`,
-        description: `Description for ${url}`,
-        image: `https://example.com/image.jpg`,
-        fetchedAt: new Date(),
-      };
-
-      console.log(`✅ Metadata hoàn thành cho ${url}:`, metadata);
-
-      // Cập nhật progress
+      console.log(`✅ Metadata hoàn thành cho ${url}: ${metadata.title || '(no title)'}`);
       await job.updateProgress(100);
 
       return {
@@ -304,6 +524,19 @@ class BullMQService {
       };
     } catch (error) {
       console.error(`❌ Lỗi xử lý metadata cho ${url}:`, error.message);
+
+      // Lỗi vĩnh viễn (4xx, quá nhiều redirect...) hoặc lần thử cuối -> ghi lỗi vào link
+      const isPermanent = error.retryable === false;
+      const isLastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      if (isPermanent || isLastAttempt) {
+        await metadataService.recordFailure(linkId, error).catch((e) => {
+          console.error(`❌ Không thể ghi lỗi metadata cho link ${linkId}:`, e.message);
+        });
+      }
+
+      if (isPermanent) {
+        throw new UnrecoverableError(error.message);
+      }
       throw error;
     }
   }
@@ -316,12 +549,11 @@ class BullMQService {
     console.log(`📧 Đang gửi email ${type} tới: ${to}`);
 
     try {
-      await job.updateProgress(25);
+      const mailService = require('../mail/MailService');
 
-      // Simulate email sending (thực tế sẽ dùng nodemailer, sendgrid, etc.)
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // Giả lập 1 giây
+      await job.updateProgress(25);
 
-      await job.updateProgress(75);
+      const result = await mailService.send(type, to, data);
 
       console.log(`✅ Email ${type} đã gửi thành công tới ${to}`);
 
@@ -331,11 +563,16 @@ class BullMQService {
         success: true,
         type,
         to,
-        messageId: `msg-${Date.now()}`,
+        messageId: result.messageId,
         sentAt: new Date(),
       };
     } catch (error) {
       console.error(`❌ Lỗi gửi email tới ${to}:`, error.message);
+
+      // Template không tồn tại -> retry cũng vô ích
+      if (error.message.startsWith('Unknown email type')) {
+        throw new UnrecoverableError(error.message);
+      }
       throw error;
     }
   }
@@ -397,6 +634,72 @@ class BullMQService {
     }
   }
 
+  /**
+   * Process link import job
+   */
+  async processImportJob(job) {
+    console.log(`📥 Đang xử lý import job ${job.id}`);
+
+    try {
+      const linkImportService = require('../../domains/links/services/LinkImportService');
+      const result = await linkImportService.runImport(job.data, (progress) =>
+        job.updateProgress(progress)
+      );
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error(`❌ Import job ${job.id} failed:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Process link scan job: 'expiry' marks links past expiresAt, otherwise blocklist rescan
+   */
+  async processLinkScanJob(job) {
+    if (job.name === 'expiry') {
+      const linkAvailabilityService = require('../../domains/links/services/LinkAvailabilityService');
+      return { success: true, ...(await linkAvailabilityService.expireDueLinks()) };
+    }
+
+    console.log(`🔎 Đang quét lại link với blocklist (job ${job.id}, ${job.data.trigger})`);
+
+    try {
+      const urlReputationService = require('../../domains/security/services/UrlReputationService');
+      const result = await urlReputationService.rescanLinks((progress) => job.updateProgress(progress));
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error(`❌ Link scan job ${job.id} failed:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Process privacy job: 'export' builds one archive, 'retention' purges expired clicks,
+   * 'sweep' runs the scheduled erasures/cleanup
+   */
+  async processPrivacyJob(job) {
+    console.log(`🛡️ Đang xử lý privacy job ${job.id} (${job.name})`);
+
+    try {
+      const privacyService = require('../../domains/users/services/PrivacyService');
+      let result;
+      if (job.name === 'export') {
+        result = await privacyService.runExport(job.data.requestId, (progress) => job.updateProgress(progress));
+      } else if (job.name === 'retention') {
+        result = await require('../../domains/analytics/services/ClickPrivacyService').purgeExpiredClicks();
+      } else {
+        result = await privacyService.runScheduledTasks();
+      }
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error(`❌ Privacy job ${job.id} failed:`, error.message);
+      throw error;
+    }
+  }
+
   // ===== MONITORING & STATS METHODS =====
 
   /**
@@ -409,17 +712,24 @@ class BullMQService {
         emailNotifications: { pending: 0 },
         analytics: { pending: 0 },
         metadata: { pending: 0 },
+        linkImport: { pending: 0 },
+        linkScan: { pending: 0 },
+        privacy: { pending: 0 },
         isInitialized: false,
       };
     }
 
     try {
-      const [clickWaiting, emailWaiting, analyticsWaiting, metadataWaiting] = await Promise.all([
-        this.queues.clickTracking.getWaiting(),
-        this.queues.email.getWaiting(),
-        this.queues.analytics.getWaiting(),
-        this.queues.metadata.getWaiting(),
-      ]);
+      const [clickWaiting, emailWaiting, analyticsWaiting, metadataWaiting, importWaiting, scanWaiting, privacyWaiting] =
+        await Promise.all([
+          this.queues.clickTracking.getWaiting(),
+          this.queues.email.getWaiting(),
+          this.queues.analytics.getWaiting(),
+          this.queues.metadata.getWaiting(),
+          this.queues.linkImport.getWaiting(),
+          this.queues.linkScan.getWaiting(),
+          this.queues.privacy.getWaiting(),
+        ]);
 
       return {
         clickTracking: {
@@ -435,6 +745,15 @@ class BullMQService {
         metadata: {
           pending: metadataWaiting.length,
         },
+        linkImport: {
+          pending: importWaiting.length,
+        },
+        linkScan: {
+          pending: scanWaiting.length,
+        },
+        privacy: {
+          pending: privacyWaiting.length,
+        },
         batchSize: 'N/A', // BullMQ không dùng batch như QueueService cũ
         processInterval: 'Real-time',
         isInitialized: this.isInitialized,
@@ -446,6 +765,9 @@ class BullMQService {
         emailNotifications: { pending: 0 },
         analytics: { pending: 0 },
         metadata: { pending: 0 },
+        linkImport: { pending: 0 },
+        linkScan: { pending: 0 },
+        privacy: { pending: 0 },
         isInitialized: this.isInitialized,
       };
     }
@@ -545,6 +867,9 @@ class BullMQService {
         this.queues.email.drain(),
         this.queues.analytics.drain(),
         this.queues.metadata.drain(),
+        this.queues.linkImport.drain(),
+        this.queues.linkScan.drain(),
+        this.queues.privacy.drain(),
       ]);
       console.log('🧹 All BullMQ queues cleared');
     } catch (error) {
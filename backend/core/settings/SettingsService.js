@@ -0,0 +1,274 @@
+// core/settings/SettingsService.js
+// Typed, versioned system settings: PostgreSQL (source of truth) -> Redis cache -> in-memory snapshot.
+// Thay đổi được publish qua Redis pub/sub để mọi process reload ngay.
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const cacheService = require('../cache/CacheService');
+const { SystemSetting, SystemSettingHistory, User, sequelize } = require('../../models');
+const { SETTINGS_SCHEMA, validateSetting } = require('./settingsSchema');
+
+const CACHE_KEY = 'settings:all';
+const CACHE_TTL = 3600; // 1 hour
+const CHANNEL = 'settings:changed';
+
+class SettingsService {
+  constructor() {
+    this.values = new Map();
+    this.emitter = new EventEmitter();
+    this.subscriber = null;
+    this.instanceId = crypto.randomBytes(8).toString('hex');
+    this.isInitialized = false;
+  }
+
+  // ===== LIFECYCLE =====
+
+  async initialize() {
+    await this.load();
+    await this.subscribe();
+    this.isInitialized = true;
+    console.log(`⚙️ Settings loaded: ${this.values.size} overrides`);
+  }
+
+  /**
+   * Load overrides from Redis cache, or from the database when the cache is cold
+   */
+  async load({ skipCache = false } = {}) {
+    let rows = skipCache ? null : await cacheService.get(CACHE_KEY);
+
+    if (!rows) {
+      const settings = await SystemSetting.findAll({
+        attributes: ['key', 'value', 'version', 'updatedBy', 'updatedAt'],
+        raw: true,
+      });
+      rows = settings.filter((row) => SETTINGS_SCHEMA[row.key]);
+      await cacheService.set(CACHE_KEY, rows, CACHE_TTL);
+    }
+
+    this.apply(rows);
+  }
+
+  apply(rows) {
+    const previous = Object.fromEntries(Object.keys(SETTINGS_SCHEMA).map((key) => [key, this.get(key)]));
+
+    this.values = new Map(rows.map((row) => [row.key, row]));
+
+    const changedKeys = Object.keys(SETTINGS_SCHEMA).filter(
+      (key) => JSON.stringify(previous[key]) !== JSON.stringify(this.get(key))
+    );
+
+    if (changedKeys.length > 0) {
+      this.emitter.emit('change', changedKeys);
+    }
+  }
+
+  async subscribe() {
+    if (!cacheService.redis || this.subscriber) return;
+
+    try {
+      this.subscriber = cacheService.redis.duplicate();
+      this.subscriber.on('message', (channel, message) => {
+        if (channel !== CHANNEL) return;
+
+        let payload = {};
+        try {
+          payload = JSON.parse(message);
+        } catch {
+          // ignore malformed message, reload anyway
+        }
+        if (payload.origin === this.instanceId) return;
+
+        console.log(`🔄 Settings changed by another instance: ${(payload.keys || []).join(', ')}`);
+        this.load().catch((error) => console.error('❌ Settings reload error:', error.message));
+      });
+
+      await this.subscriber.subscribe(CHANNEL);
+    } catch (error) {
+      console.warn('⚠️ Settings pub/sub unavailable, changes apply to this instance only:', error.message);
+      this.subscriber = null;
+    }
+  }
+
+  async publish(keys) {
+    try {
+      await cacheService.redis.publish(CHANNEL, JSON.stringify({ keys, origin: this.instanceId }));
+    } catch (error) {
+      console.warn('⚠️ Settings publish error:', error.message);
+    }
+  }
+
+  async disconnect() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+  }
+
+  // ===== READ =====
+
+  /**
+   * Current value (override -> env -> schema default). Synchronous so hot paths can call it.
+   */
+  get(key) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    const override = this.values.get(key);
+    return override ? override.value : schema.default();
+  }
+
+  /**
+   * Call handler(changedKeys) when any of the keys changes (local update or pub/sub reload)
+   */
+  onChange(keys, handler) {
+    this.emitter.on('change', (changedKeys) => {
+      const relevant = changedKeys.filter((key) => keys.includes(key));
+      if (relevant.length > 0) {
+        handler(relevant);
+      }
+    });
+  }
+
+  /**
+   * All settings with schema info - for the admin settings page
+   */
+  getAll() {
+    return Object.entries(SETTINGS_SCHEMA).map(([key, schema]) => {
+      const override = this.values.get(key);
+
+      return {
+        key,
+        type: schema.type,
+        category: schema.category,
+        description: schema.description,
+        value: this.get(key),
+        defaultValue: schema.default(),
+        isDefault: !override,
+        version: override ? override.version : null,
+        updatedBy: override ? override.updatedBy : null,
+        updatedAt: override ? override.updatedAt : null,
+        constraints: {
+          min: schema.min,
+          max: schema.max,
+          maxLength: schema.maxLength,
+          nullable: !!schema.nullable,
+        },
+      };
+    });
+  }
+
+  // ===== WRITE =====
+
+  /**
+   * Update several settings at once ({ key: value }). null resets a key to its default.
+   * Everything is validated before anything is written.
+   */
+  async update(changes, { adminId = null, reason = null } = {}) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      throw new Error('Settings must be a non-empty object of key/value pairs');
+    }
+
+    const validated = Object.entries(changes).map(([key, value]) => {
+      if (!SETTINGS_SCHEMA[key]) {
+        throw new Error(`Unknown setting: ${key}`);
+      }
+      return [key, value === null ? null : validateSetting(key, value)];
+    });
+
+    const changedKeys = await sequelize.transaction(async (transaction) => {
+      const keys = [];
+
+      for (const [key, value] of validated) {
+        const current = await SystemSetting.findByPk(key, { transaction, lock: transaction.LOCK.UPDATE });
+        const previousValue = current ? current.value : null;
+
+        if (JSON.stringify(previousValue) === JSON.stringify(value)) continue;
+
+        const lastVersion = (await SystemSettingHistory.max('version', { where: { key }, transaction })) || 0;
+        const version = lastVersion + 1;
+
+        if (value === null) {
+          await current.destroy({ transaction });
+        } else if (current) {
+          await current.update({ value, version, updatedBy: adminId }, { transaction });
+        } else {
+          await SystemSetting.create({ key, value, version, updatedBy: adminId }, { transaction });
+        }
+
+        await SystemSettingHistory.create(
+          { key, version, value, previousValue, changedBy: adminId, reason },
+          { transaction }
+        );
+
+        keys.push(key);
+      }
+
+      return keys;
+    });
+
+    if (changedKeys.length > 0) {
+      await this.load({ skipCache: true });
+      await this.publish(changedKeys);
+      console.log(`⚙️ Settings updated by ${adminId || 'system'}: ${changedKeys.join(', ')}`);
+    }
+
+    return {
+      changed: changedKeys,
+      settings: this.getAll(),
+    };
+  }
+
+  /**
+   * Change history, newest first (optionally for one key)
+   */
+  async getHistory({ key, limit = 50, offset = 0 } = {}) {
+    if (key && !SETTINGS_SCHEMA[key]) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    const { count, rows } = await SystemSettingHistory.findAndCountAll({
+      where: key ? { key } : {},
+      include: [
+        {
+          model: User,
+          as: 'changedByUser',
+          attributes: ['id', 'email', 'name'],
+        },
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset,
+    });
+
+    return {
+      entries: rows,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: offset + limit < count,
+      },
+    };
+  }
+
+  /**
+   * Restore the value a key had at the given version (recorded as a new version)
+   */
+  async rollback(key, version, { adminId = null } = {}) {
+    if (!SETTINGS_SCHEMA[key]) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    const entry = await SystemSettingHistory.findOne({
+      where: { key, version: parseInt(version) || 0 },
+    });
+    if (!entry) {
+      throw new Error('Version not found');
+    }
+
+    return await this.update({ [key]: entry.value }, { adminId, reason: `Rollback to version ${entry.version}` });
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,264 @@
+// core/settings/settingsSchema.js
+// Admin-editable settings. Default = env var (giữ tương thích với .env cũ) rồi tới giá trị mặc định.
+
+const envBoolean = (name, fallback) =>
+  process.env[name] === undefined || process.env[name] === '' ? fallback : process.env[name] === 'true';
+
+const envInteger = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+const SETTINGS_SCHEMA = {
+  // ===== SYSTEM =====
+  'system.domain': {
+    type: 'string',
+    category: 'system',
+    description: 'Main short link domain (host[:port]) used for redirects and CNAME instructions',
+    default: () => process.env.SYSTEM_DOMAIN || null,
+    nullable: true,
+    maxLength: 253,
+    pattern: /^[a-z0-9.-]+(:\d{1,5})?$/i,
+  },
+
+  // ===== SECURITY =====
+  'security.requireTwoFactorForAdmins': {
+    type: 'boolean',
+    category: 'security',
+    description: 'Admins must enable two-factor authentication to use the admin API',
+    default: () => envBoolean('REQUIRE_2FA_FOR_ADMINS', false),
+  },
+  'security.requireTwoFactorForDomains': {
+    type: 'boolean',
+    category: 'security',
+    description: 'Users must enable two-factor authentication to add, change or verify custom domains',
+    default: () => envBoolean('REQUIRE_2FA_FOR_DOMAINS', false),
+  },
+
+  // ===== LINKS =====
+  'links.autoFetchMetadata': {
+    type: 'boolean',
+    category: 'links',
+    description: 'Fetch title/description/image for new links in the background',
+    default: () => process.env.AUTO_FETCH_METADATA !== 'false',
+  },
+  'links.conversionParam': {
+    type: 'string',
+    category: 'links',
+    description: 'Query parameter carrying the click id on A/B split destinations, for conversion postbacks',
+    default: () => process.env.CONVERSION_PARAM || 'sl_click',
+    maxLength: 32,
+    pattern: /^[a-zA-Z0-9_-]+$/,
+  },
+  'links.interstitialSeconds': {
+    type: 'integer',
+    category: 'links',
+    description: 'Countdown of the interstitial redirect page (seconds)',
+    default: () => envInteger('INTERSTITIAL_SECONDS', 5),
+    min: 1,
+    max: 30,
+  },
+
+  // ===== WORKSPACES =====
+  'workspaces.maxPerUser': {
+    type: 'integer',
+    category: 'workspaces',
+    description: 'Workspaces a user can own',
+    default: () => envInteger('WORKSPACES_MAX_PER_USER', 5),
+    min: 0,
+    max: 1000,
+  },
+  'workspaces.maxMembers': {
+    type: 'integer',
+    category: 'workspaces',
+    description: 'Members per workspace, pending invitations included',
+    default: () => envInteger('WORKSPACES_MAX_MEMBERS', 25),
+    min: 1,
+    max: 10000,
+  },
+
+  // ===== PRIVACY =====
+  'privacy.exportTtlDays': {
+    type: 'integer',
+    category: 'privacy',
+    description: 'Days a personal data export archive can be downloaded before it is deleted',
+    default: () => envInteger('PRIVACY_EXPORT_TTL_DAYS', 7),
+    min: 1,
+    max: 90,
+  },
+  'privacy.erasureGraceDays': {
+    type: 'integer',
+    category: 'privacy',
+    description: 'Days between an account erasure request and the erasure (the user can cancel meanwhile)',
+    default: () => envInteger('PRIVACY_ERASURE_GRACE_DAYS', 30),
+    min: 0,
+    max: 90,
+  },
+  'privacy.ipMode': {
+    type: 'string',
+    category: 'privacy',
+    description: "Visitor IP stored with clicks: 'full', 'truncate' (IPv4 /24, IPv6 /48), 'hash' (salted visitor id only) or 'none'",
+    default: () => process.env.PRIVACY_IP_MODE || 'truncate',
+    pattern: /^(full|truncate|hash|none)$/,
+  },
+  'privacy.visitorSaltRotationHours': {
+    type: 'integer',
+    category: 'privacy',
+    description: 'Hours before the visitor id salt rotates (unique clicks are counted within this window)',
+    default: () => envInteger('PRIVACY_VISITOR_SALT_ROTATION_HOURS', 24),
+    min: 1,
+    max: 720,
+  },
+  'privacy.clickRetentionDays': {
+    type: 'integer',
+    category: 'privacy',
+    description: 'Days clicks are kept when the workspace sets no retention of its own (0 = forever)',
+    default: () => envInteger('CLICK_RETENTION_DAYS', 0),
+    min: 0,
+    max: 3650,
+  },
+
+  // ===== MODERATION =====
+  'moderation.requireApproval': {
+    type: 'boolean',
+    category: 'moderation',
+    description: "Links from new 'user' accounts wait for admin approval",
+    default: () => envBoolean('MODERATION_REQUIRE_APPROVAL', false),
+  },
+  'moderation.newUserDays': {
+    type: 'integer',
+    category: 'moderation',
+    description: 'Accounts younger than this many days count as new',
+    default: () => envInteger('MODERATION_NEW_USER_DAYS', 7),
+    min: 0,
+    max: 365,
+  },
+
+  // ===== RATE LIMITS =====
+  'rateLimit.general.windowMs': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'General API rate limit window (ms)',
+    default: () => 15 * 60 * 1000,
+    min: 1000,
+    max: 24 * 60 * 60 * 1000,
+  },
+  'rateLimit.general.max': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'Requests per IP per general window',
+    default: () => 1000,
+    min: 1,
+    max: 1000000,
+  },
+  'rateLimit.auth.windowMs': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'Login/register rate limit window (ms)',
+    default: () => 15 * 60 * 1000,
+    min: 1000,
+    max: 24 * 60 * 60 * 1000,
+  },
+  'rateLimit.auth.max': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'Failed auth attempts per IP per window',
+    default: () => (isDevelopment ? 1000 : 10),
+    min: 1,
+    max: 100000,
+  },
+  'rateLimit.passwordReset.windowMs': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'Password reset rate limit window (ms)',
+    default: () => 60 * 60 * 1000,
+    min: 1000,
+    max: 24 * 60 * 60 * 1000,
+  },
+  'rateLimit.passwordReset.max': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'Password reset requests per IP per window',
+    default: () => 3,
+    min: 1,
+    max: 1000,
+  },
+  'rateLimit.createLink.windowMs': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'Link creation rate limit window (ms)',
+    default: () => 60 * 1000,
+    min: 1000,
+    max: 24 * 60 * 60 * 1000,
+  },
+  'rateLimit.createLink.max': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'Links created per IP per window',
+    default: () => 20,
+    min: 1,
+    max: 100000,
+  },
+  'rateLimit.bulk.windowMs': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'Bulk operation rate limit window (ms)',
+    default: () => 60 * 1000,
+    min: 1000,
+    max: 24 * 60 * 60 * 1000,
+  },
+  'rateLimit.bulk.max': {
+    type: 'integer',
+    category: 'rateLimit',
+    description: 'Bulk requests per IP per window',
+    default: () => 10,
+    min: 1,
+    max: 10000,
+  },
+};
+
+/**
+ * Validate and coerce a value against its schema entry. Throws 'Invalid value for <key>: ...'
+ * (null = reset to default is handled by SettingsService, not here)
+ */
+const validateSetting = (key, value) => {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const fail = (message) => {
+    throw new Error(`Invalid value for ${key}: ${message}`);
+  };
+
+  switch (schema.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return fail('must be a boolean');
+
+    case 'integer': {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? parseInt(value) : value;
+      if (!Number.isInteger(number)) fail('must be an integer');
+      if (schema.min !== undefined && number < schema.min) fail(`must be at least ${schema.min}`);
+      if (schema.max !== undefined && number > schema.max) fail(`must be at most ${schema.max}`);
+      return number;
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') fail('must be a string');
+      const trimmed = value.trim();
+      if (!trimmed && schema.nullable) return null;
+      if (schema.maxLength && trimmed.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !schema.pattern.test(trimmed)) fail('has an invalid format');
+      return trimmed;
+    }
+
+    default:
+      return fail(`unsupported type ${schema.type}`);
+  }
+};
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  validateSetting,
+};
@@ -0,0 +1,56 @@
+// core/storage/StorageService.js
+// File storage (avatars, bản xuất dữ liệu, ...) qua driver cấu hình bởi STORAGE_DRIVER - mặc định local disk
+const config = require('../../config');
+const LocalStorage = require('./drivers/LocalStorage');
+
+class StorageService {
+  constructor() {
+    this.driver = null;
+    this.factories = {
+      local: () => new LocalStorage(config.storage.local),
+    };
+  }
+
+  /**
+   * Plug in another driver (e.g. S3, GCS): factory() -> { name, put(key, body, { contentType, private }),
+   * getStream(key, { private }), delete(key, { private }), getUrl(key) }.
+   * body is a Buffer or a readable stream; private files must never be reachable by a public URL.
+   */
+  registerDriver(name, factory) {
+    this.factories[name] = factory;
+    if (this.driver?.name === name) {
+      this.driver = null;
+    }
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      const factory = this.factories[config.storage.driver];
+      if (!factory) {
+        throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+      }
+      this.driver = factory();
+      console.log(`🗄️ Storage driver: ${this.driver.name}`);
+    }
+    return this.driver;
+  }
+
+  async put(key, body, options = {}) {
+    return await this.getDriver().put(key, body, options);
+  }
+
+  // Readable stream of a stored file - rejects when it does not exist
+  async getStream(key, options = {}) {
+    return await this.getDriver().getStream(key, options);
+  }
+
+  async delete(key, options = {}) {
+    return await this.getDriver().delete(key, options);
+  }
+
+  getUrl(key) {
+    return this.getDriver().getUrl(key);
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,66 @@
+// core/storage/drivers/LocalStorage.js
+// Lưu file vào STORAGE_LOCAL_DIR, app.js serve thư mục này tại /uploads.
+// File private (bản xuất dữ liệu cá nhân) nằm ở STORAGE_PRIVATE_DIR - không được serve, chỉ đọc qua API.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+class LocalStorage {
+  constructor({ dir, publicUrl, privateDir }) {
+    this.name = 'local';
+    this.dir = path.resolve(dir);
+    this.privateDir = path.resolve(privateDir);
+    this.publicUrl = publicUrl.replace(/\/+$/, '');
+  }
+
+  // Key luôn là đường dẫn tương đối bên trong dir (chặn ../)
+  resolve(key, { private: isPrivate = false } = {}) {
+    const dir = isPrivate ? this.privateDir : this.dir;
+    const filePath = path.resolve(dir, key);
+    if (!filePath.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // body: Buffer or readable stream (written as it is produced, a failed stream leaves no file)
+  async put(key, body, options = {}) {
+    const filePath = this.resolve(key, options);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      await fs.promises.writeFile(filePath, body);
+    } else {
+      try {
+        await pipeline(body, fs.createWriteStream(filePath));
+      } catch (error) {
+        await fs.promises.unlink(filePath).catch(() => {});
+        throw error;
+      }
+    }
+
+    return { key, url: options.private ? null : this.getUrl(key) };
+  }
+
+  async getStream(key, options = {}) {
+    const filePath = this.resolve(key, options);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key, options = {}) {
+    try {
+      await fs.promises.unlink(this.resolve(key, options));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+module.exports = LocalStorage;
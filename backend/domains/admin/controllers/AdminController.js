@@ -4,6 +4,8 @@ const cacheService = require('../../../core/cache/CacheService');
 const esConnection = require('../../../config/elasticsearch');
 const clickTrackingService = require('../../analytics/services/ClickTrackingService');
 const adminStatsService = require('../services/AdminStatsService');
+const destinationPolicyService = require('../../security/services/DestinationPolicyService');
+const urlReputationService = require('../../security/services/UrlReputationService');
 
 // ===== UTILITY FUNCTIONS =====
 
@@ -402,6 +404,163 @@ const stopElasticsearchRetry = async (req, res) => {
   };
 };
 
+// ===== DESTINATION POLICY FUNCTIONS =====
+
+// GET /api/admin/destination-rules
+const getDestinationRules = async (req, res) => {
+  try {
+    const rules = await destinationPolicyService.listRules();
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        envAllowlist: process.env.DESTINATION_ALLOWLIST || '',
+        envDenylist: process.env.DESTINATION_DENYLIST || '',
+      },
+    });
+  } catch (error) {
+    console.error('❌ Destination rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to get destination rules',
+    });
+  }
+};
+
+// POST /api/admin/destination-rules
+const addDestinationRule = async (req, res) => {
+  try {
+    const { pattern, listType, reason } = req.body;
+    const rule = await destinationPolicyService.addRule({ pattern, listType, reason }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Destination rule added',
+      data: rule,
+    });
+  } catch (error) {
+    console.error('❌ Add destination rule error:', error);
+
+    const isValidationError =
+      /^Invalid/.test(error.message) ||
+      ['SequelizeValidationError', 'SequelizeUniqueConstraintError'].includes(error.name);
+
+    res.status(isValidationError ? 400 : 500).json({
+      success: false,
+      error: error.name === 'SequelizeUniqueConstraintError' ? 'Rule already exists' : error.message,
+      message: 'Failed to add destination rule',
+    });
+  }
+};
+
+// DELETE /api/admin/destination-rules/:id
+const removeDestinationRule = async (req, res) => {
+  try {
+    await destinationPolicyService.removeRule(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Destination rule removed',
+    });
+  } catch (error) {
+    console.error('❌ Remove destination rule error:', error);
+    res.status(error.message === 'Rule not found' ? 404 : 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to remove destination rule',
+    });
+  }
+};
+
+// POST /api/admin/destination-rules/check - Xem một URL có bị policy chặn không
+const checkDestination = async (req, res) => {
+  try {
+    const result = await destinationPolicyService.checkUrl(req.body.url);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('❌ Check destination error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to check destination',
+    });
+  }
+};
+
+// ===== URL REPUTATION FUNCTIONS =====
+
+// GET /api/admin/blocklists
+const getBlocklists = async (req, res) => {
+  try {
+    await urlReputationService.ensureLoaded();
+
+    res.json({
+      success: true,
+      data: urlReputationService.getStatus(),
+    });
+  } catch (error) {
+    console.error('❌ Blocklist status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to get blocklist status',
+    });
+  }
+};
+
+// POST /api/admin/blocklists/reload - Đọc lại file blocklist sau khi cập nhật feed
+const reloadBlocklists = async (req, res) => {
+  try {
+    const status = await urlReputationService.reload();
+
+    res.json({
+      success: true,
+      message: 'Blocklists reloaded',
+      data: status,
+    });
+  } catch (error) {
+    console.error('❌ Blocklist reload error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to reload blocklists',
+    });
+  }
+};
+
+// POST /api/admin/blocklists/rescan - Quét lại toàn bộ link ngay
+const rescanLinks = async (req, res) => {
+  try {
+    if (!bullMQService.isInitialized) {
+      return res.status(503).json({
+        success: false,
+        message: 'Background job system not initialized',
+      });
+    }
+
+    const jobId = await bullMQService.addLinkScanJob(req.user.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Link rescan queued',
+      data: { jobId },
+    });
+  } catch (error) {
+    console.error('❌ Link rescan error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to queue link rescan',
+    });
+  }
+};
+
 // ===== EXPORTS =====
 module.exports = {
   getSystemStatus,
@@ -414,4 +573,11 @@ module.exports = {
   retryElasticsearchConnection,
   stopElasticsearchRetry,
   getAdminStatistics,
+  getDestinationRules,
+  addDestinationRule,
+  removeDestinationRule,
+  checkDestination,
+  getBlocklists,
+  reloadBlocklists,
+  rescanLinks,
 };
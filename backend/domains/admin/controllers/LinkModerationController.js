@@ -0,0 +1,132 @@
+// backend/domains/admin/controllers/LinkModerationController.js
+const linkModerationService = require('../services/LinkModerationService');
+
+// Lỗi do input của admin -> 400
+const isClientError = (error) => /^(Invalid|Reason is required|Ids must|Too many)/.test(error.message);
+
+const sendModerationError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  let status = 500;
+  if (error.message === 'Link not found') status = 404;
+  else if (isClientError(error)) status = 400;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    message,
+  });
+};
+
+// GET /api/admin/links?status=pending&search=&userId=
+const listLinks = async (req, res) => {
+  try {
+    const result = await linkModerationService.listLinks({
+      status: req.query.status,
+      search: req.query.search,
+      userId: req.query.userId,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      offset: parseInt(req.query.offset) || 0,
+      sortBy: req.query.sortBy || 'createdAt',
+      sortOrder: req.query.sortOrder || 'DESC',
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to get links for moderation');
+  }
+};
+
+// Shared handler for approve / reject / flag
+const moderateLink = (action) => async (req, res) => {
+  try {
+    const link = await linkModerationService.moderate(req.params.id, action, {
+      adminId: req.user.id,
+      reason: req.body?.reason || null,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Link ${link.moderationStatus}`,
+      data: {
+        id: link.id,
+        shortCode: link.shortCode,
+        moderationStatus: link.moderationStatus,
+        moderationReason: link.moderationReason,
+        moderatedAt: link.moderatedAt,
+        isActive: link.isActive,
+      },
+    });
+  } catch (error) {
+    sendModerationError(res, error, `Failed to ${action} link`);
+  }
+};
+
+// POST /api/admin/links/bulk - { action: 'approve'|'reject', ids: [], reason }
+const bulkModerate = async (req, res) => {
+  try {
+    const { action, ids, reason } = req.body;
+    const result = await linkModerationService.bulkModerate(ids, action, {
+      adminId: req.user.id,
+      reason: reason || null,
+      ipAddress: req.ip,
+    });
+
+    res.status(result.summary.failed > 0 ? 207 : 200).json({
+      success: result.summary.failed === 0,
+      data: result,
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to moderate links');
+  }
+};
+
+// DELETE /api/admin/links/:id - Remove malicious link
+const removeLink = async (req, res) => {
+  try {
+    const result = await linkModerationService.removeLink(req.params.id, {
+      adminId: req.user.id,
+      reason: req.body?.reason || req.query.reason || null,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Link removed',
+      data: result,
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to remove link');
+  }
+};
+
+// GET /api/admin/links/:id/audit - Moderation history
+const getAuditTrail = async (req, res) => {
+  try {
+    const trail = await linkModerationService.getAuditTrail(req.params.id, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0,
+    });
+
+    res.json({
+      success: true,
+      data: trail,
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to get audit trail');
+  }
+};
+
+module.exports = {
+  listLinks,
+  approveLink: moderateLink('approve'),
+  rejectLink: moderateLink('reject'),
+  flagLink: moderateLink('flag'),
+  bulkModerate,
+  removeLink,
+  getAuditTrail,
+};
@@ -0,0 +1,94 @@
+// backend/domains/admin/controllers/SystemConfigController.js
+const settingsService = require('../../../core/settings/SettingsService');
+
+// Lỗi do input của admin -> 400
+const isClientError = (error) => /^(Unknown setting|Invalid value|Settings must)/.test(error.message);
+
+const sendConfigError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  let status = 500;
+  if (error.message === 'Version not found') status = 404;
+  else if (isClientError(error)) status = 400;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    message,
+  });
+};
+
+// GET /api/admin/config - All settings with current value, default and constraints
+const getConfig = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        settings: settingsService.getAll(),
+        hotReload: !!settingsService.subscriber,
+      },
+    });
+  } catch (error) {
+    sendConfigError(res, error, 'Failed to get system configuration');
+  }
+};
+
+// PUT /api/admin/config - { settings: { key: value | null }, reason }
+const updateConfig = async (req, res) => {
+  try {
+    const result = await settingsService.update(req.body?.settings, {
+      adminId: req.user.id,
+      reason: req.body?.reason || null,
+    });
+
+    res.json({
+      success: true,
+      message: result.changed.length > 0 ? `Updated ${result.changed.join(', ')}` : 'No changes',
+      data: result,
+    });
+  } catch (error) {
+    sendConfigError(res, error, 'Failed to update system configuration');
+  }
+};
+
+// GET /api/admin/config/history?key=
+const getConfigHistory = async (req, res) => {
+  try {
+    const history = await settingsService.getHistory({
+      key: req.query.key,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0,
+    });
+
+    res.json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    sendConfigError(res, error, 'Failed to get configuration history');
+  }
+};
+
+// POST /api/admin/config/:key/rollback - { version }
+const rollbackConfig = async (req, res) => {
+  try {
+    const result = await settingsService.rollback(req.params.key, req.body?.version, {
+      adminId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message: `Rolled back ${req.params.key} to version ${req.body?.version}`,
+      data: result,
+    });
+  } catch (error) {
+    sendConfigError(res, error, 'Failed to roll back setting');
+  }
+};
+
+module.exports = {
+  getConfig,
+  updateConfig,
+  getConfigHistory,
+  rollbackConfig,
+};
@@ -0,0 +1,169 @@
+// backend/domains/admin/controllers/UserManagementController.js
+const userManagementService = require('../services/UserManagementService');
+
+// Lỗi do input của admin -> 400
+const isClientError = (error) =>
+  /^(Invalid|Reason is required|Cannot|User is already|User is not)/.test(error.message);
+
+const sendUserError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  let status = 500;
+  if (error.message === 'User not found') status = 404;
+  else if (isClientError(error)) status = 400;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    message,
+  });
+};
+
+const getActor = (req) => ({
+  adminId: req.user.id,
+  reason: req.body?.reason || null,
+  ipAddress: req.ip,
+});
+
+// GET /api/admin/users?search=&role=&status=active|suspended
+const listUsers = async (req, res) => {
+  try {
+    const result = await userManagementService.listUsers({
+      search: req.query.search,
+      role: req.query.role,
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      offset: parseInt(req.query.offset) || 0,
+      sortBy: req.query.sortBy || 'createdAt',
+      sortOrder: req.query.sortOrder || 'DESC',
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to get users');
+  }
+};
+
+// GET /api/admin/users/:id
+const getUser = async (req, res) => {
+  try {
+    const user = await userManagementService.getUser(req.params.id);
+
+    res.json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to get user');
+  }
+};
+
+// PUT /api/admin/users/:id/role - { role, reason }
+const changeRole = async (req, res) => {
+  try {
+    const user = await userManagementService.changeRole(req.params.id, req.body?.role, getActor(req));
+
+    res.json({
+      success: true,
+      message: `User role set to ${user.role}`,
+      data: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to change user role');
+  }
+};
+
+// POST /api/admin/users/:id/suspend - { reason }
+const suspendUser = async (req, res) => {
+  try {
+    const { user, linksDisabled, sessionsRevoked } = await userManagementService.suspendUser(
+      req.params.id,
+      getActor(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'User suspended',
+      data: {
+        id: user.id,
+        email: user.email,
+        isActive: user.isActive,
+        suspendedAt: user.suspendedAt,
+        suspendedReason: user.suspendedReason,
+        linksDisabled,
+        sessionsRevoked,
+      },
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to suspend user');
+  }
+};
+
+// POST /api/admin/users/:id/unsuspend - { reason }
+const unsuspendUser = async (req, res) => {
+  try {
+    const { user, linksRestored } = await userManagementService.unsuspendUser(req.params.id, getActor(req));
+
+    res.json({
+      success: true,
+      message: 'User unsuspended',
+      data: {
+        id: user.id,
+        email: user.email,
+        isActive: user.isActive,
+        linksRestored,
+      },
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to unsuspend user');
+  }
+};
+
+// POST /api/admin/users/:id/impersonate - { reason } -> read-only access token
+const impersonateUser = async (req, res) => {
+  try {
+    const result = await userManagementService.impersonate(req.params.id, getActor(req));
+
+    res.json({
+      success: true,
+      message: 'Read-only impersonation token issued',
+      data: result,
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to impersonate user');
+  }
+};
+
+// GET /api/admin/users/:id/audit - Role changes, suspensions, impersonations
+const getAuditTrail = async (req, res) => {
+  try {
+    const trail = await userManagementService.getAuditTrail(req.params.id, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0,
+    });
+
+    res.json({
+      success: true,
+      data: trail,
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to get audit trail');
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  changeRole,
+  suspendUser,
+  unsuspendUser,
+  impersonateUser,
+  getAuditTrail,
+};
@@ -1,10 +1,24 @@
 // domains/admin/index.js
 const adminRoutes = require('./routes/adminRoutes');
 const adminController = require('./controllers/AdminController');
+const linkModerationController = require('./controllers/LinkModerationController');
+const userManagementController = require('./controllers/UserManagementController');
+const systemConfigController = require('./controllers/SystemConfigController');
+const linkModerationService = require('./services/LinkModerationService');
+const auditLogService = require('./services/AuditLogService');
+const userManagementService = require('./services/UserManagementService');
 
 module.exports = {
   routes: adminRoutes,
   controllers: {
-    admin: adminController
+    admin: adminController,
+    linkModeration: linkModerationController,
+    userManagement: userManagementController,
+    systemConfig: systemConfigController
+  },
+  services: {
+    linkModeration: linkModerationService,
+    auditLog: auditLogService,
+    userManagement: userManagementService
   }
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
 // backend/domains/admin/routes/adminRoutes.js - COMPLETE WITH SSE
 const express = require('express');
 const adminController = require('../controllers/AdminController');
+const linkModerationController = require('../controllers/LinkModerationController');
+const userManagementController = require('../controllers/UserManagementController');
+const systemConfigController = require('../controllers/SystemConfigController');
 const authMiddleware = require('../../auth/middleware/authMiddleware');
 
 // ✅ Import SSE Controller và middleware
@@ -29,6 +32,9 @@ router.use(authMiddleware.verifyToken);
 // Apply admin role check to all routes
 router.use(authMiddleware.requireRole('admin'));
 
+// Security policy: admins need 2FA when security.requireTwoFactorForAdmins is on
+router.use(authMiddleware.requireTwoFactor('security.requireTwoFactorForAdmins'));
+
 // ===== EXISTING ROUTES =====
 // System monitoring endpoints
 router.get('/system-status', adminController.getSystemStatus);
@@ -46,6 +52,17 @@ router.post('/elasticsearch/stop-retry', adminController.stopElasticsearchRetry)
 // Analytics monitoring
 router.get('/recent-clicks', adminController.getRecentClicks);
 
+// Destination policy (SSRF allow/deny lists)
+router.get('/destination-rules', adminController.getDestinationRules);
+router.post('/destination-rules', adminController.addDestinationRule);
+router.post('/destination-rules/check', adminController.checkDestination);
+router.delete('/destination-rules/:id', adminController.removeDestinationRule);
+
+// URL reputation (local blocklist feeds)
+router.get('/blocklists', adminController.getBlocklists);
+router.post('/blocklists/reload', adminController.reloadBlocklists);
+router.post('/blocklists/rescan', adminController.rescanLinks);
+
 // ===== QUEUE MANAGEMENT ROUTES =====
 const bullMQService = require('../../../core/queue/BullMQService');
 
@@ -168,85 +185,35 @@ router.post('/jobs/clear', async (req, res) => {
   }
 });
 
-// ===== USER MANAGEMENT ROUTES (Future) =====
-// TODO: Implement these when UserManagementPage is ready
-
-// GET /api/admin/users - List all users with pagination
-router.get('/users', (req, res) => {
-  // TODO: Implement user listing
-  res.status(501).json({
-    success: false,
-    message: 'User management not implemented yet',
-  });
-});
-
-// PUT /api/admin/users/:id/role - Change user role
-router.put('/users/:id/role', (req, res) => {
-  // TODO: Implement role management
-  res.status(501).json({
-    success: false,
-    message: 'Role management not implemented yet',
-  });
-});
-
-// POST /api/admin/users/:id/suspend - Suspend user
-router.post('/users/:id/suspend', (req, res) => {
-  // TODO: Implement user suspension
-  res.status(501).json({
-    success: false,
-    message: 'User suspension not implemented yet',
-  });
-});
-
-// ===== LINK MODERATION ROUTES (Future) =====
-// TODO: Implement these when LinkModerationPage is ready
-
-// GET /api/admin/links - List all links with moderation status
-router.get('/links', (req, res) => {
-  // TODO: Implement link moderation listing
-  res.status(501).json({
-    success: false,
-    message: 'Link moderation not implemented yet',
-  });
-});
-
-// POST /api/admin/links/:id/approve - Approve link
-router.post('/links/:id/approve', (req, res) => {
-  // TODO: Implement link approval
-  res.status(501).json({
-    success: false,
-    message: 'Link approval not implemented yet',
-  });
-});
+// ===== USER MANAGEMENT ROUTES =====
+// Search by email/name, filter by role and status (active | suspended)
+router.get('/users', userManagementController.listUsers);
+router.get('/users/:id', userManagementController.getUser);
+router.get('/users/:id/audit', userManagementController.getAuditTrail);
+router.put('/users/:id/role', userManagementController.changeRole);
+router.post('/users/:id/suspend', userManagementController.suspendUser);
+router.post('/users/:id/unsuspend', userManagementController.unsuspendUser);
+
+// POST /api/admin/users/:id/impersonate - Short-lived read-only token (audit-logged)
+router.post('/users/:id/impersonate', userManagementController.impersonateUser);
+
+// ===== LINK MODERATION ROUTES =====
+// Queue: pending / approved / rejected / flagged, search across all users
+router.get('/links', linkModerationController.listLinks);
+router.post('/links/bulk', linkModerationController.bulkModerate);
+router.get('/links/:id/audit', linkModerationController.getAuditTrail);
+router.post('/links/:id/approve', linkModerationController.approveLink);
+router.post('/links/:id/reject', linkModerationController.rejectLink);
+router.post('/links/:id/flag', linkModerationController.flagLink);
 
 // DELETE /api/admin/links/:id - Remove malicious link
-router.delete('/links/:id', (req, res) => {
-  // TODO: Implement link removal
-  res.status(501).json({
-    success: false,
-    message: 'Link removal not implemented yet',
-  });
-});
-
-// ===== SYSTEM CONFIGURATION ROUTES (Future) =====
-// TODO: Implement these when SystemSettingsPage is ready
-
-// GET /api/admin/config - Get system configuration
-router.get('/config', (req, res) => {
-  // TODO: Implement system config retrieval
-  res.status(501).json({
-    success: false,
-    message: 'System configuration not implemented yet',
-  });
-});
-
-// PUT /api/admin/config - Update system configuration
-router.put('/config', (req, res) => {
-  // TODO: Implement system config update
-  res.status(501).json({
-    success: false,
-    message: 'System configuration update not implemented yet',
-  });
-});
+router.delete('/links/:id', linkModerationController.removeLink);
+
+// ===== SYSTEM CONFIGURATION ROUTES =====
+// Typed, versioned settings - changes hot-reload into every instance
+router.get('/config', systemConfigController.getConfig);
+router.put('/config', systemConfigController.updateConfig);
+router.get('/config/history', systemConfigController.getConfigHistory);
+router.post('/config/:key/rollback', systemConfigController.rollbackConfig);
 
 module.exports = router;
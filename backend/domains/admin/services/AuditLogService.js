@@ -0,0 +1,45 @@
+// backend/domains/admin/services/AuditLogService.js
+const { AuditLog, User } = require('../../../models');
+
+class AuditLogService {
+  /**
+   * Append an audit entry (pass the transaction so it commits with the change it describes)
+   */
+  async record({ actorId = null, action, targetType, targetId = null, reason = null, metadata = {}, ipAddress = null }, { transaction } = {}) {
+    return await AuditLog.create(
+      { actorId, action, targetType, targetId, reason, metadata, ipAddress },
+      { transaction }
+    );
+  }
+
+  /**
+   * Audit trail for one target, newest first
+   */
+  async getTrail(targetType, targetId, { limit = 50, offset = 0 } = {}) {
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where: { targetType, targetId },
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'email', 'name'],
+        },
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset,
+    });
+
+    return {
+      entries: rows,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: offset + limit < count,
+      },
+    };
+  }
+}
+
+module.exports = new AuditLogService();
@@ -0,0 +1,273 @@
+// backend/domains/admin/services/LinkModerationService.js
+const { Op } = require('sequelize');
+const validator = require('validator');
+const { Link, User, Domain, sequelize } = require('../../../models');
+const auditLogService = require('./AuditLogService');
+const settingsService = require('../../../core/settings/SettingsService');
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  flag: 'flagged',
+};
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'moderatedAt', 'clickCount'];
+const MAX_BULK_IDS = 500;
+
+class LinkModerationService {
+  constructor() {
+    this.statuses = MODERATION_STATUSES;
+  }
+
+  // ===== NEW USER APPROVAL MODE =====
+
+  /**
+   * Whether links created by this user go to the review queue first.
+   * Enabled with the moderation.requireApproval setting; applies to 'user' accounts
+   * younger than moderation.newUserDays (default 7).
+   */
+  async requiresApproval(userId, { transaction } = {}) {
+    if (!settingsService.get('moderation.requireApproval')) {
+      return false;
+    }
+
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'role', 'createdAt'],
+      transaction,
+    });
+
+    if (!user || user.role !== 'user') {
+      return false;
+    }
+
+    const newUserDays = settingsService.get('moderation.newUserDays');
+    const accountAgeMs = Date.now() - new Date(user.createdAt).getTime();
+
+    return accountAgeMs < newUserDays * 24 * 60 * 60 * 1000;
+  }
+
+  // ===== QUEUE =====
+
+  /**
+   * Search links across all users for the moderation queue
+   */
+  async listLinks({ status, search = '', userId, limit = 20, offset = 0, sortBy = 'createdAt', sortOrder = 'DESC' } = {}) {
+    if (status && !MODERATION_STATUSES.includes(status)) {
+      throw new Error(`Invalid status. Must be one of: ${MODERATION_STATUSES.join(', ')}`);
+    }
+
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+      throw new Error(`Invalid sortBy. Must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+    }
+
+    const where = {};
+    if (status) where.moderationStatus = status;
+    if (userId) where.userId = userId;
+
+    if (search) {
+      where[Op.or] = [
+        { title: { [Op.iLike]: `%${search}%` } },
+        { originalUrl: { [Op.iLike]: `%${search}%` } },
+        { shortCode: { [Op.iLike]: `%${search}%` } },
+        { '$user.email$': { [Op.iLike]: `%${search}%` } },
+      ];
+    }
+
+    const { count, rows } = await Link.findAndCountAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'email', 'name', 'role', 'createdAt'],
+        },
+        {
+          model: Domain,
+          as: 'domain',
+          attributes: ['id', 'domain'],
+        },
+      ],
+      attributes: { exclude: ['password'] },
+      order: [[sortBy, String(sortOrder).toUpperCase() === 'ASC' ? 'ASC' : 'DESC']],
+      limit,
+      offset,
+    });
+
+    return {
+      links: rows,
+      counts: await this.getStatusCounts(),
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: offset + limit < count,
+      },
+    };
+  }
+
+  async getStatusCounts() {
+    const rows = await Link.findAll({
+      attributes: ['moderationStatus', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['moderationStatus'],
+      raw: true,
+    });
+
+    const counts = Object.fromEntries(MODERATION_STATUSES.map((status) => [status, 0]));
+    rows.forEach((row) => {
+      counts[row.moderationStatus] = parseInt(row.count);
+    });
+    return counts;
+  }
+
+  // ===== ACTIONS =====
+
+  /**
+   * Approve / reject / flag one link and write the audit entry in the same transaction
+   */
+  async moderate(linkId, action, { adminId, reason = null, ipAddress = null }, { transaction } = {}) {
+    const newStatus = MODERATION_ACTIONS[action];
+    if (!newStatus) {
+      throw new Error(`Invalid action. Must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`);
+    }
+
+    if (action !== 'approve' && !reason) {
+      throw new Error('Reason is required to reject or flag a link');
+    }
+
+    const run = async (t) => {
+      const link = validator.isUUID(String(linkId))
+        ? await Link.findByPk(linkId, { transaction: t, lock: t.LOCK.UPDATE })
+        : null;
+      if (!link) {
+        throw new Error('Link not found');
+      }
+
+      const previousStatus = link.moderationStatus;
+      const updates = {
+        moderationStatus: newStatus,
+        moderationReason: reason,
+        moderatedBy: adminId,
+        moderatedAt: new Date(),
+      };
+
+      if (action === 'approve' && link.blockedAt) {
+        // Admin xác nhận cảnh báo blocklist là nhầm -> bật lại link
+        updates.blockedAt = null;
+        updates.blockedReason = null;
+        updates.isActive = true;
+      }
+
+      await link.update(updates, { transaction: t });
+
+      await auditLogService.record(
+        {
+          actorId: adminId,
+          action: `link.${action}`,
+          targetType: 'link',
+          targetId: link.id,
+          reason,
+          metadata: { previousStatus, newStatus, ownerId: link.userId, originalUrl: link.originalUrl },
+          ipAddress,
+        },
+        { transaction: t }
+      );
+
+      console.log(`🛡️ Link ${link.shortCode} ${previousStatus} -> ${newStatus} by ${adminId || 'system'}`);
+      return link;
+    };
+
+    return transaction ? await run(transaction) : await sequelize.transaction(run);
+  }
+
+  /**
+   * Bulk approve/reject - each link in its own savepoint so one bad id does not abort the batch
+   */
+  async bulkModerate(ids, action, { adminId, reason = null, ipAddress = null }) {
+    if (!['approve', 'reject'].includes(action)) {
+      throw new Error('Invalid action. Must be one of: approve, reject');
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('Ids must be a non-empty array');
+    }
+
+    if (ids.length > MAX_BULK_IDS) {
+      throw new Error(`Too many ids. Maximum is ${MAX_BULK_IDS} per request`);
+    }
+
+    if (action === 'reject' && !reason) {
+      throw new Error('Reason is required to reject or flag a link');
+    }
+
+    const results = await sequelize.transaction(async (transaction) => {
+      const itemResults = [];
+
+      for (const id of ids) {
+        if (typeof id !== 'string' || !validator.isUUID(id)) {
+          itemResults.push({ id: id || null, success: false, error: 'Invalid link id' });
+          continue;
+        }
+
+        try {
+          await sequelize.transaction({ transaction }, async (savepoint) => {
+            await this.moderate(id, action, { adminId, reason, ipAddress }, { transaction: savepoint });
+          });
+          itemResults.push({ id, success: true });
+        } catch (error) {
+          itemResults.push({ id, success: false, error: error.message });
+        }
+      }
+
+      return itemResults;
+    });
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    return {
+      action,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+      results,
+    };
+  }
+
+  /**
+   * Remove a malicious link (soft delete) with an audit entry
+   */
+  async removeLink(linkId, { adminId, reason = null, ipAddress = null }) {
+    return await sequelize.transaction(async (transaction) => {
+      const link = validator.isUUID(String(linkId)) ? await Link.findByPk(linkId, { transaction }) : null;
+      if (!link) {
+        throw new Error('Link not found');
+      }
+
+      await link.update({ isActive: false }, { transaction });
+      await link.destroy({ transaction });
+
+      await auditLogService.record(
+        {
+          actorId: adminId,
+          action: 'link.delete',
+          targetType: 'link',
+          targetId: link.id,
+          reason,
+          metadata: { previousStatus: link.moderationStatus, ownerId: link.userId, originalUrl: link.originalUrl },
+          ipAddress,
+        },
+        { transaction }
+      );
+
+      console.log(`🗑️ Link ${link.shortCode} removed by admin ${adminId}`);
+      return { id: link.id };
+    });
+  }
+
+  async getAuditTrail(linkId, options) {
+    return await auditLogService.getTrail('link', linkId, options);
+  }
+}
+
+module.exports = new LinkModerationService();
@@ -0,0 +1,320 @@
+// backend/domains/admin/services/UserManagementService.js
+const { Op } = require('sequelize');
+const validator = require('validator');
+const { User, Link, Domain, sequelize } = require('../../../models');
+const cacheService = require('../../../core/cache/CacheService');
+const authService = require('../../auth/services/AuthService');
+const auditLogService = require('./AuditLogService');
+
+const USER_ROLES = ['user', 'editor', 'admin'];
+const USER_STATUSES = ['active', 'suspended'];
+const SORTABLE_FIELDS = ['createdAt', 'lastSeenAt', 'email', 'name'];
+const USER_ATTRIBUTES = [
+  'id',
+  'email',
+  'name',
+  'role',
+  'isActive',
+  'isEmailVerified',
+  'avatar',
+  'lastSeenAt',
+  'suspendedAt',
+  'suspendedReason',
+  'deactivatedAt',
+  'createdAt',
+  'updatedAt',
+];
+
+class UserManagementService {
+  // ===== SEARCH =====
+
+  /**
+   * Paginated user search by email/name, role and status (active | suspended)
+   */
+  async listUsers({ search = '', role, status, limit = 20, offset = 0, sortBy = 'createdAt', sortOrder = 'DESC' } = {}) {
+    if (role && !USER_ROLES.includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`);
+    }
+
+    if (status && !USER_STATUSES.includes(status)) {
+      throw new Error(`Invalid status. Must be one of: ${USER_STATUSES.join(', ')}`);
+    }
+
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+      throw new Error(`Invalid sortBy. Must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+    }
+
+    const where = {};
+    if (role) where.role = role;
+    if (status) where.isActive = status === 'active';
+
+    if (search) {
+      where[Op.or] = [
+        { email: { [Op.iLike]: `%${search}%` } },
+        { name: { [Op.iLike]: `%${search}%` } },
+      ];
+    }
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      attributes: [
+        ...USER_ATTRIBUTES,
+        [
+          sequelize.literal('(SELECT COUNT(*) FROM links WHERE links.user_id = "User".id AND links.deleted_at IS NULL)'),
+          'linkCount',
+        ],
+      ],
+      order: [[sortBy, String(sortOrder).toUpperCase() === 'ASC' ? 'ASC' : 'DESC']],
+      limit,
+      offset,
+    });
+
+    return {
+      users: rows,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: offset + limit < count,
+      },
+    };
+  }
+
+  /**
+   * One user with link stats - support view
+   */
+  async getUser(userId) {
+    const user = await this.findUser(userId, { attributes: USER_ATTRIBUTES });
+
+    const [stats] = await Link.findAll({
+      where: { userId: user.id },
+      attributes: [
+        [sequelize.fn('COUNT', sequelize.col('id')), 'totalLinks'],
+        [sequelize.fn('COUNT', sequelize.literal('CASE WHEN is_active THEN 1 END')), 'activeLinks'],
+        [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('click_count')), 0), 'totalClicks'],
+      ],
+      raw: true,
+    });
+
+    return {
+      ...user.toJSON(),
+      stats: {
+        totalLinks: parseInt(stats.totalLinks) || 0,
+        activeLinks: parseInt(stats.activeLinks) || 0,
+        totalClicks: parseInt(stats.totalClicks) || 0,
+      },
+    };
+  }
+
+  // ===== ACTIONS =====
+
+  /**
+   * Change role (user / editor / admin). Admins cannot change their own role.
+   */
+  async changeRole(userId, role, { adminId, reason = null, ipAddress = null }) {
+    if (!USER_ROLES.includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`);
+    }
+
+    if (userId === adminId) {
+      throw new Error('Cannot change your own role');
+    }
+
+    const user = await sequelize.transaction(async (transaction) => {
+      const user = await this.findUser(userId, { transaction, lock: transaction.LOCK.UPDATE });
+      const previousRole = user.role;
+
+      if (previousRole === role) {
+        return user;
+      }
+
+      await user.update({ role }, { transaction });
+
+      await auditLogService.record(
+        {
+          actorId: adminId,
+          action: 'user.role_change',
+          targetType: 'user',
+          targetId: user.id,
+          reason,
+          metadata: { previousRole, newRole: role, email: user.email },
+          ipAddress,
+        },
+        { transaction }
+      );
+
+      console.log(`👤 User ${user.email} role ${previousRole} -> ${role} by ${adminId}`);
+      return user;
+    });
+
+    await this.clearUserCache(user);
+    return user;
+  }
+
+  /**
+   * Suspend: deactivate the account, disable its active links and revoke every session
+   */
+  async suspendUser(userId, { adminId, reason = null, ipAddress = null }) {
+    if (!reason) {
+      throw new Error('Reason is required to suspend a user');
+    }
+
+    if (userId === adminId) {
+      throw new Error('Cannot suspend your own account');
+    }
+
+    const { user, linksDisabled } = await sequelize.transaction(async (transaction) => {
+      const user = await this.findUser(userId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!user.isActive) {
+        throw new Error('User is already suspended');
+      }
+
+      const suspendedAt = new Date();
+      await user.update({ isActive: false, suspendedAt, suspendedReason: reason }, { transaction });
+
+      // Chỉ đánh dấu link đang active -> unsuspend bật lại đúng các link này
+      const [linksDisabled] = await Link.update(
+        { isActive: false, suspendedAt },
+        { where: { userId: user.id, isActive: true }, transaction }
+      );
+      await Domain.update(
+        { isActive: false, suspendedAt },
+        { where: { userId: user.id, isActive: true }, transaction }
+      );
+
+      await auditLogService.record(
+        {
+          actorId: adminId,
+          action: 'user.suspend',
+          targetType: 'user',
+          targetId: user.id,
+          reason,
+          metadata: { email: user.email, linksDisabled },
+          ipAddress,
+        },
+        { transaction }
+      );
+
+      return { user, linksDisabled };
+    });
+
+    const { sessionsCleaned } = await authService.logoutAll(user.id);
+
+    console.log(`⛔ User ${user.email} suspended by ${adminId}: ${linksDisabled} links disabled, ${sessionsCleaned} sessions revoked`);
+    return { user, linksDisabled, sessionsRevoked: sessionsCleaned };
+  }
+
+  /**
+   * Lift a suspension and re-enable the links disabled by it
+   */
+  async unsuspendUser(userId, { adminId, reason = null, ipAddress = null }) {
+    const { user, linksRestored } = await sequelize.transaction(async (transaction) => {
+      const user = await this.findUser(userId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (user.isActive) {
+        throw new Error('User is not suspended');
+      }
+
+      // Cũng dùng để mở lại tài khoản user tự vô hiệu hoá (deactivatedAt)
+      await user.update(
+        { isActive: true, suspendedAt: null, suspendedReason: null, deactivatedAt: null },
+        { transaction }
+      );
+
+      const [linksRestored] = await Link.update(
+        { isActive: true, suspendedAt: null },
+        { where: { userId: user.id, suspendedAt: { [Op.ne]: null } }, transaction }
+      );
+      await Domain.update(
+        { isActive: true, suspendedAt: null },
+        { where: { userId: user.id, suspendedAt: { [Op.ne]: null } }, transaction }
+      );
+
+      await auditLogService.record(
+        {
+          actorId: adminId,
+          action: 'user.unsuspend',
+          targetType: 'user',
+          targetId: user.id,
+          reason,
+          metadata: { email: user.email, linksRestored },
+          ipAddress,
+        },
+        { transaction }
+      );
+
+      return { user, linksRestored };
+    });
+
+    await this.clearUserCache(user);
+
+    console.log(`✅ User ${user.email} unsuspended by ${adminId}: ${linksRestored} links restored`);
+    return { user, linksRestored };
+  }
+
+  /**
+   * Issue a short-lived read-only token to see the app as this user (support).
+   * Every impersonation is audit-logged with its reason.
+   */
+  async impersonate(userId, { adminId, reason = null, ipAddress = null }) {
+    if (!reason) {
+      throw new Error('Reason is required to impersonate a user');
+    }
+
+    if (userId === adminId) {
+      throw new Error('Cannot impersonate yourself');
+    }
+
+    const user = await this.findUser(userId);
+
+    if (!user.isActive) {
+      throw new Error('Cannot impersonate a suspended user');
+    }
+
+    if (user.role === 'admin') {
+      throw new Error('Cannot impersonate another admin');
+    }
+
+    const token = authService.generateImpersonationToken(user, adminId);
+
+    await auditLogService.record({
+      actorId: adminId,
+      action: 'user.impersonate',
+      targetType: 'user',
+      targetId: user.id,
+      reason,
+      metadata: { email: user.email, expiresAt: token.expiresAt, readOnly: true },
+      ipAddress,
+    });
+
+    console.log(`🎭 Admin ${adminId} impersonating ${user.email} (read-only) until ${token.expiresAt.toISOString()}`);
+
+    return {
+      user: authService.sanitizeUser(user),
+      ...token,
+      readOnly: true,
+    };
+  }
+
+  async getAuditTrail(userId, options) {
+    return await auditLogService.getTrail('user', userId, options);
+  }
+
+  // ===== HELPERS =====
+
+  async findUser(userId, options = {}) {
+    const user = validator.isUUID(String(userId)) ? await User.findByPk(userId, options) : null;
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  async clearUserCache(user) {
+    await cacheService.del(`user:id:${user.id}`);
+    await cacheService.del(`user:email:${user.email}`);
+  }
+}
+
+module.exports = new UserManagementService();
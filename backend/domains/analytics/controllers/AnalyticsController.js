@@ -1,6 +1,7 @@
 // backend/domains/analytics/controllers/AnalyticsController.js - Enhanced Error Handling
 const linkService = require('../../links/services/LinkService');
 const clickTrackingService = require('../services/ClickTrackingService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
 
 // ===== ES6 RESPONSE HELPERS =====
 const sendSuccessResponse = (res, message, data = null, meta = {}) => {
@@ -79,13 +80,14 @@ const validatePeriod = (period) => {
 exports.getDashboard = async (req, res) => {
   try {
     const userId = req.user.id;
+    const scope = workspaceService.scopeFor(req); // Personal or current workspace
     const { period = '30d' } = req.query;
 
     validatePeriod(period);
 
     console.log(`📊 Getting dashboard analytics for user ${userId}, period: ${period}`);
 
-    const userStats = await linkService.getUserStats(userId);
+    const userStats = await linkService.getUserStats(scope);
 
     // ✅ ENHANCED: Add service status info
     const serviceStatus = {
@@ -120,6 +122,7 @@ exports.getDashboard = async (req, res) => {
 exports.getLinkAnalytics = async (req, res) => {
   try {
     const userId = req.user.id;
+    const scope = workspaceService.scopeFor(req);
     const linkId = req.params.linkId;
     const { period = '7d' } = req.query;
 
@@ -135,7 +138,7 @@ exports.getLinkAnalytics = async (req, res) => {
     // ✅ ENHANCED: Get analytics with comprehensive error handling
     let analytics;
     try {
-      analytics = await linkService.getLinkAnalytics(linkId, userId, period);
+      analytics = await linkService.getLinkAnalytics(linkId, scope, period);
     } catch (error) {
       if (error.message.includes('not found') || error.message.includes('unauthorized')) {
         return sendErrorResponse(res, 404, 'Link not found or unauthorized', null, 'LINK_NOT_FOUND');
@@ -204,6 +207,7 @@ exports.getLinkAnalytics = async (req, res) => {
 exports.exportAnalytics = async (req, res) => {
   try {
     const userId = req.user.id;
+    const scope = workspaceService.scopeFor(req);
     const linkId = req.params.linkId;
     const { period = '7d', format = 'json' } = req.query;
 
@@ -220,7 +224,7 @@ exports.exportAnalytics = async (req, res) => {
 
     console.log(`📤 Exporting analytics for link ${linkId}, format: ${format}`);
 
-    const analytics = await linkService.getLinkAnalytics(linkId, userId, period);
+    const analytics = await linkService.getLinkAnalytics(linkId, scope, period);
 
     if (!analytics || !analytics.link) {
       return sendErrorResponse(res, 404, 'Link not found or no analytics data available', null, 'NO_EXPORT_DATA');
@@ -319,6 +323,7 @@ exports.exportAnalytics = async (req, res) => {
 exports.getRealTimeAnalytics = async (req, res) => {
   try {
     const userId = req.user.id;
+    const scope = workspaceService.scopeFor(req);
     const linkId = req.params.linkId;
     const { minutes = 60 } = req.query;
 
@@ -339,7 +344,7 @@ exports.getRealTimeAnalytics = async (req, res) => {
       return sendErrorResponse(res, 503, 'Real-time analytics service temporarily unavailable', null, 'REALTIME_UNAVAILABLE');
     }
 
-    const realtimeData = await clickTrackingService.getRealTimeClicks(userId, minutesNum);
+    const realtimeData = await clickTrackingService.getRealTimeClicks(scope, minutesNum);
 
     return sendSuccessResponse(res, 'Real-time analytics retrieved successfully', {
       linkId,
@@ -348,7 +353,7 @@ exports.getRealTimeAnalytics = async (req, res) => {
       clicksPerMinute: realtimeData.clicksPerMinute || [],
       summary: {
         totalClicksInPeriod: realtimeData.recentClicks?.length || 0,
-        uniqueIPs: new Set(realtimeData.recentClicks?.map(click => click.ipAddress) || []).size,
+        uniqueIPs: new Set(realtimeData.recentClicks?.map(click => click.visitorId || click.ipAddress) || []).size,
         timeWindow: minutesNum
       }
     }, {
@@ -373,13 +378,14 @@ exports.getRealTimeAnalytics = async (req, res) => {
 exports.getTrends = async (req, res) => {
   try {
     const userId = req.user.id;
+    const scope = workspaceService.scopeFor(req);
     const { period = '30d' } = req.query;
 
     validatePeriod(period);
 
     console.log(`📈 Getting analytics trends for user ${userId}, period: ${period}`);
 
-    const currentStats = await linkService.getUserStats(userId);
+    const currentStats = await linkService.getUserStats(scope);
 
     // ✅ ENHANCED: Calculate trends (simplified for now)
     const trends = {
@@ -429,6 +435,7 @@ exports.getTrends = async (req, res) => {
 exports.compareLinks = async (req, res) => {
   try {
     const userId = req.user.id;
+    const scope = workspaceService.scopeFor(req);
     const { linkIds, period = '7d' } = req.query;
 
     if (!linkIds) {
@@ -450,7 +457,7 @@ exports.compareLinks = async (req, res) => {
     const comparisons = await Promise.all(
       linkIdArray.map(async (linkId) => {
         try {
-          const analytics = await linkService.getLinkAnalytics(linkId.trim(), userId, period);
+          const analytics = await linkService.getLinkAnalytics(linkId.trim(), scope, period);
           return {
             linkId: linkId.trim(),
             success: true,
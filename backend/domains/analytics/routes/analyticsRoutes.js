@@ -18,8 +18,11 @@ const { generalLimiter } = securityDomain.middleware.rateLimiter;
 const router = express.Router();
 
 // ===== ES6 GLOBAL MIDDLEWARE =====
-// Apply auth middleware to all analytics routes
-router.use(authMiddleware.verifyToken);
+// Apply auth middleware to all analytics routes (JWT or API key with analytics:read)
+router.use(authMiddleware.flexibleAuth);
+router.use(authMiddleware.requireScope('analytics:read'));
+// Workspace analytics (X-Workspace-Id) for any member
+router.use(authMiddleware.requireWorkspaceRole('viewer'));
 
 // Apply general rate limiting
 router.use(generalLimiter);
@@ -147,7 +147,7 @@ class AnalyticsService {
             },
             aggs: {
               total_clicks: { value_count: { field: 'timestamp' } },
-              unique_ips: { cardinality: { field: 'ipAddress' } },
+              unique_ips: { cardinality: { field: 'visitorId' } },
               hourly_distribution: {
                 date_histogram: {
                   field: 'timestamp',
@@ -264,7 +264,7 @@ class AnalyticsService {
                   order: { _count: 'desc' }
                 },
                 aggs: {
-                  unique_clicks: { cardinality: { field: 'ipAddress' } },
+                  unique_clicks: { cardinality: { field: 'visitorId' } },
                   latest_click: { max: { field: 'timestamp' } }
                 }
               }
@@ -0,0 +1,172 @@
+// backend/domains/analytics/services/ClickPrivacyService.js
+// Visitor IPs of clicks (privacy.ipMode) and click retention (Postgres + ElasticSearch purge)
+const crypto = require('crypto');
+const net = require('net');
+const { Op, QueryTypes } = require('sequelize');
+const { Workspace, sequelize } = require('../../../models');
+const cacheService = require('../../../core/cache/CacheService');
+const settingsService = require('../../../core/settings/SettingsService');
+const clickTrackingService = require('./ClickTrackingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 5000;
+
+// '2001:db8::1' -> ['2001', 'db8', '0', '0', '0', '0', '0', '1'] (IPv4 tail như ::ffff:1.2.3.4 được đổi sang 2 nhóm hex)
+const expandIPv6 = (ip) => {
+  let address = ip.split('%')[0];
+
+  if (address.includes('.')) {
+    const lastColon = address.lastIndexOf(':');
+    const octets = address.slice(lastColon + 1).split('.').map(Number);
+    address = `${address.slice(0, lastColon + 1)}${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+  return [...headGroups, ...zeros, ...tailGroups];
+};
+
+class ClickPrivacyService {
+  constructor() {
+    this.salt = null; // { period, value } - salt của chu kỳ hiện tại
+  }
+
+  // ===== VISITOR IP =====
+
+  /**
+   * What a click stores for the visitor IP, by privacy.ipMode:
+   * - full: the IP as is            - truncate: IPv4 /24, IPv6 /48
+   * - hash: no IP, only visitorId   - none: neither IP nor visitorId
+   *
+   * visitorId is an HMAC of the full IP with a salt that rotates every
+   * privacy.visitorSaltRotationHours: it tells repeat visitors apart within that window and
+   * cannot be tied back to the IP once the salt is gone. visitorKey is the same value for
+   * unique-click detection in 'none' mode - it is never written to the click stores.
+   */
+  async anonymize(ipAddress) {
+    const ip = this.normalizeIp(ipAddress);
+    if (!ip) {
+      return { ipAddress: null, visitorId: null, visitorKey: null };
+    }
+
+    const mode = settingsService.get('privacy.ipMode');
+    const visitorKey = crypto.createHmac('sha256', await this.getVisitorSalt()).update(ip).digest('hex').slice(0, 32);
+
+    return {
+      ipAddress: mode === 'full' ? ip : mode === 'truncate' ? this.truncateIp(ip) : null,
+      visitorId: mode === 'none' ? null : visitorKey,
+      visitorKey,
+    };
+  }
+
+  truncateIp(ip) {
+    if (net.isIPv4(ip)) {
+      return `${ip.split('.').slice(0, 3).join('.')}.0`;
+    }
+
+    const groups = expandIPv6(ip).slice(0, 3).map((group) => parseInt(group, 16).toString(16));
+    return `${groups.join(':')}::`;
+  }
+
+  // req.ip của IPv4 qua socket dual-stack có dạng ::ffff:1.2.3.4
+  normalizeIp(ipAddress) {
+    const ip = String(ipAddress || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    return net.isIP(ip) ? ip : null;
+  }
+
+  getSaltRotationSeconds() {
+    return settingsService.get('privacy.visitorSaltRotationHours') * 60 * 60;
+  }
+
+  /**
+   * Salt shared by all instances through Redis (first writer wins), one per rotation period.
+   * Without Redis each process uses its own salt - unique counts get less precise, nothing breaks.
+   */
+  async getVisitorSalt() {
+    const rotation = this.getSaltRotationSeconds();
+    const period = `${rotation}:${Math.floor(Date.now() / 1000 / rotation)}`;
+
+    if (this.salt?.period !== period) {
+      const key = `privacy:visitor-salt:${period}`;
+      await cacheService.setIfAbsent(key, crypto.randomBytes(32).toString('hex'), rotation * 2);
+
+      this.salt = {
+        period,
+        value: (await cacheService.get(key)) || crypto.randomBytes(32).toString('hex'),
+      };
+    }
+
+    return this.salt.value;
+  }
+
+  // ===== RETENTION =====
+
+  /**
+   * Delete clicks older than the retention window (BullMQ privacy 'retention' job).
+   * Workspaces with clickRetentionDays use their own window, everything else (personal links
+   * included) privacy.clickRetentionDays - 0 keeps clicks forever.
+   */
+  async purgeExpiredClicks() {
+    const workspaces = await Workspace.findAll({
+      where: { clickRetentionDays: { [Op.ne]: null } },
+      attributes: ['id', 'clickRetentionDays'],
+      raw: true,
+    });
+
+    const policies = workspaces.map(({ id, clickRetentionDays }) => ({ workspaceId: id, days: clickRetentionDays }));
+    const defaultDays = settingsService.get('privacy.clickRetentionDays');
+    if (defaultDays > 0) {
+      policies.push({ workspaceId: null, days: defaultDays, excludeWorkspaceIds: workspaces.map(({ id }) => id) });
+    }
+
+    const purged = { postgres: 0, elasticsearch: 0 };
+    const elasticsearchReady = clickTrackingService.isReady();
+    for (const policy of policies) {
+      const cutoff = new Date(Date.now() - policy.days * DAY_MS);
+
+      purged.postgres += await this.purgePostgresClicks(policy, cutoff);
+      if (elasticsearchReady) {
+        purged.elasticsearch += await clickTrackingService.deleteClicksBefore(cutoff, policy);
+      }
+    }
+
+    if (!elasticsearchReady) {
+      purged.elasticsearch = null;
+      console.warn('⚠️ Click retention: ElasticSearch not ready, click documents are purged on the next run');
+    }
+    console.log(`🧹 Click retention: ${purged.postgres} rows, ${purged.elasticsearch ?? 0} documents deleted (${policies.length} policies)`);
+    return { policies: policies.length, ...purged };
+  }
+
+  // Xoá theo lô để không giữ lock lâu trên bảng clicks
+  async purgePostgresClicks({ workspaceId, excludeWorkspaceIds = [] }, cutoff) {
+    let scope = 'l.workspace_id = :workspaceId';
+    if (!workspaceId) {
+      scope = excludeWorkspaceIds.length > 0
+        ? '(l.workspace_id IS NULL OR l.workspace_id NOT IN (:excludeWorkspaceIds))'
+        : 'TRUE';
+    }
+
+    let total = 0;
+    for (;;) {
+      const deleted = await sequelize.query(
+        `DELETE FROM clicks WHERE id IN (
+          SELECT c.id FROM clicks c JOIN links l ON l.id = c.link_id
+          WHERE c.created_at < :cutoff AND ${scope}
+          LIMIT ${PURGE_BATCH_SIZE}
+        )`,
+        { replacements: { cutoff, workspaceId, excludeWorkspaceIds }, type: QueryTypes.BULKDELETE }
+      );
+
+      total += deleted;
+      if (deleted < PURGE_BATCH_SIZE) break;
+    }
+
+    return total;
+  }
+}
+
+module.exports = new ClickPrivacyService();
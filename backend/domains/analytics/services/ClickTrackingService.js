@@ -3,6 +3,10 @@
 
 const esConnection = require('../../../config/elasticsearch');
 const moment = require('moment');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
+
+// Link ids per delete-by-query request
+const PURGE_BATCH_SIZE = 1000;
 
 class ClickTrackingService {
   constructor() {
@@ -201,10 +205,12 @@ class ClickTrackingService {
     return {
       totalClicks: 0,
       uniqueClicks: 0,
+      botClicks: 0,
       dailyClicks: [],
       topCountries: [],
       topDevices: [],
-      topBrowsers: []
+      topBrowsers: [],
+      topRoutingRules: []
     };
   }
 
@@ -235,7 +241,7 @@ class ClickTrackingService {
 
       console.log(`🔍 Querying ElasticSearch for link ${linkId} from ${startDate} to ${endDate}`);
 
-      // Build search query
+      // Build search query - human clicks (isBot != true, older docs have no isBot) + bot hit count
       const searchBody = {
         query: {
           bool: {
@@ -253,43 +259,58 @@ class ClickTrackingService {
           }
         },
         aggs: {
-          total_clicks: {
-            value_count: { field: 'linkId' }
-          },
-          unique_clicks: {
-            cardinality: { field: 'ipAddress' }
+          bot_clicks: {
+            filter: { term: { isBot: true } }
           },
-          daily_clicks: {
-            date_histogram: {
-              field: 'timestamp',
-              fixed_interval: '1d',
-              min_doc_count: 0,
-              extended_bounds: {
-                min: startDate,
-                max: endDate
+          humans: {
+            filter: { bool: { must_not: [{ term: { isBot: true } }] } },
+            aggs: {
+              total_clicks: {
+                value_count: { field: 'linkId' }
+              },
+              unique_clicks: {
+                cardinality: { field: 'visitorId' }
+              },
+              daily_clicks: {
+                date_histogram: {
+                  field: 'timestamp',
+                  fixed_interval: '1d',
+                  min_doc_count: 0,
+                  extended_bounds: {
+                    min: startDate,
+                    max: endDate
+                  }
+                }
+              },
+              top_countries: {
+                terms: { 
+                  field: 'country', 
+                  size: 10,
+                  missing: 'Unknown'
+                }
+              },
+              top_devices: {
+                terms: { 
+                  field: 'deviceType', 
+                  size: 5,
+                  missing: 'Unknown'
+                }
+              },
+              top_browsers: {
+                terms: { 
+                  field: 'browser', 
+                  size: 10,
+                  missing: 'Unknown'
+                }
+              },
+              top_routing_rules: {
+                terms: { 
+                  field: 'routingRuleId', 
+                  size: 20,
+                  missing: 'default'
+                }
               }
             }
-          },
-          top_countries: {
-            terms: { 
-              field: 'country.keyword', 
-              size: 10,
-              missing: 'Unknown'
-            }
-          },
-          top_devices: {
-            terms: { 
-              field: 'deviceType.keyword', 
-              size: 5,
-              missing: 'Unknown'
-            }
-          },
-          top_browsers: {
-            terms: { 
-              field: 'browser.keyword', 
-              size: 10,
-              missing: 'Unknown'
-            }
           }
         },
         size: 0
@@ -325,17 +346,20 @@ class ClickTrackingService {
       console.log('📊 ElasticSearch response status:', response.statusCode || 'success');
 
       // Extract aggregations safely
-      const aggs = this.safeExtractAggregations(response);
+      const allAggs = this.safeExtractAggregations(response);
       
-      if (!aggs || Object.keys(aggs).length === 0) {
+      if (!allAggs || Object.keys(allAggs).length === 0) {
         console.log('ℹ️ No aggregations found - link has no clicks yet');
         return this.createDefaultAnalytics();
       }
 
+      const aggs = allAggs.humans || {};
+
       // Extract and format results
       const result = {
         totalClicks: aggs.total_clicks?.value || 0,
         uniqueClicks: aggs.unique_clicks?.value || 0,
+        botClicks: allAggs.bot_clicks?.doc_count || 0,
         dailyClicks: (aggs.daily_clicks?.buckets || []).map(bucket => ({
           date: bucket.key_as_string || bucket.key,
           clicks: bucket.doc_count || 0
@@ -351,6 +375,10 @@ class ClickTrackingService {
         topBrowsers: (aggs.top_browsers?.buckets || []).map(bucket => ({
           browser: bucket.key || 'Unknown',
           clicks: bucket.doc_count || 0
+        })),
+        topRoutingRules: (aggs.top_routing_rules?.buckets || []).map(bucket => ({
+          ruleId: bucket.key,
+          clicks: bucket.doc_count || 0
         }))
       };
 
@@ -377,7 +405,8 @@ class ClickTrackingService {
   /**
    * Get user analytics across all links - FIXED VERSION
    */
-  async getUserAnalytics(userId, timeRange = '7d') {
+  async getUserAnalytics(owner, timeRange = '7d') {
+    const { userId } = workspaceService.toScope(owner);
     try {
       if (!this.isReady()) {
         console.warn('⚠️ ClickTrackingService not ready, returning default stats');
@@ -399,7 +428,7 @@ class ClickTrackingService {
           query: {
             bool: {
               must: [
-                { term: { userId } },
+                this.ownerFilter(owner),
                 {
                   range: {
                     timestamp: {
@@ -407,12 +436,14 @@ class ClickTrackingService {
                     }
                   }
                 }
-              ]
+              ],
+              // Chỉ click của người (bot hit tính riêng, xem getClickStats)
+              must_not: [{ term: { isBot: true } }]
             }
           },
           aggs: {
             total_clicks: { value_count: { field: 'timestamp' } },
-            unique_clicks: { cardinality: { field: 'ipAddress' } },
+            unique_clicks: { cardinality: { field: 'visitorId' } },
             daily_clicks: {
               date_histogram: {
                 field: 'timestamp',
@@ -421,13 +452,13 @@ class ClickTrackingService {
               }
             },
             top_countries: {
-              terms: { field: 'country.keyword', size: 10, missing: 'Unknown' }
+              terms: { field: 'country', size: 10, missing: 'Unknown' }
             },
             top_devices: {
-              terms: { field: 'deviceType.keyword', size: 5, missing: 'Unknown' }
+              terms: { field: 'deviceType', size: 5, missing: 'Unknown' }
             },
             top_browsers: {
-              terms: { field: 'browser.keyword', size: 10, missing: 'Unknown' }
+              terms: { field: 'browser', size: 10, missing: 'Unknown' }
             }
           },
           size: 0
@@ -483,7 +514,7 @@ class ClickTrackingService {
   /**
    * Get real-time click data - FIXED VERSION
    */
-  async getRealTimeClicks(userId, minutes = 60) {
+  async getRealTimeClicks(owner, minutes = 60) {
     try {
       if (!this.isReady()) {
         return {
@@ -498,7 +529,7 @@ class ClickTrackingService {
           query: {
             bool: {
               must: [
-                { term: { userId } },
+                this.ownerFilter(owner),
                 {
                   range: {
                     timestamp: {
@@ -544,6 +575,24 @@ class ClickTrackingService {
     }
   }
 
+  /**
+   * Clicks of a workspace's links, or of the user's personal links (docs without workspaceId)
+   */
+  ownerFilter(owner) {
+    const { userId, workspaceId } = workspaceService.toScope(owner);
+
+    if (workspaceId) {
+      return { term: { workspaceId } };
+    }
+
+    return {
+      bool: {
+        must: [{ term: { userId } }],
+        must_not: [{ exists: { field: 'workspaceId' } }]
+      }
+    };
+  }
+
   // ===== TRACKING METHODS =====
 
   /**
@@ -622,6 +671,115 @@ class ClickTrackingService {
     }
   }
 
+  // ===== PRIVACY (GDPR) =====
+
+  /**
+   * Walk every click document of a user's links (scroll API) - for personal data exports.
+   * Unlike the analytics queries this throws when ElasticSearch is down instead of returning nothing.
+   */
+  async scrollUserClicks(userId, onBatch, { size = 1000 } = {}) {
+    this.assertReadyForPrivacy();
+
+    let response = this.safeExtractResponse(
+      await this.esClient.search({
+        index: 'clicks',
+        scroll: '2m',
+        size,
+        query: { term: { userId } },
+        sort: ['_doc']
+      })
+    );
+    let scrollId = response._scroll_id;
+    let total = 0;
+
+    try {
+      while (response.hits?.hits?.length) {
+        await onBatch(response.hits.hits.map(hit => hit._source));
+        total += response.hits.hits.length;
+
+        response = this.safeExtractResponse(await this.esClient.scroll({ scroll_id: scrollId, scroll: '2m' }));
+        scrollId = response._scroll_id;
+      }
+    } finally {
+      if (scrollId) {
+        await this.esClient.clearScroll({ scroll_id: scrollId }).catch(() => {});
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Erasure: delete the click documents of the given links, then strip userId from the
+   * user's remaining documents (clicks of workspace links that stay with the workspace)
+   */
+  async purgeUserClicks(userId, linkIds = []) {
+    this.assertReadyForPrivacy();
+
+    let deleted = 0;
+    for (let i = 0; i < linkIds.length; i += PURGE_BATCH_SIZE) {
+      const response = this.safeExtractResponse(
+        await this.esClient.deleteByQuery({
+          index: 'clicks',
+          query: { terms: { linkId: linkIds.slice(i, i + PURGE_BATCH_SIZE) } },
+          conflicts: 'proceed',
+          refresh: true
+        })
+      );
+      deleted += response.deleted || 0;
+    }
+
+    const response = this.safeExtractResponse(
+      await this.esClient.updateByQuery({
+        index: 'clicks',
+        query: { term: { userId } },
+        script: { source: "ctx._source.remove('userId')", lang: 'painless' },
+        conflicts: 'proceed',
+        refresh: true
+      })
+    );
+
+    console.log(`🧹 Purged click documents of user ${userId}: ${deleted} deleted, ${response.updated || 0} anonymized`);
+    return { deleted, anonymized: response.updated || 0 };
+  }
+
+  /**
+   * Retention: delete click documents older than cutoff, for one workspace or for everything
+   * else (personal links and workspaces without their own window)
+   */
+  async deleteClicksBefore(cutoff, { workspaceId = null, excludeWorkspaceIds = [] } = {}) {
+    this.assertReadyForPrivacy();
+
+    const query = {
+      bool: {
+        filter: [{ range: { timestamp: { lt: cutoff.toISOString() } } }],
+        must_not: []
+      }
+    };
+    if (workspaceId) {
+      query.bool.filter.push({ term: { workspaceId } });
+    } else if (excludeWorkspaceIds.length > 0) {
+      query.bool.must_not.push({ terms: { workspaceId: excludeWorkspaceIds } });
+    }
+
+    const response = this.safeExtractResponse(
+      await this.esClient.deleteByQuery({
+        index: 'clicks',
+        query,
+        conflicts: 'proceed',
+        refresh: true
+      })
+    );
+
+    return response.deleted || 0;
+  }
+
+  assertReadyForPrivacy() {
+    if (!this.isReady()) {
+      throw new Error('Click analytics store is not available');
+    }
+  }
+
   /**
    * Search clicks with pagination
    */
@@ -13,14 +13,17 @@ module.exports = {
     ACCESS: 'access',
     REFRESH: 'refresh',
     EMAIL_VERIFICATION: 'email_verification',
-    PASSWORD_RESET: 'password_reset'
+    PASSWORD_RESET: 'password_reset',
+    TWO_FACTOR_CHALLENGE: 'two_factor_challenge'
   },
 
   // Token expiration times
   expirationTimes: {
     access: '24h',
     refresh: '7d',
+    impersonation: '15m',
     emailVerification: '24h',
-    passwordReset: '1h'
+    passwordReset: '1h',
+    twoFactorChallenge: '5m'
   }
 };
\ No newline at end of file
@@ -1,6 +1,8 @@
 // backend/domains/auth/controllers/AuthController.js - FIXED VERSION
 const authService = require('../services/AuthService');
-const cacheService = require('../../../core/cache/CacheService');
+const twoFactorService = require('../services/TwoFactorService');
+const sessionService = require('../services/SessionService');
+const securityLogService = require('../services/SecurityLogService');
 
 // ✅ FIX: Unified error codes for backend
 const ERROR_CODES = {
@@ -14,6 +16,12 @@ const ERROR_CODES = {
   TOKEN_INVALID: 'TOKEN_INVALID',
   TOKEN_REVOKED: 'TOKEN_REVOKED',
   TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+
+  // Two-factor
+  TWO_FACTOR_INVALID: 'TWO_FACTOR_INVALID',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+  TWO_FACTOR_STATE: 'TWO_FACTOR_STATE',
   
   // Validation
   VALIDATION_ERROR: 'VALIDATION_ERROR',
@@ -44,6 +52,31 @@ const sendErrorResponse = (res, statusCode, errorCode, message, details = null)
   return res.status(statusCode).json(response);
 };
 
+// 2FA service errors -> status + code
+const sendTwoFactorError = (res, error, message) => {
+  switch (error.message) {
+    case 'Invalid two-factor code':
+      return sendErrorResponse(res, 400, ERROR_CODES.TWO_FACTOR_INVALID, 'Invalid two-factor code');
+
+    case 'Current password is incorrect':
+      return sendErrorResponse(res, 400, ERROR_CODES.INVALID_PASSWORD, error.message);
+
+    case 'Two-factor authentication is required for your role':
+      return sendErrorResponse(res, 403, ERROR_CODES.TWO_FACTOR_REQUIRED, error.message);
+
+    case 'Two-factor authentication is already enabled':
+    case 'Two-factor authentication is not enabled':
+    case 'Two-factor setup expired. Please start again':
+      return sendErrorResponse(res, 400, ERROR_CODES.TWO_FACTOR_STATE, error.message);
+
+    case 'User not found':
+      return sendErrorResponse(res, 404, ERROR_CODES.USER_NOT_FOUND, error.message);
+
+    default:
+      return sendErrorResponse(res, 500, ERROR_CODES.INTERNAL_ERROR, message, error.stack);
+  }
+};
+
 // ✅ FIX: Standardized success response format
 const sendSuccessResponse = (res, message, data = null, statusCode = 200) => {
   const response = {
@@ -214,12 +247,22 @@ class AuthController {
 
       const result = await authService.login(email, password, req);
 
+      // 2FA enabled -> client must call POST /api/auth/2fa/verify with the challenge
+      if (result.twoFactorRequired) {
+        return sendSuccessResponse(
+          res,
+          'Two-factor authentication required',
+          result
+        );
+      }
+
       return sendSuccessResponse(
         res,
         'Login successful',
         {
           user: result.user,
-          tokens: result.tokens
+          tokens: result.tokens,
+          twoFactorSetupRequired: result.twoFactorSetupRequired
         }
       );
 
@@ -283,14 +326,8 @@ class AuthController {
   // POST /api/auth/logout - ✅ FIXED VERSION
   async logout(req, res) {
     try {
-      const token = req.token;
-      const userId = req.user.id;
-
-      if (token) {
-        // Add token to blacklist
-        await cacheService.set(`blacklist:${token}`, 'true', 24 * 60 * 60); // 24 hours
-        console.log('🚫 Token blacklisted:', token.substring(0, 20) + '...');
-      }
+      // Blacklist the token and remove this device's session
+      await authService.logout(req.token, req.user.sessionId, req);
 
       // Clear session cookie
       res.clearCookie('sessionId');
@@ -315,12 +352,13 @@ class AuthController {
       const userId = req.user.id;
       
       // Increment user's token version to invalidate all tokens
-      await authService.invalidateAllUserTokens(userId);
+      const { sessionsCleaned } = await authService.logoutAll(userId);
+      await securityLogService.record(userId, 'logout.all', { req, metadata: { sessionsRevoked: sessionsCleaned } });
       
       // Clear session cookie
       res.clearCookie('sessionId');
 
-      return sendSuccessResponse(res, 'Logged out from all devices');
+      return sendSuccessResponse(res, 'Logged out from all devices', { sessionsRevoked: sessionsCleaned });
 
     } catch (error) {
       console.error('❌ Logout all error:', error);
@@ -334,6 +372,88 @@ class AuthController {
     }
   }
 
+  // GET /api/auth/sessions - Active sessions (devices), current one marked
+  async getActiveSessions(req, res) {
+    try {
+      const sessions = await sessionService.listForUser(req.user.id, req.user.sessionId);
+
+      return sendSuccessResponse(
+        res,
+        'Sessions retrieved successfully',
+        { sessions }
+      );
+
+    } catch (error) {
+      console.error('❌ Get sessions error:', error);
+      return sendErrorResponse(
+        res,
+        500,
+        ERROR_CODES.INTERNAL_ERROR,
+        'Failed to get sessions',
+        error.stack
+      );
+    }
+  }
+
+  // DELETE /api/auth/sessions/:sessionId - Sign out one device (takes effect immediately)
+  async revokeSession(req, res) {
+    try {
+      const session = await authService.revokeSession(req.user.id, req.params.sessionId, req);
+
+      return sendSuccessResponse(
+        res,
+        session.id === req.user.sessionId ? 'Current session revoked' : 'Session revoked',
+        { session }
+      );
+
+    } catch (error) {
+      if (error.message === 'Session not found') {
+        return sendErrorResponse(
+          res,
+          404,
+          ERROR_CODES.SESSION_NOT_FOUND,
+          'Session not found or already expired'
+        );
+      }
+
+      console.error('❌ Revoke session error:', error);
+      return sendErrorResponse(
+        res,
+        500,
+        ERROR_CODES.INTERNAL_ERROR,
+        'Failed to revoke session',
+        error.stack
+      );
+    }
+  }
+
+  // GET /api/auth/security-log?type=&limit=&offset=
+  async getSecurityLog(req, res) {
+    try {
+      const log = await securityLogService.getForUser(req.user.id, {
+        type: req.query.type,
+        limit: Math.min(parseInt(req.query.limit) || 50, 100),
+        offset: parseInt(req.query.offset) || 0
+      });
+
+      return sendSuccessResponse(res, 'Security log retrieved successfully', log);
+
+    } catch (error) {
+      if (error.message.startsWith('Invalid event type')) {
+        return sendErrorResponse(res, 400, ERROR_CODES.VALIDATION_ERROR, error.message);
+      }
+
+      console.error('❌ Get security log error:', error);
+      return sendErrorResponse(
+        res,
+        500,
+        ERROR_CODES.INTERNAL_ERROR,
+        'Failed to get security log',
+        error.stack
+      );
+    }
+  }
+
   // GET /api/auth/info - ✅ FIXED VERSION (changed from /me)
   async getProfile(req, res) {
     try {
@@ -432,14 +552,14 @@ class AuthController {
         );
       }
 
-      await authService.changePassword(userId, currentPassword, newPassword);
+      const result = await authService.changePassword(userId, currentPassword, newPassword, req);
 
-      return sendSuccessResponse(res, 'Password changed successfully');
+      return sendSuccessResponse(res, 'Password changed successfully', result);
 
     } catch (error) {
       console.error('❌ Change password error:', error);
       
-      if (error.message.includes('current password')) {
+      if (error.message === 'Incorrect current password') {
         return sendErrorResponse(
           res,
           400,
@@ -447,6 +567,24 @@ class AuthController {
           'Current password is incorrect'
         );
       }
+
+      if (error.message === 'OAUTH_USER_NO_PASSWORD') {
+        return sendErrorResponse(
+          res,
+          400,
+          ERROR_CODES.OAUTH_USER_NO_PASSWORD,
+          'This account was created with Google and has no password.'
+        );
+      }
+
+      if (error.message.startsWith('New password must be different')) {
+        return sendErrorResponse(
+          res,
+          400,
+          ERROR_CODES.WEAK_PASSWORD,
+          error.message
+        );
+      }
       
       return sendErrorResponse(
         res,
@@ -458,6 +596,301 @@ class AuthController {
     }
   }
 
+  // POST /api/auth/forgot-password - always the same response (no account enumeration)
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email || typeof email !== 'string') {
+        return sendErrorResponse(
+          res,
+          400,
+          ERROR_CODES.REQUIRED_FIELD,
+          'Email is required'
+        );
+      }
+
+      await authService.requestPasswordReset(email);
+
+      return sendSuccessResponse(
+        res,
+        'If an account exists for this email, a password reset link has been sent'
+      );
+
+    } catch (error) {
+      console.error('❌ Forgot password error:', error);
+      return sendErrorResponse(
+        res,
+        500,
+        ERROR_CODES.INTERNAL_ERROR,
+        'Password reset request failed',
+        error.stack
+      );
+    }
+  }
+
+  // POST /api/auth/reset-password/:token
+  async resetPassword(req, res) {
+    try {
+      const { password } = req.body;
+
+      const passwordErrors = validatePassword(password);
+      if (passwordErrors.length > 0) {
+        return sendErrorResponse(
+          res,
+          400,
+          ERROR_CODES.WEAK_PASSWORD,
+          'Password does not meet requirements',
+          passwordErrors
+        );
+      }
+
+      const result = await authService.resetPassword(req.params.token, password, req);
+
+      return sendSuccessResponse(
+        res,
+        'Password has been reset. Please login with your new password.',
+        result
+      );
+
+    } catch (error) {
+      console.error('❌ Reset password error:', error);
+
+      if (error.message === 'Invalid or expired token') {
+        return sendErrorResponse(
+          res,
+          400,
+          ERROR_CODES.TOKEN_INVALID,
+          'Reset link is invalid, expired or has already been used'
+        );
+      }
+
+      return sendErrorResponse(
+        res,
+        500,
+        ERROR_CODES.INTERNAL_ERROR,
+        'Password reset failed',
+        error.stack
+      );
+    }
+  }
+
+  // GET /api/auth/verify-email/:token
+  async verifyEmail(req, res) {
+    try {
+      const user = await authService.verifyEmail(req.params.token);
+
+      return sendSuccessResponse(
+        res,
+        'Email verified successfully',
+        { user }
+      );
+
+    } catch (error) {
+      console.error('❌ Verify email error:', error);
+
+      if (error.message === 'Invalid or expired token') {
+        return sendErrorResponse(
+          res,
+          400,
+          ERROR_CODES.TOKEN_INVALID,
+          'Verification link is invalid, expired or has already been used'
+        );
+      }
+
+      return sendErrorResponse(
+        res,
+        500,
+        ERROR_CODES.INTERNAL_ERROR,
+        'Email verification failed',
+        error.stack
+      );
+    }
+  }
+
+  // POST /api/auth/resend-verification - { email }
+  async resendVerification(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email || typeof email !== 'string') {
+        return sendErrorResponse(
+          res,
+          400,
+          ERROR_CODES.REQUIRED_FIELD,
+          'Email is required'
+        );
+      }
+
+      await authService.resendVerification(email);
+
+      return sendSuccessResponse(
+        res,
+        'If this email needs verification, a new link has been sent'
+      );
+
+    } catch (error) {
+      console.error('❌ Resend verification error:', error);
+      return sendErrorResponse(
+        res,
+        500,
+        ERROR_CODES.INTERNAL_ERROR,
+        'Failed to resend verification email',
+        error.stack
+      );
+    }
+  }
+
+  // POST /api/auth/2fa/verify - { challengeToken, code } -> second login step
+  async verifyTwoFactor(req, res) {
+    try {
+      const { challengeToken, code } = req.body;
+
+      if (!challengeToken || !code) {
+        return sendErrorResponse(
+          res,
+          400,
+          ERROR_CODES.REQUIRED_FIELD,
+          'Challenge token and code are required'
+        );
+      }
+
+      const result = await authService.completeTwoFactorLogin(challengeToken, String(code), req);
+
+      return sendSuccessResponse(
+        res,
+        'Login successful',
+        {
+          user: result.user,
+          tokens: result.tokens,
+          recoveryCodeUsed: result.recoveryCodeUsed
+        }
+      );
+
+    } catch (error) {
+      console.error('❌ 2FA verify error:', error);
+
+      switch (error.message) {
+        case 'Invalid or expired token':
+          return sendErrorResponse(
+            res,
+            401,
+            ERROR_CODES.TOKEN_INVALID,
+            'Login session expired. Please login again.'
+          );
+
+        case 'Invalid two-factor code':
+          return sendErrorResponse(
+            res,
+            401,
+            ERROR_CODES.TWO_FACTOR_INVALID,
+            'Invalid two-factor code'
+          );
+
+        case 'Too many invalid two-factor codes. Please try again in 15 minutes':
+          return sendErrorResponse(
+            res,
+            429,
+            ERROR_CODES.TOO_MANY_ATTEMPTS,
+            error.message
+          );
+
+        case 'ACCOUNT_DEACTIVATED':
+          return sendErrorResponse(
+            res,
+            403,
+            ERROR_CODES.ACCOUNT_DEACTIVATED,
+            'Account has been deactivated. Please contact support.'
+          );
+
+        default:
+          return sendErrorResponse(
+            res,
+            500,
+            ERROR_CODES.INTERNAL_ERROR,
+            'Two-factor verification failed',
+            error.stack
+          );
+      }
+    }
+  }
+
+  // GET /api/auth/2fa/status
+  async getTwoFactorStatus(req, res) {
+    try {
+      const status = await twoFactorService.getStatus(req.user.id);
+      return sendSuccessResponse(res, 'Two-factor status retrieved', status);
+    } catch (error) {
+      return sendTwoFactorError(res, error, 'Failed to get two-factor status');
+    }
+  }
+
+  // POST /api/auth/2fa/setup -> secret + QR code (pending until enabled)
+  async setupTwoFactor(req, res) {
+    try {
+      const setup = await twoFactorService.startSetup(req.user.id);
+      return sendSuccessResponse(
+        res,
+        'Scan the QR code with your authenticator app, then confirm with a code',
+        setup
+      );
+    } catch (error) {
+      return sendTwoFactorError(res, error, 'Failed to start two-factor setup');
+    }
+  }
+
+  // POST /api/auth/2fa/enable - { code } -> recovery codes (shown once)
+  async enableTwoFactor(req, res) {
+    try {
+      if (!req.body.code) {
+        return sendErrorResponse(res, 400, ERROR_CODES.REQUIRED_FIELD, 'Code is required');
+      }
+
+      const result = await twoFactorService.enable(req.user.id, String(req.body.code));
+      await securityLogService.record(req.user.id, '2fa.enabled', { req });
+      return sendSuccessResponse(
+        res,
+        'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        result
+      );
+    } catch (error) {
+      return sendTwoFactorError(res, error, 'Failed to enable two-factor authentication');
+    }
+  }
+
+  // POST /api/auth/2fa/disable - { password, code }
+  async disableTwoFactor(req, res) {
+    try {
+      if (!req.body.code) {
+        return sendErrorResponse(res, 400, ERROR_CODES.REQUIRED_FIELD, 'Code is required');
+      }
+
+      await twoFactorService.disable(req.user.id, {
+        password: req.body.password,
+        code: String(req.body.code)
+      });
+      await securityLogService.record(req.user.id, '2fa.disabled', { req });
+      return sendSuccessResponse(res, 'Two-factor authentication disabled');
+    } catch (error) {
+      return sendTwoFactorError(res, error, 'Failed to disable two-factor authentication');
+    }
+  }
+
+  // POST /api/auth/2fa/recovery-codes - { code } -> new recovery codes
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      if (!req.body.code) {
+        return sendErrorResponse(res, 400, ERROR_CODES.REQUIRED_FIELD, 'Code is required');
+      }
+
+      const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, String(req.body.code));
+      await securityLogService.record(req.user.id, '2fa.recovery_codes_regenerated', { req });
+      return sendSuccessResponse(res, 'Recovery codes regenerated', result);
+    } catch (error) {
+      return sendTwoFactorError(res, error, 'Failed to regenerate recovery codes');
+    }
+  }
+
   // POST /api/auth/check-email - ✅ FIXED VERSION
   async checkEmail(req, res) {
     try {
@@ -40,7 +40,14 @@ class OAuthController {
       const { googleUser } = await oauthService.completeGoogleAuth(code);
 
       // Login or register user
-      const result = await authService.googleLogin(googleUser);
+      const result = await authService.googleLogin(googleUser, req);
+
+      // 2FA enabled -> frontend asks for the code, then calls POST /api/auth/2fa/verify
+      if (result.twoFactorRequired) {
+        return res.redirect(
+          `${process.env.APP_URL || 'http://localhost:3000'}/auth/2fa?challenge=${encodeURIComponent(result.challengeToken)}`
+        );
+      }
 
       // Redirect to frontend with tokens (in production, use secure method)
       const redirectUrl = `${process.env.APP_URL || 'http://localhost:3000'}/auth/success?token=${result.tokens.accessToken}`;
@@ -67,7 +74,15 @@ class OAuthController {
       }
 
       const { googleUser } = await oauthService.completeGoogleAuth(code);
-      const result = await authService.googleLogin(googleUser);
+      const result = await authService.googleLogin(googleUser, req);
+
+      if (result.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: result
+        });
+      }
 
       res.json({
         success: true,
@@ -1,6 +1,9 @@
 // backend/domains/auth/middleware/authMiddleware.js - CLEAN FIXED VERSION
 const authService = require('../services/AuthService');
 const cacheService = require('../../../core/cache/CacheService');
+const settingsService = require('../../../core/settings/SettingsService');
+const sessionService = require('../services/SessionService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
 
 // ✅ Unified error codes
 const ERROR_CODES = {
@@ -13,6 +16,10 @@ const ERROR_CODES = {
   ACCOUNT_DEACTIVATED: 'ACCOUNT_DEACTIVATED',
   AUTHORIZATION_REQUIRED: 'AUTHORIZATION_REQUIRED',
   INSUFFICIENT_PERMISSIONS: 'INSUFFICIENT_PERMISSIONS',
+  IMPERSONATION_READ_ONLY: 'IMPERSONATION_READ_ONLY',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+  API_KEY_QUOTA_EXCEEDED: 'API_KEY_QUOTA_EXCEEDED',
+  WORKSPACE_NOT_FOUND: 'WORKSPACE_NOT_FOUND',
   INTERNAL_ERROR: 'INTERNAL_ERROR',
   SYSTEM_MAINTENANCE: 'SYSTEM_MAINTENANCE',
   VALIDATION_ERROR: 'VALIDATION_ERROR',
@@ -36,6 +43,17 @@ const sendErrorResponse = (res, statusCode, errorCode, message, details = null)
   return res.status(statusCode).json(response);
 };
 
+// X-RateLimit-* headers for API key quota
+const setQuotaHeaders = (res, quota) => {
+  if (!quota) return;
+
+  res.set('X-RateLimit-Limit', String(quota.limit));
+  res.set('X-RateLimit-Remaining', String(quota.remaining));
+  if (quota.resetAt) {
+    res.set('X-RateLimit-Reset', String(Math.ceil(new Date(quota.resetAt).getTime() / 1000)));
+  }
+};
+
 class AuthMiddleware {
   
   /**
@@ -94,7 +112,18 @@ class AuthMiddleware {
       }
 
       // Verify token and get user
-      const user = await authService.verifyToken(token);
+      const user = await authService.verifyToken(token, req);
+
+      // Impersonation tokens are read-only
+      if (user.impersonatedBy && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        console.log(`🚫 Write blocked during impersonation: admin ${user.impersonatedBy} as ${user.email}`);
+        return sendErrorResponse(
+          res,
+          403,
+          ERROR_CODES.IMPERSONATION_READ_ONLY,
+          'Impersonation sessions are read-only'
+        );
+      }
       
       // Attach user and token to request
       req.user = user;
@@ -168,7 +197,11 @@ class AuthMiddleware {
         }
         
         // Try to verify token
-        const user = await authService.verifyToken(token);
+        const user = await authService.verifyToken(token, req);
+        if (user.impersonatedBy && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+          console.log('🚫 Impersonation token on write request, continuing without auth');
+          return next();
+        }
         req.user = user;
         req.token = token;
         console.log(`✅ Optional auth successful for user: ${user.email}`);
@@ -286,10 +319,40 @@ class AuthMiddleware {
     return this.requireRole('admin')(req, res, next);
   }
 
+  /**
+   * ✅ Two-factor requirement - enforced when the given security.* setting is on
+   */
+  requireTwoFactor(settingKey) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return sendErrorResponse(
+          res,
+          401,
+          ERROR_CODES.AUTHORIZATION_REQUIRED,
+          'Authentication required'
+        );
+      }
+
+      if (settingsService.get(settingKey) && !req.user.twoFactorEnabled) {
+        console.log(`❌ 2FA required (${settingKey}): User ${req.user.email} has not enabled it`);
+        return sendErrorResponse(
+          res,
+          403,
+          ERROR_CODES.TWO_FACTOR_REQUIRED,
+          'Two-factor authentication must be enabled for this action'
+        );
+      }
+
+      next();
+    };
+  }
+
   /**
    * ✅ Enhanced ownership or admin check
+   * getResourceOwner(req) returns the owner id, or { userId, workspaceId } for resources that
+   * may belong to a workspace - then any member with at least minRole gets access.
    */
-  checkOwnershipOrAdmin(getResourceOwnerId) {
+  checkOwnershipOrAdmin(getResourceOwner, { minRole = 'viewer' } = {}) {
     return async (req, res, next) => {
       try {
         if (!req.user) {
@@ -308,8 +371,8 @@ class AuthMiddleware {
         }
 
         // Check ownership
-        if (typeof getResourceOwnerId !== 'function') {
-          console.error('❌ getResourceOwnerId must be a function');
+        if (typeof getResourceOwner !== 'function') {
+          console.error('❌ getResourceOwner must be a function');
           return sendErrorResponse(
             res,
             500,
@@ -319,9 +382,10 @@ class AuthMiddleware {
         }
 
         try {
-          const resourceOwnerId = await getResourceOwnerId(req);
+          const resourceOwner = await getResourceOwner(req);
+          const { userId: resourceOwnerId, workspaceId } = workspaceService.toScope(resourceOwner);
           
-          if (!resourceOwnerId) {
+          if (!resourceOwnerId && !workspaceId) {
             console.log('❌ Could not determine resource owner');
             return sendErrorResponse(
               res,
@@ -331,6 +395,34 @@ class AuthMiddleware {
             );
           }
 
+          // Workspace resource: membership with a high enough role, not the creator
+          if (workspaceId) {
+            const membership = await workspaceService.getMembership(workspaceId, req.user.id);
+
+            if (!membership) {
+              console.log(`❌ Membership check failed: User ${req.user.id} is not in workspace ${workspaceId}`);
+              return sendErrorResponse(
+                res,
+                404,
+                ERROR_CODES.WORKSPACE_NOT_FOUND,
+                'Resource not found or access denied'
+              );
+            }
+
+            if (!workspaceService.hasRole(membership.role, minRole)) {
+              console.log(`❌ Membership check failed: User ${req.user.id} is ${membership.role}, needs ${minRole}`);
+              return sendErrorResponse(
+                res,
+                403,
+                ERROR_CODES.INSUFFICIENT_PERMISSIONS,
+                `This action requires the ${minRole} role in this workspace`
+              );
+            }
+
+            console.log(`✅ Workspace access verified: User ${req.user.id} is ${membership.role} in ${workspaceId}`);
+            return next();
+          }
+
           if (req.user.id !== resourceOwnerId) {
             console.log(`❌ Ownership check failed: User ${req.user.id} tried to access resource owned by ${resourceOwnerId}`);
             return sendErrorResponse(
@@ -402,7 +494,7 @@ class AuthMiddleware {
       }
       
       // Validate session in cache/database
-      const sessionData = await cacheService.get(`session:${sessionId}`);
+      const sessionData = await sessionService.get(sessionId);
       
       if (!sessionData) {
         // Clear invalid session cookie
@@ -410,7 +502,7 @@ class AuthMiddleware {
         console.log('🧹 Cleared invalid session cookie');
       } else {
         req.sessionId = sessionId;
-        req.sessionData = JSON.parse(sessionData);
+        req.sessionData = sessionData;
         console.log('✅ Session validated');
       }
       
@@ -438,26 +530,53 @@ class AuthMiddleware {
         );
       }
       
-      // Validate API key (implement your API key validation logic here)
-      const isValidApiKey = await authService.validateApiKey(apiKey);
+      // Validate API key and count the request against its daily quota
+      const { user, apiKey: key, quota } = await authService.validateApiKey(apiKey);
+
+      setQuotaHeaders(res, quota);
+      
+      // Set API context - controllers see the key owner as req.user
+      req.user = user;
+      req.apiKey = {
+        id: key.id,
+        name: key.name,
+        scopes: key.scopes || [],
+        workspaceId: key.workspaceId || null
+      };
+      req.isApiRequest = true;
+      
+      console.log(`✅ API key validated: ${key.name} (${user.email})`);
+      next();
       
-      if (!isValidApiKey) {
+    } catch (error) {
+      if (error.message === 'Invalid API key') {
         return sendErrorResponse(
           res,
           401,
           ERROR_CODES.TOKEN_INVALID,
-          'Invalid API key'
+          'Invalid, revoked or expired API key'
         );
       }
-      
-      // Set API context
-      req.apiKey = apiKey;
-      req.isApiRequest = true;
-      
-      console.log('✅ API key validated');
-      next();
-      
-    } catch (error) {
+
+      if (error.message === 'API key quota exceeded') {
+        setQuotaHeaders(res, error.quota);
+        return sendErrorResponse(
+          res,
+          429,
+          ERROR_CODES.API_KEY_QUOTA_EXCEEDED,
+          'Daily API key quota exceeded'
+        );
+      }
+
+      if (error.message.includes('deactivated')) {
+        return sendErrorResponse(
+          res,
+          403,
+          ERROR_CODES.ACCOUNT_DEACTIVATED,
+          'Account has been deactivated'
+        );
+      }
+
       console.error('❌ API key validation error:', error);
       return sendErrorResponse(
         res,
@@ -469,6 +588,93 @@ class AuthMiddleware {
     }
   }
 
+  /**
+   * ✅ API key scope check - JWT users have full access, API keys need the scope
+   */
+  requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.apiKey || req.apiKey.scopes.includes(scope)) {
+        return next();
+      }
+
+      console.log(`❌ API key ${req.apiKey.name} missing scope: ${scope}`);
+      return sendErrorResponse(
+        res,
+        403,
+        ERROR_CODES.INSUFFICIENT_PERMISSIONS,
+        `API key is missing the required scope: ${scope}`
+      );
+    };
+  }
+
+  /**
+   * ✅ Workspace context + role check.
+   * Workspace comes from :workspaceId, the X-Workspace-Id header (workspace switcher) or
+   * ?workspaceId= (downloads); API keys always act in the workspace they were created in.
+   * No workspace = personal space, always allowed. Sets req.workspace = { id, name, role } or null.
+   */
+  requireWorkspaceRole(minRole = 'viewer') {
+    return async (req, res, next) => {
+      try {
+        if (!req.user) {
+          return sendErrorResponse(
+            res,
+            401,
+            ERROR_CODES.AUTHORIZATION_REQUIRED,
+            'Authentication required'
+          );
+        }
+
+        const workspaceId = req.apiKey
+          ? req.apiKey.workspaceId
+          : req.params.workspaceId || req.get('X-Workspace-Id') || req.query.workspaceId;
+
+        if (!workspaceId) {
+          req.workspace = null;
+          return next();
+        }
+
+        const membership = await workspaceService.getMembership(workspaceId, req.user.id);
+        if (!membership) {
+          console.log(`❌ User ${req.user.email} is not a member of workspace ${workspaceId}`);
+          return sendErrorResponse(
+            res,
+            404,
+            ERROR_CODES.WORKSPACE_NOT_FOUND,
+            'Workspace not found or access denied'
+          );
+        }
+
+        if (!workspaceService.hasRole(membership.role, minRole)) {
+          console.log(`❌ Workspace role check failed: ${req.user.email} is ${membership.role}, needs ${minRole}`);
+          return sendErrorResponse(
+            res,
+            403,
+            ERROR_CODES.INSUFFICIENT_PERMISSIONS,
+            `This action requires the ${minRole} role in this workspace`
+          );
+        }
+
+        req.workspace = {
+          id: membership.workspaceId,
+          name: membership.name,
+          role: membership.role
+        };
+        next();
+
+      } catch (error) {
+        console.error('❌ Workspace check error:', error);
+        return sendErrorResponse(
+          res,
+          500,
+          ERROR_CODES.INTERNAL_ERROR,
+          'Workspace verification failed',
+          error.stack
+        );
+      }
+    };
+  }
+
   /**
    * ✅ Flexible authentication (token OR API key)
    */
@@ -38,6 +38,31 @@ router.post('/check-email', authController.checkEmail);
 // Refresh token
 router.post('/refresh', authController.refresh);
 
+// Password reset with enhanced protection
+router.post('/forgot-password',
+  passwordResetLimiter,            // Strict rate limiting
+  passwordResetBruteForce.prevent, // Brute force protection
+  authController.forgotPassword
+);
+
+router.post('/reset-password/:token', 
+  passwordResetLimiter,
+  authController.resetPassword
+);
+
+// Two-factor login step (challenge token from /login)
+router.post('/2fa/verify',
+  passwordResetLimiter,
+  authController.verifyTwoFactor
+);
+
+// Email verification
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/resend-verification', 
+  passwordResetLimiter,
+  authController.resendVerification
+);
+
 // ===== PROTECTED ROUTES (REQUIRE AUTH) =====
 
 // Logout with enhanced security
@@ -64,33 +89,6 @@ router.post('/change-password',
   authController.changePassword
 );
 
-// ===== TODO: IMPLEMENT THESE FEATURES LATER =====
-/*
-// Password reset with enhanced protection
-router.post('/forgot-password',
-  passwordResetLimiter,            // Strict rate limiting
-  passwordResetBruteForce.prevent, // Brute force protection
-  authController.forgotPassword
-);
-
-router.post('/reset-password/:token', 
-  passwordResetLimiter,
-  authController.resetPassword
-);
-
-// Email verification
-router.get('/verify-email/:token', authController.verifyEmail);
-router.post('/resend-verification', 
-  passwordResetLimiter,
-  authController.resendVerification
-);
-
-// Update profile
-router.put('/profile',
-  authMiddleware.verifyToken,
-  authController.updateProfile
-);
-
 // Get active sessions
 router.get('/sessions',
   authMiddleware.verifyToken,
@@ -103,28 +101,36 @@ router.delete('/sessions/:sessionId',
   authController.revokeSession
 );
 
-// Get login history/security log
+// Security log: logins, failed attempts, password and 2FA changes
 router.get('/security-log',
   authMiddleware.verifyToken,
   authController.getSecurityLog
 );
 
-// Enable/disable 2FA (future feature)
+// Two-factor authentication (TOTP)
+router.get('/2fa/status',
+  authMiddleware.verifyToken,
+  authController.getTwoFactorStatus
+);
+
+router.post('/2fa/setup',
+  authMiddleware.verifyToken,
+  authController.setupTwoFactor
+);
+
 router.post('/2fa/enable',
   authMiddleware.verifyToken,
-  authController.enable2FA
+  authController.enableTwoFactor
 );
 
 router.post('/2fa/disable',
   authMiddleware.verifyToken,
-  authController.disable2FA
+  authController.disableTwoFactor
 );
 
-// Account deactivation
-router.post('/deactivate',
+router.post('/2fa/recovery-codes',
   authMiddleware.verifyToken,
-  authController.deactivateAccount
+  authController.regenerateRecoveryCodes
 );
-*/
 
 module.exports = router;
\ No newline at end of file
@@ -5,6 +5,23 @@ const bcrypt = require('bcryptjs');
 const userRepository = require('../../users/repositories/UserRepository');
 const cacheService = require('../../../core/cache/CacheService');
 const jwtConfig = require('../config/jwt');
+const config = require('../../../config');
+const bullMQService = require('../../../core/queue/BullMQService');
+const mailService = require('../../../core/mail/MailService');
+const twoFactorService = require('./TwoFactorService');
+const sessionService = require('./SessionService');
+const securityLogService = require('./SecurityLogService');
+const apiKeyService = require('../../users/services/ApiKeyService');
+
+const ACTION_TOKEN_EXPIRATION = {
+  [jwtConfig.tokenTypes.PASSWORD_RESET]: jwtConfig.expirationTimes.passwordReset,
+  [jwtConfig.tokenTypes.EMAIL_VERIFICATION]: jwtConfig.expirationTimes.emailVerification,
+  [jwtConfig.tokenTypes.TWO_FACTOR_CHALLENGE]: jwtConfig.expirationTimes.twoFactorChallenge,
+};
+// Sai 5 code (mọi challenge cộng lại) trong 15 phút -> khoá 2FA của user tới hết 15 phút đó
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const TWO_FACTOR_LOCKOUT_SECONDS = 15 * 60;
+const TWO_FACTOR_LOCKED_MESSAGE = 'Too many invalid two-factor codes. Please try again in 15 minutes';
 
 class AuthService {
   // Find user by email - NEW METHOD FOR SMART AUTH
@@ -20,7 +37,7 @@ class AuthService {
   }
 
   // Enhanced register method
-  async register(userData) {
+  async register(userData, req = {}) {
     const { email, password, name } = userData;
 
     try {
@@ -66,11 +83,13 @@ class AuthService {
 
       console.log('✅ USER CREATED:', user.email);
 
-      // Generate tokens
-      const tokens = await this.generateTokens(user);
+      // Gửi email xác thực (không block đăng ký nếu mail lỗi)
+      this.sendVerificationEmail(user).catch((error) => {
+        console.error('⚠️ Failed to send verification email:', error.message);
+      });
 
-      // Create session
-      const sessionId = await this.createSession(user, tokens);
+      // Generate tokens and create session
+      const { tokens, sessionId } = await this.createSession(user, req);
 
       console.log(`✅ User registered successfully: ${user.email}`);
       return {
@@ -151,6 +170,7 @@ class AuthService {
       if (!this.validatePassword(password)) {
         console.log('❌ PASSWORD COMPLEXITY VALIDATION FAILED');
         await cacheService.set(rateLimitKey, attempts + 1, 900);
+        await securityLogService.record(user.id, 'login.failed', { req, metadata: { reason: 'invalid_password' } });
         throw new Error('INVALID_PASSWORD');
       }
 
@@ -163,28 +183,34 @@ class AuthService {
       if (!isValidPassword) {
         console.log('❌ PASSWORD MISMATCH');
         await cacheService.set(rateLimitKey, attempts + 1, 900);
+        await securityLogService.record(user.id, 'login.failed', { req, metadata: { reason: 'invalid_password' } });
         throw new Error('INVALID_PASSWORD');
       }
 
       // Clear rate limit on successful login
       console.log('✅ LOGIN SUCCESS - Clearing rate limit');
       await cacheService.del(rateLimitKey);
+
+      // 2FA bật -> bước 2 với challenge token ngắn hạn, chưa cấp access token
+      if (user.twoFactorEnabled) {
+        console.log('🔐 2FA REQUIRED - Issuing challenge token');
+        return await this.createTwoFactorChallenge(user);
+      }
       
       // Update last seen timestamp
       await userRepository.updateLastSeen(user.id);
 
       // Generate tokens and create session
-      console.log('🎫 GENERATING TOKENS...');
-      const tokens = await this.generateTokens(user);
-      
       console.log('📦 CREATING SESSION...');
-      const sessionId = await this.createSession(user, tokens, req);
+      const { tokens, sessionId } = await this.createSession(user, req);
+      await securityLogService.record(user.id, 'login.success', { req, metadata: { method: 'password' } });
 
       console.log(`✅ LOGIN COMPLETED for user: ${user.email}`);
       return {
         user: this.sanitizeUser(user),
         tokens,
         sessionId,
+        twoFactorSetupRequired: twoFactorService.isRequiredFor(user),
       };
     } catch (error) {
       console.error('❌ LOGIN ERROR:', error.message);
@@ -194,7 +220,7 @@ class AuthService {
   }
 
   // Google login method
-  async googleLogin(googleUser) {
+  async googleLogin(googleUser, req = {}) {
     try {
       console.log('🌐 Google login attempt:', googleUser.email);
 
@@ -229,14 +255,18 @@ class AuthService {
         }
 
         console.log('✅ Existing Google user login:', user.email);
+
+        if (user.twoFactorEnabled) {
+          return await this.createTwoFactorChallenge(user, 'google');
+        }
       }
 
       // Update last seen
       await userRepository.updateLastSeen(user.id);
 
       // Generate tokens and create session
-      const tokens = await this.generateTokens(user);
-      const sessionId = await this.createSession(user, tokens);
+      const { tokens, sessionId } = await this.createSession(user, req, 'google');
+      await securityLogService.record(user.id, 'login.success', { req, metadata: { method: 'google' } });
 
       return {
         user: this.sanitizeUser(user),
@@ -250,7 +280,7 @@ class AuthService {
   }
 
   // Token verification
-  async verifyToken(token) {
+  async verifyToken(token, req = {}) {
     try {
       const isBlacklisted = await cacheService.get(`blacklist:${token}`);
       if (isBlacklisted) {
@@ -280,13 +310,52 @@ class AuthService {
         throw new Error('Token version mismatch - invalidated');
       }
 
-      return this.sanitizeUser(user);
+      // Session đã bị thu hồi -> token hết hiệu lực ngay
+      if (decoded.sid) {
+        const session = await sessionService.get(decoded.sid);
+        if (!session || session.userId !== user.id) {
+          throw new Error('Session has been revoked');
+        }
+        if (!(await sessionService.touch(session, req))) {
+          throw new Error('Session has been revoked');
+        }
+      }
+
+      const sanitized = this.sanitizeUser(user);
+      sanitized.sessionId = decoded.sid || null;
+
+      // Admin xem với tư cách user (read-only, enforced in authMiddleware)
+      if (decoded.impersonatedBy) {
+        sanitized.impersonatedBy = decoded.impersonatedBy;
+      }
+
+      return sanitized;
     } catch (error) {
       console.error('❌ Token verification error:', error.message);
       throw error;
     }
   }
 
+  // API key authentication -> key owner + key scopes/quota
+  async validateApiKey(plainKey) {
+    const { apiKey, quota } = await apiKeyService.authenticate(plainKey);
+
+    const user = await userRepository.findById(apiKey.userId);
+    if (!user) {
+      throw new Error('Invalid API key');
+    }
+
+    if (!user.isActive) {
+      throw new Error('Account is deactivated');
+    }
+
+    return {
+      user: this.sanitizeUser(user),
+      apiKey,
+      quota,
+    };
+  }
+
   // Refresh token
   async refreshToken(refreshToken) {
     try {
@@ -323,11 +392,19 @@ class AuthService {
         throw new Error('Refresh token has expired');
       }
 
+      const session = decoded.sid ? await sessionService.get(decoded.sid) : null;
+      if (decoded.sid && (!session || session.userId !== user.id)) {
+        throw new Error('Session has been revoked');
+      }
+
       if (timeUntilExpiry > 0) {
         await cacheService.set(`blacklist:${refreshToken}`, 'true', timeUntilExpiry);
       }
 
-      const tokens = await this.generateTokens(user);
+      const tokens = await this.generateTokens(user, decoded.sid);
+      if (session) {
+        await sessionService.updateTokens(session, tokens);
+      }
       await userRepository.updateLastSeen(user.id);
 
       console.log(`✅ Tokens refreshed for user: ${user.email}`);
@@ -354,8 +431,8 @@ class AuthService {
     }
   }
 
-  // Generate tokens
-  async generateTokens(user) {
+  // Generate tokens (sid ties them to a session so revoking the session revokes them)
+  async generateTokens(user, sessionId = null) {
     const now = Math.floor(Date.now() / 1000);
     const tokenVersion = user.tokenVersion || 0;
 
@@ -375,6 +452,11 @@ class AuthService {
       iat: now
     };
 
+    if (sessionId) {
+      accessPayload.sid = sessionId;
+      refreshPayload.sid = sessionId;
+    }
+
     const accessToken = jwt.sign(accessPayload, jwtConfig.secret, {
       expiresIn: jwtConfig.expirationTimes.access,
       issuer: jwtConfig.issuer,
@@ -394,34 +476,42 @@ class AuthService {
     };
   }
 
-  // Create session
-  async createSession(user, tokens, req = {}) {
-    try {
-      const sessionId = crypto.randomBytes(32).toString('hex');
-      
-      const sessionData = {
-        userId: user.id,
-        email: user.email,
-        tokens,
-        createdAt: new Date(),
-        lastActivity: new Date(),
-        ipAddress: req.ip || 'unknown',
-        userAgent: req.get?.('User-Agent') || 'unknown'
-      };
+  // Short-lived read-only access token for admin impersonation (no refresh token, no session)
+  generateImpersonationToken(user, adminId) {
+    const payload = {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      tokenVersion: user.tokenVersion || 0,
+      type: jwtConfig.tokenTypes.ACCESS,
+      impersonatedBy: adminId,
+      readOnly: true,
+    };
 
-      const sessionTTL = jwtConfig.expirationTimes.session || (7 * 24 * 60 * 60);
-      await cacheService.set(`session:${sessionId}`, JSON.stringify(sessionData), sessionTTL);
-      
-      console.log(`📦 Created secure session: ${sessionId.substring(0, 8)}...`);
-      return sessionId;
-    } catch (error) {
-      console.error('❌ Session creation error:', error);
-      throw new Error('Failed to create session');
-    }
+    const accessToken = jwt.sign(payload, jwtConfig.secret, {
+      expiresIn: jwtConfig.expirationTimes.impersonation,
+      issuer: jwtConfig.issuer,
+      audience: jwtConfig.audience,
+    });
+
+    return {
+      accessToken,
+      expiresIn: jwtConfig.expirationTimes.impersonation,
+      expiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+    };
+  }
+
+  // Create session - tokens are issued for the new session id
+  async createSession(user, req = {}, loginMethod = 'password') {
+    const sessionId = sessionService.generateId();
+    const tokens = await this.generateTokens(user, sessionId);
+
+    await sessionService.create(user, { sessionId, tokens, req, loginMethod });
+    return { tokens, sessionId };
   }
 
   // Enhanced logout
-  async logout(token, sessionId = null) {
+  async logout(token, sessionId = null, req = {}) {
     try {
       console.log('🚪 Enhanced logout process starting...');
 
@@ -433,6 +523,7 @@ class AuthService {
           const decoded = jwt.decode(token);
           userId = decoded?.userId;
           userEmail = decoded?.email;
+          sessionId = sessionId || decoded?.sid;
 
           if (decoded?.exp) {
             const ttl = decoded.exp - Math.floor(Date.now() / 1000);
@@ -446,30 +537,15 @@ class AuthService {
         }
       }
 
-      // Clear session
+      // Clear session (also blacklists its refresh token)
       if (sessionId) {
         try {
-          const sessionData = await cacheService.get(`session:${sessionId}`);
-          if (sessionData) {
-            const session = JSON.parse(sessionData);
+          const session = await sessionService.get(sessionId);
+          if (session) {
             userId = userId || session.userId;
             userEmail = userEmail || session.email;
-
-            // Blacklist refresh token from session
-            if (session.tokens?.refreshToken) {
-              const refreshDecoded = jwt.decode(session.tokens.refreshToken);
-              if (refreshDecoded?.exp) {
-                const ttl = refreshDecoded.exp - Math.floor(Date.now() / 1000);
-                if (ttl > 0) {
-                  await cacheService.set(`blacklist:${session.tokens.refreshToken}`, 'true', ttl);
-                  console.log('🚫 Refresh token blacklisted');
-                }
-              }
-            }
+            await sessionService.destroy(session);
           }
-
-          await cacheService.del(`session:${sessionId}`);
-          console.log('🗑️ Session deleted');
         } catch (error) {
           console.log('⚠️ Error cleaning up session:', error);
         }
@@ -491,6 +567,8 @@ class AuthService {
         } catch (error) {
           console.log('⚠️ Error updating logout timestamp:', error);
         }
+
+        await securityLogService.record(userId, 'logout', { req });
       }
 
       console.log('✅ Enhanced logout completed');
@@ -521,46 +599,8 @@ class AuthService {
       
       console.log(`🔄 Token version updated: ${user.tokenVersion || 0} → ${newTokenVersion}`);
 
-      // Clean up all user sessions
-      const sessionKeys = await cacheService.keys(`session:*`);
-      let cleanedSessions = 0;
-      
-      for (const sessionKey of sessionKeys) {
-        try {
-          const sessionDataRaw = await cacheService.get(sessionKey);
-          if (!sessionDataRaw) continue;
-          
-          const sessionData = JSON.parse(sessionDataRaw);
-          
-          if (sessionData.userId === userId) {
-            // Blacklist tokens from this session
-            if (sessionData.tokens?.accessToken) {
-              const decoded = jwt.decode(sessionData.tokens.accessToken);
-              if (decoded?.exp) {
-                const ttl = decoded.exp - Math.floor(Date.now() / 1000);
-                if (ttl > 0) {
-                  await cacheService.set(`blacklist:${sessionData.tokens.accessToken}`, 'true', ttl);
-                }
-              }
-            }
-            
-            if (sessionData.tokens?.refreshToken) {
-              const decoded = jwt.decode(sessionData.tokens.refreshToken);
-              if (decoded?.exp) {
-                const ttl = decoded.exp - Math.floor(Date.now() / 1000);
-                if (ttl > 0) {
-                  await cacheService.set(`blacklist:${sessionData.tokens.refreshToken}`, 'true', ttl);
-                }
-              }
-            }
-            
-            await cacheService.del(sessionKey);
-            cleanedSessions++;
-          }
-        } catch (error) {
-          console.log('⚠️ Error processing session:', sessionKey, error.message);
-        }
-      }
+      // Clean up all user sessions (tokens are blacklisted as well)
+      const cleanedSessions = await sessionService.revokeAll(userId);
 
       // Clear user cache
       await cacheService.del(`user:id:${userId}`);
@@ -574,6 +614,284 @@ class AuthService {
     }
   }
 
+  // Revoke one session of the user (device list "sign out")
+  async revokeSession(userId, sessionId, req = {}) {
+    const session = await sessionService.revoke(userId, sessionId);
+
+    await securityLogService.record(userId, 'session.revoked', {
+      req,
+      metadata: { sessionId: session.id, device: session.device, ipAddress: session.ipAddress },
+    });
+
+    return session;
+  }
+
+  // Change password (logged in) - other sessions are signed out, this one stays
+  async changePassword(userId, currentPassword, newPassword, req = {}) {
+    const user = await userRepository.findByIdUncached(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.password) {
+      throw new Error('OAUTH_USER_NO_PASSWORD');
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      await securityLogService.record(user.id, 'password.change_failed', { req });
+      throw new Error('Incorrect current password');
+    }
+
+    if (!this.validatePassword(newPassword)) {
+      throw new Error('Password must be at least 8 characters with uppercase, lowercase, and number');
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      throw new Error('New password must be different from the current password');
+    }
+
+    await userRepository.updatePassword(user.id, newPassword);
+
+    const sessionsRevoked = await sessionService.revokeAll(user.id, { exceptSessionId: req.user?.sessionId });
+    await securityLogService.record(user.id, 'password.changed', { req, metadata: { sessionsRevoked } });
+
+    this.queueEmail('passwordChanged', user.email, { userName: user.name }).catch((error) => {
+      console.error('⚠️ Failed to send password changed email:', error.message);
+    });
+
+    console.log(`✅ Password changed for ${user.email}, ${sessionsRevoked} other sessions revoked`);
+    return { sessionsRevoked };
+  }
+
+  // ===== PASSWORD RESET & EMAIL VERIFICATION =====
+
+  // Signed, expiring, single-use token. The jti is kept in Redis per user/type:
+  // issuing a new token replaces the old one, using it deletes it.
+  async createActionToken(user, type, claims = {}) {
+    const expiresIn = ACTION_TOKEN_EXPIRATION[type];
+    const jti = crypto.randomBytes(16).toString('hex');
+
+    const token = jwt.sign({ ...claims, userId: user.id, email: user.email, type, jti }, jwtConfig.secret, {
+      expiresIn,
+      issuer: jwtConfig.issuer,
+      audience: jwtConfig.audience,
+    });
+
+    const ttl = jwt.decode(token).exp - Math.floor(Date.now() / 1000);
+    await cacheService.set(`auth:${type}:${user.id}`, jti, ttl);
+
+    return { token, expiresIn };
+  }
+
+  // Check signature, type and that the token is still the current one - without using it up
+  async verifyActionToken(token, type) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, jwtConfig.secret, {
+        issuer: jwtConfig.issuer,
+        audience: jwtConfig.audience,
+      });
+    } catch (error) {
+      throw new Error('Invalid or expired token');
+    }
+
+    if (decoded.type !== type || !decoded.jti) {
+      throw new Error('Invalid or expired token');
+    }
+
+    const currentJti = await cacheService.get(`auth:${type}:${decoded.userId}`);
+    if (currentJti !== decoded.jti) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return decoded;
+  }
+
+  async consumeActionToken(token, type) {
+    const decoded = await this.verifyActionToken(token, type);
+
+    const consumed = await cacheService.compareAndDelete(`auth:${type}:${decoded.userId}`, decoded.jti);
+    if (!consumed) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return decoded;
+  }
+
+  // ===== TWO-FACTOR LOGIN =====
+
+  async createTwoFactorChallenge(user, loginMethod = 'password') {
+    const { token, expiresIn } = await this.createActionToken(user, jwtConfig.tokenTypes.TWO_FACTOR_CHALLENGE, {
+      loginMethod,
+    });
+
+    return {
+      twoFactorRequired: true,
+      challengeToken: token,
+      expiresIn,
+    };
+  }
+
+  /**
+   * Login step 2: challenge token + TOTP or recovery code -> tokens and session.
+   * A typo keeps the challenge valid. MAX_TWO_FACTOR_ATTEMPTS invalid codes across all of the user's
+   * challenges lock two-factor login for TWO_FACTOR_LOCKOUT_SECONDS; a valid code resets the count.
+   */
+  async completeTwoFactorLogin(challengeToken, code, req = {}) {
+    const type = jwtConfig.tokenTypes.TWO_FACTOR_CHALLENGE;
+    const decoded = await this.verifyActionToken(challengeToken, type);
+
+    const user = await twoFactorService.findUser(decoded.userId);
+    if (!user.isActive) {
+      throw new Error('ACCOUNT_DEACTIVATED');
+    }
+
+    // Đếm theo user, không theo challenge (đăng nhập lại bằng mật khẩu không reset),
+    // và trước khi kiểm tra code (INCR atomic) - request song song cũng không thử quá MAX code
+    const attemptsKey = `2fa:attempts:user:${user.id}`;
+    const attempts = await cacheService.increment(attemptsKey, TWO_FACTOR_LOCKOUT_SECONDS);
+    if (!attempts || attempts > MAX_TWO_FACTOR_ATTEMPTS) {
+      await cacheService.del(`auth:${type}:${user.id}`);
+      throw new Error(TWO_FACTOR_LOCKED_MESSAGE);
+    }
+
+    let method;
+    try {
+      method = await twoFactorService.verifyUserCode(user, code);
+    } catch (error) {
+      await securityLogService.record(user.id, 'login.two_factor_failed', { req });
+
+      if (attempts === MAX_TWO_FACTOR_ATTEMPTS) {
+        await cacheService.del(`auth:${type}:${user.id}`);
+        await securityLogService.record(user.id, 'login.two_factor_locked', { req });
+        console.log(`🔒 2FA locked for ${user.email} after ${attempts} invalid codes`);
+        throw new Error(TWO_FACTOR_LOCKED_MESSAGE);
+      }
+      throw error;
+    }
+
+    await cacheService.del(attemptsKey);
+
+    // Single use - request song song với cùng challenge chỉ 1 cái thành công
+    await this.consumeActionToken(challengeToken, type);
+
+    await userRepository.updateLastSeen(user.id);
+    const { tokens, sessionId } = await this.createSession(user, req, decoded.loginMethod || 'password');
+
+    await securityLogService.record(user.id, 'login.success', {
+      req,
+      metadata: { method: decoded.loginMethod || 'password', twoFactor: method },
+    });
+    if (method === 'recovery') {
+      await securityLogService.record(user.id, '2fa.recovery_code_used', { req });
+    }
+
+    console.log(`✅ 2FA LOGIN COMPLETED for user: ${user.email} (${method})`);
+    return {
+      user: this.sanitizeUser(user),
+      tokens,
+      sessionId,
+      recoveryCodeUsed: method === 'recovery',
+    };
+  }
+
+  // Queue the email, or send it directly when background jobs are not running
+  async queueEmail(type, to, data) {
+    if (bullMQService.isInitialized) {
+      return await bullMQService.addEmailJob(type, to, data);
+    }
+
+    console.log(`📧 BullMQ not available, sending ${type} email directly`);
+    return await mailService.send(type, to, data);
+  }
+
+  // Forgot password - silently does nothing for unknown/inactive emails (no account enumeration)
+  async requestPasswordReset(email) {
+    const user = email ? await this.findUserByEmail(email) : null;
+
+    if (!user || !user.isActive) {
+      console.log('🔑 Password reset requested for unknown or inactive account');
+      return;
+    }
+
+    const { token, expiresIn } = await this.createActionToken(user, jwtConfig.tokenTypes.PASSWORD_RESET);
+
+    await this.queueEmail('passwordReset', user.email, {
+      userName: user.name,
+      actionUrl: `${config.app.url}/reset-password/${token}`,
+      expiresIn,
+    });
+
+    console.log(`🔑 Password reset email queued for: ${user.email}`);
+  }
+
+  // Reset password with token, then sign out every session
+  async resetPassword(token, newPassword, req = {}) {
+    // Validate trước khi dùng token để mật khẩu yếu không làm mất token
+    if (!this.validatePassword(newPassword)) {
+      throw new Error('Password must be at least 8 characters with uppercase, lowercase, and number');
+    }
+
+    const decoded = await this.consumeActionToken(token, jwtConfig.tokenTypes.PASSWORD_RESET);
+
+    const user = await userRepository.updatePassword(decoded.userId, newPassword);
+    if (!user) {
+      throw new Error('Invalid or expired token');
+    }
+
+    const { sessionsCleaned } = await this.logoutAll(user.id);
+    await securityLogService.record(user.id, 'password.reset', { req, metadata: { sessionsRevoked: sessionsCleaned } });
+
+    this.queueEmail('passwordChanged', user.email, { userName: user.name }).catch((error) => {
+      console.error('⚠️ Failed to send password changed email:', error.message);
+    });
+
+    console.log(`✅ Password reset for ${user.email}, ${sessionsCleaned} sessions revoked`);
+    return { sessionsRevoked: sessionsCleaned };
+  }
+
+  async sendVerificationEmail(user) {
+    if (user.isEmailVerified) return;
+
+    const { token, expiresIn } = await this.createActionToken(user, jwtConfig.tokenTypes.EMAIL_VERIFICATION);
+
+    await this.queueEmail('emailVerification', user.email, {
+      userName: user.name,
+      email: user.email,
+      actionUrl: `${config.app.url}/verify-email/${token}`,
+      expiresIn,
+    });
+
+    console.log(`📧 Verification email queued for: ${user.email}`);
+  }
+
+  async verifyEmail(token) {
+    const decoded = await this.consumeActionToken(token, jwtConfig.tokenTypes.EMAIL_VERIFICATION);
+
+    const user = await userRepository.findById(decoded.userId);
+    // Token cấp cho email cũ không xác thực được email mới
+    if (!user || user.email !== decoded.email) {
+      throw new Error('Invalid or expired token');
+    }
+
+    const updatedUser = await userRepository.update(user.id, { isEmailVerified: true });
+
+    console.log(`✅ Email verified: ${user.email}`);
+    return this.sanitizeUser(updatedUser);
+  }
+
+  // Resend - same silent behaviour as forgot password
+  async resendVerification(email) {
+    const user = email ? await this.findUserByEmail(email) : null;
+
+    if (!user || !user.isActive || user.isEmailVerified) {
+      console.log('📧 Verification resend skipped (unknown, inactive or already verified)');
+      return;
+    }
+
+    await this.sendVerificationEmail(user);
+  }
+
   // Password validation
   validatePassword(password) {
     if (!password || password.length < 8) {
@@ -593,7 +911,14 @@ class AuthService {
 
   // Sanitize user data
   sanitizeUser(user) {
-    const { password, tokenVersion, ...sanitized } = user.toJSON ? user.toJSON() : user;
+    const {
+      password,
+      tokenVersion,
+      twoFactorSecret,
+      twoFactorRecoveryCodes,
+      twoFactorLastStep,
+      ...sanitized
+    } = user.toJSON ? user.toJSON() : user;
     return sanitized;
   }
 }
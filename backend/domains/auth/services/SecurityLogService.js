@@ -0,0 +1,74 @@
+// backend/domains/auth/services/SecurityLogService.js
+// User-facing security log (logins, failed attempts, password / 2FA changes, revoked sessions)
+const { SecurityEvent } = require('../../../models');
+const sessionService = require('./SessionService');
+
+const EVENT_TYPES = [
+  'login.success',
+  'login.failed',
+  'login.two_factor_failed',
+  'login.two_factor_locked',
+  'logout',
+  'logout.all',
+  'session.revoked',
+  'password.changed',
+  'password.change_failed',
+  'password.reset',
+  '2fa.enabled',
+  '2fa.disabled',
+  '2fa.recovery_codes_regenerated',
+  '2fa.recovery_code_used',
+  'account.deactivated',
+];
+
+class SecurityLogService {
+  /**
+   * Append an event. Never throws - a logging failure must not break login.
+   */
+  async record(userId, type, { req = {}, metadata = {} } = {}) {
+    try {
+      const userAgent = req.get?.('User-Agent') || null;
+
+      await SecurityEvent.create({
+        userId,
+        type,
+        ipAddress: req.ip || null,
+        userAgent,
+        device: userAgent ? sessionService.describeDevice(userAgent) : null,
+        location: sessionService.getLocation(req),
+        metadata,
+      });
+    } catch (error) {
+      console.error(`❌ Security log error (${type}):`, error.message);
+    }
+  }
+
+  /**
+   * A user's events, newest first (optionally one type)
+   */
+  async getForUser(userId, { type, limit = 50, offset = 0 } = {}) {
+    if (type && !EVENT_TYPES.includes(type)) {
+      throw new Error(`Invalid event type. Must be one of: ${EVENT_TYPES.join(', ')}`);
+    }
+
+    const { count, rows } = await SecurityEvent.findAndCountAll({
+      where: type ? { userId, type } : { userId },
+      attributes: ['id', 'type', 'ipAddress', 'device', 'location', 'metadata', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset,
+    });
+
+    return {
+      events: rows,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: offset + limit < count,
+      },
+    };
+  }
+}
+
+module.exports = new SecurityLogService();
@@ -0,0 +1,202 @@
+// backend/domains/auth/services/SessionService.js
+// Redis session registry: session:<id> holds the session, user:sessions:<userId> indexes a user's sessions.
+// Tokens carry the session id (sid) -> deleting the session revokes them on the next request.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const cacheService = require('../../../core/cache/CacheService');
+const { parseUserAgent } = require('../../../shared/utils/userAgent');
+
+const SESSION_TTL = 7 * 24 * 60 * 60; // Same lifetime as the refresh token
+const LAST_SEEN_INTERVAL = 60 * 1000; // Ghi lastActivity tối đa 1 lần/phút
+
+class SessionService {
+  generateId() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Store a new session for a login (tokens must already carry this session id)
+   */
+  async create(user, { sessionId, tokens, req = {}, loginMethod = 'password' }) {
+    const userAgent = req.get?.('User-Agent') || 'unknown';
+    const now = new Date();
+
+    const session = {
+      id: sessionId,
+      userId: user.id,
+      email: user.email,
+      tokens,
+      loginMethod,
+      createdAt: now,
+      lastActivity: now,
+      ipAddress: req.ip || 'unknown',
+      userAgent,
+      device: this.describeDevice(userAgent),
+      location: this.getLocation(req),
+    };
+
+    const saved = await cacheService.set(this.key(sessionId), session, SESSION_TTL);
+    if (!saved) {
+      throw new Error('Failed to create session');
+    }
+    await cacheService.addToSet(this.userKey(user.id), sessionId, SESSION_TTL);
+
+    console.log(`📦 Created session ${sessionId.substring(0, 8)}... for ${user.email} (${session.device.browser} on ${session.device.os})`);
+    return session;
+  }
+
+  async get(sessionId) {
+    if (!sessionId) return null;
+
+    const session = await cacheService.get(this.key(sessionId));
+    // Session cũ được lưu dạng JSON string lồng nhau
+    return typeof session === 'string' ? JSON.parse(session) : session;
+  }
+
+  /**
+   * Record activity from an authenticated request (throttled, keeps the session TTL).
+   * Returns false if the session was revoked meanwhile - it is not written back.
+   */
+  async touch(session, req = {}) {
+    if (Date.now() - new Date(session.lastActivity).getTime() < LAST_SEEN_INTERVAL) {
+      return true;
+    }
+
+    const updated = await cacheService.setIfExists(this.key(session.id), {
+      ...session,
+      lastActivity: new Date(),
+      ipAddress: req.ip || session.ipAddress,
+    });
+    return updated !== false; // lỗi Redis không chặn request
+  }
+
+  // Refresh rotates the tokens but keeps the session. Throws if the session was revoked meanwhile.
+  async updateTokens(session, tokens) {
+    const updated = await cacheService.setIfExists(this.key(session.id), {
+      ...session,
+      tokens,
+      lastActivity: new Date(),
+    });
+    if (!updated) {
+      throw new Error('Session has been revoked');
+    }
+  }
+
+  /**
+   * A user's active sessions, most recently used first. currentSessionId gets current: true.
+   */
+  async listForUser(userId, currentSessionId = null) {
+    const sessionIds = await cacheService.getSetMembers(this.userKey(userId));
+    if (sessionIds.length === 0) return [];
+
+    const sessions = await cacheService.mget(sessionIds.map((id) => this.key(id)));
+
+    // Dọn các session đã hết hạn khỏi index
+    const expired = sessionIds.filter((id, index) => !sessions[index]);
+    await cacheService.removeFromSet(this.userKey(userId), ...expired);
+
+    return sessions
+      .filter(Boolean)
+      .map((session) => (typeof session === 'string' ? JSON.parse(session) : session))
+      .filter((session) => session.userId === userId)
+      .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+      .map((session) => this.toPublic(session, currentSessionId));
+  }
+
+  /**
+   * Revoke one of the user's sessions. Throws 'Session not found' for other users' sessions.
+   */
+  async revoke(userId, sessionId) {
+    const session = await this.get(sessionId);
+    if (!session || session.userId !== userId) {
+      throw new Error('Session not found');
+    }
+
+    await this.destroy(session);
+    return this.toPublic(session);
+  }
+
+  /**
+   * Revoke every session of a user (optionally keeping one). Returns the number revoked.
+   */
+  async revokeAll(userId, { exceptSessionId = null } = {}) {
+    const sessionIds = await cacheService.getSetMembers(this.userKey(userId));
+    let revoked = 0;
+
+    for (const sessionId of sessionIds) {
+      if (sessionId === exceptSessionId) continue;
+
+      const session = await this.get(sessionId);
+      if (session) {
+        await this.destroy(session);
+        revoked++;
+      } else {
+        await cacheService.removeFromSet(this.userKey(userId), sessionId);
+      }
+    }
+
+    return revoked;
+  }
+
+  // Delete the session and blacklist its tokens
+  async destroy(session) {
+    for (const token of [session.tokens?.accessToken, session.tokens?.refreshToken]) {
+      if (!token) continue;
+
+      const decoded = jwt.decode(token);
+      const ttl = decoded?.exp ? decoded.exp - Math.floor(Date.now() / 1000) : 0;
+      if (ttl > 0) {
+        await cacheService.set(`blacklist:${token}`, 'true', ttl);
+      }
+    }
+
+    await cacheService.del(this.key(session.id));
+    await cacheService.removeFromSet(this.userKey(session.userId), session.id);
+    console.log(`🗑️ Session ${session.id.substring(0, 8)}... revoked for ${session.email}`);
+  }
+
+  // ===== HELPERS =====
+
+  toPublic(session, currentSessionId = null) {
+    return {
+      id: session.id,
+      device: session.device || this.describeDevice(session.userAgent),
+      ipAddress: session.ipAddress,
+      location: session.location || null,
+      loginMethod: session.loginMethod || 'password',
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastActivity,
+      current: session.id === currentSessionId,
+    };
+  }
+
+  /**
+   * Browser / OS / device type from the User-Agent (enough for a device list)
+   */
+  describeDevice(userAgent = '') {
+    const ua = String(userAgent || '');
+    const { browser, browserVersion, os, deviceType } = parseUserAgent(ua);
+
+    return {
+      browser: browser ? `${browser}${browserVersion ? ` ${browserVersion.split('.')[0]}` : ''}` : 'Unknown',
+      os: os || 'Unknown',
+      deviceType: ua && ua !== 'unknown' ? deviceType : 'unknown',
+    };
+  }
+
+  // Country from CDN / proxy headers when available (no GeoIP lookup here)
+  getLocation(req = {}) {
+    const country = req.get?.('CF-IPCountry') || req.get?.('X-Country-Code');
+    return country && country !== 'XX' ? { country: country.toUpperCase() } : null;
+  }
+
+  key(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  userKey(userId) {
+    return `user:sessions:${userId}`;
+  }
+}
+
+module.exports = new SessionService();
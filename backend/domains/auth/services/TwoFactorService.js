@@ -0,0 +1,250 @@
+// backend/domains/auth/services/TwoFactorService.js
+// TOTP enrolment, encrypted secrets and hashed one-time recovery codes
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { Op } = require('sequelize');
+const { User, sequelize } = require('../../../models');
+const cacheService = require('../../../core/cache/CacheService');
+const settingsService = require('../../../core/settings/SettingsService');
+const config = require('../../../config');
+const jwtConfig = require('../config/jwt');
+const totpService = require('./TotpService');
+
+const SETUP_TTL = 10 * 60; // 10 minutes to scan the QR code and confirm
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+  // ===== POLICY =====
+
+  /**
+   * Whether the user's role must have 2FA (security.requireTwoFactorForAdmins)
+   */
+  isRequiredFor(user) {
+    return user.role === 'admin' && settingsService.get('security.requireTwoFactorForAdmins');
+  }
+
+  async getStatus(userId) {
+    const user = await this.findUser(userId);
+
+    return {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: (user.twoFactorRecoveryCodes || []).length,
+      required: this.isRequiredFor(user),
+    };
+  }
+
+  // ===== ENROLMENT =====
+
+  /**
+   * Step 1: new secret kept in Redis until the user confirms a code from the app
+   */
+  async startSetup(userId) {
+    const user = await this.findUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totpService.generateSecret();
+    await cacheService.set(`2fa:setup:${user.id}`, this.encryptSecret(secret), SETUP_TTL);
+
+    const otpauthUri = totpService.buildOtpauthUri(secret, user.email, config.app.name);
+
+    console.log(`🔐 2FA setup started for: ${user.email}`);
+    return {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri),
+      expiresIn: SETUP_TTL,
+    };
+  }
+
+  /**
+   * Step 2: confirm the first code -> enable and return recovery codes (shown once)
+   */
+  async enable(userId, code) {
+    const user = await this.findUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const pending = await cacheService.get(`2fa:setup:${user.id}`);
+    if (!pending) {
+      throw new Error('Two-factor setup expired. Please start again');
+    }
+
+    const step = totpService.verify(this.decryptSecret(pending), code);
+    if (step === null) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await user.update({
+      twoFactorEnabled: true,
+      twoFactorSecret: pending,
+      twoFactorRecoveryCodes: hashes,
+      twoFactorLastStep: step,
+      twoFactorEnabledAt: new Date(),
+    });
+
+    await cacheService.del(`2fa:setup:${user.id}`);
+    await this.clearUserCache(user);
+
+    console.log(`✅ 2FA enabled for: ${user.email}`);
+    return { recoveryCodes: codes };
+  }
+
+  /**
+   * Disable - needs the current password (if any) and a TOTP or recovery code
+   */
+  async disable(userId, { password, code }) {
+    const user = await this.findUser(userId);
+    if (!user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (this.isRequiredFor(user)) {
+      throw new Error('Two-factor authentication is required for your role');
+    }
+
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      throw new Error('Current password is incorrect');
+    }
+
+    await this.verifyUserCode(user, code);
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastStep: null,
+      twoFactorEnabledAt: null,
+    });
+    await this.clearUserCache(user);
+
+    console.log(`🔓 2FA disabled for: ${user.email}`);
+  }
+
+  /**
+   * Replace all recovery codes (requires a TOTP code, not a recovery code)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.findUser(userId);
+    if (!user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    await this.verifyUserCode(user, code, { allowRecovery: false });
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await user.update({ twoFactorRecoveryCodes: hashes });
+
+    console.log(`🔐 Recovery codes regenerated for: ${user.email}`);
+    return { recoveryCodes: codes };
+  }
+
+  // ===== VERIFICATION =====
+
+  /**
+   * Verify a TOTP code or a recovery code. Each TOTP step and each recovery code works once.
+   * Returns 'totp' | 'recovery', throws 'Invalid two-factor code'.
+   */
+  async verifyUserCode(user, code, { allowRecovery = true } = {}) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+
+    if (/^\d{6}$/.test(normalized)) {
+      const step = totpService.verify(this.decryptSecret(user.twoFactorSecret), normalized, {
+        afterStep: user.twoFactorLastStep ?? -1,
+      });
+
+      if (step !== null) {
+        // Conditional update: 2 request đồng thời với cùng code -> chỉ 1 cái thắng
+        const [updated] = await User.update(
+          { twoFactorLastStep: step },
+          {
+            where: {
+              id: user.id,
+              [Op.or]: [{ twoFactorLastStep: null }, { twoFactorLastStep: { [Op.lt]: step } }],
+            },
+          }
+        );
+
+        if (updated) {
+          user.setDataValue('twoFactorLastStep', step);
+          return 'totp';
+        }
+      }
+    } else if (allowRecovery && normalized) {
+      const hash = this.hashRecoveryCode(normalized);
+
+      const [updated] = await User.update(
+        { twoFactorRecoveryCodes: sequelize.literal(`two_factor_recovery_codes - ${sequelize.escape(hash)}`) },
+        { where: { id: user.id, twoFactorRecoveryCodes: { [Op.contains]: [hash] } } }
+      );
+
+      if (updated) {
+        console.log(`🔐 Recovery code used by: ${user.email}`);
+        return 'recovery';
+      }
+    }
+
+    throw new Error('Invalid two-factor code');
+  }
+
+  // ===== HELPERS =====
+
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map((code) => this.hashRecoveryCode(code)) };
+  }
+
+  // Recovery code có entropy cao -> SHA-256 là đủ (không cần bcrypt)
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  getEncryptionKey() {
+    return crypto
+      .createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || jwtConfig.secret)
+      .digest();
+  }
+
+  // AES-256-GCM -> "iv:tag:ciphertext" (base64)
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = String(payload || '').split(':').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  async findUser(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  async clearUserCache(user) {
+    await cacheService.del(`user:id:${user.id}`);
+    await cacheService.del(`user:email:${user.email}`);
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -1,5 +1,7 @@
 // backend/domains/links/controllers/DomainController.js
 const domainService = require('../services/DomainService');
+const settingsService = require('../../../core/settings/SettingsService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
 
 // ✅ Unified error codes
 const ERROR_CODES = {
@@ -52,7 +54,7 @@ class DomainController {
    */
   async addDomain(req, res) {
     try {
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
       const { domain, displayName } = req.body;
 
       // Validation
@@ -65,7 +67,7 @@ class DomainController {
         );
       }
 
-      const result = await domainService.addDomain(userId, {
+      const result = await domainService.addDomain(scope, {
         domain: domain.trim(),
         displayName: displayName?.trim()
       });
@@ -113,7 +115,7 @@ class DomainController {
    */
   async getUserDomains(req, res) {
     try {
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
       const {
         limit = 20,
         offset = 0,
@@ -126,7 +128,7 @@ class DomainController {
         includeInactive: includeInactive === 'true'
       };
 
-      const result = await domainService.getUserDomains(userId, options);
+      const result = await domainService.getUserDomains(scope, options);
 
       return sendSuccessResponse(
         res,
@@ -151,10 +153,10 @@ class DomainController {
    */
   async getDomain(req, res) {
     try {
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
       const domainId = req.params.id;
 
-      const result = await domainService.getDomainStats(domainId, userId);
+      const result = await domainService.getDomainStats(domainId, scope);
 
       return sendSuccessResponse(
         res,
@@ -189,10 +191,10 @@ class DomainController {
    */
   async verifyDomain(req, res) {
     try {
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
       const domainId = req.params.id;
 
-      const result = await domainService.verifyDomain(domainId, userId);
+      const result = await domainService.verifyDomain(domainId, scope);
 
       if (result.verified) {
         return sendSuccessResponse(
@@ -240,7 +242,7 @@ class DomainController {
    */
   async updateDomain(req, res) {
     try {
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
       const domainId = req.params.id;
       const updateData = req.body;
 
@@ -270,7 +272,7 @@ class DomainController {
         );
       }
 
-      const updatedDomain = await domainService.updateDomain(domainId, userId, filteredData);
+      const updatedDomain = await domainService.updateDomain(domainId, scope, filteredData);
 
       return sendSuccessResponse(
         res,
@@ -305,10 +307,10 @@ class DomainController {
    */
   async deleteDomain(req, res) {
     try {
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
       const domainId = req.params.id;
 
-      await domainService.deleteDomain(domainId, userId);
+      await domainService.deleteDomain(domainId, scope);
 
       return sendSuccessResponse(
         res,
@@ -351,11 +353,11 @@ class DomainController {
    */
   async getVerificationInstructions(req, res) {
     try {
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
       const domainId = req.params.id;
 
       // Get domain to ensure ownership
-      const result = await domainService.getDomainStats(domainId, userId);
+      const result = await domainService.getDomainStats(domainId, scope);
       const domain = result.domain;
 
       if (domain.isVerified) {
@@ -397,7 +399,7 @@ class DomainController {
                 record: {
                   type: 'CNAME',
                   name: domain.domain,
-                  value: process.env.SYSTEM_DOMAIN || 'shortlink.com',
+                  value: settingsService.get('system.domain') || 'shortlink.com',
                   ttl: 300
                 }
               },
@@ -1,14 +1,25 @@
 const linkService = require('../services/LinkService');
+const bulkLinkService = require('../services/BulkLinkService');
+const linkImportService = require('../services/LinkImportService');
+const linkExportService = require('../services/LinkExportService');
+const bullMQService = require('../../../core/queue/BullMQService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
 const config = require('../../../config');
 
 class LinkController {
   // POST /api/links - Create new shortlink
   async create(req, res) {
     try {
-      const userId = req.user.id; // From auth middleware
-      const linkData = req.body;
+      const scope = workspaceService.scopeFor(req); // Personal or current workspace
+      const linkData = { ...req.body };
 
-      const link = await linkService.createLink(userId, linkData);
+      // No domain given -> user's default domain from profile (domainId: null forces the system domain)
+      // The default domain is a personal one, so it does not apply inside a workspace
+      if (linkData.domainId === undefined && req.user.defaultDomainId && !scope.workspaceId) {
+        linkData.domainId = req.user.defaultDomainId;
+      }
+
+      const link = await linkService.createLink(scope, linkData);
 
       // Use correct API URL for shortlink
       const apiUrl = config.app.apiUrl || process.env.API_URL || 'http://localhost:4000';
@@ -36,10 +47,187 @@ class LinkController {
     }
   }
 
+  // POST /api/links/bulk - Bulk create/delete/deactivate/retag/move
+  async bulk(req, res) {
+    try {
+      const scope = workspaceService.scopeFor(req);
+      const { action, items, tags, tagMode, domainId, atomic } = req.body;
+
+      const result = await bulkLinkService.execute(scope, {
+        action,
+        items,
+        tags,
+        tagMode,
+        domainId,
+        atomic: atomic === true || atomic === 'true'
+      });
+
+      // 207 when some items failed so clients know to inspect per-item results
+      const statusCode = result.summary.failed > 0 ? 207 : 200;
+
+      res.status(statusCode).json({
+        success: result.committed && result.summary.failed === 0,
+        message: result.committed
+          ? `Bulk ${action} completed: ${result.summary.succeeded} succeeded, ${result.summary.failed} failed`
+          : `Bulk ${action} rolled back: ${result.summary.failed} items failed`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Bulk operation error:', error);
+
+      const isValidationError = /^(Invalid|Items|Too many|Domain not found|Tags)/.test(error.message);
+
+      res.status(isValidationError ? 400 : 500).json({
+        success: false,
+        error: error.message,
+        message: 'Failed to run bulk operation'
+      });
+    }
+  }
+
+  // POST /api/links/import - Queue CSV/JSON import (or dry run)
+  async importLinks(req, res) {
+    try {
+      const { userId, workspaceId } = workspaceService.scopeFor(req);
+      const body = req.body;
+      const isJsonBody = body && typeof body === 'object';
+
+      const format = req.query.format || (isJsonBody && body.format) || (req.is('text/csv') ? 'csv' : 'json');
+      const dryRunValue = req.query.dryRun ?? (isJsonBody ? body.dryRun : undefined);
+      const dryRun = dryRunValue === true || dryRunValue === 'true';
+      const domainId = req.query.domainId || (isJsonBody && body.domainId) || null;
+
+      // Raw CSV body, JSON array/{ links }, or { content } wrapping a CSV string
+      const content = isJsonBody && typeof body.content === 'string' ? body.content : body;
+
+      const rows = linkImportService.parseFile(content, format);
+
+      if (!bullMQService.isInitialized) {
+        // Without the queue we can still give a dry-run report inline
+        if (!dryRun) {
+          return res.status(503).json({
+            success: false,
+            message: 'Background job system not initialized'
+          });
+        }
+
+        const report = await linkImportService.runImport({ userId, rows, options: { dryRun, domainId, workspaceId } });
+        return res.json({
+          success: true,
+          message: 'Dry-run completed',
+          data: { jobId: null, state: 'completed', result: report }
+        });
+      }
+
+      const jobId = await bullMQService.addImportJob(userId, rows, { dryRun, domainId, workspaceId });
+
+      res.status(202).json({
+        success: true,
+        message: dryRun ? 'Dry-run queued' : 'Import queued',
+        data: {
+          jobId,
+          totalRows: rows.length,
+          dryRun,
+          statusUrl: `/api/links/import/${jobId}`
+        }
+      });
+    } catch (error) {
+      console.error('Import links error:', error);
+
+      const isValidationError = /^(Invalid|Import file|Too many|Domain not found)/.test(error.message);
+
+      res.status(isValidationError ? 400 : 500).json({
+        success: false,
+        error: error.message,
+        message: 'Failed to import links'
+      });
+    }
+  }
+
+  // GET /api/links/import/:jobId - Poll import progress and report
+  async getImportStatus(req, res) {
+    try {
+      if (!bullMQService.isInitialized) {
+        return res.status(503).json({
+          success: false,
+          message: 'Background job system not initialized'
+        });
+      }
+
+      const job = await linkImportService.getJob(req.user.id, req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import job not found'
+        });
+      }
+
+      const { userId, ...status } = job;
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      console.error('Get import status error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        message: 'Failed to get import status'
+      });
+    }
+  }
+
+  // GET /api/links/export - Stream all user's (or workspace's) links as CSV, JSON or NDJSON
+  async exportLinks(req, res) {
+    const scope = workspaceService.scopeFor(req);
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const filters = {
+      search: req.query.search,
+      campaign: req.query.campaign,
+      sortBy: req.query.sortBy || 'createdAt',
+      sortOrder: req.query.sortOrder || 'DESC'
+    };
+
+    // Validate before any bytes are sent - errors after that can only abort the stream
+    let formatConfig;
+    try {
+      formatConfig = linkExportService.getFormat(format);
+      linkExportService.buildExportQuery(scope, filters);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        message: 'Invalid export request'
+      });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', formatConfig.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="links-export-${date}.${formatConfig.extension}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      await linkExportService.streamLinks(scope, format, filters, res);
+    } catch (error) {
+      console.error('Export links error:', error);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        return res.status(500).json({
+          success: false,
+          error: error.message,
+          message: 'Failed to export links'
+        });
+      }
+      res.destroy(error);
+    }
+  }
+
   // GET /api/links - List user's links
   async list(req, res) {
     try {
-      const userId = req.user.id; // From auth middleware
+      const scope = workspaceService.scopeFor(req);
       const options = {
         limit: parseInt(req.query.limit) || 20,
         offset: parseInt(req.query.offset) || 0,
@@ -47,7 +235,7 @@ class LinkController {
         search: req.query.search
       };
 
-      const result = await linkService.getUserLinks(userId, options);
+      const result = await linkService.getUserLinks(scope, options);
 
       // Add shortUrl to each link
       const apiUrl = config.app.apiUrl || process.env.API_URL || 'http://localhost:4000';
@@ -83,9 +271,9 @@ class LinkController {
   // GET /api/links/stats - Get user stats
   async stats(req, res) {
     try {
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
 
-      const stats = await linkService.getUserStats(userId);
+      const stats = await linkService.getUserStats(scope);
 
       res.json({
         success: true,
@@ -127,10 +315,10 @@ class LinkController {
   async update(req, res) {
     try {
       const linkId = req.params.id;
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
       const updateData = req.body;
 
-      const updatedLink = await linkService.updateLink(linkId, userId, updateData);
+      const updatedLink = await linkService.updateLink(linkId, scope, updateData);
 
       if (!updatedLink) {
         return res.status(404).json({
@@ -151,6 +339,22 @@ class LinkController {
       });
     } catch (error) {
       console.error('Update link error:', error);
+
+      if (error.message === 'Link not found or unauthorized') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (/^(Invalid URL|Invalid routing|Too many routing|Invalid split|Invalid redirect type|Invalid social preview|Invalid availability|Invalid maxClicks|Invalid maxUniqueClicks|Invalid activateAt|Invalid fallbackUrl|Destination not allowed|Link has been blocked)/.test(error.message)) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          message: 'Failed to update link'
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: error.message,
@@ -163,9 +367,9 @@ class LinkController {
   async delete(req, res) {
     try {
       const linkId = req.params.id;
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
 
-      const deleted = await linkService.deleteLink(linkId, userId);
+      const deleted = await linkService.deleteLink(linkId, scope);
 
       if (!deleted) {
         return res.status(404).json({
@@ -192,9 +396,9 @@ class LinkController {
   async analytics(req, res) {
     try {
       const linkId = req.params.id;
-      const userId = req.user.id;
+      const scope = workspaceService.scopeFor(req);
 
-      const analytics = await linkService.getLinkAnalytics(linkId, userId);
+      const analytics = await linkService.getLinkAnalytics(linkId, scope);
 
       res.json({
         success: true,
@@ -1,6 +1,16 @@
 // backend/domains/links/controllers/RedirectController.js - FIXED METHOD BINDING
 const linkService = require('../services/LinkService');
 const domainService = require('../services/DomainService');
+const settingsService = require('../../../core/settings/SettingsService');
+const geoIpService = require('../../../core/geo/GeoIpService');
+const crypto = require('crypto');
+const redirectPages = require('../views/redirectPages');
+const splitTestService = require('../services/SplitTestService');
+
+// A/B split: variant của visitor, cookie theo path /<shortCode> nên mỗi link có cookie riêng
+const VARIANT_COOKIE = 'sl_variant';
+const VARIANT_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
 
 class RedirectController {
   
@@ -40,7 +50,7 @@ class RedirectController {
       
       // Determine if this is a custom domain or system domain
       let targetDomain = null;
-      const systemDomain = (process.env.SYSTEM_DOMAIN || 'localhost').split(':')[0].toLowerCase();
+      const systemDomain = (settingsService.get('system.domain') || 'localhost').split(':')[0].toLowerCase();
       
       if (domainName && domainName !== systemDomain) {
         // This is potentially a custom domain request
@@ -56,6 +66,8 @@ class RedirectController {
         ipAddress: this.getClientIP(req),
         userAgent: userAgent,
         referrer: req.get('Referer') || null,
+        acceptLanguage: req.get('Accept-Language') || null,
+        stickyVariantId: this.getCookie(req, VARIANT_COOKIE),
         timestamp: new Date()
       };
       
@@ -71,28 +83,38 @@ class RedirectController {
       );
 
       if (!result) {
-        return this.handleLinkNotFound(res, shortCode, domainName);
+        return this.handleLinkNotFound(res, shortCode, domainName, targetDomain);
       }
       
       // Handle special cases
       if (result.blocked) {
-        return this.handleBlockedLink(res, result, shortCode);
+        return this.handleBlockedLink(res, result, shortCode, targetDomain);
       }
       
       if (result.passwordRequired) {
-        return this.handlePasswordProtected(res, result, shortCode);
+        return this.handlePasswordProtected(res, result, shortCode, targetDomain);
+      }
+
+      // Expired / not live yet -> the owner's fallbackUrl (not counted as a click)
+      if (result.fallback) {
+        console.log(`↪️ Fallback redirect: ${shortCode} (${result.fallback}) -> ${result.originalUrl}`);
+        return this.sendRedirect(res, result, shortCode, targetDomain);
       }
 
       // Log successful click
       console.log(`✅ Click processed: ${domainName || systemDomain}/${shortCode} -> ${result.originalUrl}`);
 
-      // Handle bot traffic differently
-      if (this.isBot(userAgent)) {
+      if (result.variantId) {
+        this.setVariantCookie(req, res, shortCode, result.variantId);
+      }
+
+      // Crawlers get the social preview page (hit already counted as a bot click)
+      if (result.isBot) {
         return this.handleBotTraffic(res, result, shortCode);
       }
 
-      // Perform redirect
-      res.redirect(302, result.originalUrl);
+      // Perform redirect (link.redirectType)
+      return this.sendRedirect(res, result, shortCode, targetDomain);
 
     } catch (error) {
       console.error('❌ Redirect error:', error);
@@ -121,7 +143,7 @@ class RedirectController {
       
       // Determine target domain
       let targetDomain = null;
-      const systemDomain = (process.env.SYSTEM_DOMAIN || 'localhost').split(':')[0].toLowerCase();
+      const systemDomain = (settingsService.get('system.domain') || 'localhost').split(':')[0].toLowerCase();
       
       if (domainName && domainName !== systemDomain) {
         targetDomain = await domainService.getDomainByName(domainName);
@@ -160,6 +182,8 @@ class RedirectController {
         metadata: link.urlMetadata || {},
         isActive: link.isActive,
         isExpired: link.isExpired(),
+        isScheduled: link.isScheduled(),
+        isWithinAvailability: link.isWithinAvailability(),
         requiresPassword: !!link.password,
         hasGeoRestrictions: !!(link.geoRestrictions && Object.keys(link.geoRestrictions).length > 0)
       };
@@ -190,13 +214,6 @@ class RedirectController {
       const domainName = hostDomain ? 
         hostDomain.split(':')[0].toLowerCase() : null;
       
-      if (!password) {
-        return res.status(400).json({
-          success: false,
-          message: 'Password is required'
-        });
-      }
-      
       // ✅ FIX 5: Add validation here too
       if (!this.isValidShortCode(shortCode)) {
         return res.status(400).json({
@@ -208,17 +225,29 @@ class RedirectController {
       
       // Determine target domain
       let targetDomain = null;
-      const systemDomain = (process.env.SYSTEM_DOMAIN || 'localhost').split(':')[0].toLowerCase();
+      const systemDomain = (settingsService.get('system.domain') || 'localhost').split(':')[0].toLowerCase();
       
       if (domainName && domainName !== systemDomain) {
         targetDomain = await domainService.getDomainByName(domainName);
       }
+
+      if (!password) {
+        if (this.wantsHtml(res.req)) {
+          return this.sendPage(res, 400, redirectPages.password({ shortCode, error: 'Password is required', domain: targetDomain }));
+        }
+        return res.status(400).json({
+          success: false,
+          message: 'Password is required'
+        });
+      }
       
       // Collect click data with password
       const clickData = {
         ipAddress: this.getClientIP(req),
         userAgent: req.get('User-Agent') || '',
         referrer: req.get('Referer') || null,
+        acceptLanguage: req.get('Accept-Language') || null,
+        stickyVariantId: this.getCookie(req, VARIANT_COOKIE),
         timestamp: new Date(),
         password: password,
         passwordProvided: true
@@ -234,30 +263,26 @@ class RedirectController {
       );
       
       if (!result) {
-        return res.status(404).json({
-          success: false,
-          message: 'Link not found'
-        });
+        return this.handleLinkNotFound(res, shortCode, domainName, targetDomain);
       }
       
       if (result.passwordRequired) {
-        return res.status(401).json({
-          success: false,
-          message: result.error || 'Invalid password',
-          passwordRequired: true
-        });
+        return this.handlePasswordProtected(res, { ...result, error: result.error || 'Invalid password' }, shortCode, targetDomain);
       }
       
       if (result.blocked) {
-        return res.status(403).json({
-          success: false,
-          message: result.reason === 'expired' ? 
-            'Link has expired' : 'Access blocked',
-          blocked: true,
-          reason: result.reason
-        });
+        return this.handleBlockedLink(res, result, shortCode, targetDomain);
       }
       
+      if (result.variantId) {
+        this.setVariantCookie(req, res, shortCode, result.variantId);
+      }
+
+      // Password form from the HTML page -> follow the link's redirect type (303 after the POST)
+      if (this.wantsHtml(req)) {
+        return this.sendRedirect(res, result, shortCode, targetDomain, { afterPost: true });
+      }
+
       // Success - return redirect URL
       res.json({
         success: true,
@@ -275,6 +300,62 @@ class RedirectController {
     }
   }
 
+  /**
+   * POST /conversions - Conversion postback for an A/B split click
+   * Body: { clickId, value? } - clickId is the signed links.conversionParam value the destination
+   * received (<click id>.<signature>), a bare or forged click id is rejected
+   */
+  recordConversion = async (req, res) => {  // ✅ Arrow function
+    try {
+      const { clickId, value = null } = req.body || {};
+      const recorded = await splitTestService.recordConversion(clickId, value);
+
+      if (!recorded) {
+        return res.status(404).json({
+          success: false,
+          message: 'Click not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Conversion recorded'
+      });
+    } catch (error) {
+      if (error.message === 'Invalid conversion value') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('❌ Conversion error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        message: 'Failed to record conversion'
+      });
+    }
+  }
+
+  /**
+   * GET /conversions/pixel.gif?click=<signed clickId>&value= - Same as the postback, as a tracking pixel
+   */
+  conversionPixel = async (req, res) => {  // ✅ Arrow function
+    try {
+      await splitTestService.recordConversion(req.query.click, req.query.value);
+    } catch (error) {
+      console.warn('⚠️ Conversion pixel error:', error.message);
+    }
+
+    // Luôn trả về pixel để không làm vỡ trang đích
+    res.set({
+      'Content-Type': 'image/gif',
+      'Cache-Control': 'no-store'
+    });
+    res.send(PIXEL_GIF);
+  }
+
   // ===== ERROR HANDLERS =====
 
   /**
@@ -282,6 +363,10 @@ class RedirectController {
    */
   handleDomainNotFound = (res, domainName, shortCode) => {  // ✅ Arrow function
     console.log(`❌ Domain not found: ${domainName}`);
+
+    if (this.wantsHtml(res.req)) {
+      return this.sendPage(res, 404, redirectPages.notFound({ shortCode }));
+    }
     
     return res.status(404).json({
       success: false,
@@ -295,8 +380,12 @@ class RedirectController {
   /**
    * Handle link not found
    */
-  handleLinkNotFound = (res, shortCode, domainName) => {  // ✅ Arrow function
+  handleLinkNotFound = (res, shortCode, domainName, domain = null) => {  // ✅ Arrow function
     console.log(`❌ Link not found: ${domainName || 'system'}/${shortCode}`);
+
+    if (this.wantsHtml(res.req)) {
+      return this.sendPage(res, 404, redirectPages.notFound({ shortCode, domain }));
+    }
     
     return res.status(404).json({
       success: false,
@@ -307,15 +396,30 @@ class RedirectController {
   }
 
   /**
-   * Handle blocked links
+   * Handle blocked links (expired, not live yet, flagged, moderation, geo restriction)
    */
-  handleBlockedLink = (res, result, shortCode) => {  // ✅ Arrow function
+  handleBlockedLink = (res, result, shortCode, domain = null) => {  // ✅ Arrow function
     const statusCode = result.reason === 'expired' ? 410 : 403;
-    const message = result.reason === 'expired' 
-      ? 'This link has expired' 
-      : 'Access to this link is restricted';
+    const messages = {
+      expired: 'This link has expired',
+      scheduled: 'This link is not active yet',
+      unavailable: 'This link is not available at this time',
+      pending_review: 'This link is awaiting review',
+      geo: 'This link is not available in your region',
+    };
+    const message = messages[result.reason] || 'Access to this link is restricted';
     
     console.log(`🚫 Link blocked: ${shortCode} - ${result.reason}`);
+
+    // Browser -> HTML page instead of raw JSON (flagged links: warning without the custom template)
+    if (this.wantsHtml(res.req)) {
+      const pages = {
+        malicious: () => redirectPages.malicious({ shortCode, originalUrl: result.originalUrl, details: result.details }),
+        expired: () => redirectPages.expired({ shortCode, domain }),
+      };
+      const render = pages[result.reason] || (() => redirectPages.unavailable({ reason: result.reason, shortCode, domain }));
+      return this.sendPage(res, statusCode, render());
+    }
     
     return res.status(statusCode).json({
       success: false,
@@ -327,36 +431,60 @@ class RedirectController {
   }
 
   /**
-   * Handle password-protected links
+   * Handle password-protected links (password form, again with the error after a wrong password)
    */
-  handlePasswordProtected = (res, result, shortCode) => {  // ✅ Arrow function
+  handlePasswordProtected = (res, result, shortCode, domain = null) => {  // ✅ Arrow function
     console.log(`🔒 Password required: ${shortCode}`);
+
+    if (this.wantsHtml(res.req)) {
+      return this.sendPage(
+        res,
+        401,
+        redirectPages.password({ shortCode, title: result.link?.title, error: result.error, domain })
+      );
+    }
     
     return res.status(401).json({
       success: false,
-      message: 'This link is password protected',
+      message: result.error || 'This link is password protected',
       passwordRequired: true,
       shortCode: shortCode,
-      link: result.link,
+      title: result.link?.title || null,
       error: result.error || null
     });
   }
 
   /**
-   * Handle bot traffic
+   * Handle bot traffic: OpenGraph / Twitter card page instead of a redirect, so shared
+   * links get a preview (API clients asking for JSON still get the link info)
    */
   handleBotTraffic = (res, result, shortCode) => {  // ✅ Arrow function
     console.log(`🤖 Bot detected: ${shortCode}`);
-    
-    // For bots, return link info instead of redirecting
-    return res.json({
-      success: true,
-      message: 'Link information for bot',
-      shortCode: shortCode,
-      originalUrl: result.originalUrl,
-      title: result.link.title,
-      isBot: true
-    });
+
+    const { req } = res;
+    if (req.accepts(['html', 'json']) !== 'html') {
+      return res.json({
+        success: true,
+        message: 'Link information for bot',
+        shortCode: shortCode,
+        originalUrl: result.originalUrl,
+        title: result.preview.title,
+        description: result.preview.description,
+        image: result.preview.image || null,
+        isBot: true
+      });
+    }
+
+    // no-store: cùng URL với redirect của người dùng, cache chung không được giữ trang này
+    return this.sendPage(
+      res,
+      200,
+      redirectPages.socialPreview({
+        shortUrl: `${req.protocol}://${req.get('Host')}/${shortCode}`,
+        url: result.originalUrl,
+        preview: result.preview
+      })
+    );
   }
 
   /**
@@ -374,6 +502,91 @@ class RedirectController {
 
   // ===== HELPER METHODS =====
 
+  /**
+   * Send the visitor to the destination by the link's redirect type:
+   * 301/302/307/308 status, or (browsers only) a meta refresh / countdown page.
+   * afterPost: answer to the password form - 303 so the password is not re-posted.
+   * Redirects are never cached: browsers keep a 301/308 forever and would skip click counting,
+   * routing rules, A/B variants, limits, expiry and blocking on later visits.
+   */
+  sendRedirect = (res, result, shortCode, domain = null, { afterPost = false } = {}) => {  // ✅ Arrow function
+    const { originalUrl, redirectType = '302' } = result;
+
+    if (redirectType === 'meta_refresh' || redirectType === 'interstitial') {
+      if (!this.wantsHtml(res.req)) {
+        return res.json({
+          success: true,
+          redirectUrl: originalUrl,
+          redirectType
+        });
+      }
+
+      if (redirectType === 'meta_refresh') {
+        return this.sendPage(res, 200, redirectPages.metaRefresh({ shortCode, url: originalUrl, domain }));
+      }
+
+      const nonce = crypto.randomBytes(16).toString('base64');
+      const seconds = settingsService.get('links.interstitialSeconds');
+      return this.sendPage(res, 200, redirectPages.interstitial({ shortCode, url: originalUrl, seconds, nonce, domain }), { nonce });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(afterPost ? 303 : parseInt(redirectType) || 302, originalUrl);
+  }
+
+  /**
+   * HTML response - never cached (each visit is a click); nonce allows the page's inline script
+   */
+  sendPage = (res, statusCode, html, { nonce = null } = {}) => {  // ✅ Arrow function
+    res.status(statusCode).set('Cache-Control', 'no-store');
+
+    if (nonce) {
+      res.set(
+        'Content-Security-Policy',
+        `default-src 'self'; script-src 'nonce-${nonce}'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; object-src 'none'; base-uri 'self'; form-action 'self'; frame-ancestors 'self'`
+      );
+    }
+
+    return res.type('html').send(html);
+  }
+
+  /**
+   * Content negotiation: browsers get HTML pages, API clients (JSON or no preference) JSON
+   */
+  wantsHtml = (req) => {  // ✅ Arrow function
+    return req.accepts(['json', 'html']) === 'html';
+  }
+
+  /**
+   * Read a cookie from the request (no cookie-parser on redirect routes)
+   */
+  getCookie = (req, name) => {  // ✅ Arrow function
+    const pair = (req.headers.cookie || '')
+      .split(';')
+      .map((part) => part.trim())
+      .find((part) => part.startsWith(`${name}=`));
+
+    if (!pair) return null;
+    try {
+      return decodeURIComponent(pair.slice(name.length + 1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Keep the A/B variant for this visitor on later visits of the link
+   */
+  setVariantCookie = (req, res, shortCode, variantId) => {  // ✅ Arrow function
+    res.cookie(VARIANT_COOKIE, variantId, {
+      path: `/${shortCode}`,
+      maxAge: VARIANT_COOKIE_MAX_AGE,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure
+    });
+  }
+
   /**
    * Get client IP address
    */
@@ -387,46 +600,10 @@ class RedirectController {
   }
 
   /**
-   * Get user location from IP (basic implementation)
+   * Get user location from IP (local GeoIP database, see GeoIpService)
    */
   getUserLocation = async (ipAddress) => {  // ✅ Arrow function
-    try {
-      // In production, you'd use a GeoIP service like MaxMind or ipapi
-      // For now, return null (no location data)
-      return null;
-      
-      /* Example with ipapi:
-      const axios = require('axios');
-      const response = await axios.get(`http://ip-api.com/json/${ipAddress}`);
-      if (response.data.status === 'success') {
-        return {
-          country: response.data.countryCode,
-          city: response.data.city,
-          region: response.data.regionName
-        };
-      }
-      */
-    } catch (error) {
-      console.log('Failed to get user location:', error.message);
-      return null;
-    }
-  }
-
-  /**
-   * Detect if user agent is a bot
-   */
-  isBot = (userAgent) => {  // ✅ Arrow function
-    if (!userAgent) return false;
-    
-    const botPatterns = [
-      'bot', 'crawler', 'spider', 'scraper',
-      'googlebot', 'bingbot', 'yahoobot',
-      'facebookexternalhit', 'twitterbot',
-      'linkedinbot', 'whatsapp', 'telegram'
-    ];
-    
-    const ua = userAgent.toLowerCase();
-    return botPatterns.some(pattern => ua.includes(pattern));
+    return geoIpService.lookup(ipAddress);
   }
 
   /**
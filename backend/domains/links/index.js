@@ -9,6 +9,9 @@ const domainController = require('./controllers/DomainController'); // ✅ NEW
 
 const linkService = require('./services/LinkService');
 const domainService = require('./services/DomainService'); // ✅ NEW
+const bulkLinkService = require('./services/BulkLinkService');
+const linkImportService = require('./services/LinkImportService');
+const linkExportService = require('./services/LinkExportService');
 
 const linkRepository = require('./repositories/LinkRepository');
 
@@ -25,7 +28,10 @@ module.exports = {
   },
   services: {
     link: linkService,
-    domain: domainService     // ✅ NEW
+    domain: domainService,    // ✅ NEW
+    bulk: bulkLinkService,
+    import: linkImportService,
+    export: linkExportService
   },
   repositories: {
     link: linkRepository
@@ -1,34 +1,17 @@
 // domains/links/repositories/LinkRepository.js
 const { Link, User, sequelize } = require('../../../models');
 const { Op } = require('sequelize');
-const cacheService = require('../../../core/cache/CacheService');
 
 class LinkRepository {
   // Create new link
   async create(linkData) {
-    const link = await Link.create(linkData);
-    
-    // Cache the link for fast redirects
-    await cacheService.setLinkCache(link.shortCode, {
-      id: link.id,
-      originalUrl: link.originalUrl,
-      userId: link.userId,
-      isActive: link.isActive
-    });
-    
-    return link;
+    // Redirect cache is maintained by LinkCacheService (model hooks)
+    return await Link.create(linkData);
   }
 
-  // Find link by short code (with cache)
+  // Find link by short code
   async findByShortCode(shortCode) {
-    // Try cache first
-    const cached = await cacheService.getLinkByShortCode(shortCode);
-    if (cached) {
-      return cached;
-    }
-
-    // If not cached, get from DB
-    const link = await Link.findOne({
+    return await Link.findOne({
       where: { shortCode, isActive: true },
       include: [{
         model: User,
@@ -36,18 +19,6 @@ class LinkRepository {
         attributes: ['id', 'email', 'name']
       }]
     });
-
-    if (link) {
-      // Cache for future requests
-      await cacheService.setLinkCache(shortCode, {
-        id: link.id,
-        originalUrl: link.originalUrl,
-        userId: link.userId,
-        isActive: link.isActive
-      });
-    }
-
-    return link;
   }
 
   // Find links by user
@@ -87,16 +58,6 @@ class LinkRepository {
       returning: true
     });
 
-    if (updatedLink) {
-      // Update cache
-      await cacheService.setLinkCache(updatedLink.shortCode, {
-        id: updatedLink.id,
-        originalUrl: updatedLink.originalUrl,
-        userId: updatedLink.userId,
-        isActive: updatedLink.isActive
-      });
-    }
-
     return updatedLink;
   }
 
@@ -104,9 +65,6 @@ class LinkRepository {
   async delete(id) {
     const link = await Link.findByPk(id);
     if (link) {
-      // Remove from cache
-      await cacheService.deleteLinkCache(link.shortCode);
-      
       // Soft delete or hard delete
       await link.destroy();
     }
@@ -12,6 +12,13 @@ const {
 
 const router = express.Router();
 
+// Managing domains may require 2FA (security.requireTwoFactorForDomains)
+const requireTwoFactor = authMiddleware.requireTwoFactor('security.requireTwoFactorForDomains');
+
+// Workspace domains (X-Workspace-Id): members can view, admins manage
+const viewDomains = authMiddleware.requireWorkspaceRole('viewer');
+const manageDomains = authMiddleware.requireWorkspaceRole('admin');
+
 // ===== MIDDLEWARE =====
 // All domain routes require authentication
 router.use(authMiddleware.verifyToken);
@@ -24,6 +31,7 @@ router.use(authMiddleware.verifyToken);
  */
 router.get('/', 
   generalLimiter,
+  viewDomains,
   domainController.getUserDomains
 );
 
@@ -33,6 +41,8 @@ router.get('/',
  */
 router.post('/', 
   createLinkLimiter, // Use same rate limit as link creation
+  manageDomains,
+  requireTwoFactor,
   domainController.addDomain
 );
 
@@ -51,6 +61,7 @@ router.get('/available',
  */
 router.get('/:id',
   generalLimiter,
+  viewDomains,
   domainController.getDomain
 );
 
@@ -60,6 +71,8 @@ router.get('/:id',
  */
 router.put('/:id',
   generalLimiter,
+  manageDomains,
+  requireTwoFactor,
   domainController.updateDomain
 );
 
@@ -69,6 +82,8 @@ router.put('/:id',
  */
 router.delete('/:id',
   generalLimiter,
+  manageDomains,
+  requireTwoFactor,
   domainController.deleteDomain
 );
 
@@ -78,6 +93,8 @@ router.delete('/:id',
  */
 router.post('/:id/verify',
   generalLimiter,
+  manageDomains,
+  requireTwoFactor,
   domainController.verifyDomain
 );
 
@@ -87,6 +104,7 @@ router.post('/:id/verify',
  */
 router.get('/:id/verification',
   generalLimiter,
+  viewDomains,
   domainController.getVerificationInstructions
 );
 
@@ -5,52 +5,70 @@ const authMiddleware = require('../../auth/middleware/authMiddleware');
 
 // Import rate limiting từ security domain  
 const securityDomain = require('../../security');
-const { createLinkLimiter } = securityDomain.middleware.rateLimiter;
+const { createLinkLimiter, bulkOperationLimiter } = securityDomain.middleware.rateLimiter;
 
 const router = express.Router();
 
-// Apply auth middleware to all routes
-router.use(authMiddleware.verifyToken);
+// Apply auth middleware to all routes (JWT or X-API-Key for CI / integrations)
+router.use(authMiddleware.flexibleAuth);
+
+// API key scopes (no-op for JWT users) + role in the current workspace (no-op for personal links)
+const viewer = authMiddleware.requireWorkspaceRole('viewer');
+const editor = authMiddleware.requireWorkspaceRole('editor');
+const readLinks = [authMiddleware.requireScope('links:read'), viewer];
+const writeLinks = [authMiddleware.requireScope('links:write'), editor];
+const readAnalytics = [authMiddleware.requireScope('analytics:read'), viewer];
 
 // ===== WORKING ROUTES (confirmed methods exist) =====
 
 // Get user stats
-router.get('/stats', linkController.stats);
+router.get('/stats', readLinks, linkController.stats);
 
 // Create new short link with rate limiting
 router.post('/', 
+  writeLinks,
   createLinkLimiter,  // 20 links per minute
   linkController.create
 );
 
+// Bulk create/delete/deactivate/retag/move (up to BULK_MAX_ITEMS per request)
+router.post('/bulk',
+  writeLinks,
+  bulkOperationLimiter, // 10 bulk requests per minute
+  linkController.bulk
+);
+
+// Import links from CSV/JSON (raw text/csv body or JSON), supports ?dryRun=true
+router.post('/import',
+  writeLinks,
+  bulkOperationLimiter,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  linkController.importLinks
+);
+
+// Poll import job progress and report
+router.get('/import/:jobId', writeLinks, linkController.getImportStatus);
+
+// Export all links (?format=csv|json|ndjson, same filters as list), streamed
+router.get('/export', readLinks, linkController.exportLinks);
+
 // Get user's links with pagination
-router.get('/', linkController.list);
+router.get('/', readLinks, linkController.list);
 
 // Get specific link details
-router.get('/:id', linkController.getById);
+router.get('/:id', readLinks, linkController.getById);
 
 // Update link
-router.put('/:id', linkController.update);
+router.put('/:id', writeLinks, linkController.update);
 
 // Delete link
-router.delete('/:id', linkController.delete);
+router.delete('/:id', writeLinks, linkController.delete);
 
 // Get link analytics
-router.get('/:id/analytics', linkController.analytics);
+router.get('/:id/analytics', readAnalytics, linkController.analytics);
 
 // ===== TODO: IMPLEMENT THESE FEATURES LATER =====
 /*
-// Bulk operations
-router.post('/bulk-delete',
-  authMiddleware.verifyToken,
-  linkController.bulkDeleteLinks
-);
-
-router.post('/bulk-update',
-  authMiddleware.verifyToken,
-  linkController.bulkUpdateLinks
-);
-
 // Toggle link status (active/inactive)
 router.patch('/:linkId/toggle',
   authMiddleware.verifyToken,
@@ -13,6 +13,10 @@ router.get('/preview/:shortCode', redirectController.preview);
 // Password submission route
 router.post('/:shortCode/password', redirectController.handlePasswordSubmission);
 
+// A/B split conversions (postback from the destination's server, or tracking pixel)
+router.post('/conversions', redirectController.recordConversion);
+router.get('/conversions/pixel.gif', redirectController.conversionPixel);
+
 // Main redirect route (this should be last to catch all remaining shortCodes)
 router.get('/:shortCode', redirectController.handleRedirect);
 
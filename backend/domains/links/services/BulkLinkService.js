@@ -0,0 +1,289 @@
+// backend/domains/links/services/BulkLinkService.js
+const { Link, Domain, sequelize } = require('../../../models');
+const validator = require('validator');
+const linkService = require('./LinkService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
+
+const BULK_ACTIONS = ['create', 'delete', 'deactivate', 'retag', 'move'];
+const TAG_MODES = ['add', 'remove', 'set'];
+const MAX_BULK_ITEMS = parseInt(process.env.BULK_MAX_ITEMS) || 5000;
+
+class BulkLinkService {
+  constructor() {
+    this.actions = BULK_ACTIONS;
+    this.tagModes = TAG_MODES;
+    this.maxItems = MAX_BULK_ITEMS;
+  }
+
+  /**
+   * Run a bulk operation inside one transaction.
+   * Every item gets its own savepoint so a failing item does not undo the others,
+   * unless `atomic` is set - then any failure rolls back the whole request.
+   * owner = userId (personal links) or { userId, workspaceId }
+   */
+  async execute(owner, { action, items, tags, tagMode = 'set', domainId = null, atomic = false }) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new Error(`Invalid bulk action. Must be one of: ${BULK_ACTIONS.join(', ')}`);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Items must be a non-empty array');
+    }
+
+    if (items.length > MAX_BULK_ITEMS) {
+      throw new Error(`Too many items. Maximum is ${MAX_BULK_ITEMS} per request`);
+    }
+
+    if (action === 'retag' && !TAG_MODES.includes(tagMode)) {
+      throw new Error(`Invalid tag mode. Must be one of: ${TAG_MODES.join(', ')}`);
+    }
+
+    const { userId, workspaceId } = workspaceService.toScope(owner);
+    console.log(`📦 Bulk ${action}: ${items.length} items for user ${userId}${workspaceId ? ` in workspace ${workspaceId}` : ''}`);
+
+    // Validation (DNS, reputation, moderation) runs before the transaction - it only holds the inserts
+    const prepared = action === 'create' ? await this.prepareItems(owner, items) : null;
+
+    const transaction = await sequelize.transaction();
+    let results;
+
+    try {
+      if (action === 'create') {
+        results = await this.createLinks(prepared, transaction);
+      } else {
+        const context = { tags, tagMode, domainId };
+
+        if (action === 'move') {
+          context.domain = await this.resolveTargetDomain(owner, domainId, transaction);
+        }
+
+        results = await this.updateLinks(owner, action, items, context, transaction);
+      }
+
+      const failed = results.filter((result) => !result.success).length;
+
+      if (atomic && failed > 0) {
+        await transaction.rollback();
+        console.log(`↩️ Bulk ${action} rolled back: ${failed} of ${items.length} items failed`);
+
+        return this.buildSummary(action, results, false);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error(`❌ Bulk ${action} error:`, error);
+      throw error;
+    }
+
+    if (action === 'create') {
+      for (const result of results.filter((r) => r.success)) {
+        await linkService.queueMetadataJob(result.link, userId);
+      }
+    }
+
+    return this.buildSummary(action, results, true);
+  }
+
+  /**
+   * Validate items and resolve their short codes, outside any transaction.
+   * Returns { index, attributes } or { index, error } per item.
+   */
+  async prepareItems(owner, items) {
+    const prepared = [];
+    const shortCodes = new Set(); // trùng short code trong cùng một request
+
+    for (const [index, item] of items.entries()) {
+      try {
+        const attributes = await linkService.prepareLinkData(owner, item || {});
+        const codeKey = `${attributes.domainId || ''}:${attributes.shortCode}`;
+
+        if (shortCodes.has(codeKey)) {
+          throw new Error('Custom short code already exists');
+        }
+        shortCodes.add(codeKey);
+
+        prepared.push({ index, attributes });
+      } catch (error) {
+        prepared.push({ index, error: this.formatItemError(error) });
+      }
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Insert prepared links one savepoint at a time
+   */
+  async createLinks(prepared, transaction) {
+    const results = [];
+
+    for (const { index, attributes, error } of prepared) {
+      if (error) {
+        results.push({ index, success: false, error });
+        continue;
+      }
+
+      try {
+        const link = await sequelize.transaction({ transaction }, (savepoint) =>
+          Link.create(attributes, { transaction: savepoint })
+        );
+
+        results.push({ index, success: true, id: link.id, link });
+      } catch (error) {
+        // Short code taken by another request since it was checked
+        const message = error.name === 'SequelizeUniqueConstraintError' ? 'Custom short code already exists' : this.formatItemError(error);
+        results.push({ index, success: false, error: message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Apply delete/deactivate/retag/move to existing links owned by the user / workspace
+   */
+  async updateLinks(owner, action, items, context, transaction) {
+    const ids = items.map((item) => (typeof item === 'object' && item !== null ? item.id : item));
+    const validIds = ids.filter((id) => typeof id === 'string' && validator.isUUID(id));
+
+    const links = await Link.findAll({
+      where: { id: validIds, ...workspaceService.scopeWhere(owner) },
+      transaction,
+    });
+    const linksById = new Map(links.map((link) => [link.id, link]));
+
+    const results = [];
+
+    for (const [index, id] of ids.entries()) {
+      if (typeof id !== 'string' || !validator.isUUID(id)) {
+        results.push({ index, id: id || null, success: false, error: 'Invalid link id' });
+        continue;
+      }
+
+      const link = linksById.get(id);
+      if (!link) {
+        results.push({ index, id, success: false, error: 'Link not found or unauthorized' });
+        continue;
+      }
+
+      try {
+        await sequelize.transaction({ transaction }, async (savepoint) => {
+          await this.applyAction(action, link, items[index], context, savepoint);
+        });
+
+        results.push({ index, id, success: true });
+      } catch (error) {
+        results.push({ index, id, success: false, error: this.formatItemError(error) });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Apply a single non-create action to a link
+   */
+  async applyAction(action, link, item, { tags, tagMode, domain }, transaction) {
+    switch (action) {
+      case 'delete':
+        await link.destroy({ transaction });
+        break;
+
+      case 'deactivate':
+        await link.update({ isActive: false }, { transaction });
+        break;
+
+      case 'retag': {
+        // Per-item tags override the request-level tags
+        const itemTags = item && typeof item === 'object' && item.tags !== undefined ? item.tags : tags;
+        await link.update({ tags: this.mergeTags(link.tags || [], itemTags, tagMode) }, { transaction });
+        break;
+      }
+
+      case 'move': {
+        const targetDomainId = domain ? domain.id : null;
+        if (link.domainId === targetDomainId) {
+          return;
+        }
+
+        if (await linkService.isShortCodeTaken(link.shortCode, targetDomainId, { transaction })) {
+          throw new Error(`Short code "${link.shortCode}" already exists on the target domain`);
+        }
+
+        await link.update({ domainId: targetDomainId }, { transaction });
+        break;
+      }
+
+      default:
+        throw new Error(`Unsupported bulk action: ${action}`);
+    }
+  }
+
+  /**
+   * Resolve the destination for a move (null = system domain)
+   */
+  async resolveTargetDomain(owner, domainId, transaction) {
+    if (!domainId) {
+      return null;
+    }
+
+    const domain = await Domain.findOne({
+      where: { id: domainId, ...workspaceService.scopeWhere(owner), isActive: true, isVerified: true },
+      transaction,
+    });
+
+    if (!domain) {
+      throw new Error('Domain not found or not verified');
+    }
+
+    return domain;
+  }
+
+  mergeTags(currentTags, tags, mode) {
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+      throw new Error('Tags must be an array of strings');
+    }
+
+    const normalized = tags.map((tag) => tag.trim()).filter(Boolean);
+
+    if (mode === 'add') {
+      return [...new Set([...currentTags, ...normalized])];
+    }
+
+    if (mode === 'remove') {
+      return currentTags.filter((tag) => !normalized.includes(tag));
+    }
+
+    return [...new Set(normalized)];
+  }
+
+  formatItemError(error) {
+    // Sequelize validation errors carry the useful message per field
+    if (error.errors && error.errors.length > 0) {
+      return error.errors.map((e) => e.message).join(', ');
+    }
+    return error.message;
+  }
+
+  buildSummary(action, results, committed) {
+    const succeeded = results.filter((result) => result.success).length;
+
+    return {
+      action,
+      committed,
+      summary: {
+        total: results.length,
+        succeeded: committed ? succeeded : 0,
+        failed: results.length - succeeded,
+      },
+      results: results.map(({ link, ...result }) => ({
+        ...result,
+        ...(link && { shortCode: link.shortCode, fullShortUrl: link.fullShortUrl }),
+        ...(!committed && result.success && { rolledBack: true }),
+      })),
+    };
+  }
+}
+
+module.exports = new BulkLinkService();
@@ -0,0 +1,145 @@
+// backend/domains/links/services/ClickCounterService.js
+// Write-behind link counters (clickCount, uniqueClicks, botClicks, lastClickAt): redirects add to a Redis hash,
+// a timer writes the sums to Postgres in one UPDATE per batch - a hot link no longer serializes
+// every click on its row lock. Without Redis each click is an atomic increment instead.
+// Links with a click limit skip the buffer: each click claims a slot with a conditional UPDATE.
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../../../models');
+const cacheService = require('../../../core/cache/CacheService');
+const config = require('../../../config');
+
+const FLUSH_BATCH_SIZE = 500;
+
+class ClickCounterService {
+  constructor() {
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  // Bot hits only count in botClicks (lastClickAt = last human click)
+  async record(link, { isUnique = false, isBot = false } = {}) {
+    const counters = isBot
+      ? { clicks: 0, unique: 0, bots: 1, lastClickAt: null }
+      : { clicks: 1, unique: isUnique ? 1 : 0, bots: 0, lastClickAt: Date.now() };
+
+    if (config.redirect.bufferCounters && cacheService.isReady()) {
+      if (await cacheService.incrementLinkCounters(link.id, counters)) {
+        return;
+      }
+    }
+
+    await this.applyToDatabase([{ linkId: link.id, ...counters }]);
+  }
+
+  /**
+   * Count a human click on a link with maxClicks / maxUniqueClicks, only while under both limits.
+   * Returns null when the limit was already reached, else { clickCount, uniqueClicks, exhausted }
+   * (exhausted = this click used the last slot)
+   */
+  async claim(link, { isUnique = false } = {}) {
+    const [row] = await sequelize.query(
+      `UPDATE links SET
+        click_count = COALESCE(click_count, 0) + 1,
+        unique_clicks = COALESCE(unique_clicks, 0) + :unique,
+        last_click_at = NOW()
+      WHERE id = :id
+        AND (max_clicks IS NULL OR COALESCE(click_count, 0) < max_clicks)
+        AND (max_unique_clicks IS NULL OR COALESCE(unique_clicks, 0) < max_unique_clicks)
+      RETURNING click_count AS "clickCount", unique_clicks AS "uniqueClicks", max_clicks AS "maxClicks",
+        max_unique_clicks AS "maxUniqueClicks"`,
+      { replacements: { id: link.id, unique: isUnique ? 1 : 0 }, type: QueryTypes.SELECT }
+    );
+    if (!row) {
+      return null;
+    }
+
+    const { clickCount, uniqueClicks, maxClicks, maxUniqueClicks } = row;
+    return {
+      clickCount,
+      uniqueClicks,
+      exhausted: Boolean((maxClicks && clickCount >= maxClicks) || (maxUniqueClicks && uniqueClicks >= maxUniqueClicks)),
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flush().catch((error) => console.error('❌ Click counter flush failed:', error.message));
+    }, config.redirect.counterFlushInterval);
+    this.timer.unref();
+  }
+
+  // Dừng timer và ghi nốt phần còn trong Redis (graceful shutdown)
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+
+  async flush() {
+    // Một lần flush tại một thời điểm trong process; nhiều instance flush song song vẫn an toàn (SPOP)
+    if (!this.flushing) {
+      this.flushing = this.flushPending().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async flushPending() {
+    if (!cacheService.isReady()) {
+      return 0;
+    }
+
+    let flushed = 0;
+    for (;;) {
+      const counters = await cacheService.takeLinkCounters(FLUSH_BATCH_SIZE);
+      if (counters.length === 0) break;
+
+      try {
+        await this.applyToDatabase(counters);
+      } catch (error) {
+        // Trả lại Redis để lần sau ghi, không mất click
+        for (const { linkId, ...values } of counters) {
+          await cacheService.incrementLinkCounters(linkId, values);
+        }
+        throw error;
+      }
+
+      flushed += counters.length;
+      if (counters.length < FLUSH_BATCH_SIZE) break;
+    }
+
+    return flushed;
+  }
+
+  async applyToDatabase(counters) {
+    // Cùng thứ tự khoá row giữa các instance -> không deadlock
+    const rows = [...counters].sort((a, b) => a.linkId.localeCompare(b.linkId));
+    const replacements = {};
+    const values = rows.map(({ linkId, clicks, unique, bots = 0, lastClickAt }, index) => {
+      Object.assign(replacements, {
+        [`id${index}`]: linkId,
+        [`clicks${index}`]: clicks,
+        [`unique${index}`]: unique,
+        [`bots${index}`]: bots,
+        [`last${index}`]: lastClickAt ? new Date(lastClickAt) : null,
+      });
+      return `(CAST(:id${index} AS uuid), CAST(:clicks${index} AS integer), CAST(:unique${index} AS integer), CAST(:bots${index} AS integer), CAST(:last${index} AS timestamptz))`;
+    });
+
+    await sequelize.query(
+      `UPDATE links AS l SET
+        click_count = COALESCE(l.click_count, 0) + v.clicks,
+        unique_clicks = COALESCE(l.unique_clicks, 0) + v.unique_clicks,
+        bot_clicks = COALESCE(l.bot_clicks, 0) + v.bot_clicks,
+        last_click_at = GREATEST(l.last_click_at, v.last_click_at)
+      FROM (VALUES ${values.join(', ')}) AS v(id, clicks, unique_clicks, bot_clicks, last_click_at)
+      WHERE l.id = v.id`,
+      { replacements, type: QueryTypes.UPDATE }
+    );
+  }
+}
+
+module.exports = new ClickCounterService();
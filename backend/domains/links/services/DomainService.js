@@ -1,14 +1,19 @@
 // backend/domains/links/services/DomainService.js
 const crypto = require('crypto');
 const dns = require('dns').promises;
-const { Domain } = require('../../../models');
+const { Domain, User } = require('../../../models');
+const cacheService = require('../../../core/cache/CacheService');
+const settingsService = require('../../../core/settings/SettingsService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
 
 class DomainService {
   
   /**
    * Add new custom domain
+   * owner = userId (personal) or { userId, workspaceId } - same for the other domain methods
    */
-  async addDomain(userId, domainData) {
+  async addDomain(owner, domainData) {
+    const { userId, workspaceId } = workspaceService.toScope(owner);
     const { domain, displayName } = domainData;
     
     // Validate domain format
@@ -34,6 +39,7 @@ class DomainService {
     // Create domain record
     const domainRecord = await Domain.create({
       userId,
+      workspaceId,
       domain: normalizedDomain,
       displayName: displayName || normalizedDomain,
       isActive: false,
@@ -51,11 +57,11 @@ class DomainService {
   /**
    * Verify domain ownership via DNS
    */
-  async verifyDomain(domainId, userId) {
+  async verifyDomain(domainId, owner) {
     const domain = await Domain.findOne({
       where: { 
         id: domainId,
-        userId 
+        ...workspaceService.scopeWhere(owner)
       }
     });
     
@@ -102,14 +108,14 @@ class DomainService {
   /**
    * Get user domains with pagination
    */
-  async getUserDomains(userId, options = {}) {
+  async getUserDomains(owner, options = {}) {
     const { 
       limit = 20, 
       offset = 0,
       includeInactive = true 
     } = options;
     
-    const whereClause = { userId };
+    const whereClause = workspaceService.scopeWhere(owner);
     if (!includeInactive) {
       whereClause.isActive = true;
     }
@@ -161,11 +167,11 @@ class DomainService {
   /**
    * Update domain settings
    */
-  async updateDomain(domainId, userId, updateData) {
+  async updateDomain(domainId, owner, updateData) {
     const domain = await Domain.findOne({
       where: { 
         id: domainId,
-        userId 
+        ...workspaceService.scopeWhere(owner)
       }
     });
     
@@ -197,11 +203,11 @@ class DomainService {
   /**
    * Delete domain (soft delete)
    */
-  async deleteDomain(domainId, userId) {
+  async deleteDomain(domainId, owner) {
     const domain = await Domain.findOne({
       where: { 
         id: domainId,
-        userId 
+        ...workspaceService.scopeWhere(owner)
       }
     });
     
@@ -220,6 +226,10 @@ class DomainService {
     
     // Soft delete
     await domain.destroy();
+
+    // Không còn là domain mặc định của user
+    await User.update({ defaultDomainId: null }, { where: { defaultDomainId: domain.id } });
+    await cacheService.del(`user:id:${domain.userId}`);
     return true;
   }
   
@@ -243,11 +253,11 @@ class DomainService {
   /**
    * Get domain statistics
    */
-  async getDomainStats(domainId, userId) {
+  async getDomainStats(domainId, owner) {
     const domain = await Domain.findOne({
       where: { 
         id: domainId,
-        userId 
+        ...workspaceService.scopeWhere(owner)
       },
       include: [{
         association: 'links',
@@ -292,7 +302,7 @@ class DomainService {
    * Generate DNS instructions
    */
   generateDnsInstructions(domain, verificationToken) {
-    const systemDomain = process.env.SYSTEM_DOMAIN || 'shortlink.com';
+    const systemDomain = settingsService.get('system.domain') || 'shortlink.com';
     const serverIp = process.env.SERVER_IP || '1.2.3.4';
     
     return {
@@ -354,7 +364,7 @@ class DomainService {
               record: {
                 type: 'CNAME',
                 name: domain,
-                value: process.env.SYSTEM_DOMAIN || 'shortlink.com',
+                value: settingsService.get('system.domain') || 'shortlink.com',
                 ttl: 300
               }
             },
@@ -403,7 +413,7 @@ class DomainService {
       
       // Optional: Check if domain points to our servers
       try {
-        const systemDomain = process.env.SYSTEM_DOMAIN || 'shortlink.com';
+        const systemDomain = settingsService.get('system.domain') || 'shortlink.com';
         const cnameRecords = await dns.resolveCname(domain);
         const pointsToUs = cnameRecords.some(record => record.includes(systemDomain));
         
@@ -0,0 +1,177 @@
+// backend/domains/links/services/LinkAvailabilityService.js
+// When a link works besides isActive: expiresAt / click limits (maxClicks, maxUniqueClicks), activateAt
+// and recurring availability windows. An expired link gets expiredAt once and its owner an email.
+const { Op, col } = require('sequelize');
+const { Link, User } = require('../../../models');
+const bullMQService = require('../../../core/queue/BullMQService');
+const config = require('../../../config');
+const { normalizeTimeWindow } = require('../../../shared/utils/timeWindow');
+const linkCacheService = require('./LinkCacheService');
+
+const MAX_WINDOWS = 10;
+const EXPIRY_SWEEP_BATCH_SIZE = 500;
+
+class LinkAvailabilityService {
+  /**
+   * Validate availability windows from the API - same shape as the routing rule timeWindow
+   * ({ days, start, end, timezone }), the link is live inside any of them
+   */
+  normalizeWindows(windows) {
+    if (windows === null || windows === undefined) {
+      return [];
+    }
+    if (!Array.isArray(windows)) {
+      throw new Error('Invalid availability windows: must be an array');
+    }
+    if (windows.length > MAX_WINDOWS) {
+      throw new Error(`Invalid availability windows: at most ${MAX_WINDOWS} windows`);
+    }
+
+    return windows.map((window, index) =>
+      normalizeTimeWindow(window, `Invalid availability window #${index + 1}`)
+    );
+  }
+
+  // Click limit: positive integer or null (no limit)
+  normalizeLimit(value, field) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid ${field}: must be a positive integer`);
+    }
+    return limit;
+  }
+
+  normalizeActivateAt(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('Invalid activateAt: must be a date');
+    }
+    return date;
+  }
+
+  hasClickLimit(link) {
+    return Boolean(link.maxClicks || link.maxUniqueClicks);
+  }
+
+  /**
+   * null when the link can be visited now, else why not: 'expired', 'scheduled' (before activateAt)
+   * or 'unavailable' (outside its availability windows)
+   */
+  getStatus(link, now = new Date()) {
+    if (link.isExpired(now)) return 'expired';
+    if (link.isScheduled(now)) return 'scheduled';
+    if (!link.isWithinAvailability(now)) return 'unavailable';
+    return null;
+  }
+
+  /**
+   * Set expiredAt and email the owner - only the first caller wins, so concurrent
+   * redirects and the sweep notify once. reason: 'date' | 'clicks' | 'unique_clicks'
+   */
+  async markExpired(link, reason) {
+    // hooks: false -> Link.update hàng loạt sẽ bump generation của toàn bộ cache, chỉ xoá key của link này
+    const [updated] = await Link.update(
+      { expiredAt: new Date() },
+      { where: { id: link.id, expiredAt: null }, hooks: false }
+    );
+    if (updated === 0) {
+      return false;
+    }
+
+    if (linkCacheService.isEnabled()) {
+      await linkCacheService.invalidateKeys(linkCacheService.cachedKeysOf(link));
+    }
+
+    console.log(`⌛ Link expired: ${link.shortCode} (${reason})`);
+    await this.notifyOwner(link, reason);
+    return true;
+  }
+
+  // Which limit ended the link - counters = fresh { clickCount, uniqueClicks } when known
+  expiryReason(link, { clickCount, uniqueClicks } = link) {
+    if (link.maxClicks && clickCount >= link.maxClicks) return 'clicks';
+    if (link.maxUniqueClicks && uniqueClicks >= link.maxUniqueClicks) return 'unique_clicks';
+    if (link.expiresAt && new Date(link.expiresAt) <= new Date()) return 'date';
+    // Claim bị từ chối nhưng bộ đếm trong tay đã cũ
+    return link.maxClicks ? 'clicks' : link.maxUniqueClicks ? 'unique_clicks' : 'date';
+  }
+
+  async notifyOwner(link, reason) {
+    if (!bullMQService.isInitialized) return;
+
+    try {
+      const owner = await User.findByPk(link.userId, { attributes: ['email', 'name'] });
+      if (!owner) return;
+
+      await bullMQService.addEmailJob('linkExpired', owner.email, {
+        userName: owner.name,
+        shortCode: link.shortCode,
+        title: link.title,
+        reason,
+        limit: reason === 'unique_clicks' ? link.maxUniqueClicks : link.maxClicks,
+        fallbackUrl: link.fallbackUrl,
+        actionUrl: `${config.app.url}/dashboard`,
+      });
+    } catch (error) {
+      // Link vẫn hết hạn dù email lỗi
+      console.error(`⚠️ Failed to queue expiry email for link ${link.shortCode}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark links past expiresAt or at a click limit that are not marked yet - no visit since, or
+   * markExpired failed on the last allowed click (scheduled on the link scan queue)
+   */
+  async expireDueLinks() {
+    let expired = 0;
+
+    for (;;) {
+      const links = await Link.findAll({
+        where: {
+          isActive: true,
+          expiredAt: null,
+          [Op.or]: [
+            { expiresAt: { [Op.lte]: new Date() } },
+            { maxClicks: { [Op.ne]: null }, clickCount: { [Op.gte]: col('max_clicks') } },
+            { maxUniqueClicks: { [Op.ne]: null }, uniqueClicks: { [Op.gte]: col('max_unique_clicks') } },
+          ],
+        },
+        attributes: [
+          'id',
+          'userId',
+          'shortCode',
+          'domainId',
+          'title',
+          'fallbackUrl',
+          'expiresAt',
+          'clickCount',
+          'uniqueClicks',
+          'maxClicks',
+          'maxUniqueClicks',
+        ],
+        order: [['id', 'ASC']],
+        limit: EXPIRY_SWEEP_BATCH_SIZE,
+      });
+
+      for (const link of links) {
+        if (await this.markExpired(link, this.expiryReason(link))) {
+          expired += 1;
+        }
+      }
+
+      if (links.length < EXPIRY_SWEEP_BATCH_SIZE) break;
+    }
+
+    return { expired };
+  }
+}
+
+module.exports = new LinkAvailabilityService();
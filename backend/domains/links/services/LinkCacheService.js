@@ -0,0 +1,168 @@
+// backend/domains/links/services/LinkCacheService.js
+// Redirect link resolution cached in Redis by host + shortCode (also "not found", for a short TTL).
+// Entries carry the cache generation: a single link change - also Link.update({...}, { where: { id } }) -
+// deletes its keys, other bulk Link changes and any Domain change bump the generation, which turns every
+// older entry into a miss. A miss only writes back if the key's version and the generation are unchanged.
+const { Op } = require('sequelize');
+const { Link, Domain } = require('../../../models');
+const cacheService = require('../../../core/cache/CacheService');
+const config = require('../../../config');
+
+const GENERATION_KEY = 'link:resolve:generation';
+const MAX_KEYED_BULK_LINKS = 100;
+const KEY_FIELDS = ['shortCode', 'domainId'];
+
+// where: { id: 'uuid' | ['uuid', ...], ... } -> các id đó (điều kiện khác chỉ thu hẹp thêm), còn lại null.
+// Model paranoid bọc where thành { [Op.and]: [{ deleted_at }, where] }
+const idsOf = (where) => {
+  if (!where) return null;
+  if (where.id === undefined) {
+    return Array.isArray(where[Op.and]) ? where[Op.and].map(idsOf).find(Boolean) || null : null;
+  }
+
+  const ids = [].concat(where.id);
+  return ids.length <= MAX_KEYED_BULK_LINKS && ids.every((id) => typeof id === 'string') ? ids : null;
+};
+
+// Invalidate sau khi transaction commit, nếu không request khác có thể cache lại dữ liệu cũ.
+// Savepoint (bulk: mỗi item một savepoint) chạy afterCommit khi release -> đăng ký ở transaction gốc
+const afterCommit = (options, callback) => {
+  let transaction = options?.transaction;
+  if (!transaction) {
+    return callback();
+  }
+  while (transaction.parent) {
+    transaction = transaction.parent;
+  }
+  return transaction.afterCommit(callback);
+};
+
+class LinkCacheService {
+  constructor() {
+    this.registerHooks();
+  }
+
+  isEnabled() {
+    return config.redirect.linkCache && cacheService.isReady();
+  }
+
+  /**
+   * Link for a redirect (inactive ones too, like Link.findByShortCodeAndDomain with
+   * includeInactive), domain association included. One Redis round trip on a hit.
+   */
+  async resolve(shortCode, domainName = null) {
+    if (!this.isEnabled()) {
+      return Link.findByShortCodeAndDomain(shortCode, domainName, { includeInactive: true });
+    }
+
+    const versionKey = cacheService.linkVersionKey(shortCode, domainName);
+    const [generation, version, cached] = await cacheService.mget([
+      GENERATION_KEY,
+      versionKey,
+      cacheService.linkCacheKey(shortCode, domainName),
+    ]);
+    const currentGeneration = generation || 0;
+
+    if (cached && cached.generation === currentGeneration && 'link' in cached) {
+      return cached.link ? this.revive(cached.link) : null;
+    }
+
+    // Chỉ ghi nếu không có invalidation nào chen vào giữa lúc đọc DB và lúc ghi cache
+    const link = await Link.findByShortCodeAndDomain(shortCode, domainName, { includeInactive: true });
+    await cacheService.setLinkCache(
+      shortCode,
+      { generation: currentGeneration, link: link ? link.get({ plain: true }) : null },
+      link ? config.redirect.linkCacheTtl : config.redirect.notFoundCacheTtl,
+      domainName,
+      { versionKey, version, generationKey: GENERATION_KEY, generation: currentGeneration }
+    );
+
+    return link;
+  }
+
+  revive(data) {
+    return Link.build(data, {
+      isNewRecord: false,
+      include: [{ model: Domain, as: 'domain' }],
+    });
+  }
+
+  // shortCode / domain pairs a link was reachable under (current + before this save)
+  cachedKeysOf(link) {
+    const keys = new Map();
+    for (const [shortCode, domainId] of [
+      [link.shortCode, link.domainId],
+      [link.previous('shortCode') ?? link.shortCode, link.previous('domainId') ?? link.domainId],
+    ]) {
+      keys.set(`${domainId || ''}:${shortCode}`, {
+        shortCode,
+        domainId,
+        domainName: domainId && link.domain?.id === domainId ? link.domain.domain : null,
+      });
+    }
+    return [...keys.values()];
+  }
+
+  async invalidateKeys(keys) {
+    for (const { shortCode, domainId, domainName } of keys) {
+      const name =
+        domainName || (domainId ? (await Domain.findByPk(domainId, { attributes: ['domain'], paranoid: false }))?.domain : null);
+      if (domainId && !name) continue;
+
+      await cacheService.deleteLinkCache(shortCode, name);
+    }
+  }
+
+  // Keys of links picked by id (bulk update/destroy by id), domain name included
+  async invalidateLinks(ids) {
+    const links = await Link.findAll({
+      where: { id: ids },
+      attributes: ['id', 'shortCode', 'domainId'],
+      include: [{ model: Domain, as: 'domain', attributes: ['id', 'domain'], required: false, paranoid: false }],
+      paranoid: false,
+    });
+
+    await this.invalidateKeys(links.flatMap((link) => this.cachedKeysOf(link)));
+  }
+
+  async bumpGeneration() {
+    await cacheService.increment(GENERATION_KEY, 0);
+  }
+
+  registerHooks() {
+    // previous() chỉ còn giá trị cũ trong hook -> lấy key trước khi chờ commit
+    const onLinkChange = (link, options) => {
+      const keys = this.cachedKeysOf(link);
+      return afterCommit(options, () => this.isEnabled() && this.invalidateKeys(keys));
+    };
+    const onBulkChange = (options) => afterCommit(options, () => this.isEnabled() && this.bumpGeneration());
+    // Theo id và không đổi shortCode/domain (key cũ vẫn biết được) -> chỉ xoá key của các link đó,
+    // vd. metadata job sau mỗi link mới, flag link - không xoá toàn bộ cache redirect
+    const onLinkBulkChange = (options) => {
+      const ids = idsOf(options.where);
+      if (!ids || (options.fields || []).some((field) => KEY_FIELDS.includes(field))) {
+        return onBulkChange(options);
+      }
+      return afterCommit(options, () => this.isEnabled() && this.invalidateLinks(ids));
+    };
+
+    // afterCreate: xoá entry "not found" đã cache cho shortCode này
+    for (const hook of ['afterCreate', 'afterUpdate', 'afterDestroy', 'afterRestore']) {
+      Link.addHook(hook, 'linkCache', onLinkChange);
+    }
+    for (const hook of ['afterBulkUpdate', 'afterBulkDestroy', 'afterBulkRestore']) {
+      Link.addHook(hook, 'linkCache', onLinkBulkChange);
+    }
+    Link.addHook('afterBulkCreate', 'linkCache', (links, options) => onBulkChange(options)); // import CSV
+
+    // Domain đổi (verify, tắt, xoá) ảnh hưởng mọi link của nó
+    for (const hook of ['afterUpdate', 'afterDestroy', 'afterRestore']) {
+      Domain.addHook(hook, 'linkCache', (domain, options) => onBulkChange(options));
+    }
+    for (const hook of ['afterBulkUpdate', 'afterBulkDestroy', 'afterBulkRestore']) {
+      Domain.addHook(hook, 'linkCache', onBulkChange);
+    }
+  }
+}
+
+module.exports = new LinkCacheService();
@@ -0,0 +1,240 @@
+// backend/domains/links/services/LinkExportService.js
+const { Transform, pipeline } = require('stream');
+const { Utils } = require('sequelize');
+const QueryStream = require('pg-query-stream');
+const { Link, sequelize } = require('../../../models');
+const linkService = require('./LinkService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+const SORTABLE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'clickCount',
+  'uniqueClicks',
+  'lastClickAt',
+  'expiresAt',
+  'title',
+  'shortCode',
+];
+
+const EXPORT_ATTRIBUTES = [
+  'id',
+  'shortCode',
+  'customCode',
+  'fullShortUrl',
+  'originalUrl',
+  'domainId',
+  'title',
+  'description',
+  'campaign',
+  'tags',
+  'utmParameters',
+  'clickCount',
+  'uniqueClicks',
+  'lastClickAt',
+  'isActive',
+  'expiresAt',
+  'createdAt',
+  'updatedAt',
+];
+
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+// Flat CSV layout - tags and utm_* columns match what LinkImportService accepts
+const CSV_COLUMNS = [
+  'id',
+  'shortCode',
+  'customCode',
+  'fullShortUrl',
+  'originalUrl',
+  'domain',
+  'title',
+  'description',
+  'campaign',
+  'tags',
+  ...UTM_KEYS,
+  'clickCount',
+  'uniqueClicks',
+  'lastClickAt',
+  'isActive',
+  'expiresAt',
+  'createdAt',
+  'updatedAt',
+];
+
+const CURSOR_BATCH_SIZE = 500;
+
+class LinkExportService {
+  constructor() {
+    this.formats = Object.keys(EXPORT_FORMATS);
+    this.sortableFields = SORTABLE_FIELDS;
+  }
+
+  getFormat(format) {
+    const formatConfig = EXPORT_FORMATS[format];
+    if (!formatConfig) {
+      throw new Error(`Invalid format. Must be one of: ${this.formats.join(', ')}`);
+    }
+    return formatConfig;
+  }
+
+  /**
+   * Build the SELECT for a user's / workspace's links with the same filters as getUserLinks
+   */
+  buildExportQuery(owner, { search = '', campaign = '', sortBy = 'createdAt', sortOrder = 'DESC' } = {}) {
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+      throw new Error(`Invalid sortBy. Must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+    }
+
+    const direction = String(sortOrder).toUpperCase();
+    if (!['ASC', 'DESC'].includes(direction)) {
+      throw new Error('Invalid sortOrder. Must be ASC or DESC');
+    }
+
+    const where = {
+      ...linkService.buildUserLinksWhere(owner, { search, campaign }),
+      deletedAt: null, // paranoid
+    };
+
+    const queryOptions = {
+      attributes: [
+        ...EXPORT_ATTRIBUTES.map((attribute) => [Link.rawAttributes[attribute].field, attribute]),
+        [
+          sequelize.literal(
+            '(SELECT "domain" FROM "domains" WHERE "domains"."id" = "Link"."domain_id")'
+          ),
+          'domain',
+        ],
+      ],
+      where: Utils.mapWhereFieldNames(where, Link),
+      // id as tie-breaker keeps the output order stable
+      order: [
+        [sequelize.col(Link.rawAttributes[sortBy].field), direction],
+        [sequelize.col('id'), 'ASC'],
+      ],
+      tableAs: 'Link',
+    };
+
+    return sequelize.getQueryInterface().queryGenerator.selectQuery(
+      Link.getTableName(),
+      queryOptions,
+      Link
+    );
+  }
+
+  /**
+   * Stream a user's links to a writable (HTTP response) through a server-side cursor
+   */
+  async streamLinks(owner, format, filters, output) {
+    this.getFormat(format);
+    const sql = this.buildExportQuery(owner, filters);
+
+    const connection = await sequelize.connectionManager.getConnection({ type: 'SELECT' });
+    const cursor = connection.query(new QueryStream(sql, [], { batchSize: CURSOR_BATCH_SIZE }));
+
+    const { userId, workspaceId } = workspaceService.toScope(owner);
+    console.log(`📤 Streaming ${format} export for user ${userId}${workspaceId ? ` in workspace ${workspaceId}` : ''}`);
+
+    return new Promise((resolve, reject) => {
+      let count = 0;
+      const formatter = this.createFormatter(format, () => count++);
+
+      pipeline(cursor, formatter, output, (error) => {
+        sequelize.connectionManager.releaseConnection(connection);
+
+        if (error) {
+          console.error('❌ Link export stream error:', error.message);
+          return reject(error);
+        }
+
+        console.log(`✅ Link export completed: ${count} links (${format})`);
+        resolve(count);
+      });
+    });
+  }
+
+  /**
+   * Transform DB rows into CSV/JSON/NDJSON text
+   */
+  createFormatter(format, onRow) {
+    let isFirst = true;
+
+    return new Transform({
+      writableObjectMode: true,
+      transform: (row, encoding, callback) => {
+        onRow();
+        const link = this.serializeLink(row);
+        let chunk;
+
+        if (format === 'csv') {
+          chunk = (isFirst ? CSV_COLUMNS.join(',') + '\n' : '') + this.toCsvRow(link) + '\n';
+        } else if (format === 'json') {
+          chunk = (isFirst ? '[\n' : ',\n') + JSON.stringify(link);
+        } else {
+          chunk = JSON.stringify(link) + '\n';
+        }
+
+        isFirst = false;
+        callback(null, chunk);
+      },
+      flush: (callback) => {
+        if (format === 'csv' && isFirst) {
+          return callback(null, CSV_COLUMNS.join(',') + '\n');
+        }
+        if (format === 'json') {
+          return callback(null, isFirst ? '[]\n' : '\n]\n');
+        }
+        callback();
+      },
+    });
+  }
+
+  serializeLink(row) {
+    return {
+      id: row.id,
+      shortCode: row.shortCode,
+      customCode: row.customCode,
+      fullShortUrl: row.fullShortUrl,
+      originalUrl: row.originalUrl,
+      domain: row.domain || 'system',
+      domainId: row.domainId,
+      title: row.title,
+      description: row.description,
+      campaign: row.campaign,
+      tags: row.tags || [],
+      utmParameters: row.utmParameters || {},
+      clickCount: row.clickCount || 0,
+      uniqueClicks: row.uniqueClicks || 0,
+      lastClickAt: row.lastClickAt,
+      isActive: row.isActive,
+      expiresAt: row.expiresAt,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+    };
+  }
+
+  toCsvRow(link) {
+    const values = {
+      ...link,
+      tags: link.tags.join(';'),
+      ...Object.fromEntries(UTM_KEYS.map((key) => [key, link.utmParameters[key]])),
+    };
+
+    return CSV_COLUMNS.map((column) => this.escapeCsv(values[column])).join(',');
+  }
+
+  escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = new LinkExportService();
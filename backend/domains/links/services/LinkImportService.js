@@ -0,0 +1,319 @@
+// backend/domains/links/services/LinkImportService.js
+const { parse } = require('csv-parse/sync');
+const { Link, Domain } = require('../../../models');
+const { validateUrl, isReservedShortCode } = require('../../../shared/utils/validators');
+const linkService = require('./LinkService');
+const destinationPolicyService = require('../../security/services/DestinationPolicyService');
+const urlReputationService = require('../../security/services/UrlReputationService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
+const bullMQService = require('../../../core/queue/BullMQService');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 10000;
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+class LinkImportService {
+  constructor() {
+    this.formats = IMPORT_FORMATS;
+    this.maxRows = MAX_IMPORT_ROWS;
+  }
+
+  /**
+   * Parse an uploaded CSV/JSON payload into raw row objects
+   */
+  parseFile(content, format) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new Error(`Invalid import format. Must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    let rows;
+
+    if (format === 'csv') {
+      if (typeof content !== 'string' || !content.trim()) {
+        throw new Error('Import file is empty');
+      }
+
+      try {
+        rows = parse(content, {
+          columns: true,
+          bom: true,
+          trim: true,
+          skip_empty_lines: true,
+        });
+      } catch (error) {
+        throw new Error(`Invalid CSV: ${error.message}`);
+      }
+    } else {
+      let data = content;
+      if (typeof data === 'string') {
+        try {
+          data = JSON.parse(data);
+        } catch (error) {
+          throw new Error(`Invalid JSON: ${error.message}`);
+        }
+      }
+      rows = Array.isArray(data) ? data : data?.links;
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('Import file contains no rows');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Too many rows. Maximum is ${MAX_IMPORT_ROWS} per import`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Map a raw CSV/JSON row onto createLink fields
+   */
+  normalizeRow(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { errors: ['Row must be an object'] };
+    }
+
+    const errors = [];
+    const emptyToNull = (value) => (value === undefined || value === '' ? null : value);
+
+    const data = {
+      originalUrl: emptyToNull(raw.originalUrl ?? raw.url),
+      customCode: emptyToNull(raw.customCode),
+      title: emptyToNull(raw.title),
+      campaign: emptyToNull(raw.campaign),
+      tags: [],
+      expiresAt: null,
+      utmParameters: {},
+    };
+
+    // Tags: JSON array or a "a;b;c" / "a|b|c" string from CSV
+    if (Array.isArray(raw.tags)) {
+      data.tags = raw.tags;
+    } else if (typeof raw.tags === 'string' && raw.tags.trim()) {
+      data.tags = raw.tags.split(/[;|]/).map((tag) => tag.trim()).filter(Boolean);
+    }
+
+    if (data.tags.some((tag) => typeof tag !== 'string')) {
+      errors.push('Tags must be strings');
+    }
+
+    if (emptyToNull(raw.expiresAt)) {
+      const expiresAt = new Date(raw.expiresAt);
+      if (isNaN(expiresAt.getTime())) {
+        errors.push('Invalid expiresAt date');
+      } else if (expiresAt <= new Date()) {
+        errors.push('expiresAt must be in the future');
+      } else {
+        data.expiresAt = expiresAt;
+      }
+    }
+
+    // UTM: an object/JSON string, or flat utm_* columns
+    let utm = raw.utmParameters;
+    if (typeof utm === 'string' && utm.trim()) {
+      try {
+        utm = JSON.parse(utm);
+      } catch {
+        errors.push('utmParameters must be valid JSON');
+        utm = null;
+      }
+    }
+
+    const utmParameters = utm && typeof utm === 'object' && !Array.isArray(utm) ? { ...utm } : {};
+    UTM_KEYS.forEach((key) => {
+      if (emptyToNull(raw[key])) {
+        utmParameters[key] = raw[key];
+      }
+    });
+
+    Object.entries(utmParameters).forEach(([key, value]) => {
+      if (!UTM_KEYS.includes(key)) {
+        errors.push(`Unknown UTM parameter: ${key}`);
+      } else if (typeof value !== 'string') {
+        errors.push(`UTM parameter ${key} must be a string`);
+      }
+    });
+    data.utmParameters = utmParameters;
+
+    return { data, errors };
+  }
+
+  /**
+   * Validate every row with the createLink rules and detect short code conflicts
+   * before anything is written (owner = userId or { userId, workspaceId })
+   */
+  async validateRows(owner, rows, { domainId = null } = {}) {
+    const { userId } = workspaceService.toScope(owner);
+
+    if (domainId) {
+      const domain = await Domain.findOne({
+        where: { id: domainId, ...workspaceService.scopeWhere(owner), isActive: true, isVerified: true },
+      });
+
+      if (!domain) {
+        throw new Error('Domain not found or not verified');
+      }
+    }
+
+    const checked = [];
+
+    for (const [index, raw] of rows.entries()) {
+      const { data, errors } = this.normalizeRow(raw);
+      const row = index + 1;
+
+      if (!data) {
+        checked.push({ row, data: null, errors });
+        continue;
+      }
+
+      if (!validateUrl(data.originalUrl) || !linkService.isValidUrl(data.originalUrl)) {
+        errors.push('Invalid URL format');
+      } else {
+        const destination = await destinationPolicyService.checkUrl(data.originalUrl);
+        const reputation = await urlReputationService.checkUrl(data.originalUrl);
+        if (!destination.allowed) {
+          errors.push(`Destination not allowed: ${destination.reason}`);
+        } else if (reputation.flagged) {
+          errors.push(`Destination not allowed: flagged as malicious (${reputation.list})`);
+        }
+      }
+
+      // Same model validators Link.create would run (isUrl, lengths, code pattern)
+      try {
+        await Link.build({
+          ...data,
+          userId,
+          domainId,
+          shortCode: data.customCode || 'import',
+        }).validate();
+      } catch (validationError) {
+        (validationError.errors || [validationError]).forEach((e) => {
+          if (!errors.includes(e.message)) errors.push(e.message);
+        });
+      }
+
+      if (isReservedShortCode(data.customCode)) {
+        errors.push('This short code is reserved');
+      }
+
+      checked.push({ row, data, errors });
+    }
+
+    // Duplicates inside the file
+    const seen = new Map();
+    checked.forEach((entry) => {
+      const code = entry.data?.customCode;
+      if (!code) return;
+
+      if (seen.has(code)) {
+        entry.errors.push(`Duplicate customCode "${code}" (also on row ${seen.get(code)})`);
+      } else {
+        seen.set(code, entry.row);
+      }
+    });
+
+    // Conflicts with existing links (unique_shortcode_per_domain, soft-deleted rows included)
+    const conflicts = [];
+    if (seen.size > 0) {
+      const existing = await Link.findAll({
+        where: { shortCode: [...seen.keys()], domainId: domainId || null },
+        attributes: ['shortCode'],
+        paranoid: false,
+      });
+      const taken = new Set(existing.map((link) => link.shortCode));
+
+      checked.forEach((entry) => {
+        const code = entry.data?.customCode;
+        if (code && taken.has(code)) {
+          entry.errors.push(`Short code "${code}" already exists on this domain`);
+          conflicts.push({ row: entry.row, customCode: code });
+        }
+      });
+    }
+
+    const invalid = checked.filter((entry) => entry.errors.length > 0);
+
+    return {
+      rows: checked,
+      report: {
+        totalRows: checked.length,
+        validRows: checked.length - invalid.length,
+        invalidRows: invalid.length,
+        conflicts,
+        errors: invalid.map(({ row, errors }) => ({ row, errors })),
+      },
+    };
+  }
+
+  /**
+   * Import job for polling - null unless the user started this personal import,
+   * or is an editor of the workspace the job imports into
+   */
+  async getJob(userId, jobId) {
+    const job = await bullMQService.getImportJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (job.workspaceId) {
+      const membership = await workspaceService.getMembership(job.workspaceId, userId);
+      return membership && workspaceService.hasRole(membership.role, 'editor') ? job : null;
+    }
+
+    return job.userId === userId ? job : null;
+  }
+
+  /**
+   * Run an import (or dry run) - called by the BullMQ import worker
+   */
+  async runImport({ userId, rows, options = {} }, onProgress = async () => {}) {
+    const { dryRun = false, domainId = null, workspaceId = null } = options;
+    const owner = { userId, workspaceId };
+
+    console.log(`📥 ${dryRun ? 'Dry-run' : 'Import'}: ${rows.length} rows for user ${userId}${workspaceId ? ` in workspace ${workspaceId}` : ''}`);
+
+    const { rows: checked, report } = await this.validateRows(owner, rows, { domainId });
+    await onProgress(dryRun ? 100 : 20);
+
+    if (dryRun) {
+      return { dryRun: true, ...report };
+    }
+
+    const validRows = checked.filter((entry) => entry.errors.length === 0);
+    const created = [];
+    const failed = [...report.errors];
+
+    for (const [index, entry] of validRows.entries()) {
+      try {
+        const attributes = await linkService.prepareLinkData(owner, { ...entry.data, domainId });
+        const link = await Link.create(attributes);
+
+        created.push({ row: entry.row, id: link.id, shortCode: link.shortCode, fullShortUrl: link.fullShortUrl });
+        await linkService.queueMetadataJob(link, userId);
+      } catch (error) {
+        // e.g. a custom code taken between validation and insert
+        failed.push({ row: entry.row, errors: [error.message] });
+      }
+
+      if ((index + 1) % 100 === 0 || index === validRows.length - 1) {
+        await onProgress(20 + Math.round(((index + 1) / validRows.length) * 80));
+      }
+    }
+
+    await onProgress(100);
+    console.log(`✅ Import finished: ${created.length} created, ${failed.length} failed`);
+
+    return {
+      dryRun: false,
+      totalRows: report.totalRows,
+      createdRows: created.length,
+      failedRows: failed.length,
+      conflicts: report.conflicts,
+      created,
+      errors: failed.sort((a, b) => a.row - b.row),
+    };
+  }
+}
+
+module.exports = new LinkImportService();
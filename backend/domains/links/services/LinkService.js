@@ -9,9 +9,25 @@ const axios = require('axios');
 
 // Import ElasticSearch services
 const clickTrackingService = require('../../analytics/services/ClickTrackingService');
+const clickPrivacyService = require('../../analytics/services/ClickPrivacyService');
+const { parseUserAgent } = require('../../../shared/utils/userAgent');
+const { isReservedShortCode } = require('../../../shared/utils/validators');
 
 // Import BullMQ Services
 const bullMQService = require('../../../core/queue/BullMQService');
+const cacheService = require('../../../core/cache/CacheService');
+const settingsService = require('../../../core/settings/SettingsService');
+const destinationPolicyService = require('../../security/services/DestinationPolicyService');
+const urlReputationService = require('../../security/services/UrlReputationService');
+const linkModerationService = require('../../admin/services/LinkModerationService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
+const routingRuleService = require('./RoutingRuleService');
+const splitTestService = require('./SplitTestService');
+const linkCacheService = require('./LinkCacheService');
+const clickCounterService = require('./ClickCounterService');
+const linkAvailabilityService = require('./LinkAvailabilityService');
+
+const REDIRECT_TYPES = Link.rawAttributes.redirectType.values; // 301, 302, 307, 308, meta_refresh, interstitial
 
 class LinkService {
   constructor() {
@@ -41,61 +57,16 @@ class LinkService {
 
   /**
    * Create new shortened link with optional custom domain
+   * owner = userId (personal) or { userId, workspaceId } - same for the other link methods
    */
-  async createLink(userId, linkData) {
+  async createLink(owner, linkData) {
     try {
       await this.ensureInitialized();
 
-      const {
-        originalUrl,
-        customCode,
-        title,
-        description,
-        campaign,
-        tags = [],
-        domainId = null,
-        password = null,
-        expiresAt = null,
-        utmParameters = {},
-        geoRestrictions = {},
-      } = linkData;
-
-      // Validate URL
-      if (!this.isValidUrl(originalUrl)) {
-        throw new Error('Invalid URL format');
-      }
-
-      // Generate short code
-      let shortCode = customCode;
-      if (!shortCode) {
-        shortCode = await this.generateUniqueShortCode(domainId);
-      } else {
-        // Check if custom code is available
-        const existing = await Link.findByShortCodeAndDomain(shortCode, domainId);
-        if (existing) {
-          throw new Error('Custom short code already exists');
-        }
-      }
+      const attributes = await this.prepareLinkData(owner, linkData);
 
       // Create link
-      const link = await Link.create({
-        userId,
-        domainId,
-        originalUrl,
-        shortCode,
-        customCode,
-        title,
-        description,
-        campaign,
-        tags,
-        password: password ? await this.hashPassword(password) : null,
-        expiresAt,
-        utmParameters,
-        geoRestrictions,
-        isActive: true,
-        clickCount: 0,
-        uniqueClicks: 0,
-      });
+      const link = await Link.create(attributes);
 
       // Fetch with associations
       const result = await Link.findByPk(link.id, {
@@ -107,16 +78,8 @@ class LinkService {
         ],
       });
 
-      console.log(`✅ Link created: ${result.shortCode} -> ${originalUrl}`);
-      if (bullMQService.isInitialized) {
-        try {
-          await bullMQService.addMetadataJob(link.id, originalUrl, userId);
-          console.log(`📋 Metadata job queued for link: ${link.shortCode}`);
-        } catch (error) {
-          console.error('⚠️ Failed to queue metadata job:', error.message);
-          // Không throw error để không ảnh hưởng tạo link
-        }
-      }
+      console.log(`✅ Link created: ${result.shortCode} -> ${attributes.originalUrl}`);
+      await this.queueMetadataJob(link, attributes.userId);
       return result;
     } catch (error) {
       console.error('❌ Create link error:', error);
@@ -124,6 +87,218 @@ class LinkService {
     }
   }
 
+  /**
+   * Validate link input and build the attributes for Link.create
+   * Shared by single, bulk and import creation so every path applies the same rules
+   */
+  async prepareLinkData(owner, linkData, { transaction } = {}) {
+    const { userId, workspaceId } = workspaceService.toScope(owner);
+    const {
+      originalUrl,
+      customCode,
+      title,
+      description,
+      campaign,
+      tags = [],
+      domainId = null,
+      password = null,
+      expiresAt = null,
+      utmParameters = {},
+      geoRestrictions = {},
+      routingRules = [],
+      variants = [],
+      redirectType = '302',
+      socialPreview = {},
+      maxClicks = null,
+      maxUniqueClicks = null,
+      activateAt = null,
+      availabilityWindows = [],
+      fallbackUrl = null,
+    } = linkData;
+
+    // Validate URL
+    if (!this.isValidUrl(originalUrl)) {
+      throw new Error('Invalid URL format');
+    }
+
+    // SSRF: no private/internal destinations
+    await destinationPolicyService.assertAllowed(originalUrl);
+    await urlReputationService.assertNotFlagged(originalUrl);
+    const normalizedRules = await this.prepareRoutingRules(routingRules);
+    const normalizedVariants = await this.prepareSplitVariants(variants);
+    const normalizedRedirectType = this.prepareRedirectType(redirectType);
+    const normalizedPreview = this.prepareSocialPreview(socialPreview);
+    const availability = await this.prepareAvailability({
+      maxClicks,
+      maxUniqueClicks,
+      activateAt,
+      availabilityWindows,
+      fallbackUrl,
+    });
+
+    // Custom domains must belong to the same user / workspace and be ready for traffic
+    if (domainId) {
+      const domain = await Domain.findOne({
+        where: { id: domainId, ...workspaceService.scopeWhere(owner), isActive: true, isVerified: true },
+        transaction,
+      });
+
+      if (!domain) {
+        throw new Error('Domain not found or not verified');
+      }
+    }
+
+    // Generate short code
+    let shortCode = customCode;
+    if (!shortCode) {
+      shortCode = await this.generateUniqueShortCode(domainId, 6, { transaction });
+    } else if (isReservedShortCode(shortCode)) {
+      throw new Error('This short code is reserved');
+    } else if (await this.isShortCodeTaken(shortCode, domainId, { transaction })) {
+      throw new Error('Custom short code already exists');
+    }
+
+    // New users' links wait for admin approval when moderation.requireApproval is on
+    const requiresApproval = await linkModerationService.requiresApproval(userId, { transaction });
+
+    return {
+      userId,
+      workspaceId,
+      domainId,
+      originalUrl,
+      shortCode,
+      customCode,
+      title,
+      description,
+      campaign,
+      tags,
+      password: password ? await this.hashPassword(password) : null,
+      expiresAt,
+      utmParameters,
+      geoRestrictions,
+      routingRules: normalizedRules,
+      variants: normalizedVariants,
+      redirectType: normalizedRedirectType,
+      socialPreview: normalizedPreview,
+      ...availability,
+      isActive: true,
+      moderationStatus: requiresApproval ? 'pending' : 'approved',
+      clickCount: 0,
+      uniqueClicks: 0,
+    };
+  }
+
+  // JSON clients may send the status as a number (301) - stored as the ENUM string
+  prepareRedirectType(redirectType) {
+    const value = String(redirectType);
+    if (!REDIRECT_TYPES.includes(value)) {
+      throw new Error(`Invalid redirect type: use one of ${REDIRECT_TYPES.join(', ')}`);
+    }
+    return value;
+  }
+
+  /**
+   * Validate routing rules - rule destinations pass the same checks as originalUrl
+   */
+  async prepareRoutingRules(routingRules) {
+    const rules = routingRuleService.normalize(routingRules);
+    await this.assertDestinationsAllowed(routingRuleService.getDestinations(rules));
+    return rules;
+  }
+
+  /**
+   * Validate A/B split variants - same destination checks as originalUrl
+   */
+  async prepareSplitVariants(variants) {
+    const normalized = splitTestService.normalize(variants);
+    await this.assertDestinationsAllowed(splitTestService.getDestinations(normalized));
+    return normalized;
+  }
+
+  /**
+   * Validate click limits, activateAt, availability windows and the fallback URL - only the
+   * fields given (not undefined) are returned. fallbackUrl passes the same checks as originalUrl
+   */
+  async prepareAvailability(fields) {
+    const prepared = {};
+
+    for (const field of ['maxClicks', 'maxUniqueClicks']) {
+      if (fields[field] !== undefined) prepared[field] = linkAvailabilityService.normalizeLimit(fields[field], field);
+    }
+    if (fields.activateAt !== undefined) {
+      prepared.activateAt = linkAvailabilityService.normalizeActivateAt(fields.activateAt);
+    }
+    if (fields.availabilityWindows !== undefined) {
+      prepared.availabilityWindows = linkAvailabilityService.normalizeWindows(fields.availabilityWindows);
+    }
+    if (fields.fallbackUrl !== undefined) {
+      prepared.fallbackUrl = fields.fallbackUrl || null;
+      if (prepared.fallbackUrl) {
+        if (!/^https?:\/\//i.test(prepared.fallbackUrl) || !this.isValidUrl(prepared.fallbackUrl)) {
+          throw new Error('Invalid fallbackUrl: must be an http(s) URL');
+        }
+        await this.assertDestinationsAllowed([prepared.fallbackUrl]);
+      }
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Validate social preview overrides { title, description, image } - empty values are dropped
+   */
+  prepareSocialPreview(socialPreview) {
+    if (socialPreview === null || socialPreview === undefined) {
+      return {};
+    }
+    if (typeof socialPreview !== 'object' || Array.isArray(socialPreview)) {
+      throw new Error('Invalid social preview: must be an object');
+    }
+
+    const maxLengths = { title: 200, description: 500, image: 2000 };
+    const preview = {};
+    for (const [field, value] of Object.entries(socialPreview)) {
+      if (!(field in maxLengths)) {
+        throw new Error(`Invalid social preview: unknown field ${field}`);
+      }
+      if (value === null || value === undefined || value === '') continue;
+
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!text || text.length > maxLengths[field]) {
+        throw new Error(`Invalid social preview: ${field} must be text of at most ${maxLengths[field]} characters`);
+      }
+      if (field === 'image' && !(/^https?:\/\//i.test(text) && this.isValidUrl(text))) {
+        throw new Error('Invalid social preview: image must be an http(s) URL');
+      }
+      preview[field] = text;
+    }
+
+    return preview;
+  }
+
+  async assertDestinationsAllowed(urls) {
+    for (const url of urls) {
+      await destinationPolicyService.assertAllowed(url);
+      await urlReputationService.assertNotFlagged(url);
+    }
+  }
+
+  /**
+   * Queue metadata fetching for a newly created link (non-blocking)
+   */
+  async queueMetadataJob(link, userId) {
+    if (!bullMQService.isInitialized) return;
+    if (!settingsService.get('links.autoFetchMetadata')) return;
+
+    try {
+      await bullMQService.addMetadataJob(link.id, link.originalUrl, userId);
+      console.log(`📋 Metadata job queued for link: ${link.shortCode}`);
+    } catch (error) {
+      console.error('⚠️ Failed to queue metadata job:', error.message);
+      // Không throw error để không ảnh hưởng tạo link
+    }
+  }
+
   /**
    * Process click and track in both PostgreSQL and ElasticSearch
    */
@@ -131,83 +306,168 @@ class LinkService {
     try {
       await this.ensureInitialized();
 
-      // Find link by shortCode and domain
-      const link = await Link.findByShortCodeAndDomain(shortCode, customDomain);
+      // Find link by shortCode and domain (inactive too, to tell flagged links apart) - Redis cached
+      const link = await linkCacheService.resolve(shortCode, customDomain);
 
+      // Không có -> RedirectController trả 404
       if (!link) {
-        throw new Error('Link not found');
+        return null;
+      }
+
+      // Destination flagged by the blocklist scanner -> warning interstitial
+      if (link.blockedAt) {
+        return {
+          blocked: true,
+          reason: 'malicious',
+          details: link.blockedReason,
+          originalUrl: link.originalUrl,
+          link,
+        };
       }
 
-      // Check if link is active and not expired
+      // Chưa được duyệt hoặc bị admin từ chối -> không redirect
+      if (['pending', 'rejected', 'flagged'].includes(link.moderationStatus)) {
+        return {
+          blocked: true,
+          reason: link.moderationStatus === 'pending' ? 'pending_review' : 'moderation',
+          link,
+        };
+      }
+
+      // Link đã tắt cũng coi như không tồn tại
       if (!link.isActive) {
-        throw new Error('Link is inactive');
+        return null;
       }
 
-      if (link.expiresAt && new Date() > link.expiresAt) {
-        throw new Error('Link has expired');
+      // Hết hạn (ngày / số click), chưa tới activateAt hoặc ngoài khung giờ -> fallbackUrl hoặc trang thông báo
+      const now = new Date();
+      const unavailableReason = linkAvailabilityService.getStatus(link, now);
+      if (unavailableReason) {
+        if (unavailableReason === 'expired' && !link.expiredAt) {
+          await linkAvailabilityService.markExpired(link, linkAvailabilityService.expiryReason(link));
+        }
+        return this.unavailableResult(link, unavailableReason);
       }
 
-      // Check password if required
+      // Password form (lại) khi chưa nhập hoặc nhập sai
       if (link.password && !clickData.password) {
-        throw new Error('Password required');
+        return { passwordRequired: true, error: null, link };
       }
 
       if (link.password && clickData.password) {
         const isValidPassword = await this.verifyPassword(clickData.password, link.password);
         if (!isValidPassword) {
-          throw new Error('Invalid password');
+          return { passwordRequired: true, error: 'Invalid password', link };
         }
       }
 
       // ✅ SỬA LỖI: Đổi từ isAccessibleFromLocation thành canAccess
-      if (!link.canAccess(userLocation)) {
-        throw new Error('Access denied from this location');
+      if (!link.canAccess(userLocation, now)) {
+        return { blocked: true, reason: 'geo', link };
       }
 
-      // Check if this is a unique click (by IP)
-      const isUnique = await this.isUniqueClick(link.id, clickData.ipAddress);
+      // IP theo privacy.ipMode (raw / truncate / chỉ visitorId / bỏ hẳn) - dùng chung cho PG và ES
+      const visitor = await clickPrivacyService.anonymize(clickData.ipAddress);
+
+      // Device / browser / OS / bot từ User-Agent
+      const agent = parseUserAgent(clickData.userAgent);
+
+      // Smart routing: rule đầu tiên khớp visitor quyết định đích (không khớp -> originalUrl)
+      const { acceptLanguage, stickyVariantId, ...trackedClickData } = clickData;
+      const routingRule = routingRuleService.match(link.routingRules, {
+        country: userLocation?.country,
+        deviceType: agent.deviceType,
+        os: agent.os,
+        acceptLanguage,
+      });
+
+      // A/B split khi không có routing rule nào khớp (rule luôn được ưu tiên) - bot không vào thử nghiệm
+      const variant =
+        routingRule || agent.isBot
+          ? null
+          : splitTestService.pick(link, { stickyVariantId, visitorKey: visitor.visitorKey });
+
+      // Check if this is a unique click (by visitor) - bot hits are counted apart (link.botClicks)
+      const isUnique = agent.isBot ? false : await this.isUniqueClick(link.id, visitor);
+
+      // Click limit: giữ chỗ trước khi ghi click - request đồng thời không vượt quá maxClicks / maxUniqueClicks
+      const hasClickLimit = !agent.isBot && linkAvailabilityService.hasClickLimit(link);
+      if (hasClickLimit) {
+        const claimed = await clickCounterService.claim(link, { isUnique });
+        // Lượt cuối (hoặc đã hết từ trước) -> đánh dấu hết hạn, chủ link nhận email một lần
+        if (!claimed || claimed.exhausted) {
+          await linkAvailabilityService.markExpired(link, linkAvailabilityService.expiryReason(link, claimed || undefined));
+        }
+        if (!claimed) {
+          return this.unavailableResult(link, 'expired');
+        }
+        link.clickCount = claimed.clickCount - 1; // result.clicks
+      }
 
       // Create click record in PostgreSQL
       const postgresClick = await Click.create({
         linkId: link.id,
-        ipAddress: clickData.ipAddress,
+        ipAddress: visitor.ipAddress,
+        visitorId: visitor.visitorId,
         userAgent: clickData.userAgent,
         referrer: clickData.referrer,
         country: userLocation?.country,
+        region: userLocation?.region,
         city: userLocation?.city,
-        deviceType: clickData.deviceType,
-        browser: clickData.browser,
-        os: clickData.os,
+        asn: userLocation?.asn,
+        asOrganization: userLocation?.asOrganization,
+        deviceType: agent.deviceType,
+        browser: agent.browser,
+        browserVersion: agent.browserVersion,
+        os: agent.os,
+        osVersion: agent.osVersion,
+        isBot: agent.isBot,
+        routingRuleId: routingRule?.id || null,
+        variantId: variant?.id || null,
       });
 
-      // Update link statistics
-      await this.updateLinkStats(link, isUnique);
+      // Update link statistics (buffered in Redis, flushed to Postgres by ClickCounterService) - limited links already counted
+      if (!hasClickLimit) {
+        await clickCounterService.record(link, { isUnique, isBot: agent.isBot });
+      }
 
       // Track in ElasticSearch (for analytics)
       try {
         // Queue for processing with BullMQ
         if (bullMQService && bullMQService.isInitialized) {
           await bullMQService.addClickTrackingJob(link.id, {
-            ...clickData,
+            ...trackedClickData,
             linkId: link.id,
             userId: link.userId,
+            workspaceId: link.workspaceId,
             shortCode: link.shortCode,
             originalUrl: link.originalUrl,
             campaign: link.campaign,
             domain: link.domain?.domain || 'system',
             ...userLocation,
+            ...agent,
+            routingRuleId: routingRule?.id || null,
+            variantId: variant?.id || null,
+            ipAddress: visitor.ipAddress,
+            visitorId: visitor.visitorId,
           });
         } else {
           // Direct tracking if BullMQ not available
           await clickTrackingService.trackClick({
             linkId: link.id,
             userId: link.userId,
+            workspaceId: link.workspaceId,
             shortCode: link.shortCode,
             originalUrl: link.originalUrl,
             campaign: link.campaign,
             domain: link.domain?.domain || 'system',
-            ...clickData,
+            ...trackedClickData,
             ...userLocation,
+            ...agent,
+            routingRuleId: routingRule?.id || null,
+            variantId: variant?.id || null,
+            ipAddress: visitor.ipAddress,
+            visitorId: visitor.visitorId,
           });
         }
       } catch (esError) {
@@ -216,11 +476,23 @@ class LinkService {
 
       console.log(`📊 Click tracked: ${link.shortCode} (PG: ${postgresClick.id}, ES: queued)`);
 
-      // Return final URL
+      // Return final URL - split destinations carry the signed click token for conversion postbacks
+      let finalUrl = link.buildFinalUrl(routingRule || variant);
+      if (variant) {
+        const url = new URL(finalUrl);
+        url.searchParams.set(settingsService.get('links.conversionParam'), splitTestService.signClick(link.id, postgresClick.id));
+        finalUrl = url.toString();
+      }
+
       return {
-        originalUrl: link.buildFinalUrl(),
+        originalUrl: finalUrl,
+        redirectType: link.redirectType,
+        routingRuleId: routingRule?.id || null,
+        variantId: variant?.id || null,
         title: link.title,
         clicks: link.clickCount + 1,
+        isBot: agent.isBot,
+        preview: agent.isBot ? link.getSocialPreview() : null,
       };
     } catch (error) {
       console.error('❌ Click tracking error:', error);
@@ -229,19 +501,24 @@ class LinkService {
   }
 
   /**
-   * Update link statistics in PostgreSQL
+   * Result for a link that is expired / not live yet / outside its windows: a plain 302 to
+   * fallbackUrl when set (not counted as a click), else the blocked status page for that reason
    */
-  async updateLinkStats(link, isUnique) {
-    const updateData = {
-      clickCount: link.clickCount + 1,
-      lastClickAt: new Date(),
-    };
-
-    if (isUnique) {
-      updateData.uniqueClicks = (link.uniqueClicks || 0) + 1;
+  unavailableResult(link, reason) {
+    if (!link.fallbackUrl) {
+      return { blocked: true, reason, link };
     }
 
-    await link.update(updateData);
+    return {
+      originalUrl: link.fallbackUrl,
+      redirectType: '302',
+      fallback: reason,
+      routingRuleId: null,
+      variantId: null,
+      title: link.title,
+      isBot: false,
+      preview: null,
+    };
   }
 
   /**
@@ -250,7 +527,7 @@ class LinkService {
   /**
    * Get link analytics from ElasticSearch (with PostgreSQL fallback)
    */
-  async getLinkAnalytics(linkId, userId, dateRange = '30d') {
+  async getLinkAnalytics(linkId, owner, dateRange = '30d') {
     try {
       await this.ensureInitialized();
 
@@ -258,7 +535,7 @@ class LinkService {
       const link = await Link.findOne({
         where: {
           id: linkId,
-          userId,
+          ...workspaceService.scopeWhere(owner),
         },
         include: [
           {
@@ -338,6 +615,8 @@ class LinkService {
         topCountries: analytics.topCountries || [],
         topDevices: analytics.topDevices || [],
         topBrowsers: analytics.topBrowsers || [],
+        topRoutingRules: analytics.topRoutingRules || [],
+        botClicks: analytics.botClicks || 0,
         dataSource: analytics.dataSource || 'postgresql',
         fallback: analytics.fallback || false,
         fallbackReason: analytics.fallbackReason || null,
@@ -358,6 +637,8 @@ class LinkService {
         totals: {
           clicks: safeAnalytics.totalClicks,
           uniqueClicks: safeAnalytics.uniqueClicks,
+          // Crawlers / preview fetchers, not part of clicks
+          botClicks: safeAnalytics.botClicks,
           clickThroughRate:
             safeAnalytics.totalClicks > 0
               ? ((safeAnalytics.uniqueClicks / safeAnalytics.totalClicks) * 100).toFixed(1)
@@ -368,7 +649,15 @@ class LinkService {
           countries: safeAnalytics.topCountries,
           devices: safeAnalytics.topDevices,
           browsers: safeAnalytics.topBrowsers,
+          // Clicks per routing rule ('default' = no rule matched, sent to originalUrl)
+          routingRules: safeAnalytics.topRoutingRules.map(({ ruleId, clicks }) => ({
+            ruleId,
+            name: (link.routingRules || []).find((rule) => rule.id === ruleId)?.name || null,
+            clicks,
+          })),
         },
+        // A/B split report (Postgres clicks + conversions per variant), null when the link is not split
+        abTest: await splitTestService.getReport(link, startDate, endDate),
         period: {
           range: dateRange,
           start: startDate.toISOString(),
@@ -448,10 +737,12 @@ class LinkService {
       const result = {
         totalClicks: link.clickCount || 0,
         uniqueClicks: link.uniqueClicks || 0,
+        botClicks: link.botClicks || 0,
         dailyClicks: [], // Could implement if we store click history
         topCountries: [],
         topDevices: [],
         topBrowsers: [],
+        topRoutingRules: [],
       };
 
       console.log(`✅ PostgreSQL analytics result:`, result);
@@ -466,44 +757,47 @@ class LinkService {
     return {
       totalClicks: 0,
       uniqueClicks: 0,
+      botClicks: 0,
       dailyClicks: [],
       topCountries: [],
       topDevices: [],
       topBrowsers: [],
+      topRoutingRules: [],
     };
   }
   /**
    * Get user stats with ElasticSearch integration
    */
-  async getUserStats(userId) {
+  async getUserStats(owner) {
     try {
       await this.ensureInitialized();
+      const scopeWhere = workspaceService.scopeWhere(owner);
 
       // Get basic stats from PostgreSQL
       const totalLinks = await Link.count({
-        where: { userId, isActive: true },
+        where: { ...scopeWhere, isActive: true },
       });
 
       const totalClicks =
         (await Link.sum('clickCount', {
-          where: { userId, isActive: true },
+          where: { ...scopeWhere, isActive: true },
         })) || 0;
 
       const totalUniqueClicks =
         (await Link.sum('uniqueClicks', {
-          where: { userId, isActive: true },
+          where: { ...scopeWhere, isActive: true },
         })) || 0;
 
       // ✅ THÊM 2 DÒNG NÀY:
       const activeLinks = await Link.count({
-        where: { userId, isActive: true },
+        where: { ...scopeWhere, isActive: true },
       });
 
       const avgClicks = totalLinks > 0 ? totalClicks / totalLinks : 0;
 
       // Get recent links...
       const recentLinks = await Link.findAll({
-        where: { userId, isActive: true },
+        where: { ...scopeWhere, isActive: true },
         include: [
           {
             model: Domain,
@@ -518,7 +812,7 @@ class LinkService {
       let enhancedAnalytics = null;
       try {
         if (clickTrackingService.isInitialized) {
-          enhancedAnalytics = await clickTrackingService.getUserAnalytics(userId);
+          enhancedAnalytics = await clickTrackingService.getUserAnalytics(owner);
         }
       } catch (esError) {
         console.warn('⚠️ ElasticSearch user analytics failed:', esError.message);
@@ -551,7 +845,7 @@ class LinkService {
   /**
    * Get user links with pagination and filtering
    */
-  async getUserLinks(userId, options = {}) {
+  async getUserLinks(owner, options = {}) {
     try {
       const {
         page = 1,
@@ -563,21 +857,7 @@ class LinkService {
       } = options;
 
       const offset = (page - 1) * limit;
-      const whereClause = { userId, isActive: true };
-
-      // Search filter
-      if (search) {
-        whereClause[Op.or] = [
-          { title: { [Op.iLike]: `%${search}%` } },
-          { originalUrl: { [Op.iLike]: `%${search}%` } },
-          { shortCode: { [Op.iLike]: `%${search}%` } },
-        ];
-      }
-
-      // Campaign filter
-      if (campaign) {
-        whereClause.campaign = campaign;
-      }
+      const whereClause = this.buildUserLinksWhere(owner, { search, campaign });
 
       const { count, rows } = await Link.findAndCountAll({
         where: whereClause,
@@ -607,20 +887,61 @@ class LinkService {
     }
   }
 
+  /**
+   * Build the where clause for listing a user's / workspace's links (shared with export)
+   */
+  buildUserLinksWhere(owner, { search = '', campaign = '' } = {}) {
+    const whereClause = { ...workspaceService.scopeWhere(owner), isActive: true };
+
+    // Search filter
+    if (search) {
+      whereClause[Op.or] = [
+        { title: { [Op.iLike]: `%${search}%` } },
+        { originalUrl: { [Op.iLike]: `%${search}%` } },
+        { shortCode: { [Op.iLike]: `%${search}%` } },
+      ];
+    }
+
+    // Campaign filter
+    if (campaign) {
+      whereClause.campaign = campaign;
+    }
+
+    return whereClause;
+  }
+
   /**
    * Update link
    */
-  async updateLink(linkId, userId, updateData) {
+  async updateLink(linkId, owner, updateData) {
     try {
+      const { userId } = workspaceService.toScope(owner);
       const link = await Link.findOne({
-        where: { id: linkId, userId },
+        where: { id: linkId, ...workspaceService.scopeWhere(owner) },
       });
 
       if (!link) {
         throw new Error('Link not found or unauthorized');
       }
 
-      const allowedFields = ['title', 'description', 'campaign', 'tags', 'isActive', 'expiresAt'];
+      const allowedFields = [
+        'originalUrl',
+        'title',
+        'description',
+        'campaign',
+        'tags',
+        'isActive',
+        'expiresAt',
+        'routingRules',
+        'variants',
+        'redirectType',
+        'socialPreview',
+        'maxClicks',
+        'maxUniqueClicks',
+        'activateAt',
+        'availabilityWindows',
+        'fallbackUrl',
+      ];
       const filteredData = {};
 
       allowedFields.forEach((field) => {
@@ -629,8 +950,71 @@ class LinkService {
         }
       });
 
+      const urlChanged =
+        filteredData.originalUrl !== undefined && filteredData.originalUrl !== link.originalUrl;
+
+      if (urlChanged) {
+        if (!this.isValidUrl(filteredData.originalUrl)) {
+          throw new Error('Invalid URL format');
+        }
+        await destinationPolicyService.assertAllowed(filteredData.originalUrl);
+        await urlReputationService.assertNotFlagged(filteredData.originalUrl);
+      }
+
+      if (filteredData.redirectType !== undefined) {
+        filteredData.redirectType = this.prepareRedirectType(filteredData.redirectType);
+      }
+
+      if (filteredData.socialPreview !== undefined) {
+        filteredData.socialPreview = this.prepareSocialPreview(filteredData.socialPreview);
+      }
+
+      Object.assign(filteredData, await this.prepareAvailability(filteredData));
+
+      // Hết hạn rồi mà ngày / giới hạn click mới còn cho phép -> chạy lại (và báo lại khi hết lần nữa)
+      if (link.expiredAt && ['expiresAt', 'maxClicks', 'maxUniqueClicks'].some((field) => field in filteredData)) {
+        const updated = Link.build({ ...link.get(), ...filteredData, expiredAt: null });
+        if (!updated.isExpired()) {
+          filteredData.expiredAt = null;
+        }
+      }
+
+      let rulesChanged = false;
+      if (filteredData.routingRules !== undefined) {
+        filteredData.routingRules = await this.prepareRoutingRules(filteredData.routingRules);
+        rulesChanged =
+          JSON.stringify(routingRuleService.getDestinations(filteredData.routingRules)) !==
+          JSON.stringify(routingRuleService.getDestinations(link.routingRules));
+      }
+
+      if (filteredData.variants !== undefined) {
+        filteredData.variants = await this.prepareSplitVariants(filteredData.variants);
+        rulesChanged =
+          rulesChanged ||
+          JSON.stringify(splitTestService.getDestinations(filteredData.variants)) !==
+            JSON.stringify(splitTestService.getDestinations(link.variants));
+      }
+
+      if (filteredData.fallbackUrl !== undefined) {
+        rulesChanged = rulesChanged || filteredData.fallbackUrl !== link.fallbackUrl;
+      }
+
+      // Link bị blocklist gắn cờ không thể tự bật lại
+      if (link.blockedAt && filteredData.isActive === true) {
+        throw new Error(`Link has been blocked: ${link.blockedReason}`);
+      }
+
+      // Đổi đích (kể cả đích của routing rule / A/B variant / fallbackUrl) -> duyệt lại nếu user vẫn cần approval
+      if ((urlChanged || rulesChanged) && (await linkModerationService.requiresApproval(userId))) {
+        filteredData.moderationStatus = 'pending';
+      }
+
       await link.update(filteredData);
 
+      if (urlChanged) {
+        await this.queueMetadataJob(link, userId);
+      }
+
       return await Link.findByPk(linkId, {
         include: [
           {
@@ -648,10 +1032,10 @@ class LinkService {
   /**
    * Delete link (soft delete)
    */
-  async deleteLink(linkId, userId) {
+  async deleteLink(linkId, owner) {
     try {
       const link = await Link.findOne({
-        where: { id: linkId, userId },
+        where: { id: linkId, ...workspaceService.scopeWhere(owner) },
       });
 
       if (!link) {
@@ -679,15 +1063,15 @@ class LinkService {
   }
 
   // Helper methods
-  async generateUniqueShortCode(domainId = null, length = 6) {
+  async generateUniqueShortCode(domainId = null, length = 6, { transaction } = {}) {
     let shortCode;
     let attempts = 0;
     const maxAttempts = 10;
 
     do {
       shortCode = shortid.generate().substring(0, length);
-      const existing = await Link.findByShortCodeAndDomain(shortCode, domainId);
-      if (!existing) break;
+      const taken = isReservedShortCode(shortCode) || (await this.isShortCodeTaken(shortCode, domainId, { transaction }));
+      if (!taken) break;
       attempts++;
     } while (attempts < maxAttempts);
 
@@ -698,6 +1082,18 @@ class LinkService {
     return shortCode;
   }
 
+  /**
+   * Check the unique_shortcode_per_domain constraint (soft-deleted rows still hold their code)
+   */
+  async isShortCodeTaken(shortCode, domainId = null, { transaction } = {}) {
+    const existing = await Link.findOne({
+      where: { shortCode, domainId: domainId || null },
+      paranoid: false,
+      transaction,
+    });
+    return !!existing;
+  }
+
   isValidUrl(url) {
     try {
       new URL(url);
@@ -717,9 +1113,29 @@ class LinkService {
     return await bcrypt.compare(password, hash);
   }
 
-  async isUniqueClick(linkId, ipAddress) {
+  /**
+   * First click of this visitor on the link within the visitor salt window
+   * (visitor = ClickPrivacyService.anonymize result)
+   */
+  async isUniqueClick(linkId, { visitorId, visitorKey }) {
+    if (!visitorKey) {
+      return true; // Không có IP hợp lệ - không phân biệt được
+    }
+
+    // Visitor đã thấy trong chu kỳ salt hiện tại (visitorId cũng đổi theo salt) - Redis, không query clicks
+    if (cacheService.isReady() || !visitorId) {
+      const firstSeen = await cacheService.setIfAbsent(
+        `click:visitor:${linkId}:${visitorKey}`,
+        1,
+        clickPrivacyService.getSaltRotationSeconds()
+      );
+      return firstSeen !== false;
+    }
+
+    // Không có Redis: tra bảng clicks (privacy.ipMode = none thì không có gì để tra)
     const existing = await Click.findOne({
-      where: { linkId, ipAddress },
+      where: { linkId, visitorId },
+      attributes: ['id'],
     });
     return !existing;
   }
@@ -0,0 +1,366 @@
+// backend/domains/links/services/MetadataService.js
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { Link } = require('../../../models');
+const destinationPolicyService = require('../../security/services/DestinationPolicyService');
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.METADATA_TIMEOUT_MS) || 5000;
+const MAX_REDIRECTS = parseInt(process.env.METADATA_MAX_REDIRECTS) || 5;
+const MAX_BYTES = parseInt(process.env.METADATA_MAX_BYTES) || 1024 * 1024; // 1MB
+const USER_AGENT = 'ShortlinkBot/1.0 (+metadata)';
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_CANCELED'];
+const OEMBED_FIELDS = [
+  'type',
+  'version',
+  'title',
+  'author_name',
+  'author_url',
+  'provider_name',
+  'provider_url',
+  'thumbnail_url',
+  'thumbnail_width',
+  'thumbnail_height',
+  'width',
+  'height',
+];
+
+class MetadataFetchError extends Error {
+  constructor(message, retryable = false) {
+    super(message);
+    this.name = 'MetadataFetchError';
+    this.retryable = retryable;
+  }
+}
+
+class MetadataService {
+  constructor() {
+    this.timeout = FETCH_TIMEOUT_MS;
+    this.maxRedirects = MAX_REDIRECTS;
+    this.maxBytes = MAX_BYTES;
+
+    // Socket chỉ được kết nối tới địa chỉ đã qua destination policy
+    const lookup = destinationPolicyService.createLookup();
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  /**
+   * Fetch a URL and extract OpenGraph / Twitter Card / oEmbed / favicon metadata
+   */
+  async fetchMetadata(url, options = {}) {
+    const limits = {
+      timeout: options.timeout || this.timeout,
+      maxRedirects: options.maxRedirects ?? this.maxRedirects,
+      maxBytes: options.maxBytes || this.maxBytes,
+    };
+
+    const page = await this.request(url, { ...limits, accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' });
+
+    const metadata = {
+      finalUrl: page.url,
+      statusCode: page.statusCode,
+      contentType: page.contentType,
+      redirects: page.redirects,
+      truncated: page.truncated,
+    };
+
+    if (page.contentType.startsWith('image/')) {
+      return { ...metadata, image: page.url, fetchedAt: new Date() };
+    }
+
+    if (!/html|xml/.test(page.contentType)) {
+      return { ...metadata, fetchedAt: new Date() };
+    }
+
+    const parsed = this.parseHtml(this.decodeBody(page.body, page.contentType), page.url);
+
+    let oembed = null;
+    if (parsed.oembedUrl) {
+      oembed = await this.fetchOEmbed(parsed.oembedUrl, limits);
+    }
+
+    const { oembedUrl, ...fields } = parsed;
+
+    return {
+      ...fields,
+      title: fields.title || oembed?.title || '',
+      image: fields.image || oembed?.thumbnail_url || '',
+      oembed,
+      ...metadata,
+      fetchedAt: new Date(),
+    };
+  }
+
+  /**
+   * GET with manual redirect handling, a total time budget and a body size cap
+   */
+  async request(url, { timeout, maxRedirects, maxBytes, accept }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const visited = new Set();
+    let currentUrl = url;
+
+    try {
+      for (let redirects = 0; ; redirects++) {
+        const target = this.assertFetchableUrl(currentUrl);
+
+        if (visited.has(target.href)) {
+          throw new MetadataFetchError(`Redirect loop detected at ${target.href}`);
+        }
+        visited.add(target.href);
+
+        // Mỗi hop redirect đều phải qua destination policy
+        const destination = await destinationPolicyService.checkUrl(target.href);
+        if (!destination.allowed) {
+          throw new MetadataFetchError(`Destination not allowed: ${destination.reason}`);
+        }
+
+        const response = await axios.get(target.href, {
+          responseType: 'stream',
+          maxRedirects: 0,
+          validateStatus: () => true,
+          signal: controller.signal,
+          httpAgent: this.httpAgent,
+          httpsAgent: this.httpsAgent,
+          proxy: false,
+          headers: {
+            'User-Agent': USER_AGENT,
+            Accept: accept,
+          },
+        });
+
+        if (REDIRECT_STATUSES.includes(response.status)) {
+          response.data.destroy();
+
+          const location = response.headers.location;
+          if (!location) {
+            throw new MetadataFetchError(`Redirect ${response.status} without Location header`);
+          }
+          if (redirects >= maxRedirects) {
+            throw new MetadataFetchError(`Too many redirects (max ${maxRedirects})`);
+          }
+
+          currentUrl = new URL(location, target).href;
+          continue;
+        }
+
+        if (response.status >= 400) {
+          response.data.destroy();
+          // 429 và 5xx có thể thành công ở lần thử sau
+          const retryable = response.status === 429 || response.status >= 500;
+          throw new MetadataFetchError(`HTTP ${response.status} from ${target.href}`, retryable);
+        }
+
+        const { body, truncated } = await this.readBody(response.data, maxBytes);
+
+        return {
+          url: target.href,
+          statusCode: response.status,
+          contentType: String(response.headers['content-type'] || '').toLowerCase(),
+          body,
+          truncated,
+          redirects,
+        };
+      }
+    } catch (error) {
+      if (error instanceof MetadataFetchError) throw error;
+
+      if (controller.signal.aborted) {
+        throw new MetadataFetchError(`Timed out after ${timeout}ms fetching ${currentUrl}`, true);
+      }
+
+      throw new MetadataFetchError(error.message, RETRYABLE_CODES.includes(error.code));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Only absolute http(s) URLs are fetched
+   */
+  assertFetchableUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new MetadataFetchError(`Invalid URL: ${url}`);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new MetadataFetchError(`Unsupported protocol: ${parsed.protocol}`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Read at most maxBytes - metadata lives in <head>, so a cut-off page is still usable
+   */
+  async readBody(stream, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+
+    for await (const chunk of stream) {
+      if (size + chunk.length > maxBytes) {
+        chunks.push(chunk.subarray(0, maxBytes - size));
+        truncated = true;
+        break; // thoát vòng lặp sẽ destroy stream
+      }
+
+      chunks.push(chunk);
+      size += chunk.length;
+    }
+
+    return { body: Buffer.concat(chunks), truncated };
+  }
+
+  decodeBody(buffer, contentType) {
+    const headerCharset = /charset=["']?([\w-]+)/i.exec(contentType);
+    const metaCharset = /<meta[^>]+charset=["']?([\w-]+)/i.exec(buffer.subarray(0, 2048).toString('latin1'));
+    const charset = (headerCharset || metaCharset || [])[1] || 'utf-8';
+
+    try {
+      return new TextDecoder(charset).decode(buffer);
+    } catch {
+      return new TextDecoder('utf-8').decode(buffer);
+    }
+  }
+
+  /**
+   * Extract metadata fields from an HTML document
+   */
+  parseHtml(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const baseUrl = this.resolveUrl($('base[href]').attr('href'), pageUrl) || pageUrl;
+    const resolve = (value) => this.resolveUrl(value, baseUrl);
+
+    const openGraph = {};
+    const twitter = {};
+    const meta = {};
+
+    $('meta').each((i, el) => {
+      const key = ($(el).attr('property') || $(el).attr('name') || '').trim().toLowerCase();
+      const content = this.cleanText($(el).attr('content'));
+      if (!key || !content) return;
+
+      // Giữ giá trị đầu tiên (og:image có thể lặp lại)
+      if (key.startsWith('og:')) {
+        openGraph[key.slice(3)] ??= content;
+      } else if (key.startsWith('twitter:')) {
+        twitter[key.slice(8)] ??= content;
+      } else {
+        meta[key] ??= content;
+      }
+    });
+
+    ['image', 'image:url', 'image:secure_url', 'url', 'video', 'audio'].forEach((key) => {
+      if (openGraph[key]) openGraph[key] = resolve(openGraph[key]);
+    });
+    ['image', 'image:src', 'player'].forEach((key) => {
+      if (twitter[key]) twitter[key] = resolve(twitter[key]);
+    });
+
+    const canonicalUrl = resolve($('link[rel="canonical"]').attr('href')) || openGraph.url || '';
+
+    const oembedHref = $('link[rel="alternate"][type="application/json+oembed"]').attr('href');
+
+    return {
+      title: openGraph.title || twitter.title || this.cleanText($('title').first().text()),
+      description: openGraph.description || twitter.description || meta.description || '',
+      image: openGraph['image:secure_url'] || openGraph.image || openGraph['image:url'] || twitter.image || twitter['image:src'] || '',
+      siteName: openGraph.site_name || twitter.site || '',
+      type: openGraph.type || '',
+      canonicalUrl,
+      favicon: this.findFavicon($, baseUrl),
+      openGraph,
+      twitter,
+      oembedUrl: resolve(oembedHref),
+    };
+  }
+
+  findFavicon($, baseUrl) {
+    const icons = $('link[rel][href]')
+      .toArray()
+      .map((el) => ({
+        rel: ($(el).attr('rel') || '').toLowerCase().split(/\s+/),
+        href: $(el).attr('href'),
+      }));
+
+    const icon =
+      icons.find(({ rel }) => rel.includes('icon')) ||
+      icons.find(({ rel }) => rel.includes('apple-touch-icon'));
+
+    if (icon) {
+      return this.resolveUrl(icon.href, baseUrl);
+    }
+
+    return new URL('/favicon.ico', baseUrl).href;
+  }
+
+  /**
+   * Fetch the discovered oEmbed endpoint - failure here never fails the whole job
+   */
+  async fetchOEmbed(oembedUrl, limits) {
+    try {
+      const response = await this.request(oembedUrl, { ...limits, accept: 'application/json' });
+      if (response.truncated) {
+        throw new MetadataFetchError('oEmbed response exceeds size limit');
+      }
+
+      const data = JSON.parse(response.body.toString('utf8'));
+
+      // Không lưu `html` - đây là markup của bên thứ ba
+      return Object.fromEntries(
+        OEMBED_FIELDS.filter((field) => data[field] !== undefined && data[field] !== null).map((field) => [
+          field,
+          data[field],
+        ])
+      );
+    } catch (error) {
+      console.log(`⚠️ oEmbed fetch failed for ${oembedUrl}:`, error.message);
+      return null;
+    }
+  }
+
+  resolveUrl(value, baseUrl) {
+    if (!value) return '';
+
+    try {
+      const resolved = new URL(value.trim(), baseUrl);
+      return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : '';
+    } catch {
+      return '';
+    }
+  }
+
+  cleanText(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim().slice(0, 1000);
+  }
+
+  /**
+   * Fetch and persist metadata for a link - called by the BullMQ metadata worker
+   */
+  async refreshLinkMetadata(linkId, url) {
+    const metadata = await this.fetchMetadata(url);
+    await Link.update({ urlMetadata: metadata }, { where: { id: linkId } });
+    return metadata;
+  }
+
+  /**
+   * Persist the final failure so the UI can tell "failed" from "not fetched yet"
+   */
+  async recordFailure(linkId, error) {
+    await Link.update(
+      { urlMetadata: { error: error.message, fetchedAt: new Date() } },
+      { where: { id: linkId } }
+    );
+  }
+}
+
+module.exports = new MetadataService();
+module.exports.MetadataFetchError = MetadataFetchError;
@@ -0,0 +1,173 @@
+// backend/domains/links/services/RoutingRuleService.js
+// Smart routing: Link.routingRules = ordered list of { id, name, conditions, destinationUrl }.
+// The first rule whose conditions all match the visitor wins; no match -> link.originalUrl.
+const crypto = require('crypto');
+const { normalizeTimeWindow, isWithinTimeWindow } = require('../../../shared/utils/timeWindow');
+
+const MAX_RULES = 20;
+const MAX_VALUES = 50;
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'bot'];
+const CONDITIONS = ['countries', 'deviceTypes', 'os', 'languages', 'timeWindow'];
+
+class RoutingRuleService {
+  /**
+   * Validate and normalize rules from the API (ids are kept, or generated for new rules).
+   * Destination policy / reputation checks are done by LinkService.
+   */
+  normalize(rules) {
+    if (rules === null || rules === undefined) {
+      return [];
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error('Invalid routing rules: must be an array');
+    }
+    if (rules.length > MAX_RULES) {
+      throw new Error(`Too many routing rules (max ${MAX_RULES})`);
+    }
+
+    const ids = new Set();
+    return rules.map((rule, index) => {
+      const label = `Invalid routing rule #${index + 1}`;
+      if (!rule || typeof rule !== 'object') {
+        throw new Error(`${label}: must be an object`);
+      }
+
+      const id = rule.id ? String(rule.id) : crypto.randomBytes(4).toString('hex');
+      if (!/^[a-zA-Z0-9_-]{1,32}$/.test(id) || ids.has(id)) {
+        throw new Error(`${label}: id must be unique (letters, digits, - and _)`);
+      }
+      ids.add(id);
+
+      if (!this.isHttpUrl(rule.destinationUrl)) {
+        throw new Error(`${label}: destinationUrl must be an http(s) URL`);
+      }
+
+      const conditions = this.normalizeConditions(rule.conditions, label);
+      if (Object.keys(conditions).length === 0) {
+        throw new Error(`${label}: at least one condition is required`);
+      }
+
+      return {
+        id,
+        name: rule.name ? String(rule.name).trim().slice(0, 100) : null,
+        conditions,
+        destinationUrl: rule.destinationUrl,
+      };
+    });
+  }
+
+  normalizeConditions(conditions = {}, label) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      throw new Error(`${label}: conditions must be an object`);
+    }
+
+    const unknown = Object.keys(conditions).filter((key) => !CONDITIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${label}: unknown condition ${unknown[0]}`);
+    }
+
+    const normalized = {};
+
+    if (conditions.countries !== undefined) {
+      normalized.countries = this.normalizeList(conditions.countries, `${label}: countries`, (value) =>
+        /^[a-z]{2}$/i.test(value) ? value.toUpperCase() : null
+      );
+    }
+    if (conditions.deviceTypes !== undefined) {
+      normalized.deviceTypes = this.normalizeList(conditions.deviceTypes, `${label}: deviceTypes`, (value) =>
+        DEVICE_TYPES.includes(value.toLowerCase()) ? value.toLowerCase() : null
+      );
+    }
+    if (conditions.os !== undefined) {
+      normalized.os = this.normalizeList(conditions.os, `${label}: os`, (value) => value.trim() || null);
+    }
+    if (conditions.languages !== undefined) {
+      normalized.languages = this.normalizeList(conditions.languages, `${label}: languages`, (value) =>
+        /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(value) ? value.toLowerCase() : null
+      );
+    }
+    if (conditions.timeWindow !== undefined) {
+      normalized.timeWindow = normalizeTimeWindow(conditions.timeWindow, `${label}: timeWindow`);
+    }
+
+    return normalized;
+  }
+
+  normalizeList(values, label, normalizeValue) {
+    if (!Array.isArray(values) || values.length === 0 || values.length > MAX_VALUES) {
+      throw new Error(`${label} must be a list of 1-${MAX_VALUES} values`);
+    }
+
+    return [
+      ...new Set(
+        values.map((value) => {
+          const normalized = typeof value === 'string' ? normalizeValue(value) : null;
+          if (!normalized) {
+            throw new Error(`${label} has an invalid value: ${value}`);
+          }
+          return normalized;
+        })
+      ),
+    ];
+  }
+
+  isHttpUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * First matching rule or null.
+   * visitor = { country, deviceType, os, acceptLanguage, now }
+   */
+  match(rules, visitor) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return null;
+    }
+
+    const context = { ...visitor, language: this.preferredLanguage(visitor.acceptLanguage) };
+    return rules.find((rule) => this.matches(rule.conditions || {}, context)) || null;
+  }
+
+  matches(conditions, { country, deviceType, os, language, now = new Date() }) {
+    const { countries, deviceTypes, timeWindow } = conditions;
+
+    if (countries && !countries.includes(country)) return false;
+    if (deviceTypes && !deviceTypes.includes(deviceType)) return false;
+    if (conditions.os && !conditions.os.some((name) => name.toLowerCase() === String(os || '').toLowerCase())) {
+      return false;
+    }
+    // 'de' khớp de, de-DE, de-AT; 'de-at' chỉ khớp de-AT
+    if (conditions.languages && !conditions.languages.some((tag) => language === tag || language?.startsWith(`${tag}-`))) {
+      return false;
+    }
+    if (timeWindow && !isWithinTimeWindow(timeWindow, now)) return false;
+
+    return true;
+  }
+
+  // Highest-priority tag of Accept-Language ('de-DE,de;q=0.9,en;q=0.8' -> 'de-de')
+  preferredLanguage(acceptLanguage) {
+    const [preferred] = String(acceptLanguage || '')
+      .split(',')
+      .map((entry) => {
+        const [tag, ...params] = entry.trim().split(';');
+        const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        return { tag: tag.toLowerCase(), q: q ? parseFloat(q.slice(2)) : 1 };
+      })
+      .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+      .sort((a, b) => b.q - a.q);
+
+    return preferred?.tag || null;
+  }
+
+  // Destinations other than originalUrl (policy / reputation checks)
+  getDestinations(rules) {
+    return (rules || []).map((rule) => rule.destinationUrl);
+  }
+}
+
+module.exports = new RoutingRuleService();
@@ -0,0 +1,260 @@
+// backend/domains/links/services/SplitTestService.js
+// A/B split: Link.variants = [{ id, name, destinationUrl, weight }]. Each visitor gets one variant
+// (sticky by cookie, else by hashed visitor id), conversions are reported per variant.
+const crypto = require('crypto');
+const { Op, fn, col } = require('sequelize');
+const { Click, Link } = require('../../../models');
+const jwtConfig = require('../../auth/config/jwt');
+
+const MAX_VARIANTS = 10;
+const MAX_WEIGHT = 1000;
+const SIGNIFICANCE_LEVEL = 0.05;
+// <clickId>.<HMAC of linkId:clickId> - only the destination of that click can report its conversion
+const CLICK_TOKEN_PATTERN = /^([0-9a-f-]{36})\.([A-Za-z0-9_-]{43})$/i;
+
+// Φ(x) - Abramowitz & Stegun 7.1.26 (sai số < 1.5e-7)
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(x) / Math.SQRT2));
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t *
+      Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+class SplitTestService {
+  /**
+   * Validate and normalize variants from the API: none (no split) or 2-10 variants,
+   * weights 0-1000 (0 pauses a variant). Destination checks are done by LinkService.
+   */
+  normalize(variants) {
+    if (variants === null || variants === undefined) {
+      return [];
+    }
+    if (!Array.isArray(variants)) {
+      throw new Error('Invalid split variants: must be an array');
+    }
+    if (variants.length === 0) {
+      return [];
+    }
+    if (variants.length < 2 || variants.length > MAX_VARIANTS) {
+      throw new Error(`Invalid split variants: use 2-${MAX_VARIANTS} variants`);
+    }
+
+    const ids = new Set();
+    const normalized = variants.map((variant, index) => {
+      const label = `Invalid split variant #${index + 1}`;
+      if (!variant || typeof variant !== 'object') {
+        throw new Error(`${label}: must be an object`);
+      }
+
+      const id = variant.id ? String(variant.id) : String.fromCharCode(97 + index); // a, b, c...
+      if (!/^[a-zA-Z0-9_-]{1,32}$/.test(id) || ids.has(id)) {
+        throw new Error(`${label}: id must be unique (letters, digits, - and _)`);
+      }
+      ids.add(id);
+
+      if (!this.isHttpUrl(variant.destinationUrl)) {
+        throw new Error(`${label}: destinationUrl must be an http(s) URL`);
+      }
+
+      const weight = variant.weight === undefined ? 1 : variant.weight;
+      if (!Number.isInteger(weight) || weight < 0 || weight > MAX_WEIGHT) {
+        throw new Error(`${label}: weight must be an integer 0-${MAX_WEIGHT}`);
+      }
+
+      return {
+        id,
+        name: variant.name ? String(variant.name).trim().slice(0, 100) : null,
+        destinationUrl: variant.destinationUrl,
+        weight,
+      };
+    });
+
+    if (!normalized.some((variant) => variant.weight > 0)) {
+      throw new Error('Invalid split variants: at least one variant needs a weight above 0');
+    }
+
+    return normalized;
+  }
+
+  isHttpUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Variant for this visitor, or null when the link is not split.
+   * stickyVariantId = variant cookie from an earlier visit (kept while that variant is live),
+   * visitorKey = ClickPrivacyService visitor hash (same bucket for the salt period without cookies)
+   */
+  pick(link, { stickyVariantId = null, visitorKey = null } = {}) {
+    const variants = (link.variants || []).filter((variant) => variant.weight > 0);
+    if (variants.length === 0) {
+      return null;
+    }
+
+    const sticky = variants.find((variant) => variant.id === stickyVariantId);
+    if (sticky) {
+      return sticky;
+    }
+
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let bucket = visitorKey
+      ? parseInt(crypto.createHash('sha256').update(`${link.id}:${visitorKey}`).digest('hex').slice(0, 8), 16) %
+        totalWeight
+      : crypto.randomInt(totalWeight);
+
+    return variants.find((variant) => (bucket -= variant.weight) < 0);
+  }
+
+  // Destinations other than originalUrl (policy / reputation checks)
+  getDestinations(variants) {
+    return (variants || []).map((variant) => variant.destinationUrl);
+  }
+
+  /**
+   * Conversion token added to split destinations (links.conversionParam), bound to the link
+   */
+  signClick(linkId, clickId) {
+    return `${clickId}.${this.clickSignature(linkId, clickId)}`;
+  }
+
+  clickSignature(linkId, clickId) {
+    return crypto
+      .createHmac('sha256', process.env.CONVERSION_SIGNING_KEY || jwtConfig.secret)
+      .update(`${linkId}:${clickId}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Record a conversion for a click (postback / pixel) from its signed token. Only the first one counts.
+   * Returns false for malformed or forged tokens and for clicks that are not part of a split test.
+   */
+  async recordConversion(token, value = null) {
+    const [, clickId, signature] = String(token || '').match(CLICK_TOKEN_PATTERN) || [];
+    if (!clickId) {
+      return false;
+    }
+
+    const click = await Click.findByPk(clickId, {
+      attributes: ['id', 'linkId', 'variantId', 'convertedAt'],
+      include: [{ model: Link, as: 'link', attributes: ['id', 'variants'], paranoid: false }],
+    });
+    if (!click || !click.variantId || !(click.link?.variants || []).length) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.clickSignature(click.linkId, click.id));
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature))) {
+      return false;
+    }
+
+    const amount = value === null || value === undefined || value === '' ? null : Number(value);
+    if (amount !== null && (!Number.isFinite(amount) || amount < 0)) {
+      throw new Error('Invalid conversion value');
+    }
+
+    await Click.update(
+      { convertedAt: new Date(), conversionValue: amount },
+      { where: { id: click.id, convertedAt: null } }
+    );
+    return true;
+  }
+
+  /**
+   * Per-variant clicks / conversions for the period, each variant compared with the first
+   * (control) by a two-proportion z-test. significant = p < 0.05.
+   */
+  async getReport(link, startDate, endDate) {
+    const variants = link.variants || [];
+    if (variants.length === 0) {
+      return null;
+    }
+
+    const rows = await Click.findAll({
+      where: {
+        linkId: link.id,
+        variantId: { [Op.ne]: null },
+        createdAt: { [Op.between]: [startDate, endDate] },
+      },
+      attributes: [
+        'variantId',
+        [fn('COUNT', col('id')), 'clicks'],
+        [fn('COUNT', col('converted_at')), 'conversions'],
+        [fn('SUM', col('conversion_value')), 'conversionValue'],
+      ],
+      group: ['variantId'],
+      raw: true,
+    });
+
+    const stats = variants.map((variant) => {
+      const row = rows.find(({ variantId }) => variantId === variant.id);
+      const clicks = parseInt(row?.clicks) || 0;
+      const conversions = parseInt(row?.conversions) || 0;
+
+      return {
+        id: variant.id,
+        name: variant.name,
+        destinationUrl: variant.destinationUrl,
+        weight: variant.weight,
+        clicks,
+        conversions,
+        conversionValue: parseFloat(row?.conversionValue) || 0,
+        conversionRate: clicks > 0 ? conversions / clicks : 0,
+      };
+    });
+
+    const [control] = stats;
+    const compared = stats.map((variant, index) => {
+      if (index === 0) {
+        return { ...variant, uplift: null, pValue: null, significant: false };
+      }
+
+      const pValue = this.zTestPValue(control, variant);
+      return {
+        ...variant,
+        uplift: control.conversionRate > 0 ? (variant.conversionRate - control.conversionRate) / control.conversionRate : null,
+        pValue,
+        significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL,
+      };
+    });
+
+    // Winner: significantly better than control, or control when every challenger is significantly worse
+    const better = compared
+      .filter((variant) => variant.significant && variant.conversionRate > control.conversionRate)
+      .sort((a, b) => b.conversionRate - a.conversionRate)[0];
+    const controlWins =
+      compared.length > 1 &&
+      compared.slice(1).every((variant) => variant.significant && variant.conversionRate < control.conversionRate);
+
+    return {
+      controlId: control.id,
+      confidenceLevel: 1 - SIGNIFICANCE_LEVEL,
+      winnerId: better?.id || (controlWins ? control.id : null),
+      variants: compared,
+    };
+  }
+
+  // Two-sided p-value of the difference in conversion rates (null when not testable yet)
+  zTestPValue(a, b) {
+    if (a.clicks === 0 || b.clicks === 0) {
+      return null;
+    }
+
+    const pooled = (a.conversions + b.conversions) / (a.clicks + b.clicks);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.clicks + 1 / b.clicks));
+    if (standardError === 0) {
+      return null;
+    }
+
+    const z = (b.conversionRate - a.conversionRate) / standardError;
+    return 2 * (1 - normalCdf(Math.abs(z)));
+  }
+}
+
+module.exports = new SplitTestService();
@@ -0,0 +1,224 @@
+// domains/links/views/redirectPages.js
+// HTML pages of the redirect service for browser visitors (API clients get JSON): (data) => html
+// A custom domain's customLandingPage replaces the layout. Placeholders: {{title}}, {{message}},
+// {{shortCode}}, {{domain}}, {{statusCode}} (escaped text) and {{content}} (page HTML: form, link...)
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[char]);
+
+const TONES = {
+  info: { accent: '#1677ff', background: '#f5f7fa' },
+  warning: { accent: '#d97706', background: '#fffbeb' },
+  danger: { accent: '#dc2626', background: '#fef2f2' },
+};
+
+const layout = ({ statusCode, title, message, content = '', head = '', tone = 'info', shortCode, domain = null }) => {
+  if (domain?.customLandingPage) {
+    const values = {
+      title: escapeHtml(title),
+      message: escapeHtml(message),
+      shortCode: escapeHtml(shortCode),
+      domain: escapeHtml(domain.domain),
+      statusCode: escapeHtml(statusCode),
+      content: `${head}${content}`, // meta refresh vẫn chạy khi nằm trong body
+    };
+    return domain.customLandingPage.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+      key in values ? values[key] : placeholder
+    );
+  }
+
+  const { accent, background } = TONES[tone];
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(title)}</title>
+  ${head}
+  <style>
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: ${background}; color: #1f2937; }
+    main { max-width: 560px; margin: 10vh auto; padding: 32px; background: #fff; border-top: 6px solid ${accent}; border-radius: 8px; box-shadow: 0 4px 24px rgba(0, 0, 0, 0.08); }
+    h1 { margin-top: 0; color: ${accent}; font-size: 1.5rem; }
+    code { background: #f3f4f6; padding: 2px 6px; border-radius: 4px; word-break: break-all; }
+    input { width: 100%; box-sizing: border-box; padding: 10px; margin: 8px 0 16px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 1rem; }
+    button, .button { display: inline-block; padding: 10px 18px; background: ${accent}; color: #fff; border: 0; border-radius: 4px; font-size: 1rem; text-decoration: none; cursor: pointer; }
+    .error { color: #b91c1c; }
+    small { color: #6b7280; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${content}
+  </main>
+</body>
+</html>`;
+};
+
+const pages = {
+  notFound: ({ shortCode, domain }) =>
+    layout({
+      statusCode: 404,
+      title: 'Link not found',
+      message: "The link you followed doesn't exist or has been turned off.",
+      shortCode,
+      domain,
+    }),
+
+  expired: ({ shortCode, domain }) =>
+    layout({
+      statusCode: 410,
+      title: 'This link has expired',
+      message: 'This link reached the end date or the number of visits its owner allowed.',
+      tone: 'warning',
+      shortCode,
+      domain,
+    }),
+
+  // Lịch hoạt động / moderation / vùng địa lý - reason như result.reason của LinkService.processClick
+  unavailable: ({ reason, shortCode, domain }) => {
+    const messages = {
+      scheduled: 'This link is not active yet. Please come back later.',
+      unavailable: 'This link is only available at certain times. Please come back later.',
+      pending_review: 'This link is awaiting review and will work once it has been approved.',
+      moderation: 'This link has been disabled by an administrator.',
+      geo: 'This link is not available in your region.',
+    };
+
+    return layout({
+      statusCode: 403,
+      title: 'This link is not available',
+      message: messages[reason] || 'Access to this link is restricted.',
+      tone: 'warning',
+      shortCode,
+      domain,
+    });
+  },
+
+  /**
+   * Warning for links flagged by the URL reputation scanner. The destination is shown as
+   * text only - no way to continue to it, and never in a custom domain template.
+   */
+  malicious: ({ shortCode, originalUrl, details }) => {
+    let destinationHost = '';
+    try {
+      destinationHost = new URL(originalUrl).hostname;
+    } catch {
+      destinationHost = 'unknown';
+    }
+
+    return layout({
+      statusCode: 403,
+      title: '⚠ This link has been blocked',
+      message: 'To protect you, we have disabled this link. If you were asked to enter a password or payment details, do not continue.',
+      content: `<p>The short link <code>${escapeHtml(shortCode)}</code> pointed to
+      <code>${escapeHtml(destinationHost)}</code>, which has been flagged as phishing, malware or otherwise harmful.</p>
+    <small>Reason: ${escapeHtml(details || 'Flagged by URL reputation scan')}</small>`,
+      tone: 'danger',
+      shortCode,
+    });
+  },
+
+  // Form POST /:shortCode/password (urlencoded) - sai mật khẩu thì render lại kèm lỗi
+  password: ({ shortCode, title, error, domain }) =>
+    layout({
+      statusCode: 401,
+      title: 'This link is password protected',
+      message: title ? `Enter the password to open "${title}".` : 'Enter the password to continue.',
+      content: `<form method="post" action="/${encodeURIComponent(shortCode)}/password">
+      ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+      <button type="submit">Continue</button>
+    </form>`,
+      shortCode,
+      domain,
+    }),
+
+  metaRefresh: ({ shortCode, url, domain }) =>
+    layout({
+      statusCode: 200,
+      title: 'Redirecting…',
+      message: 'You are being redirected.',
+      head: `<meta http-equiv="refresh" content="0;url=${escapeHtml(url)}">`,
+      content: `<p><a class="button" href="${escapeHtml(url)}" rel="noreferrer">Continue</a></p>`,
+      shortCode,
+      domain,
+    }),
+
+  // Đếm ngược rồi chuyển trang; script inline cần nonce (CSP của app chỉ cho 'self')
+  interstitial: ({ shortCode, url, seconds, nonce, domain }) => {
+    let destinationHost = '';
+    try {
+      destinationHost = new URL(url).hostname;
+    } catch {
+      destinationHost = url;
+    }
+
+    return layout({
+      statusCode: 200,
+      title: 'You are leaving this site',
+      message: `You will be redirected to ${destinationHost} in a few seconds.`,
+      content: `<p>Redirecting in <strong id="countdown">${seconds}</strong>s…</p>
+    <p><a class="button" href="${escapeHtml(url)}" rel="noreferrer">Continue now</a></p>
+    <script nonce="${nonce}">
+      (function () {
+        var remaining = ${seconds};
+        var counter = document.getElementById('countdown');
+        var timer = setInterval(function () {
+          remaining -= 1;
+          if (counter) counter.textContent = remaining;
+          if (remaining <= 0) {
+            clearInterval(timer);
+            window.location.replace(${JSON.stringify(url).replace(/</g, '\\u003c')});
+          }
+        }, 1000);
+      })();
+    </script>`,
+      shortCode,
+      domain,
+    });
+  },
+
+  /**
+   * Page for crawlers / link preview fetchers: OpenGraph + Twitter card tags from
+   * Link.getSocialPreview(). og:url is the short URL so networks keep attributing the share to it.
+   */
+  socialPreview: ({ shortUrl, url, preview }) => {
+    const meta = (attribute, name, content) =>
+      content ? `<meta ${attribute}="${name}" content="${escapeHtml(content)}">` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(preview.title)}</title>
+  ${meta('name', 'description', preview.description)}
+  ${meta('property', 'og:type', 'website')}
+  ${meta('property', 'og:url', shortUrl)}
+  ${meta('property', 'og:title', preview.title)}
+  ${meta('property', 'og:description', preview.description)}
+  ${meta('property', 'og:image', preview.image)}
+  ${meta('property', 'og:site_name', preview.siteName)}
+  ${meta('name', 'twitter:card', preview.image ? 'summary_large_image' : 'summary')}
+  ${meta('name', 'twitter:title', preview.title)}
+  ${meta('name', 'twitter:description', preview.description)}
+  ${meta('name', 'twitter:image', preview.image)}
+</head>
+<body>
+  <h1>${escapeHtml(preview.title)}</h1>
+  ${preview.description ? `<p>${escapeHtml(preview.description)}</p>` : ''}
+  <p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>
+</body>
+</html>`;
+  },
+};
+
+module.exports = pages;
@@ -4,6 +4,8 @@ const securityHeaders = require('./middleware/securityHeaders');
 const corsConfig = require('./middleware/corsConfig');
 const inputValidation = require('./middleware/inputValidation');
 const sqlInjectionProtection = require('./middleware/sqlInjectionProtection');
+const destinationPolicyService = require('./services/DestinationPolicyService');
+const urlReputationService = require('./services/UrlReputationService');
 
 module.exports = {
   middleware: {
@@ -13,6 +15,9 @@ module.exports = {
     inputValidation,
     sqlInjectionProtection
   },
-  services: null,      // Sẽ setup sau
+  services: {
+    destinationPolicy: destinationPolicyService,
+    urlReputation: urlReputationService
+  },
   config: null         // Sẽ setup sau
 };
\ No newline at end of file
@@ -57,8 +57,9 @@ const getCorsConfig = (environment = process.env.NODE_ENV || 'development') => {
       'Accept',
       'Origin',
       'X-CSRF-Token',
+      'X-API-Key',
     ],
-    exposedHeaders: ['X-Request-ID'],
+    exposedHeaders: ['X-Request-ID', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'],
     maxAge: isDevelopment ? 600 : 86400, // 10 minutes in dev, 24 hours in prod
     optionsSuccessStatus: 200,
   };
@@ -3,6 +3,7 @@ const { body, param, query, header, validationResult } = require('express-valida
 const Joi = require('joi');
 const validator = require('validator');
 const xss = require('xss');
+const { isReservedShortCode } = require('../../../shared/utils/validators');
 
 // ===== VALIDATION ERROR HANDLER =====
 const handleValidationErrors = (req, res, next) => {
@@ -193,14 +194,8 @@ const shortCodeValidation = () => [
     .matches(/^[a-zA-Z0-9_-]+$/)
     .withMessage('Custom code can only contain letters, numbers, hyphens, and underscores')
     .custom((value) => {
-      // Reserved words check
-      const reservedWords = [
-        'api', 'admin', 'www', 'app', 'dashboard', 'login', 'register',
-        'about', 'contact', 'help', 'support', 'terms', 'privacy',
-        'null', 'undefined', 'true', 'false', 'test', 'demo'
-      ];
-      
-      if (reservedWords.includes(value.toLowerCase())) {
+      // Reserved words check (same list as LinkService, which also covers bulk / import)
+      if (isReservedShortCode(value)) {
         throw new Error('This short code is reserved');
       }
       
@@ -2,41 +2,72 @@
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const ExpressBrute = require('express-brute');
+const settingsService = require('../../../core/settings/SettingsService');
 
 // ===== BASIC RATE LIMITERS =====
+// Window/max đọc từ system settings (rateLimit.<name>.windowMs / .max), đổi ở admin -> build lại limiter
+
+// 900000 -> { vi: '15 phút', en: '15 minutes' }
+const formatWindow = (windowMs) => {
+  const units = [
+    [60 * 60 * 1000, 'giờ', 'hour'],
+    [60 * 1000, 'phút', 'minute'],
+    [1000, 'giây', 'second'],
+  ];
+  const [size, vi, en] = units.find(([unitMs]) => windowMs % unitMs === 0) || units[units.length - 1];
+  const count = Math.max(1, Math.round(windowMs / size));
+
+  return { vi: `${count} ${vi}`, en: `${count} ${en}${count > 1 ? 's' : ''}` };
+};
+
+const configurableLimiter = (name, buildOptions) => {
+  const keys = [`rateLimit.${name}.windowMs`, `rateLimit.${name}.max`];
+
+  const build = () => {
+    const windowMs = settingsService.get(keys[0]);
+    return rateLimit({
+      windowMs,
+      max: settingsService.get(keys[1]),
+      standardHeaders: true,
+      legacyHeaders: false,
+      validate: { creationStack: false }, // Rebuilt at runtime when settings change
+      ...buildOptions(formatWindow(windowMs)),
+    });
+  };
+
+  let limiter = build();
+  settingsService.onChange(keys, () => {
+    limiter = build();
+    console.log(`🔄 Rate limiter '${name}' reloaded: ${settingsService.get(keys[1])} per ${settingsService.get(keys[0])}ms`);
+  });
+
+  return (req, res, next) => limiter(req, res, next);
+};
 
 // General API rate limiter - cho tất cả requests
-const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 phút
-  max: 1000, // tối đa 1000 requests mỗi 15 phút
+const generalLimiter = configurableLimiter('general', (window) => ({
   message: {
     success: false,
-    message: 'Quá nhiều requests từ IP này. Vui lòng thử lại sau 15 phút.',
-    retryAfter: '15 minutes'
+    message: `Quá nhiều requests từ IP này. Vui lòng thử lại sau ${window.vi}.`,
+    retryAfter: window.en
   },
-  standardHeaders: true,
-  legacyHeaders: false,
   handler: (req, res) => {
     console.log(`🚫 Rate limit exceeded from IP: ${req.ip}`);
     res.status(429).json({
       success: false,
-      message: 'Quá nhiều requests từ IP này. Vui lòng thử lại sau 15 phút.',
-      retryAfter: '15 minutes'
+      message: `Quá nhiều requests từ IP này. Vui lòng thử lại sau ${window.vi}.`,
+      retryAfter: window.en
     });
   }
-});
+}));
 
-// Auth endpoints rate limiter - VERY RELAXED for testing
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 phút
-  max: process.env.NODE_ENV === 'development' ? 1000 : 10, // 1000 in dev!!
+// Auth endpoints rate limiter - VERY RELAXED for testing (max 1000 in dev by default)
+const authLimiter = configurableLimiter('auth', (window) => ({
   message: {
     success: false,
-    message: 'Quá nhiều lần thử đăng nhập. Vui lòng thử lại sau 15 phút.',
-    retryAfter: '15 minutes'
+    message: `Quá nhiều lần thử đăng nhập. Vui lòng thử lại sau ${window.vi}.`,
+    retryAfter: window.en
   },
-  standardHeaders: true,
-  legacyHeaders: false,
   skipSuccessfulRequests: true,
   skip: (req) => {
     // Skip rate limiting for development completely
@@ -46,45 +77,46 @@ const authLimiter = rateLimit({
     console.log(`🔒 Auth rate limit exceeded from IP: ${req.ip} for ${req.originalUrl}`);
     res.status(429).json({
       success: false,
-      message: 'Quá nhiều lần thử đăng nhập. Vui lòng thử lại sau 15 phút.',
-      retryAfter: '15 minutes'
+      message: `Quá nhiều lần thử đăng nhập. Vui lòng thử lại sau ${window.vi}.`,
+      retryAfter: window.en
     });
   }
-});
+}));
 
 // Password reset rate limiter - rất nghiêm ngặt
-const passwordResetLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 giờ
-  max: 3, // chỉ 3 lần reset password mỗi giờ
+const passwordResetLimiter = configurableLimiter('passwordReset', (window) => ({
   message: {
     success: false,
-    message: 'Quá nhiều lần reset mật khẩu. Vui lòng thử lại sau 1 giờ.',
-    retryAfter: '1 hour'
+    message: `Quá nhiều lần reset mật khẩu. Vui lòng thử lại sau ${window.vi}.`,
+    retryAfter: window.en
   },
-  standardHeaders: true,
-  legacyHeaders: false,
   handler: (req, res) => {
     console.log(`🔑 Password reset rate limit exceeded from IP: ${req.ip}`);
     res.status(429).json({
       success: false,
-      message: 'Quá nhiều lần reset mật khẩu. Vui lòng thử lại sau 1 giờ.',
-      retryAfter: '1 hour'
+      message: `Quá nhiều lần reset mật khẩu. Vui lòng thử lại sau ${window.vi}.`,
+      retryAfter: window.en
     });
   }
-});
+}));
 
 // Create link rate limiter
-const createLinkLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 phút
-  max: 20, // 20 links mỗi phút
+const createLinkLimiter = configurableLimiter('createLink', (window) => ({
   message: {
     success: false,
-    message: 'Tạo link quá nhanh. Vui lòng chờ 1 phút.',
-    retryAfter: '1 minute'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
+    message: `Tạo link quá nhanh. Vui lòng chờ ${window.vi}.`,
+    retryAfter: window.en
+  }
+}));
+
+// Bulk link operations rate limiter - mỗi request có thể chứa hàng nghìn links
+const bulkOperationLimiter = configurableLimiter('bulk', (window) => ({
+  message: {
+    success: false,
+    message: `Quá nhiều thao tác hàng loạt. Vui lòng chờ ${window.vi}.`,
+    retryAfter: window.en
+  }
+}));
 
 // ===== SLOW DOWN MIDDLEWARE =====
 
@@ -162,6 +194,7 @@ module.exports = {
   authLimiter,
   passwordResetLimiter,
   createLinkLimiter,
+  bulkOperationLimiter,
   
   // Slow down
   authSlowDown,
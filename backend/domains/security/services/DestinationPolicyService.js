@@ -0,0 +1,331 @@
+// backend/domains/security/services/DestinationPolicyService.js
+// Chặn SSRF: link đích và metadata fetcher chỉ được trỏ tới địa chỉ public
+const dns = require('dns');
+const net = require('net');
+const { DestinationRule } = require('../../../models');
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+const INTERNAL_SUFFIXES = ['.localhost', '.local', '.internal', '.intranet', '.lan', '.home.arpa'];
+const DNS_TIMEOUT_MS = parseInt(process.env.DESTINATION_DNS_TIMEOUT_MS) || 3000;
+const RULES_TTL_MS = 60 * 1000;
+const DNS_CACHE_TTL_MS = 60 * 1000;
+const DNS_CACHE_MAX = 1000;
+
+// Private, loopback, link-local, CGNAT, documentation, multicast and other reserved ranges
+const RESERVED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.88.99.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 96, 'ipv6'], // unspecified, loopback, IPv4-compatible
+  ['::ffff:0:0', 96, 'ipv6'], // IPv4-mapped
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['100::', 64, 'ipv6'], // discard
+  ['2001::', 23, 'ipv6'], // IETF protocol assignments (Teredo...)
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['2002::', 16, 'ipv6'], // 6to4
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'], // multicast
+];
+
+class DestinationPolicyService {
+  constructor() {
+    this.reserved = this.createAddressList();
+    RESERVED_RANGES.forEach(([address, prefix, type]) => this.reserved[type].addSubnet(address, prefix, type));
+
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    this.dnsCache = new Map();
+  }
+
+  /**
+   * Check a destination URL against the policy.
+   * Returns { allowed, reason, hostname, addresses }
+   */
+  async checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: false, reason: 'Invalid URL' };
+    }
+
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+      return { allowed: false, reason: 'Only http and https URLs are allowed' };
+    }
+
+    const hostname = this.normalizeHostname(parsed.hostname);
+    if (!hostname) {
+      return { allowed: false, reason: 'URL has no host' };
+    }
+
+    const rules = await this.getRules();
+    const result = { hostname, addresses: [] };
+
+    if (this.matchesHost(hostname, rules.deny.hosts)) {
+      return { ...result, allowed: false, reason: 'Destination domain is on the deny list' };
+    }
+
+    // Admin allow list bỏ qua kiểm tra địa chỉ (vd. intranet được phép)
+    if (this.matchesHost(hostname, rules.allow.hosts)) {
+      return { ...result, allowed: true };
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      if (!hostname.includes('.') || INTERNAL_SUFFIXES.some((suffix) => hostname.endsWith(suffix))) {
+        return { ...result, allowed: false, reason: 'Internal hostnames are not allowed' };
+      }
+
+      // Không resolve được thì không thể request tới -> không chặn ở đây
+      addresses = await this.resolve(hostname);
+    }
+
+    for (const address of addresses) {
+      const reason = this.checkAddress(address, rules);
+      if (reason) {
+        return { ...result, addresses, allowed: false, reason };
+      }
+    }
+
+    return { ...result, addresses, allowed: true };
+  }
+
+  /**
+   * Throw if the URL is not an allowed destination
+   */
+  async assertAllowed(url) {
+    const { allowed, reason } = await this.checkUrl(url);
+    if (!allowed) {
+      throw new Error(`Destination not allowed: ${reason}`);
+    }
+  }
+
+  /**
+   * Reason string when an IP address is blocked, null otherwise
+   */
+  checkAddress(address, rules) {
+    if (this.inAddressList(rules.deny.addresses, address)) {
+      return 'Destination address is on the deny list';
+    }
+
+    if (this.inAddressList(rules.allow.addresses, address)) {
+      return null;
+    }
+
+    if (this.inAddressList(this.reserved, address)) {
+      return 'Destination resolves to a private or reserved address';
+    }
+
+    return null;
+  }
+
+  /**
+   * dns.lookup replacement for http(s) agents - re-checks the addresses the socket
+   * actually connects to, so DNS rebinding between check and request is caught
+   */
+  createLookup() {
+    return (hostname, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        this.getRules()
+          .then((rules) => {
+            if (!this.matchesHost(this.normalizeHostname(hostname), rules.allow.hosts)) {
+              for (const { address } of addresses) {
+                const reason = this.checkAddress(address, rules);
+                if (reason) {
+                  const blocked = new Error(`Destination not allowed: ${reason}`);
+                  blocked.code = 'EDESTINATIONBLOCKED';
+                  return callback(blocked);
+                }
+              }
+            }
+
+            if (options.all) {
+              return callback(null, addresses);
+            }
+            callback(null, addresses[0].address, addresses[0].family);
+          })
+          .catch(callback);
+      });
+    };
+  }
+
+  async resolve(hostname) {
+    const cached = this.dnsCache.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.addresses;
+    }
+
+    let addresses = [];
+    try {
+      const records = await Promise.race([
+        dns.promises.lookup(hostname, { all: true, verbatim: true }),
+        new Promise((resolve, reject) =>
+          setTimeout(() => reject(new Error('DNS lookup timed out')), DNS_TIMEOUT_MS).unref()
+        ),
+      ]);
+      addresses = records.map((record) => record.address);
+    } catch (error) {
+      console.log(`⚠️ DNS lookup failed for ${hostname}:`, error.message);
+    }
+
+    if (this.dnsCache.size >= DNS_CACHE_MAX) {
+      this.dnsCache.clear();
+    }
+    this.dnsCache.set(hostname, { addresses, expiresAt: Date.now() + DNS_CACHE_TTL_MS });
+
+    return addresses;
+  }
+
+  // BlockList khớp IPv4 với cả subnet IPv6 (::/96, ::ffff:0:0/96) -> tách riêng theo family
+  createAddressList() {
+    return { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+  }
+
+  inAddressList(list, address) {
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return list[type].check(address, type);
+  }
+
+  normalizeHostname(hostname) {
+    return String(hostname || '')
+      .toLowerCase()
+      .replace(/^\[|\]$/g, '')
+      .replace(/\.$/, '');
+  }
+
+  matchesHost(hostname, patterns) {
+    return patterns.some((pattern) => hostname === pattern || hostname.endsWith(`.${pattern}`));
+  }
+
+  // ===== ADMIN RULES =====
+
+  /**
+   * Allow/deny lists from DESTINATION_ALLOWLIST / DESTINATION_DENYLIST plus admin rules in the database
+   */
+  async getRules() {
+    if (this.rules && Date.now() - this.rulesLoadedAt < RULES_TTL_MS) {
+      return this.rules;
+    }
+
+    const entries = [
+      ...this.parseEnvList(process.env.DESTINATION_ALLOWLIST, 'allow'),
+      ...this.parseEnvList(process.env.DESTINATION_DENYLIST, 'deny'),
+    ];
+
+    try {
+      const dbRules = await DestinationRule.findAll({ attributes: ['pattern', 'listType'] });
+      dbRules.forEach((rule) => entries.push({ pattern: rule.pattern, listType: rule.listType }));
+    } catch (error) {
+      console.warn('⚠️ Could not load destination rules from database:', error.message);
+    }
+
+    this.rules = this.compileRules(entries);
+    this.rulesLoadedAt = Date.now();
+    return this.rules;
+  }
+
+  compileRules(entries) {
+    const rules = {
+      allow: { hosts: [], addresses: this.createAddressList() },
+      deny: { hosts: [], addresses: this.createAddressList() },
+    };
+
+    entries.forEach(({ pattern, listType }) => {
+      const target = rules[listType];
+      const [address, prefix] = pattern.split('/');
+      const version = net.isIP(address);
+      const type = version === 6 ? 'ipv6' : 'ipv4';
+
+      if (version && prefix !== undefined) {
+        target.addresses[type].addSubnet(address, parseInt(prefix), type);
+      } else if (version) {
+        target.addresses[type].addAddress(address, type);
+      } else {
+        target.hosts.push(pattern);
+      }
+    });
+
+    return rules;
+  }
+
+  parseEnvList(value, listType) {
+    return String(value || '')
+      .split(',')
+      .map((pattern) => this.normalizeHostname(pattern.trim()).replace(/^\*?\./, ''))
+      .filter(Boolean)
+      .map((pattern) => ({ pattern, listType }));
+  }
+
+  validatePattern(pattern) {
+    const [address, prefix, extra] = String(pattern || '').trim().split('/');
+    const version = net.isIP(address);
+
+    if (prefix !== undefined) {
+      const max = version === 6 ? 128 : 32;
+      if (!version || extra !== undefined || !/^\d+$/.test(prefix) || parseInt(prefix) > max) {
+        throw new Error('Invalid pattern. CIDR must look like 10.0.0.0/8');
+      }
+      return;
+    }
+
+    if (!version && !/^(\*\.)?([a-z0-9-]+\.)*[a-z0-9-]+\.?$/i.test(address)) {
+      throw new Error('Invalid pattern. Use a hostname, IP address or CIDR range');
+    }
+  }
+
+  async listRules() {
+    return await DestinationRule.findAll({ order: [['createdAt', 'DESC']] });
+  }
+
+  async addRule({ pattern, listType, reason = null }, adminId) {
+    if (!['allow', 'deny'].includes(listType)) {
+      throw new Error('Invalid listType. Must be allow or deny');
+    }
+    this.validatePattern(pattern);
+
+    const rule = await DestinationRule.create({ pattern, listType, reason, createdBy: adminId });
+    this.invalidateRules();
+
+    console.log(`🛡️ Destination ${listType} rule added: ${rule.pattern}`);
+    return rule;
+  }
+
+  async removeRule(id) {
+    const deleted = await DestinationRule.destroy({ where: { id } });
+    if (!deleted) {
+      throw new Error('Rule not found');
+    }
+
+    this.invalidateRules();
+    console.log(`🛡️ Destination rule removed: ${id}`);
+  }
+
+  invalidateRules() {
+    this.rules = null;
+    this.dnsCache.clear();
+  }
+}
+
+module.exports = new DestinationPolicyService();
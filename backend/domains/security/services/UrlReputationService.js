@@ -0,0 +1,315 @@
+// backend/domains/security/services/UrlReputationService.js
+// Kiểm tra URL đích với blocklist lưu local (phishing, malware, spam...)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const { Op } = require('sequelize');
+const { Link, sequelize } = require('../../../models');
+const linkModerationService = require('../../admin/services/LinkModerationService');
+
+const BLOCKLIST_DIR = path.resolve(
+  process.env.BLOCKLIST_DIR || path.join(__dirname, '../../../data/blocklists')
+);
+
+// Loại list theo phần mở rộng của file
+const LIST_TYPES = {
+  '.domains': 'domain',
+  '.txt': 'domain',
+  '.hosts': 'hosts',
+  '.sha256': 'hashPrefix',
+};
+
+const HOSTS_IGNORED = ['localhost', 'localhost.localdomain', 'local', 'broadcasthost', '0.0.0.0'];
+const RESCAN_BATCH_SIZE = 1000;
+
+class UrlReputationService {
+  constructor() {
+    this.lists = [];
+    this.loadedAt = null;
+    this.isLoaded = false;
+  }
+
+  // ===== LOADING =====
+
+  /**
+   * (Re)load every list file in BLOCKLIST_DIR
+   */
+  async reload() {
+    const lists = [];
+    let files = [];
+
+    try {
+      files = (await fs.promises.readdir(BLOCKLIST_DIR)).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.warn(`⚠️ Blocklist directory not found: ${BLOCKLIST_DIR}`);
+    }
+
+    for (const file of files) {
+      const type = LIST_TYPES[path.extname(file).toLowerCase()];
+      if (!type) continue;
+
+      try {
+        const content = await fs.promises.readFile(path.join(BLOCKLIST_DIR, file), 'utf8');
+        lists.push(this.parseList(file, type, content));
+      } catch (error) {
+        console.error(`❌ Failed to load blocklist ${file}:`, error.message);
+      }
+    }
+
+    this.lists = lists;
+    this.loadedAt = new Date();
+    this.isLoaded = true;
+
+    console.log(
+      `🛡️ Blocklists loaded: ${lists.length} lists, ${lists.reduce((sum, list) => sum + list.size, 0)} entries`
+    );
+    return this.getStatus();
+  }
+
+  async ensureLoaded() {
+    if (!this.isLoaded) {
+      await this.reload();
+    }
+  }
+
+  parseList(name, type, content) {
+    const lines = content
+      .split(/\r?\n/)
+      .map((line) => line.replace(/#.*$/, '').trim())
+      .filter(Boolean);
+
+    if (type === 'hashPrefix') {
+      // Prefix (4-32 byte hex) nhóm theo độ dài để tra cứu nhanh
+      const prefixes = new Map();
+      lines.forEach((line) => {
+        const prefix = line.toLowerCase();
+        if (!/^[0-9a-f]{8,64}$/.test(prefix) || prefix.length % 2 !== 0) return;
+        if (!prefixes.has(prefix.length)) prefixes.set(prefix.length, new Set());
+        prefixes.get(prefix.length).add(prefix);
+      });
+
+      return {
+        name,
+        type,
+        prefixes,
+        size: [...prefixes.values()].reduce((sum, set) => sum + set.size, 0),
+      };
+    }
+
+    const hosts = new Set();
+    lines.forEach((line) => {
+      let entries = [line];
+
+      if (type === 'hosts') {
+        // "0.0.0.0 evil.com www.evil.com"
+        const [address, ...names] = line.split(/\s+/);
+        if (!net.isIP(address)) return;
+        entries = names;
+      }
+
+      entries
+        .map((entry) => this.normalizeHost(entry))
+        .filter((host) => host && !HOSTS_IGNORED.includes(host))
+        .forEach((host) => hosts.add(host));
+    });
+
+    return { name, type, hosts, size: hosts.size };
+  }
+
+  getStatus() {
+    return {
+      directory: BLOCKLIST_DIR,
+      loadedAt: this.loadedAt,
+      lists: this.lists.map(({ name, type, size }) => ({ name, type, size })),
+    };
+  }
+
+  // ===== CHECKING =====
+
+  /**
+   * Check a URL against all loaded lists.
+   * Returns { flagged: false } or { flagged: true, list, type, match, reason }
+   */
+  async checkUrl(url) {
+    await this.ensureLoaded();
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { flagged: false };
+    }
+
+    const host = this.normalizeHost(parsed.hostname);
+    const hostSuffixes = this.getHostSuffixes(host);
+    let hashes = null;
+
+    for (const list of this.lists) {
+      let match = null;
+
+      if (list.type === 'domain') {
+        // Domain list: khớp cả subdomain
+        match = hostSuffixes.find((suffix) => list.hosts.has(suffix));
+      } else if (list.type === 'hosts') {
+        match = list.hosts.has(host) ? host : null;
+      } else {
+        hashes = hashes || this.getUrlExpressions(parsed).map((expression) => ({
+          expression,
+          hash: crypto.createHash('sha256').update(expression).digest('hex'),
+        }));
+        match = hashes.find(({ hash }) =>
+          [...list.prefixes].some(([length, set]) => set.has(hash.slice(0, length)))
+        )?.expression;
+      }
+
+      if (match) {
+        return {
+          flagged: true,
+          list: list.name,
+          type: list.type,
+          match,
+          reason: `Listed in ${list.name} (${match})`,
+        };
+      }
+    }
+
+    return { flagged: false };
+  }
+
+  /**
+   * Throw if the URL is on a blocklist - used at link creation/update
+   */
+  async assertNotFlagged(url) {
+    const result = await this.checkUrl(url);
+    if (result.flagged) {
+      console.log(`🚫 Blocked destination: ${url} - ${result.reason}`);
+      throw new Error(`Destination not allowed: flagged as malicious (${result.list})`);
+    }
+  }
+
+  normalizeHost(host) {
+    return String(host || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^\[|\]$/g, '')
+      .replace(/\.+/g, '.')
+      .replace(/^\.|\.$/g, '');
+  }
+
+  getHostSuffixes(host) {
+    if (net.isIP(host)) return [host];
+
+    const parts = host.split('.');
+    return parts.map((part, index) => parts.slice(index).join('.')).filter((suffix) => suffix.includes('.'));
+  }
+
+  /**
+   * Host-suffix / path-prefix expressions (Safe Browsing style) hashed for prefix lists
+   */
+  getUrlExpressions(parsed) {
+    const host = this.normalizeHost(parsed.hostname);
+
+    const hosts = [host];
+    if (!net.isIP(host)) {
+      const parts = host.split('.');
+      const last = parts.slice(-5);
+      for (let i = 1; i < last.length - 1 && hosts.length < 5; i++) {
+        hosts.push(last.slice(i).join('.'));
+      }
+    }
+
+    const pathname = parsed.pathname || '/';
+    const paths = [];
+    if (parsed.search) paths.push(pathname + parsed.search);
+    paths.push(pathname);
+
+    const segments = pathname.split('/').filter(Boolean);
+    let prefix = '/';
+    paths.push(prefix);
+    for (let i = 0; i < segments.length - 1 && paths.length < 6; i++) {
+      prefix += `${segments[i]}/`;
+      paths.push(prefix);
+    }
+
+    const expressions = new Set();
+    hosts.forEach((h) => [...new Set(paths)].forEach((p) => expressions.add(`${h}${p}`)));
+    return [...expressions];
+  }
+
+  // ===== RESCAN =====
+
+  /**
+   * Re-check every active link against the current lists (BullMQ link-scanning worker).
+   * Flagged links are deactivated with the reason recorded.
+   */
+  async rescanLinks(onProgress = async () => {}) {
+    await this.reload();
+
+    const total = await Link.count({ where: { isActive: true } });
+    let scanned = 0;
+    const flagged = [];
+    let lastId = null;
+
+    console.log(`🔎 Rescanning ${total} active links against blocklists`);
+
+    if (this.lists.length === 0) {
+      return { scanned, flagged: 0, links: [] };
+    }
+
+    while (true) {
+      const where = { isActive: true };
+      if (lastId) where.id = { [Op.gt]: lastId };
+
+      const links = await Link.findAll({
+        where,
+        attributes: ['id', 'userId', 'shortCode', 'originalUrl', 'routingRules', 'variants', 'fallbackUrl'],
+        order: [['id', 'ASC']],
+        limit: RESCAN_BATCH_SIZE,
+      });
+
+      if (links.length === 0) break;
+
+      for (const link of links) {
+        // Đích của routing rule / A/B variant / fallbackUrl cũng được redirect tới -> kiểm tra như originalUrl
+        let result = await this.checkUrl(link.originalUrl);
+        const fallback = link.fallbackUrl ? [{ destinationUrl: link.fallbackUrl }] : [];
+        for (const { destinationUrl } of [...(link.routingRules || []), ...(link.variants || []), ...fallback]) {
+          if (result.flagged) break;
+          result = await this.checkUrl(destinationUrl);
+        }
+
+        if (result.flagged) {
+          await this.flagLink(link, result.reason);
+          flagged.push({ id: link.id, shortCode: link.shortCode, reason: result.reason });
+        }
+      }
+
+      scanned += links.length;
+      lastId = links[links.length - 1].id;
+      await onProgress(total ? Math.min(99, Math.round((scanned / total) * 100)) : 99);
+    }
+
+    await onProgress(100);
+    console.log(`✅ Blocklist rescan finished: ${scanned} scanned, ${flagged.length} flagged`);
+
+    return { scanned, flagged: flagged.length, links: flagged.slice(0, 100) };
+  }
+
+  /**
+   * Deactivate a flagged link and put it in the moderation queue as 'flagged'
+   */
+  async flagLink(link, reason) {
+    await sequelize.transaction(async (transaction) => {
+      await Link.update(
+        { isActive: false, blockedAt: new Date(), blockedReason: reason },
+        { where: { id: link.id }, transaction }
+      );
+      await linkModerationService.moderate(link.id, 'flag', { adminId: null, reason }, { transaction });
+    });
+    console.log(`🚫 Link ${link.shortCode} deactivated: ${reason}`);
+  }
+}
+
+module.exports = new UrlReputationService();
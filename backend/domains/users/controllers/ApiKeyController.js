@@ -0,0 +1,98 @@
+// backend/domains/users/controllers/ApiKeyController.js
+const apiKeyService = require('../services/ApiKeyService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
+
+const sendApiKeyError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  let status = 500;
+  if (error.message === 'API key not found') status = 404;
+  else if (/^(Invalid|Cannot|API key is already)/.test(error.message)) status = 400;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    message,
+  });
+};
+
+// GET /api/users/api-keys - personal keys, or the workspace's with X-Workspace-Id
+const listKeys = async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(workspaceService.scopeFor(req));
+
+    res.json({
+      success: true,
+      data: { keys },
+    });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to get API keys');
+  }
+};
+
+// POST /api/users/api-keys - { name, scopes, expiresAt }
+const createKey = async (req, res) => {
+  try {
+    const key = await apiKeyService.createKey(workspaceService.scopeFor(req), req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: key,
+    });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to create API key');
+  }
+};
+
+// POST /api/users/api-keys/:id/rotate
+const rotateKey = async (req, res) => {
+  try {
+    const key = await apiKeyService.rotateKey(workspaceService.scopeFor(req), req.params.id);
+
+    res.json({
+      success: true,
+      message: 'API key rotated. The previous key no longer works.',
+      data: key,
+    });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to rotate API key');
+  }
+};
+
+// DELETE /api/users/api-keys/:id
+const revokeKey = async (req, res) => {
+  try {
+    const key = await apiKeyService.revokeKey(workspaceService.scopeFor(req), req.params.id);
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: key,
+    });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to revoke API key');
+  }
+};
+
+// GET /api/users/api-keys/:id/usage
+const getUsage = async (req, res) => {
+  try {
+    const usage = await apiKeyService.getUsage(workspaceService.scopeFor(req), req.params.id);
+
+    res.json({
+      success: true,
+      data: usage,
+    });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to get API key usage');
+  }
+};
+
+module.exports = {
+  listKeys,
+  createKey,
+  rotateKey,
+  revokeKey,
+  getUsage,
+};
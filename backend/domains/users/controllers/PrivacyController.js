@@ -0,0 +1,116 @@
+// backend/domains/users/controllers/PrivacyController.js
+const privacyService = require('../services/PrivacyService');
+
+const sendPrivacyError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  let status = 500;
+  if (/not found/.test(error.message)) status = 404;
+  else if (/already (in progress|scheduled)/.test(error.message)) status = 409;
+  else if (error.message === 'Background job system not initialized') status = 503;
+  else if (/^(Invalid|Cannot|Current password|Please confirm)/.test(error.message)) status = 400;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    message,
+  });
+};
+
+// GET /api/users/privacy/requests - exports (with download link) and erasure requests
+const listRequests = async (req, res) => {
+  try {
+    const requests = await privacyService.listRequests(req.user.id);
+
+    res.json({
+      success: true,
+      data: { requests },
+    });
+  } catch (error) {
+    sendPrivacyError(res, error, 'Failed to get privacy requests');
+  }
+};
+
+// GET /api/users/privacy/requests/:id/download - own export archive only, never cached
+const downloadExport = async (req, res) => {
+  try {
+    const { stream, fileName, fileSize } = await privacyService.getExportDownload(req.user.id, req.params.id);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store',
+      ...(fileSize && { 'Content-Length': String(fileSize) }),
+    });
+
+    stream.on('error', (error) => {
+      console.error('❌ Export download failed:', error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.set('Cache-Control', 'no-store');
+    sendPrivacyError(res, error, 'Failed to download data export');
+  }
+};
+
+// POST /api/users/privacy/export
+const requestExport = async (req, res) => {
+  try {
+    const request = await privacyService.requestExport(req.user.id, req);
+
+    res.status(202).json({
+      success: true,
+      message: 'Export queued. You will get an email when it is ready',
+      data: request,
+    });
+  } catch (error) {
+    sendPrivacyError(res, error, 'Failed to request data export');
+  }
+};
+
+// POST /api/users/privacy/erasure - { password | confirmEmail, code }
+const requestErasure = async (req, res) => {
+  try {
+    const request = await privacyService.requestErasure(
+      req.user.id,
+      {
+        password: req.body?.password,
+        confirmEmail: req.body?.confirmEmail,
+        code: req.body?.code ? String(req.body.code) : undefined,
+      },
+      req
+    );
+
+    res.status(202).json({
+      success: true,
+      message: `Account erasure scheduled for ${request.scheduledFor.toISOString()}`,
+      data: request,
+    });
+  } catch (error) {
+    sendPrivacyError(res, error, 'Failed to request account erasure');
+  }
+};
+
+// DELETE /api/users/privacy/erasure - cancel during the grace period
+const cancelErasure = async (req, res) => {
+  try {
+    const request = await privacyService.cancelErasure(req.user.id, req);
+
+    res.json({
+      success: true,
+      message: 'Account erasure cancelled',
+      data: request,
+    });
+  } catch (error) {
+    sendPrivacyError(res, error, 'Failed to cancel account erasure');
+  }
+};
+
+module.exports = {
+  listRequests,
+  downloadExport,
+  requestExport,
+  requestErasure,
+  cancelErasure,
+};
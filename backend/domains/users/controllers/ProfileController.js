@@ -0,0 +1,122 @@
+// backend/domains/users/controllers/ProfileController.js
+const profileService = require('../services/ProfileService');
+
+const sendProfileError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  let status = 500;
+  if (error.message === 'User not found') status = 404;
+  else if (/^(Invalid|Email cannot|Cannot|Current password|Please confirm)/.test(error.message)) status = 400;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    message,
+  });
+};
+
+// Password / confirmEmail / 2FA code for deactivate and delete
+const getCredentials = (req) => ({
+  password: req.body?.password,
+  confirmEmail: req.body?.confirmEmail,
+  code: req.body?.code ? String(req.body.code) : undefined,
+  reason: req.body?.reason,
+});
+
+// GET /api/users/profile
+const getProfile = async (req, res) => {
+  try {
+    const profile = await profileService.getProfile(req.user.id);
+
+    res.json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to get profile');
+  }
+};
+
+// PUT /api/users/profile - { name, timezone, locale, defaultDomainId }
+const updateProfile = async (req, res) => {
+  try {
+    const profile = await profileService.updateProfile(req.user.id, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      data: profile,
+    });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to update profile');
+  }
+};
+
+// PUT /api/users/avatar - raw image body (image/png, image/jpeg, image/gif, image/webp)
+const uploadAvatar = async (req, res) => {
+  try {
+    const profile = await profileService.uploadAvatar(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Avatar updated',
+      data: profile,
+    });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to upload avatar');
+  }
+};
+
+// DELETE /api/users/avatar
+const removeAvatar = async (req, res) => {
+  try {
+    const profile = await profileService.removeAvatar(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed',
+      data: profile,
+    });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to remove avatar');
+  }
+};
+
+// POST /api/users/deactivate - { password | confirmEmail, code, reason }
+const deactivateAccount = async (req, res) => {
+  try {
+    const result = await profileService.deactivateAccount(req.user.id, getCredentials(req), req);
+
+    res.json({
+      success: true,
+      message: 'Account deactivated. Contact support to restore it.',
+      data: result,
+    });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to deactivate account');
+  }
+};
+
+// DELETE /api/users/account - { password | confirmEmail, code } - permanent
+const deleteAccount = async (req, res) => {
+  try {
+    const result = await profileService.deleteAccount(req.user.id, getCredentials(req), req);
+
+    res.json({
+      success: true,
+      message: 'Account permanently deleted',
+      data: result,
+    });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to delete account');
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  uploadAvatar,
+  removeAvatar,
+  deactivateAccount,
+  deleteAccount,
+};
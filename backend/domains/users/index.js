@@ -1,8 +1,26 @@
 // domains/users/index.js
 const userRoutes = require('./routes/userRoutes');
+const profileController = require('./controllers/ProfileController');
+const apiKeyController = require('./controllers/ApiKeyController');
+const privacyController = require('./controllers/PrivacyController');
+const profileService = require('./services/ProfileService');
+const apiKeyService = require('./services/ApiKeyService');
+const privacyService = require('./services/PrivacyService');
+const userRepository = require('./repositories/UserRepository');
 
 module.exports = {
   routes: userRoutes,
-  services: null,
-  controllers: null
+  services: {
+    profile: profileService,
+    apiKey: apiKeyService,
+    privacy: privacyService
+  },
+  controllers: {
+    profile: profileController,
+    apiKey: apiKeyController,
+    privacy: privacyController
+  },
+  repositories: {
+    user: userRepository
+  }
 };
\ No newline at end of file
@@ -39,6 +39,11 @@ async findByEmail(email) {
     }, 1800);
   }
 
+  // Model instance straight from the database (comparePassword, save hooks)
+  async findByIdUncached(id) {
+    return await User.findByPk(id);
+  }
+
   // Find user by Google ID
   async findByGoogleId(googleId) {
     return await User.findOne({
@@ -62,6 +67,20 @@ async findByEmail(email) {
     return updatedUser;
   }
 
+  // Update password - instance save so the model hook hashes it and sets passwordChangedAt
+  async updatePassword(id, password) {
+    const user = await User.findByPk(id);
+    if (!user) return null;
+
+    user.password = password;
+    await user.save();
+
+    await cacheService.del(`user:id:${id}`);
+    await cacheService.del(`user:email:${user.email}`);
+
+    return user;
+  }
+
   // Update last seen
   async updateLastSeen(id) {
     return await User.update(
@@ -1,43 +1,112 @@
 // domains/users/routes/userRoutes.js
 const express = require('express');
+const authMiddleware = require('../../auth/middleware/authMiddleware');
+const authController = require('../../auth/controllers/AuthController');
+const profileController = require('../controllers/ProfileController');
+const apiKeyController = require('../controllers/ApiKeyController');
+const privacyController = require('../controllers/PrivacyController');
+
 const router = express.Router();
 
-router.get('/profile', (req, res) => {
-  res.json({
-    message: 'Get user profile endpoint',
-    status: 'coming_soon'
-  });
-});
-
-router.put('/profile', (req, res) => {
-  res.json({
-    message: 'Update user profile endpoint',
-    status: 'coming_soon',
-    body: req.body
-  });
-});
-
-router.post('/change-password', (req, res) => {
-  res.json({
-    message: 'Change password endpoint',
-    status: 'coming_soon',
-    body: req.body
-  });
-});
-
-router.get('/api-keys', (req, res) => {
-  res.json({
-    message: 'Get API keys endpoint',
-    status: 'coming_soon'
-  });
-});
-
-router.post('/api-keys', (req, res) => {
-  res.json({
-    message: 'Create API key endpoint',
-    status: 'coming_soon',
-    body: req.body
-  });
-});
-
-module.exports = router;
\ No newline at end of file
+// ===== PROFILE =====
+router.get('/profile',
+  authMiddleware.verifyToken,
+  profileController.getProfile
+);
+
+router.put('/profile',
+  authMiddleware.verifyToken,
+  profileController.updateProfile
+);
+
+// Avatar: raw image body, format is checked from the file content
+router.put('/avatar',
+  authMiddleware.verifyToken,
+  express.raw({ type: 'image/*', limit: '2mb' }),
+  profileController.uploadAvatar
+);
+
+router.delete('/avatar',
+  authMiddleware.verifyToken,
+  profileController.removeAvatar
+);
+
+// Change password (same handler as /api/auth/change-password)
+router.route('/change-password')
+  .post(authMiddleware.verifyToken, authController.changePassword)
+  .put(authMiddleware.verifyToken, authController.changePassword);
+
+// ===== ACCOUNT =====
+router.post('/deactivate',
+  authMiddleware.verifyToken,
+  profileController.deactivateAccount
+);
+
+router.delete('/account',
+  authMiddleware.verifyToken,
+  profileController.deleteAccount
+);
+
+// ===== PRIVACY (GDPR) =====
+router.get('/privacy/requests',
+  authMiddleware.verifyToken,
+  privacyController.listRequests
+);
+
+router.get('/privacy/requests/:id/download',
+  authMiddleware.verifyToken,
+  privacyController.downloadExport
+);
+
+router.post('/privacy/export',
+  authMiddleware.verifyToken,
+  privacyController.requestExport
+);
+
+// Erasure after the grace period (DELETE /account erases right away)
+router.post('/privacy/erasure',
+  authMiddleware.verifyToken,
+  privacyController.requestErasure
+);
+
+router.delete('/privacy/erasure',
+  authMiddleware.verifyToken,
+  privacyController.cancelErasure
+);
+
+// ===== API KEYS =====
+// Workspace keys (X-Workspace-Id) are managed by workspace admins
+const manageWorkspaceKeys = authMiddleware.requireWorkspaceRole('admin');
+
+// Managing keys needs a user JWT - an API key cannot create or rotate keys
+router.get('/api-keys',
+  authMiddleware.verifyToken,
+  manageWorkspaceKeys,
+  apiKeyController.listKeys
+);
+
+router.post('/api-keys',
+  authMiddleware.verifyToken,
+  manageWorkspaceKeys,
+  apiKeyController.createKey
+);
+
+router.get('/api-keys/:id/usage',
+  authMiddleware.verifyToken,
+  manageWorkspaceKeys,
+  apiKeyController.getUsage
+);
+
+router.post('/api-keys/:id/rotate',
+  authMiddleware.verifyToken,
+  manageWorkspaceKeys,
+  apiKeyController.rotateKey
+);
+
+router.delete('/api-keys/:id',
+  authMiddleware.verifyToken,
+  manageWorkspaceKeys,
+  apiKeyController.revokeKey
+);
+
+module.exports = router;
@@ -0,0 +1,257 @@
+// backend/domains/users/services/ApiKeyService.js
+// Self-service API keys: shown once, stored as SHA-256, scoped, with a daily request quota
+const validator = require('validator');
+const { QueryTypes } = require('sequelize');
+const { ApiKey, sequelize } = require('../../../models');
+const cacheService = require('../../../core/cache/CacheService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
+
+const API_KEY_SCOPES = ['links:read', 'links:write', 'analytics:read'];
+const TIER_LIMITS = {
+  free: 1000,
+  pro: 10000,
+  enterprise: 100000,
+};
+const MAX_KEYS_PER_OWNER = 10; // Per user (personal) or per workspace
+const USAGE_HISTORY_DAYS = 30;
+const KEY_ATTRIBUTES = [
+  'id',
+  'name',
+  'prefix',
+  'scopes',
+  'workspaceId',
+  'userId',
+  'tier',
+  'isActive',
+  'lastUsedAt',
+  'expiresAt',
+  'requestCount',
+  'requestLimit',
+  'requestCountResetAt',
+  'revokedAt',
+  'createdAt',
+];
+
+class ApiKeyService {
+  // ===== MANAGEMENT =====
+
+  /**
+   * Keys of the personal space or of a workspace (owner = userId or { userId, workspaceId })
+   */
+  async listKeys(owner) {
+    const keys = await ApiKey.findAll({
+      where: workspaceService.scopeWhere(owner),
+      attributes: KEY_ATTRIBUTES,
+      order: [['createdAt', 'DESC']],
+    });
+
+    return keys.map((key) => this.toPublic(key));
+  }
+
+  /**
+   * Create a key. The plain key is only in this response.
+   * Workspace keys act on the workspace's links as their creator.
+   */
+  async createKey(owner, { name, scopes, expiresAt } = {}) {
+    const data = this.validateKeyData({ name, scopes, expiresAt });
+    const { userId, workspaceId } = workspaceService.toScope(owner);
+
+    const activeKeys = await ApiKey.count({ where: { ...workspaceService.scopeWhere(owner), isActive: true } });
+    if (activeKeys >= MAX_KEYS_PER_OWNER) {
+      throw new Error(`Cannot have more than ${MAX_KEYS_PER_OWNER} active API keys`);
+    }
+
+    const apiKey = await ApiKey.create({
+      userId,
+      workspaceId,
+      ...data,
+      tier: 'free',
+      requestLimit: TIER_LIMITS.free,
+    });
+
+    console.log(`🔑 API key created: ${apiKey.prefix}... (${apiKey.name}) for user ${userId}${workspaceId ? ` in workspace ${workspaceId}` : ''}`);
+    return {
+      ...this.toPublic(apiKey),
+      key: apiKey.plainKey,
+    };
+  }
+
+  /**
+   * Rotate: new secret for the same key (name, scopes, quota and usage are kept).
+   * The old secret stops working immediately.
+   */
+  async rotateKey(owner, keyId) {
+    const apiKey = await this.findKey(owner, keyId);
+    if (!apiKey.isActive) {
+      throw new Error('Cannot rotate a revoked API key');
+    }
+
+    const oldPrefix = apiKey.prefix;
+    const plainKey = apiKey.generateNewKey();
+    await apiKey.save();
+
+    console.log(`🔄 API key rotated: ${oldPrefix}... -> ${apiKey.prefix}...`);
+    return {
+      ...this.toPublic(apiKey),
+      key: plainKey,
+    };
+  }
+
+  async revokeKey(owner, keyId) {
+    const apiKey = await this.findKey(owner, keyId);
+    if (!apiKey.isActive) {
+      throw new Error('API key is already revoked');
+    }
+
+    await apiKey.update({ isActive: false, revokedAt: new Date() });
+
+    console.log(`🚫 API key revoked: ${apiKey.prefix}... (${apiKey.name})`);
+    return this.toPublic(apiKey);
+  }
+
+  /**
+   * Quota state and requests per day for the last USAGE_HISTORY_DAYS days
+   */
+  async getUsage(owner, keyId) {
+    const apiKey = await this.findKey(owner, keyId);
+
+    const days = Array.from({ length: USAGE_HISTORY_DAYS }, (_, index) => {
+      const date = new Date(Date.now() - index * 24 * 60 * 60 * 1000);
+      return date.toISOString().slice(0, 10);
+    }).reverse();
+
+    const counts = await cacheService.mget(days.map((day) => this.usageKey(apiKey.id, day)));
+
+    return {
+      ...this.toPublic(apiKey),
+      daily: days.map((date, index) => ({ date, requests: parseInt(counts[index]) || 0 })),
+      totalRequests: counts.reduce((sum, count) => sum + (parseInt(count) || 0), 0),
+    };
+  }
+
+  // ===== AUTHENTICATION =====
+
+  /**
+   * Validate a key and count the request against its daily quota (one atomic UPDATE).
+   * Returns { apiKey, quota } or throws 'Invalid API key' / 'API key quota exceeded'.
+   */
+  async authenticate(plainKey) {
+    if (!/^sk_[a-f0-9]{64}$/.test(String(plainKey || ''))) {
+      throw new Error('Invalid API key');
+    }
+
+    const hashedKey = ApiKey.hashKey(plainKey);
+
+    // Cửa sổ quota mới -> đếm lại từ 1
+    const [row] = await sequelize.query(
+      `UPDATE api_keys SET
+         request_count = CASE WHEN request_count_reset_at IS NULL OR request_count_reset_at <= NOW()
+           THEN 1 ELSE request_count + 1 END,
+         request_count_reset_at = CASE WHEN request_count_reset_at IS NULL OR request_count_reset_at <= NOW()
+           THEN date_trunc('day', NOW()) + INTERVAL '1 day' ELSE request_count_reset_at END,
+         last_used_at = NOW()
+       WHERE hashed_key = :hashedKey
+         AND is_active = true
+         AND (expires_at IS NULL OR expires_at > NOW())
+         AND (request_count < request_limit OR request_count_reset_at IS NULL OR request_count_reset_at <= NOW())
+       RETURNING id, user_id AS "userId", workspace_id AS "workspaceId", name, scopes, request_count AS "requestCount",
+         request_limit AS "requestLimit", request_count_reset_at AS "requestCountResetAt"`,
+      { replacements: { hashedKey }, type: QueryTypes.SELECT }
+    );
+
+    if (!row) {
+      const apiKey = await ApiKey.findOne({ where: { hashedKey }, attributes: ['id', 'isActive', 'expiresAt', 'requestLimit', 'requestCountResetAt'] });
+      if (apiKey && apiKey.isActive && (!apiKey.expiresAt || apiKey.expiresAt > new Date())) {
+        const error = new Error('API key quota exceeded');
+        error.quota = this.quotaInfo(apiKey.requestLimit, apiKey.requestLimit, apiKey.requestCountResetAt);
+        throw error;
+      }
+      throw new Error('Invalid API key');
+    }
+
+    await cacheService.increment(this.usageKey(row.id, new Date().toISOString().slice(0, 10)), (USAGE_HISTORY_DAYS + 1) * 24 * 60 * 60);
+
+    return {
+      apiKey: row,
+      quota: this.quotaInfo(row.requestCount, row.requestLimit, row.requestCountResetAt),
+    };
+  }
+
+  // ===== HELPERS =====
+
+  validateKeyData({ name, scopes, expiresAt }) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName || trimmedName.length > 100) {
+      throw new Error('Invalid name. Must be 1-100 characters');
+    }
+
+    const requestedScopes = scopes === undefined ? ['links:read'] : scopes;
+    if (
+      !Array.isArray(requestedScopes) ||
+      requestedScopes.length === 0 ||
+      requestedScopes.some((scope) => !API_KEY_SCOPES.includes(scope))
+    ) {
+      throw new Error(`Invalid scopes. Must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new Error('Invalid expiresAt. Must be a future date');
+      }
+    }
+
+    return { name: trimmedName, scopes: [...new Set(requestedScopes)], expiresAt: expiry };
+  }
+
+  quotaInfo(used, limit, resetAt) {
+    return {
+      limit,
+      remaining: Math.max(limit - used, 0),
+      resetAt,
+    };
+  }
+
+  toPublic(apiKey) {
+    const data = apiKey.toJSON ? apiKey.toJSON() : apiKey;
+    const windowExpired = !data.requestCountResetAt || new Date(data.requestCountResetAt) <= new Date();
+    const used = windowExpired ? 0 : data.requestCount;
+
+    let status = 'active';
+    if (!data.isActive) status = 'revoked';
+    else if (data.expiresAt && new Date(data.expiresAt) <= new Date()) status = 'expired';
+
+    return {
+      id: data.id,
+      name: data.name,
+      prefix: data.prefix,
+      scopes: data.scopes,
+      workspaceId: data.workspaceId || null,
+      createdBy: data.userId,
+      tier: data.tier,
+      status,
+      quota: this.quotaInfo(used, data.requestLimit, windowExpired ? null : data.requestCountResetAt),
+      lastUsedAt: data.lastUsedAt,
+      expiresAt: data.expiresAt,
+      revokedAt: data.revokedAt,
+      createdAt: data.createdAt,
+    };
+  }
+
+  async findKey(owner, keyId) {
+    const apiKey = validator.isUUID(String(keyId))
+      ? await ApiKey.findOne({ where: { id: keyId, ...workspaceService.scopeWhere(owner) } })
+      : null;
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+    return apiKey;
+  }
+
+  usageKey(keyId, day) {
+    return `apikey:usage:${keyId}:${day}`;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,493 @@
+// backend/domains/users/services/PrivacyService.js
+// GDPR: personal data export (zip archive built by a BullMQ job) and account erasure after a
+// grace period (scheduled sweep). Immediate self-deletion stays in ProfileService.deleteAccount.
+const crypto = require('crypto');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const validator = require('validator');
+const { Op } = require('sequelize');
+const {
+  User,
+  Link,
+  Click,
+  Domain,
+  ApiKey,
+  SecurityEvent,
+  Workspace,
+  WorkspaceMember,
+  PrivacyRequest,
+} = require('../../../models');
+const config = require('../../../config');
+const bullMQService = require('../../../core/queue/BullMQService');
+const storageService = require('../../../core/storage/StorageService');
+const settingsService = require('../../../core/settings/SettingsService');
+const authService = require('../../auth/services/AuthService');
+const securityLogService = require('../../auth/services/SecurityLogService');
+const clickTrackingService = require('../../analytics/services/ClickTrackingService');
+const profileService = require('./ProfileService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LINK_BATCH_SIZE = 500;
+const CLICK_BATCH_SIZE = 1000;
+const SWEEP_BATCH_SIZE = 50;
+
+// Không đưa secret vào archive (hash mật khẩu, TOTP secret, recovery codes, token đã băm)
+const USER_EXCLUDED_ATTRIBUTES = [
+  'password',
+  'tokenVersion',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+  'avatarKey',
+];
+const CLICK_ATTRIBUTES = [
+  'id',
+  'linkId',
+  'createdAt',
+  'ipAddress',
+  'visitorId',
+  'userAgent',
+  'referrer',
+  'country',
+  'region',
+  'city',
+  'asn',
+  'asOrganization',
+  'deviceType',
+  'browser',
+  'browserVersion',
+  'os',
+  'osVersion',
+  'isBot',
+  'routingRuleId',
+  'variantId',
+  'convertedAt',
+  'conversionValue',
+];
+
+const README = `Personal data export
+
+profile.json          Your account and workspace memberships
+links.json            Links you created, including deleted ones (deletedAt set)
+domains.json          Custom domains you added, including deleted ones
+api-keys.json         API key metadata (the keys themselves are never stored)
+security-events.json  Sign-ins, password and 2FA changes, session revocations
+clicks.ndjson         Click history of your links, one JSON object per line
+click-events.ndjson   Click events from the analytics store, one JSON object per line
+`;
+
+class PrivacyService {
+  // ===== REQUESTS =====
+
+  async listRequests(userId) {
+    const requests = await PrivacyRequest.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+      limit: 20,
+    });
+
+    return requests.map((request) => this.toPublic(request));
+  }
+
+  /**
+   * Queue a personal data export. One export at a time; the archive is kept for
+   * privacy.exportTtlDays and the user gets an email when it is ready.
+   */
+  async requestExport(userId, req = {}) {
+    if (!bullMQService.isInitialized) {
+      throw new Error('Background job system not initialized');
+    }
+
+    const running = await PrivacyRequest.findOne({
+      where: { userId, type: 'export', status: ['pending', 'processing'] },
+    });
+    if (running) {
+      throw new Error('An export is already in progress');
+    }
+
+    const request = await PrivacyRequest.create({ userId, type: 'export' });
+    await bullMQService.addPrivacyJob('export', { requestId: request.id });
+    await securityLogService.record(userId, 'privacy.export_requested', { req, metadata: { requestId: request.id } });
+
+    return this.toPublic(request);
+  }
+
+  /**
+   * Schedule account erasure after privacy.erasureGraceDays. Same checks as deleting the
+   * account right away; the account keeps working until then and the user can cancel.
+   */
+  async requestErasure(userId, credentials = {}, req = {}) {
+    const user = await profileService.findUser(userId);
+    await profileService.assertCanCloseAccount(user, credentials);
+
+    const scheduled = await PrivacyRequest.findOne({
+      where: { userId, type: 'erasure', status: ['pending', 'processing'] },
+    });
+    if (scheduled) {
+      throw new Error('Account erasure is already scheduled');
+    }
+
+    const graceDays = settingsService.get('privacy.erasureGraceDays');
+    const request = await PrivacyRequest.create({
+      userId,
+      type: 'erasure',
+      scheduledFor: new Date(Date.now() + graceDays * DAY_MS),
+    });
+
+    await securityLogService.record(userId, 'privacy.erasure_requested', {
+      req,
+      metadata: { requestId: request.id, scheduledFor: request.scheduledFor },
+    });
+    authService
+      .queueEmail('accountErasureScheduled', user.email, {
+        userName: user.name,
+        erasureDate: request.scheduledFor.toUTCString(),
+        actionUrl: `${config.app.url}/profile`,
+      })
+      .catch((error) => {
+        console.error('⚠️ Failed to send erasure scheduled email:', error.message);
+      });
+
+    console.log(`⏳ Account erasure scheduled: ${user.email} at ${request.scheduledFor.toISOString()}`);
+    return this.toPublic(request);
+  }
+
+  async cancelErasure(userId, req = {}) {
+    const request = await PrivacyRequest.findOne({
+      where: { userId, type: 'erasure', status: 'pending' },
+    });
+    if (!request) {
+      throw new Error('Scheduled erasure not found');
+    }
+
+    await request.update({ status: 'cancelled' });
+    await securityLogService.record(userId, 'privacy.erasure_cancelled', { req, metadata: { requestId: request.id } });
+
+    console.log(`↩️ Account erasure cancelled for ${userId}`);
+    return this.toPublic(request);
+  }
+
+  // ===== JOBS =====
+
+  /**
+   * Build the export archive (BullMQ privacy job)
+   */
+  async runExport(requestId, onProgress = async () => {}) {
+    const request = await PrivacyRequest.findByPk(requestId);
+    if (!request || request.status !== 'pending') {
+      return { skipped: true };
+    }
+
+    const user = await User.findByPk(request.userId, {
+      attributes: { exclude: USER_EXCLUDED_ATTRIBUTES },
+    });
+    if (!user) {
+      await request.update({ status: 'failed', error: 'User not found' });
+      return { skipped: true };
+    }
+
+    await request.update({ status: 'processing', error: null });
+
+    try {
+      // Không nằm dưới /uploads - chỉ tải được qua GET /privacy/requests/:id/download
+      const key = `privacy-exports/${user.id}/${crypto.randomBytes(24).toString('hex')}.zip`;
+      const { size, counts } = await this.buildArchive(user, key, onProgress);
+
+      const ttlDays = settingsService.get('privacy.exportTtlDays');
+      await request.update({
+        status: 'completed',
+        fileKey: key,
+        fileSize: size,
+        expiresAt: new Date(Date.now() + ttlDays * DAY_MS),
+        completedAt: new Date(),
+        result: counts,
+      });
+
+      authService
+        .queueEmail('dataExportReady', user.email, {
+          userName: user.name,
+          expiresIn: `${ttlDays} days`,
+          actionUrl: `${config.app.url}/profile`,
+        })
+        .catch((error) => {
+          console.error('⚠️ Failed to send data export email:', error.message);
+        });
+
+      console.log(`📦 Data export ready for ${user.email}: ${key} (${size} bytes)`);
+      return { requestId, ...counts };
+    } catch (error) {
+      await request.update({ status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Repeatable sweep: erase accounts whose grace period is over, delete expired export archives
+   */
+  async runScheduledTasks() {
+    const dueErasures = await PrivacyRequest.findAll({
+      where: { type: 'erasure', status: 'pending', scheduledFor: { [Op.lte]: new Date() } },
+      order: [['scheduledFor', 'ASC']],
+      limit: SWEEP_BATCH_SIZE,
+    });
+
+    let erased = 0;
+    for (const request of dueErasures) {
+      if (await this.runErasure(request)) erased += 1;
+    }
+
+    const expiredExports = await PrivacyRequest.findAll({
+      where: { type: 'export', fileKey: { [Op.ne]: null }, expiresAt: { [Op.lte]: new Date() } },
+      limit: SWEEP_BATCH_SIZE,
+    });
+
+    for (const request of expiredExports) {
+      await storageService.delete(request.fileKey, { private: true });
+      await request.update({ fileKey: null });
+    }
+
+    if (dueErasures.length > 0 || expiredExports.length > 0) {
+      console.log(`🧹 Privacy sweep: ${erased}/${dueErasures.length} accounts erased, ${expiredExports.length} exports expired`);
+    }
+    return { erased, erasureFailures: dueErasures.length - erased, exportsExpired: expiredExports.length };
+  }
+
+  /**
+   * Erase one account. ElasticSearch being down leaves the request pending (next sweep retries);
+   * a blocked account (became admin, owns a shared workspace) fails the request.
+   */
+  async runErasure(request) {
+    const user = await User.findByPk(request.userId);
+    if (!user) {
+      await request.update({ status: 'completed', completedAt: new Date(), result: { alreadyDeleted: true } });
+      return true;
+    }
+
+    const { email, name } = user;
+    await request.update({ status: 'processing', error: null });
+
+    try {
+      const ownedWorkspaces = await profileService.assertClosable(user);
+      const deleted = await profileService.eraseAccount(user, ownedWorkspaces, {
+        action: 'user.erased',
+        strictClickPurge: true,
+      });
+
+      await request.update({ status: 'completed', completedAt: new Date(), result: deleted });
+      authService.queueEmail('accountErased', email, { userName: name }).catch((error) => {
+        console.error('⚠️ Failed to send account erased email:', error.message);
+      });
+
+      return true;
+    } catch (error) {
+      console.error(`❌ Account erasure ${request.id} failed:`, error.message);
+      await request.update({ status: error.message.startsWith('Cannot') ? 'failed' : 'pending', error: error.message });
+      return false;
+    }
+  }
+
+  // ===== DOWNLOAD =====
+
+  /**
+   * Completed, unexpired export archive of this user -> { stream, fileName, fileSize }
+   */
+  async getExportDownload(userId, requestId) {
+    const request = validator.isUUID(String(requestId))
+      ? await PrivacyRequest.findOne({ where: { id: requestId, userId, type: 'export', status: 'completed' } })
+      : null;
+    if (!request || !request.fileKey || (request.expiresAt && request.expiresAt <= new Date())) {
+      throw new Error('Export not found');
+    }
+
+    let stream;
+    try {
+      stream = await storageService.getStream(request.fileKey, { private: true });
+    } catch (error) {
+      console.error(`❌ Export archive ${request.id} missing from storage:`, error.message);
+      throw new Error('Export not found');
+    }
+
+    return {
+      stream,
+      fileName: `personal-data-${request.completedAt.toISOString().slice(0, 10)}.zip`,
+      fileSize: request.fileSize,
+    };
+  }
+
+  // ===== ARCHIVE =====
+
+  /**
+   * Stream the zip straight into private storage: rows are read and written batch by batch,
+   * so memory use does not grow with the number of links / clicks. Returns { size, counts }.
+   */
+  async buildArchive(user, key, onProgress) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const aborted = new AbortController(); // archive hỏng -> write() đang chờ drain dừng lại
+    archive.on('warning', (error) => archive.destroy(error));
+    archive.on('error', (error) => aborted.abort(error));
+
+    const stored = storageService.put(key, archive, { contentType: 'application/zip', private: true });
+    stored.catch(() => {}); // lỗi được throw lại ở await bên dưới
+
+    // Entry ghi dần: archive nén lần lượt từng entry, write() chờ khi entry này chưa tới lượt
+    const openEntry = (name) => {
+      const entry = new PassThrough();
+      archive.append(entry, { name });
+      return {
+        write: async (text) => {
+          if (!entry.write(text)) await once(entry, 'drain', { signal: aborted.signal });
+        },
+        end: () => entry.end(),
+      };
+    };
+    const addJson = (name, data) => archive.append(JSON.stringify(data, null, 2), { name });
+
+    try {
+      const memberships = await WorkspaceMember.findAll({
+        where: { userId: user.id },
+        include: [{ model: Workspace, as: 'workspace', attributes: ['id', 'name'] }],
+      });
+      addJson('profile.json', {
+        ...user.toJSON(),
+        workspaces: memberships.map((member) => ({
+          id: member.workspaceId,
+          name: member.workspace?.name,
+          role: member.role,
+          joinedAt: member.createdAt,
+        })),
+      });
+
+      const linkIds = await this.writeLinks(user.id, openEntry('links.json'));
+
+      const domains = await Domain.findAll({
+        where: { userId: user.id },
+        attributes: { exclude: ['verificationToken'] },
+        paranoid: false,
+      });
+      addJson('domains.json', domains);
+
+      const apiKeys = await ApiKey.findAll({ where: { userId: user.id }, attributes: { exclude: ['hashedKey'] } });
+      addJson('api-keys.json', apiKeys);
+
+      const securityEvents = await SecurityEvent.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] });
+      addJson('security-events.json', securityEvents);
+      await onProgress(30);
+
+      const clicks = await this.writeClicks(linkIds, openEntry('clicks.ndjson'));
+      await onProgress(60);
+
+      let clickEvents = null;
+      let readme = README;
+      const events = openEntry('click-events.ndjson');
+      try {
+        clickEvents = await clickTrackingService.scrollUserClicks(user.id, async (batch) => {
+          await events.write(batch.map((doc) => `${JSON.stringify(doc)}\n`).join(''));
+        });
+      } catch (error) {
+        console.warn(`⚠️ Export ${user.id}: click events incomplete -`, error.message);
+        readme +=
+          '\nclick-events.ndjson is empty or incomplete: the analytics store was unavailable. Request a new export later.\n';
+      } finally {
+        events.end();
+      }
+      archive.append(readme, { name: 'README.txt' });
+      await onProgress(90);
+
+      await archive.finalize();
+      await stored;
+
+      return {
+        size: archive.pointer(),
+        counts: {
+          links: linkIds.length,
+          domains: domains.length,
+          apiKeys: apiKeys.length,
+          securityEvents: securityEvents.length,
+          clicks,
+          clickEvents,
+        },
+      };
+    } catch (error) {
+      archive.destroy(error); // storage xoá file dở dang
+      await stored.catch(() => {});
+      throw error;
+    }
+  }
+
+  // links.json as a JSON array, in batches (paranoid: false - link đã xoá mềm vẫn là dữ liệu của user)
+  async writeLinks(userId, entry) {
+    const linkIds = [];
+    let lastId = null;
+
+    await entry.write('[');
+    for (;;) {
+      const batch = await Link.findAll({
+        where: { userId, ...(lastId && { id: { [Op.gt]: lastId } }) },
+        paranoid: false,
+        order: [['id', 'ASC']],
+        limit: LINK_BATCH_SIZE,
+      });
+
+      const json = batch.map((link) => {
+        const { password, ...data } = link.toJSON();
+        return JSON.stringify({ ...data, passwordProtected: !!password }, null, 2);
+      });
+      if (json.length > 0) {
+        await entry.write(`${linkIds.length > 0 ? ',' : ''}\n${json.join(',\n')}`);
+      }
+      batch.forEach(({ id }) => linkIds.push(id));
+
+      if (batch.length < LINK_BATCH_SIZE) break;
+      lastId = batch[batch.length - 1].id;
+    }
+    await entry.write('\n]\n');
+    entry.end();
+
+    return linkIds;
+  }
+
+  // Postgres click rows of the user's links, one JSON per line, in batches (keyset on id)
+  async writeClicks(linkIds, entry) {
+    let count = 0;
+    let lastId = null;
+
+    while (linkIds.length > 0) {
+      const batch = await Click.findAll({
+        where: { linkId: linkIds, ...(lastId && { id: { [Op.gt]: lastId } }) },
+        attributes: CLICK_ATTRIBUTES,
+        order: [['id', 'ASC']],
+        limit: CLICK_BATCH_SIZE,
+        raw: true,
+      });
+      await entry.write(batch.map((click) => `${JSON.stringify(click)}\n`).join(''));
+      count += batch.length;
+
+      if (batch.length < CLICK_BATCH_SIZE) break;
+      lastId = batch[batch.length - 1].id;
+    }
+    entry.end();
+
+    return count;
+  }
+
+  // ===== HELPERS =====
+
+  toPublic(request) {
+    return {
+      id: request.id,
+      type: request.type,
+      status: request.status,
+      scheduledFor: request.scheduledFor,
+      downloadUrl:
+        request.fileKey && request.status === 'completed' ? `/api/users/privacy/requests/${request.id}/download` : null,
+      fileSize: request.fileSize,
+      expiresAt: request.expiresAt,
+      completedAt: request.completedAt,
+      error: request.status === 'failed' ? request.error : null,
+      createdAt: request.createdAt,
+    };
+  }
+}
+
+module.exports = new PrivacyService();
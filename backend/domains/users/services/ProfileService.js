@@ -0,0 +1,409 @@
+// backend/domains/users/services/ProfileService.js
+// Profile (name, avatar, timezone, locale, default domain) and account deactivation / deletion
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  User,
+  Link,
+  Click,
+  Domain,
+  ApiKey,
+  SecurityEvent,
+  AuditLog,
+  WorkspaceMember,
+  PrivacyRequest,
+  sequelize,
+} = require('../../../models');
+const cacheService = require('../../../core/cache/CacheService');
+const userRepository = require('../repositories/UserRepository');
+const storageService = require('../../../core/storage/StorageService');
+const authService = require('../../auth/services/AuthService');
+const twoFactorService = require('../../auth/services/TwoFactorService');
+const securityLogService = require('../../auth/services/SecurityLogService');
+const auditLogService = require('../../admin/services/AuditLogService');
+const workspaceService = require('../../workspaces/services/WorkspaceService');
+const clickTrackingService = require('../../analytics/services/ClickTrackingService');
+
+const SUPPORTED_LOCALES = ['vi', 'en'];
+const MAX_AVATAR_SIZE = 2 * 1024 * 1024; // 2MB
+// Nhận diện ảnh theo magic bytes, không tin Content-Type (không nhận SVG - có thể chứa script)
+const AVATAR_TYPES = [
+  { ext: 'png', test: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: 'jpg', test: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { ext: 'gif', test: (buf) => buf.subarray(0, 4).toString('ascii') === 'GIF8' },
+  { ext: 'webp', test: (buf) => buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP' },
+];
+const PROFILE_ATTRIBUTES = [
+  'id',
+  'email',
+  'name',
+  'role',
+  'avatar',
+  'timezone',
+  'locale',
+  'defaultDomainId',
+  'isEmailVerified',
+  'twoFactorEnabled',
+  'googleId',
+  'password',
+  'lastSeenAt',
+  'createdAt',
+];
+
+class ProfileService {
+  // ===== PROFILE =====
+
+  async getProfile(userId) {
+    const user = await User.findByPk(userId, {
+      attributes: PROFILE_ATTRIBUTES,
+      include: [
+        {
+          model: Domain,
+          as: 'defaultDomain',
+          attributes: ['id', 'domain', 'displayName'],
+        },
+      ],
+    });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return this.toProfile(user);
+  }
+
+  /**
+   * Update name, timezone, locale and default domain (email is not editable here)
+   */
+  async updateProfile(userId, data = {}) {
+    const user = await this.findUser(userId);
+    const updates = {};
+
+    if (data.email !== undefined && String(data.email).trim().toLowerCase() !== user.email) {
+      throw new Error('Email cannot be changed');
+    }
+
+    if (data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (name.length < 2 || name.length > 100) {
+        throw new Error('Invalid name. Must be 2-100 characters');
+      }
+      updates.name = name;
+    }
+
+    if (data.timezone !== undefined) {
+      if (!this.isValidTimezone(data.timezone)) {
+        throw new Error('Invalid timezone. Use an IANA name like Asia/Ho_Chi_Minh');
+      }
+      updates.timezone = data.timezone;
+    }
+
+    if (data.locale !== undefined) {
+      if (!SUPPORTED_LOCALES.includes(data.locale)) {
+        throw new Error(`Invalid locale. Must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+      }
+      updates.locale = data.locale;
+    }
+
+    if (data.defaultDomainId !== undefined) {
+      if (data.defaultDomainId !== null) {
+        const domain = await Domain.findOne({
+          where: { id: data.defaultDomainId, userId, workspaceId: null, isActive: true, isVerified: true },
+        });
+        if (!domain) {
+          throw new Error('Invalid defaultDomainId. Domain must be yours, verified and active');
+        }
+      }
+      updates.defaultDomainId = data.defaultDomainId;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await user.update(updates);
+      await this.clearUserCache(user);
+      console.log(`👤 Profile updated for ${user.email}: ${Object.keys(updates).join(', ')}`);
+    }
+
+    return await this.getProfile(userId);
+  }
+
+  // ===== AVATAR =====
+
+  async uploadAvatar(userId, buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw new Error('Invalid image. Send the file as the request body');
+    }
+
+    if (buffer.length > MAX_AVATAR_SIZE) {
+      throw new Error('Invalid image. Maximum size is 2MB');
+    }
+
+    const type = AVATAR_TYPES.find(({ test }) => buffer.length >= 12 && test(buffer));
+    if (!type) {
+      throw new Error('Invalid image. Supported formats: PNG, JPEG, GIF, WebP');
+    }
+
+    const user = await this.findUser(userId);
+    const previousKey = user.avatarKey;
+
+    const key = `avatars/${user.id}/${crypto.randomBytes(8).toString('hex')}.${type.ext}`;
+    const { url } = await storageService.put(key, buffer, { contentType: `image/${type.ext === 'jpg' ? 'jpeg' : type.ext}` });
+
+    await user.update({ avatar: url, avatarKey: key });
+    await this.clearUserCache(user);
+    await this.deleteStoredAvatar(previousKey);
+
+    console.log(`🖼️ Avatar uploaded for ${user.email}: ${key}`);
+    return await this.getProfile(userId);
+  }
+
+  async removeAvatar(userId) {
+    const user = await this.findUser(userId);
+    const previousKey = user.avatarKey;
+
+    await user.update({ avatar: null, avatarKey: null });
+    await this.clearUserCache(user);
+    await this.deleteStoredAvatar(previousKey);
+
+    return await this.getProfile(userId);
+  }
+
+  // ===== ACCOUNT =====
+
+  /**
+   * Self-service deactivation: sign out everywhere, disable links and domains, revoke API keys.
+   * Links in shared workspaces keep working, only personal ones and those of workspaces
+   * nobody else is in are disabled. Support can restore the account (admin unsuspend), API keys stay revoked.
+   */
+  async deactivateAccount(userId, credentials = {}, req = {}) {
+    const user = await this.findUser(userId);
+    const ownedWorkspaces = await this.assertCanCloseAccount(user, credentials);
+
+    const ownResources = {
+      userId: user.id,
+      isActive: true,
+      [Op.or]: [{ workspaceId: null }, { workspaceId: ownedWorkspaces.map(({ id }) => id) }],
+    };
+
+    const now = new Date();
+    const { linksDisabled, apiKeysRevoked } = await sequelize.transaction(async (transaction) => {
+      await user.update({ isActive: false, deactivatedAt: now }, { transaction });
+
+      const [linksDisabled] = await Link.update(
+        { isActive: false, suspendedAt: now },
+        { where: ownResources, transaction }
+      );
+      await Domain.update(
+        { isActive: false, suspendedAt: now },
+        { where: ownResources, transaction }
+      );
+      const [apiKeysRevoked] = await ApiKey.update(
+        { isActive: false, revokedAt: now },
+        { where: { userId: user.id, isActive: true }, transaction }
+      );
+
+      return { linksDisabled, apiKeysRevoked };
+    });
+
+    const { sessionsCleaned } = await authService.logoutAll(user.id);
+    await securityLogService.record(user.id, 'account.deactivated', {
+      req,
+      metadata: { reason: credentials.reason || null, linksDisabled, apiKeysRevoked },
+    });
+
+    console.log(`⏸️ Account deactivated: ${user.email} (${linksDisabled} links, ${apiKeysRevoked} API keys, ${sessionsCleaned} sessions)`);
+    return { linksDisabled, apiKeysRevoked, sessionsRevoked: sessionsCleaned };
+  }
+
+  /**
+   * Permanent deletion, right away (DELETE /api/users/account)
+   */
+  async deleteAccount(userId, credentials = {}, req = {}) {
+    const user = await this.findUser(userId);
+    const ownedWorkspaces = await this.assertCanCloseAccount(user, credentials);
+
+    const deleted = await this.eraseAccount(user, ownedWorkspaces, {
+      action: 'user.self_delete',
+      ipAddress: req.ip || null,
+    });
+
+    return { deleted };
+  }
+
+  /**
+   * Erase everything of the account: clicks (Postgres and ElasticSearch), links and domains
+   * including soft-deleted ones, API keys, security events, export archives and the user row.
+   * Workspaces only the user is in are deleted; links and domains the user created in shared
+   * workspaces stay there and are handed over to the workspace owner.
+   *
+   * strictClickPurge: fail before deleting anything when ElasticSearch is down (scheduled
+   * erasure retries later) instead of only logging it.
+   */
+  async eraseAccount(user, ownedWorkspaces, { action, ipAddress = null, strictClickPurge = false }) {
+    // Thu hồi session trước để token không dùng được trong lúc xoá
+    await authService.logoutAll(user.id);
+
+    const ownedWorkspaceIds = ownedWorkspaces.map(({ id }) => id);
+    const purgedLinks = await Link.findAll({
+      where: {
+        [Op.or]: [{ userId: user.id, workspaceId: null }, { workspaceId: ownedWorkspaceIds }],
+      },
+      attributes: ['id'],
+      paranoid: false,
+      raw: true,
+    });
+
+    let clickDocuments = null;
+    try {
+      clickDocuments = await clickTrackingService.purgeUserClicks(user.id, purgedLinks.map(({ id }) => id));
+    } catch (error) {
+      if (strictClickPurge) throw error;
+      console.warn(`⚠️ Click documents of ${user.id} not purged:`, error.message);
+    }
+
+    for (const id of ownedWorkspaceIds) {
+      await workspaceService.deleteWorkspace(id);
+    }
+    const memberships = await WorkspaceMember.findAll({ where: { userId: user.id }, attributes: ['workspaceId'] });
+    const exports = await PrivacyRequest.findAll({
+      where: { userId: user.id, fileKey: { [Op.ne]: null } },
+      attributes: ['fileKey'],
+    });
+
+    const userLinks = sequelize.literal(`(SELECT id FROM links WHERE user_id = ${sequelize.escape(user.id)})`);
+
+    const deleted = await sequelize.transaction(async (transaction) => {
+      for (const { workspaceId } of memberships) {
+        const owner = await WorkspaceMember.findOne({ where: { workspaceId, role: 'owner' }, transaction });
+        if (!owner) continue;
+
+        await Link.update({ userId: owner.userId }, { where: { userId: user.id, workspaceId }, paranoid: false, transaction });
+        await Domain.update({ userId: owner.userId }, { where: { userId: user.id, workspaceId }, paranoid: false, transaction });
+      }
+
+      // force: cả link/domain đã xoá mềm
+      const clicks = await Click.destroy({ where: { linkId: { [Op.in]: userLinks } }, transaction });
+      const links = await Link.destroy({ where: { userId: user.id }, force: true, transaction });
+      const domains = await Domain.destroy({ where: { userId: user.id }, force: true, transaction });
+      const apiKeys = await ApiKey.destroy({ where: { userId: user.id }, transaction });
+      await SecurityEvent.destroy({ where: { userId: user.id }, transaction });
+      await AuditLog.update({ ipAddress: null }, { where: { actorId: user.id }, transaction });
+
+      await user.destroy({ transaction });
+
+      // Không lưu email/tên của tài khoản đã xoá
+      await auditLogService.record(
+        {
+          action,
+          targetType: 'user',
+          targetId: user.id,
+          metadata: { clicks, links, domains, apiKeys, clickDocuments },
+          ipAddress,
+        },
+        { transaction }
+      );
+
+      return { clicks, links, domains, apiKeys, clickDocuments };
+    });
+
+    await this.clearUserCache(user);
+    await this.deleteStoredAvatar(user.avatarKey);
+    for (const { fileKey } of exports) {
+      await storageService.delete(fileKey, { private: true }).catch((error) => {
+        console.warn(`⚠️ Failed to delete export archive ${fileKey}:`, error.message);
+      });
+    }
+    for (const { workspaceId } of memberships) {
+      await workspaceService.clearMembershipCache(workspaceId, [user.id]);
+    }
+
+    console.log(`🗑️ Account erased: ${user.id} (${deleted.links} links, ${deleted.domains} domains, ${deleted.apiKeys} API keys)`);
+    return deleted;
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * Closing an account needs the password (or the email typed again for Google-only accounts)
+   * and a 2FA code when enabled, on top of assertClosable.
+   */
+  async assertCanCloseAccount(user, { password, confirmEmail, code } = {}) {
+    if (user.role === 'admin') {
+      throw new Error('Cannot close an admin account. Ask another admin to change your role first');
+    }
+
+    if (user.password) {
+      if (!password || !(await user.comparePassword(password))) {
+        throw new Error('Current password is incorrect');
+      }
+    } else if (!confirmEmail || String(confirmEmail).trim().toLowerCase() !== user.email) {
+      throw new Error('Please confirm your email address');
+    }
+
+    if (user.twoFactorEnabled) {
+      await twoFactorService.verifyUserCode(user, code);
+    }
+
+    return await this.assertClosable(user);
+  }
+
+  /**
+   * Admins must be demoted first, and workspaces with other members handed over.
+   * Returns the workspaces the user owns alone (deleted with the account).
+   */
+  async assertClosable(user) {
+    if (user.role === 'admin') {
+      throw new Error('Cannot close an admin account. Ask another admin to change your role first');
+    }
+
+    const ownedWorkspaces = await workspaceService.getOwnedWorkspaces(user.id);
+    if (ownedWorkspaces.some(({ memberCount }) => memberCount > 1)) {
+      throw new Error('Cannot close an account that owns a workspace with other members. Transfer ownership first');
+    }
+    return ownedWorkspaces;
+  }
+
+  async deleteStoredAvatar(key) {
+    if (!key) return;
+
+    try {
+      await storageService.delete(key);
+    } catch (error) {
+      console.warn(`⚠️ Failed to delete avatar ${key}:`, error.message);
+    }
+  }
+
+  isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  toProfile(user) {
+    const { googleId, ...profile } = user.toJSON();
+
+    return {
+      ...profile,
+      hasPassword: !!user.password,
+      googleLinked: !!googleId,
+    };
+  }
+
+  async findUser(userId) {
+    const user = await userRepository.findByIdUncached(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  async clearUserCache(user) {
+    await cacheService.del(`user:id:${user.id}`);
+    await cacheService.del(`user:email:${user.email}`);
+  }
+}
+
+module.exports = new ProfileService();
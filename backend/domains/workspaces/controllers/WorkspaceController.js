@@ -0,0 +1,257 @@
+// backend/domains/workspaces/controllers/WorkspaceController.js
+const workspaceService = require('../services/WorkspaceService');
+const invitationService = require('../services/InvitationService');
+
+const sendWorkspaceError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  let status = 500;
+  if (/not found|expired/.test(error.message)) status = 404;
+  else if (/^(Only|This invitation)/.test(error.message)) status = 403;
+  else if (/^(Invalid|Cannot|User is already|Workspace limit|Member limit)/.test(error.message)) status = 400;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    message,
+  });
+};
+
+// Acting member for permission checks (req.workspace comes from requireWorkspaceRole)
+const getActor = (req) => ({
+  userId: req.user.id,
+  role: req.workspace.role,
+});
+
+// ===== WORKSPACES =====
+
+// GET /api/workspaces - workspaces the user belongs to (for the switcher)
+const listWorkspaces = async (req, res) => {
+  try {
+    const workspaces = await workspaceService.listForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: { workspaces },
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get workspaces');
+  }
+};
+
+// POST /api/workspaces - { name }
+const createWorkspace = async (req, res) => {
+  try {
+    const workspace = await workspaceService.createWorkspace(req.user.id, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created',
+      data: workspace,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to create workspace');
+  }
+};
+
+// GET /api/workspaces/:workspaceId
+const getWorkspace = async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.workspace.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: workspace,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get workspace');
+  }
+};
+
+// PUT /api/workspaces/:workspaceId - { name, clickRetentionDays }
+const updateWorkspace = async (req, res) => {
+  try {
+    const workspace = await workspaceService.updateWorkspace(req.workspace.id, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Workspace updated',
+      data: workspace,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update workspace');
+  }
+};
+
+// DELETE /api/workspaces/:workspaceId - permanent, with the workspace's links, domains and API keys
+const deleteWorkspace = async (req, res) => {
+  try {
+    const result = await workspaceService.deleteWorkspace(req.workspace.id);
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted',
+      data: result,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to delete workspace');
+  }
+};
+
+// POST /api/workspaces/:workspaceId/transfer - { userId }
+const transferOwnership = async (req, res) => {
+  try {
+    const members = await workspaceService.transferOwnership(req.workspace.id, req.user.id, req.body?.userId);
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred',
+      data: { members },
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to transfer ownership');
+  }
+};
+
+// ===== MEMBERS =====
+
+// GET /api/workspaces/:workspaceId/members
+const listMembers = async (req, res) => {
+  try {
+    const members = await workspaceService.listMembers(req.workspace.id);
+
+    res.json({
+      success: true,
+      data: { members },
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get members');
+  }
+};
+
+// PUT /api/workspaces/:workspaceId/members/:userId - { role }
+const updateMemberRole = async (req, res) => {
+  try {
+    const member = await workspaceService.updateMemberRole(
+      req.workspace.id,
+      getActor(req),
+      req.params.userId,
+      req.body?.role
+    );
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: member,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update member role');
+  }
+};
+
+// DELETE /api/workspaces/:workspaceId/members/:userId - remove a member, or leave (own id)
+const removeMember = async (req, res) => {
+  try {
+    const result = await workspaceService.removeMember(req.workspace.id, getActor(req), req.params.userId);
+
+    res.json({
+      success: true,
+      message: result.userId === req.user.id ? 'You left the workspace' : 'Member removed',
+      data: result,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to remove member');
+  }
+};
+
+// ===== INVITATIONS =====
+
+// GET /api/workspaces/:workspaceId/invitations - pending invitations
+const listInvitations = async (req, res) => {
+  try {
+    const invitations = await invitationService.listInvitations(req.workspace.id);
+
+    res.json({
+      success: true,
+      data: { invitations },
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get invitations');
+  }
+};
+
+// POST /api/workspaces/:workspaceId/invitations - { email, role }
+const inviteMember = async (req, res) => {
+  try {
+    const invitation = await invitationService.invite(req.workspace.id, getActor(req), req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to invite member');
+  }
+};
+
+// DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+const revokeInvitation = async (req, res) => {
+  try {
+    const result = await invitationService.revokeInvitation(req.workspace.id, req.params.invitationId);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      data: result,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to revoke invitation');
+  }
+};
+
+// GET /api/workspaces/invitations/:token - public preview for the invitation page
+const previewInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.previewInvitation(req.params.token);
+
+    res.json({
+      success: true,
+      data: invitation,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get invitation');
+  }
+};
+
+// POST /api/workspaces/invitations/:token/accept
+const acceptInvitation = async (req, res) => {
+  try {
+    const workspace = await invitationService.acceptInvitation(req.params.token, req.user);
+
+    res.json({
+      success: true,
+      message: `You joined ${workspace.name}`,
+      data: workspace,
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to accept invitation');
+  }
+};
+
+module.exports = {
+  listWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  transferOwnership,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  listInvitations,
+  inviteMember,
+  revokeInvitation,
+  previewInvitation,
+  acceptInvitation,
+};
@@ -0,0 +1,16 @@
+// domains/workspaces/index.js
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const workspaceController = require('./controllers/WorkspaceController');
+const workspaceService = require('./services/WorkspaceService');
+const invitationService = require('./services/InvitationService');
+
+module.exports = {
+  routes: workspaceRoutes,
+  services: {
+    workspace: workspaceService,
+    invitation: invitationService
+  },
+  controllers: {
+    workspace: workspaceController
+  }
+};
@@ -0,0 +1,57 @@
+// backend/domains/workspaces/routes/workspaceRoutes.js
+const express = require('express');
+const workspaceController = require('../controllers/WorkspaceController');
+const authMiddleware = require('../../auth/middleware/authMiddleware');
+
+// Import rate limiting từ security domain
+const securityDomain = require('../../security');
+const { createLinkLimiter } = securityDomain.middleware.rateLimiter;
+
+const router = express.Router();
+
+// Role in :workspaceId - viewer < editor < admin < owner
+const member = authMiddleware.requireWorkspaceRole('viewer');
+const admin = authMiddleware.requireWorkspaceRole('admin');
+const owner = authMiddleware.requireWorkspaceRole('owner');
+
+// ===== INVITATIONS (by token) =====
+
+// Public preview so the invitation page can show the workspace before sign in
+router.get('/invitations/:token', workspaceController.previewInvitation);
+
+router.post('/invitations/:token/accept',
+  authMiddleware.verifyToken,
+  workspaceController.acceptInvitation
+);
+
+// ===== WORKSPACES =====
+// Managing workspaces needs a user JWT
+router.use(authMiddleware.verifyToken);
+
+router.get('/', workspaceController.listWorkspaces);
+router.post('/', workspaceController.createWorkspace);
+
+router.get('/:workspaceId', member, workspaceController.getWorkspace);
+router.put('/:workspaceId', admin, workspaceController.updateWorkspace);
+router.delete('/:workspaceId', owner, workspaceController.deleteWorkspace);
+router.post('/:workspaceId/transfer', owner, workspaceController.transferOwnership);
+
+// ===== MEMBERS =====
+router.get('/:workspaceId/members', member, workspaceController.listMembers);
+router.put('/:workspaceId/members/:userId', admin, workspaceController.updateMemberRole);
+
+// Any member can leave (own userId); removing others needs admin - checked in the service
+router.delete('/:workspaceId/members/:userId', member, workspaceController.removeMember);
+
+// ===== INVITATIONS =====
+router.get('/:workspaceId/invitations', admin, workspaceController.listInvitations);
+
+router.post('/:workspaceId/invitations',
+  admin,
+  createLinkLimiter,
+  workspaceController.inviteMember
+);
+
+router.delete('/:workspaceId/invitations/:invitationId', admin, workspaceController.revokeInvitation);
+
+module.exports = router;
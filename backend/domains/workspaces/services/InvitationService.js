@@ -0,0 +1,192 @@
+// backend/domains/workspaces/services/InvitationService.js
+// Email invitations to a workspace. The token is only in the email; accepting needs an account
+// with the invited email address.
+const crypto = require('crypto');
+const validator = require('validator');
+const { Op } = require('sequelize');
+const { Workspace, WorkspaceMember, WorkspaceInvitation, User, sequelize } = require('../../../models');
+const config = require('../../../config');
+const authService = require('../../auth/services/AuthService');
+const workspaceService = require('./WorkspaceService');
+
+const INVITABLE_ROLES = ['admin', 'editor', 'viewer'];
+const INVITATION_TTL_DAYS = 7;
+
+class InvitationService {
+  async listInvitations(workspaceId) {
+    const invitations = await WorkspaceInvitation.findAll({
+      where: { workspaceId, expiresAt: { [Op.gt]: new Date() } },
+      include: [{ model: User, as: 'inviter', attributes: ['id', 'email', 'name'] }],
+      order: [['createdAt', 'DESC']],
+    });
+
+    return invitations.map((invitation) => this.toPublic(invitation));
+  }
+
+  /**
+   * Invite an email address. Inviting the same address again replaces the pending invitation
+   * (new token, new expiry) - this is also how an invitation is resent.
+   */
+  async invite(workspaceId, actor, { email, role = 'editor' } = {}) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!validator.isEmail(normalizedEmail)) {
+      throw new Error('Invalid email address');
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${INVITABLE_ROLES.join(', ')}`);
+    }
+    if (role === 'admin' && actor.role !== 'owner') {
+      throw new Error('Only the workspace owner can invite admins');
+    }
+
+    const workspace = await workspaceService.findWorkspace(workspaceId);
+
+    const existingUser = await User.findOne({ where: { email: normalizedEmail }, attributes: ['id'] });
+    if (existingUser && (await WorkspaceMember.findOne({ where: { workspaceId, userId: existingUser.id } }))) {
+      throw new Error('User is already a member of this workspace');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const invitation = await sequelize.transaction(async (transaction) => {
+      const pending = await WorkspaceInvitation.findOne({
+        where: { workspaceId, email: normalizedEmail },
+        transaction,
+      });
+
+      // Gửi lại lời mời còn hạn không tính thêm vào giới hạn thành viên
+      if (!pending || pending.expiresAt <= new Date()) {
+        await workspaceService.assertMemberLimit(workspaceId, { transaction });
+      }
+
+      if (pending) {
+        return await pending.update(
+          { role, hashedToken: WorkspaceInvitation.hashToken(token), invitedBy: actor.userId, expiresAt },
+          { transaction }
+        );
+      }
+
+      return await WorkspaceInvitation.create(
+        {
+          workspaceId,
+          email: normalizedEmail,
+          role,
+          hashedToken: WorkspaceInvitation.hashToken(token),
+          invitedBy: actor.userId,
+          expiresAt,
+        },
+        { transaction }
+      );
+    });
+
+    const inviter = await User.findByPk(actor.userId, { attributes: ['name', 'email'] });
+    try {
+      await authService.queueEmail('workspaceInvitation', normalizedEmail, {
+        inviterName: inviter?.name || inviter?.email,
+        workspaceName: workspace.name,
+        role,
+        expiresIn: `${INVITATION_TTL_DAYS} days`,
+        actionUrl: `${config.app.url}/invitations/${token}`,
+      });
+    } catch (error) {
+      console.error('❌ Failed to send workspace invitation email:', error.message);
+    }
+
+    console.log(`✉️ Workspace ${workspace.name}: invited ${normalizedEmail} as ${role}`);
+    return this.toPublic(invitation);
+  }
+
+  async revokeInvitation(workspaceId, invitationId) {
+    const invitation = validator.isUUID(String(invitationId))
+      ? await WorkspaceInvitation.findOne({ where: { id: invitationId, workspaceId } })
+      : null;
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+
+    await invitation.destroy();
+    return { id: invitation.id };
+  }
+
+  /**
+   * What the invitation page shows before the user signs in / registers
+   */
+  async previewInvitation(token) {
+    const invitation = await this.findByToken(token);
+
+    return {
+      workspace: { id: invitation.workspace.id, name: invitation.workspace.name },
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.inviter?.name || null,
+      expiresAt: invitation.expiresAt,
+    };
+  }
+
+  async acceptInvitation(token, user) {
+    const invitation = await this.findByToken(token);
+
+    if (invitation.email !== String(user.email).toLowerCase()) {
+      throw new Error('This invitation was sent to a different email address');
+    }
+
+    const alreadyMember = await WorkspaceMember.findOne({
+      where: { workspaceId: invitation.workspaceId, userId: user.id },
+    });
+
+    await sequelize.transaction(async (transaction) => {
+      if (!alreadyMember) {
+        await workspaceService.addMember(
+          invitation.workspaceId,
+          user.id,
+          invitation.role,
+          invitation.invitedBy,
+          { transaction }
+        );
+      }
+      await invitation.destroy({ transaction });
+    });
+
+    console.log(`✅ ${user.email} joined workspace ${invitation.workspace.name} as ${invitation.role}`);
+    return {
+      ...workspaceService.toPublic(invitation.workspace),
+      role: alreadyMember ? alreadyMember.role : invitation.role,
+    };
+  }
+
+  // ===== HELPERS =====
+
+  async findByToken(token) {
+    const invitation = /^[a-f0-9]{64}$/.test(String(token || ''))
+      ? await WorkspaceInvitation.findOne({
+        where: { hashedToken: WorkspaceInvitation.hashToken(token), expiresAt: { [Op.gt]: new Date() } },
+        include: [
+          { model: Workspace, as: 'workspace' },
+          { model: User, as: 'inviter', attributes: ['id', 'name'] },
+        ],
+      })
+      : null;
+
+    if (!invitation) {
+      throw new Error('Invitation not found or expired');
+    }
+    return invitation;
+  }
+
+  toPublic(invitation) {
+    return {
+      id: invitation.id,
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.inviter
+        ? { id: invitation.inviter.id, name: invitation.inviter.name, email: invitation.inviter.email }
+        : invitation.invitedBy,
+      expiresAt: invitation.expiresAt,
+      createdAt: invitation.createdAt,
+    };
+  }
+}
+
+module.exports = new InvitationService();
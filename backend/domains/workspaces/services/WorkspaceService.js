@@ -0,0 +1,394 @@
+// backend/domains/workspaces/services/WorkspaceService.js
+// Workspaces, members and roles. Links, domains and API keys belong either to a user's
+// personal space (workspaceId null) or to a workspace shared by its members.
+const validator = require('validator');
+const { Op } = require('sequelize');
+const {
+  Workspace,
+  WorkspaceMember,
+  WorkspaceInvitation,
+  User,
+  Link,
+  Click,
+  Domain,
+  ApiKey,
+  sequelize,
+} = require('../../../models');
+const cacheService = require('../../../core/cache/CacheService');
+const settingsService = require('../../../core/settings/SettingsService');
+
+const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  admin: 3,
+  owner: 4,
+};
+const MEMBERSHIP_CACHE_TTL = 5 * 60;
+
+class WorkspaceService {
+  // ===== SCOPE =====
+
+  /**
+   * Owner of the resources a request works on: { userId, workspaceId } (workspaceId null = personal)
+   */
+  scopeFor(req) {
+    return {
+      userId: req.user.id,
+      workspaceId: req.workspace?.id || null,
+    };
+  }
+
+  // Accepts a plain userId (personal space) or a scope object
+  toScope(owner) {
+    if (owner && typeof owner === 'object') {
+      return { userId: owner.userId, workspaceId: owner.workspaceId || null };
+    }
+    return { userId: owner, workspaceId: null };
+  }
+
+  /**
+   * Where clause for links / domains / API keys in a scope
+   */
+  scopeWhere(owner) {
+    const { userId, workspaceId } = this.toScope(owner);
+    return workspaceId ? { workspaceId } : { userId, workspaceId: null };
+  }
+
+  hasRole(role, minRole) {
+    return (ROLE_RANK[role] || 0) >= (ROLE_RANK[minRole] || Infinity);
+  }
+
+  /**
+   * Membership of a user in a workspace (cached), null when not a member
+   */
+  async getMembership(workspaceId, userId) {
+    if (!validator.isUUID(String(workspaceId))) return null;
+
+    const cacheKey = this.membershipKey(workspaceId, userId);
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const member = await WorkspaceMember.findOne({
+      where: { workspaceId, userId },
+      include: [{ model: Workspace, as: 'workspace', attributes: ['id', 'name'] }],
+    });
+    if (!member) return null;
+
+    const membership = {
+      workspaceId: member.workspaceId,
+      name: member.workspace.name,
+      role: member.role,
+    };
+    await cacheService.set(cacheKey, membership, MEMBERSHIP_CACHE_TTL);
+    return membership;
+  }
+
+  // ===== WORKSPACES =====
+
+  /**
+   * Workspaces the user belongs to, with their role and member count
+   */
+  async listForUser(userId) {
+    const memberships = await WorkspaceMember.findAll({
+      where: { userId },
+      include: [{ model: Workspace, as: 'workspace' }],
+      order: [['createdAt', 'ASC']],
+    });
+
+    const workspaceIds = memberships.map((member) => member.workspaceId);
+    const counts = workspaceIds.length
+      ? await WorkspaceMember.findAll({
+        where: { workspaceId: workspaceIds },
+        attributes: ['workspaceId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: [sequelize.col('workspace_id')],
+        raw: true,
+      })
+      : [];
+    const memberCounts = Object.fromEntries(counts.map(({ workspaceId, count }) => [workspaceId, parseInt(count)]));
+
+    return memberships.map((member) => ({
+      ...this.toPublic(member.workspace),
+      role: member.role,
+      memberCount: memberCounts[member.workspaceId] || 1,
+    }));
+  }
+
+  async createWorkspace(userId, { name } = {}) {
+    const workspaceName = this.validateName(name);
+
+    const owned = await WorkspaceMember.count({ where: { userId, role: 'owner' } });
+    const maxOwned = settingsService.get('workspaces.maxPerUser');
+    if (owned >= maxOwned) {
+      throw new Error(`Workspace limit reached. You can own up to ${maxOwned} workspaces`);
+    }
+
+    const workspace = await sequelize.transaction(async (transaction) => {
+      const created = await Workspace.create({ name: workspaceName, createdBy: userId }, { transaction });
+      await WorkspaceMember.create({ workspaceId: created.id, userId, role: 'owner' }, { transaction });
+      return created;
+    });
+
+    console.log(`👥 Workspace created: ${workspace.name} (${workspace.id}) by user ${userId}`);
+    return { ...this.toPublic(workspace), role: 'owner', memberCount: 1 };
+  }
+
+  async getWorkspace(workspaceId, userId) {
+    const workspace = await this.findWorkspace(workspaceId);
+    const membership = await this.getMembership(workspaceId, userId);
+
+    const [memberCount, linkCount, domainCount] = await Promise.all([
+      WorkspaceMember.count({ where: { workspaceId } }),
+      Link.count({ where: { workspaceId, isActive: true } }),
+      Domain.count({ where: { workspaceId } }),
+    ]);
+
+    return {
+      ...this.toPublic(workspace),
+      role: membership?.role || null,
+      memberCount,
+      linkCount,
+      domainCount,
+    };
+  }
+
+  /**
+   * Rename, or set the click retention window (days, null = system default)
+   */
+  async updateWorkspace(workspaceId, { name, clickRetentionDays } = {}) {
+    const workspace = await this.findWorkspace(workspaceId);
+
+    if (clickRetentionDays !== undefined) {
+      if (clickRetentionDays !== null && !(Number.isInteger(clickRetentionDays) && clickRetentionDays >= 1 && clickRetentionDays <= 3650)) {
+        throw new Error('Invalid clickRetentionDays. Must be 1-3650 days, or null for the system default');
+      }
+      await workspace.update({ clickRetentionDays });
+    }
+
+    if (name !== undefined) {
+      await workspace.update({ name: this.validateName(name) });
+      await this.clearMembershipCache(workspaceId);
+    }
+
+    return this.toPublic(workspace);
+  }
+
+  /**
+   * Delete a workspace with everything it owns (links and their clicks, domains, API keys)
+   */
+  async deleteWorkspace(workspaceId) {
+    const workspace = await this.findWorkspace(workspaceId);
+    const memberIds = (await WorkspaceMember.findAll({ where: { workspaceId }, attributes: ['userId'] }))
+      .map((member) => member.userId);
+
+    const workspaceLinks = sequelize.literal(
+      `(SELECT id FROM links WHERE workspace_id = ${sequelize.escape(workspaceId)})`
+    );
+
+    const deleted = await sequelize.transaction(async (transaction) => {
+      const clicks = await Click.destroy({ where: { linkId: { [Op.in]: workspaceLinks } }, transaction });
+      const links = await Link.destroy({ where: { workspaceId }, force: true, transaction });
+      const domains = await Domain.destroy({ where: { workspaceId }, force: true, transaction });
+      const apiKeys = await ApiKey.destroy({ where: { workspaceId }, transaction });
+      await WorkspaceInvitation.destroy({ where: { workspaceId }, transaction });
+      await WorkspaceMember.destroy({ where: { workspaceId }, transaction });
+      await workspace.destroy({ transaction });
+
+      return { clicks, links, domains, apiKeys };
+    });
+
+    await Promise.all(memberIds.map((userId) => cacheService.del(this.membershipKey(workspaceId, userId))));
+
+    console.log(`🗑️ Workspace deleted: ${workspace.name} (${deleted.links} links, ${deleted.domains} domains, ${deleted.apiKeys} API keys)`);
+    return { deleted };
+  }
+
+  /**
+   * Make another member the owner. The previous owner becomes an admin.
+   */
+  async transferOwnership(workspaceId, ownerId, newOwnerId) {
+    if (newOwnerId === ownerId) {
+      throw new Error('Cannot transfer ownership to yourself');
+    }
+
+    const target = await this.findMember(workspaceId, newOwnerId);
+
+    await sequelize.transaction(async (transaction) => {
+      await WorkspaceMember.update({ role: 'admin' }, { where: { workspaceId, userId: ownerId }, transaction });
+      await target.update({ role: 'owner' }, { transaction });
+    });
+
+    await this.clearMembershipCache(workspaceId, [ownerId, newOwnerId]);
+    console.log(`👑 Workspace ${workspaceId} ownership: ${ownerId} -> ${newOwnerId}`);
+    return await this.listMembers(workspaceId);
+  }
+
+  // ===== MEMBERS =====
+
+  async listMembers(workspaceId) {
+    const members = await WorkspaceMember.findAll({
+      where: { workspaceId },
+      include: [{ model: User, as: 'user', attributes: ['id', 'email', 'name', 'avatar'] }],
+      order: [['createdAt', 'ASC']],
+    });
+
+    return members
+      .map((member) => ({
+        userId: member.userId,
+        email: member.user?.email,
+        name: member.user?.name,
+        avatar: member.user?.avatar,
+        role: member.role,
+        joinedAt: member.createdAt,
+      }))
+      .sort((a, b) => ROLE_RANK[b.role] - ROLE_RANK[a.role]);
+  }
+
+  /**
+   * Change a member's role. Only the owner can grant or take away admin.
+   */
+  async updateMemberRole(workspaceId, actor, userId, role) {
+    if (!ROLES.includes(role) || role === 'owner') {
+      throw new Error('Invalid role. Must be one of: admin, editor, viewer (use transfer for owner)');
+    }
+
+    const member = await this.findMember(workspaceId, userId);
+    this.assertCanManage(actor, member, role);
+
+    await member.update({ role });
+    await this.clearMembershipCache(workspaceId, [userId]);
+
+    console.log(`👥 Workspace ${workspaceId}: ${userId} is now ${role}`);
+    return { userId, role };
+  }
+
+  /**
+   * Remove a member (or leave when userId is the actor). Their API keys in the workspace are revoked,
+   * links they created stay in the workspace.
+   */
+  async removeMember(workspaceId, actor, userId) {
+    const member = await this.findMember(workspaceId, userId);
+
+    if (member.role === 'owner') {
+      throw new Error('Cannot remove the workspace owner. Transfer ownership first');
+    }
+    if (userId !== actor.userId) {
+      if (!this.hasRole(actor.role, 'admin')) {
+        throw new Error('Only workspace admins can remove members');
+      }
+      this.assertCanManage(actor, member);
+    }
+
+    const apiKeysRevoked = await sequelize.transaction(async (transaction) => {
+      await member.destroy({ transaction });
+      const [revoked] = await ApiKey.update(
+        { isActive: false, revokedAt: new Date() },
+        { where: { workspaceId, userId, isActive: true }, transaction }
+      );
+      return revoked;
+    });
+
+    await this.clearMembershipCache(workspaceId, [userId]);
+
+    console.log(`👋 Workspace ${workspaceId}: ${userId} removed (${apiKeysRevoked} API keys revoked)`);
+    return { userId, apiKeysRevoked };
+  }
+
+  /**
+   * Workspaces the user owns, with their member count (used when closing an account)
+   */
+  async getOwnedWorkspaces(userId) {
+    const owned = await WorkspaceMember.findAll({ where: { userId, role: 'owner' }, attributes: ['workspaceId'] });
+
+    return await Promise.all(
+      owned.map(async ({ workspaceId }) => ({
+        id: workspaceId,
+        memberCount: await WorkspaceMember.count({ where: { workspaceId } }),
+      }))
+    );
+  }
+
+  // Add a member (invitation accepted)
+  async addMember(workspaceId, userId, role, invitedBy = null, { transaction } = {}) {
+    const member = await WorkspaceMember.create({ workspaceId, userId, role, invitedBy }, { transaction });
+    await this.clearMembershipCache(workspaceId, [userId]);
+    return member;
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * Admins manage editors and viewers; admins themselves (and granting admin) need the owner
+   */
+  assertCanManage(actor, member, newRole = null) {
+    if (member.role === 'owner') {
+      throw new Error('Cannot change the workspace owner. Use ownership transfer');
+    }
+
+    const touchesAdmin = member.role === 'admin' || newRole === 'admin';
+    if (touchesAdmin && actor.role !== 'owner') {
+      throw new Error('Only the workspace owner can manage admins');
+    }
+  }
+
+  // Active members + pending invitations, checked before inviting
+  async assertMemberLimit(workspaceId, { transaction } = {}) {
+    const maxMembers = settingsService.get('workspaces.maxMembers');
+    const [members, invitations] = await Promise.all([
+      WorkspaceMember.count({ where: { workspaceId }, transaction }),
+      WorkspaceInvitation.count({ where: { workspaceId, expiresAt: { [Op.gt]: new Date() } }, transaction }),
+    ]);
+
+    if (members + invitations >= maxMembers) {
+      throw new Error(`Member limit reached. A workspace can have up to ${maxMembers} members`);
+    }
+  }
+
+  validateName(name) {
+    const workspaceName = typeof name === 'string' ? name.trim() : '';
+    if (workspaceName.length < 2 || workspaceName.length > 100) {
+      throw new Error('Invalid name. Must be 2-100 characters');
+    }
+    return workspaceName;
+  }
+
+  toPublic(workspace) {
+    return {
+      id: workspace.id,
+      name: workspace.name,
+      clickRetentionDays: workspace.clickRetentionDays,
+      createdAt: workspace.createdAt,
+    };
+  }
+
+  async findWorkspace(workspaceId) {
+    const workspace = validator.isUUID(String(workspaceId)) ? await Workspace.findByPk(workspaceId) : null;
+    if (!workspace) {
+      throw new Error('Workspace not found');
+    }
+    return workspace;
+  }
+
+  async findMember(workspaceId, userId) {
+    const member = validator.isUUID(String(userId))
+      ? await WorkspaceMember.findOne({ where: { workspaceId, userId } })
+      : null;
+    if (!member) {
+      throw new Error('Member not found');
+    }
+    return member;
+  }
+
+  async clearMembershipCache(workspaceId, userIds = null) {
+    const ids = userIds
+      || (await WorkspaceMember.findAll({ where: { workspaceId }, attributes: ['userId'] })).map((member) => member.userId);
+
+    await Promise.all(ids.map((userId) => cacheService.del(this.membershipKey(workspaceId, userId))));
+  }
+
+  membershipKey(workspaceId, userId) {
+    return `workspace:member:${workspaceId}:${userId}`;
+  }
+}
+
+module.exports = new WorkspaceService();
@@ -11,7 +11,23 @@ module.exports = (sequelize, DataTypes) => {
     userId: {
       type: DataTypes.UUID,
       allowNull: false,
-      field: 'user_id'
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    // null = the creator's personal space, otherwise shared with the workspace members
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'workspace_id',
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
     },
     name: {
       type: DataTypes.STRING,
@@ -20,8 +36,18 @@ module.exports = (sequelize, DataTypes) => {
     hashedKey: {
       type: DataTypes.STRING,
       allowNull: false,
+      unique: true,
       field: 'hashed_key'
     },
+    // First characters of the key, shown in the UI to identify it (sk_1a2b3c4d...)
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: true
+    },
+    scopes: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: ['links:read']
+    },
     tier: {
       type: DataTypes.ENUM('free', 'pro', 'enterprise'),
       defaultValue: 'free'
@@ -47,7 +73,17 @@ module.exports = (sequelize, DataTypes) => {
     requestLimit: {
       type: DataTypes.INTEGER,
       defaultValue: 1000,
-      field: 'request_limit'
+      field: 'request_limit',
+      comment: 'Requests per day'
+    },
+    // End of the current quota window - requestCount restarts after this
+    requestCountResetAt: {
+      type: DataTypes.DATE,
+      field: 'request_count_reset_at'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      field: 'revoked_at'
     }
   }, {
     tableName: 'api_keys',
@@ -57,27 +93,28 @@ module.exports = (sequelize, DataTypes) => {
       beforeValidate: (apiKey) => {
         // Generate API key if not provided
         if (!apiKey.hashedKey) {
-          const plainKey = `sk_${crypto.randomBytes(32).toString('hex')}`;
-          apiKey.hashedKey = crypto.createHash('sha256').update(plainKey).digest('hex');
-          // Store plain key temporarily (only time it's visible)
-          apiKey.plainKey = plainKey;
-          console.log(`🔑 Generated API key: ${plainKey}`);
+          // Store plain key temporarily (only time it's visible) - never log it
+          apiKey.plainKey = apiKey.generateNewKey();
         }
       }
     }
   });
 
+  ApiKey.hashKey = function(plainKey) {
+    return crypto.createHash('sha256').update(String(plainKey)).digest('hex');
+  };
+
   // Instance method to generate new key
   ApiKey.prototype.generateNewKey = function() {
     const plainKey = `sk_${crypto.randomBytes(32).toString('hex')}`;
-    this.hashedKey = crypto.createHash('sha256').update(plainKey).digest('hex');
+    this.hashedKey = ApiKey.hashKey(plainKey);
+    this.prefix = plainKey.substring(0, 11);
     return plainKey; // Return for one-time display
   };
 
   // Static method to verify key
   ApiKey.verifyKey = function(plainKey, hashedKey) {
-    const hash = crypto.createHash('sha256').update(plainKey).digest('hex');
-    return hash === hashedKey;
+    return ApiKey.hashKey(plainKey) === hashedKey;
   };
 
   // Associations
@@ -86,6 +123,11 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'userId',
       as: 'user'
     });
+
+    ApiKey.belongsTo(models.Workspace, {
+      foreignKey: 'workspaceId',
+      as: 'workspace'
+    });
   };
 
   return ApiKey;
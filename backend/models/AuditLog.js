@@ -0,0 +1,78 @@
+// backend/models/AuditLog.js
+module.exports = (sequelize, DataTypes) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // null = system action (e.g. blocklist scanner)
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'actor_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    action: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'e.g. link.approve, link.reject, link.flag'
+    },
+    targetType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      field: 'target_type'
+    },
+    targetId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'target_id'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Action details, e.g. previous/new status'
+    },
+    ipAddress: {
+      type: DataTypes.INET,
+      field: 'ip_address',
+      allowNull: true
+    }
+  }, {
+    tableName: 'audit_logs',
+    timestamps: true,
+    updatedAt: false, // Audit entries are append-only
+    underscored: true,
+    indexes: [
+      {
+        fields: ['target_type', 'target_id']
+      },
+      {
+        fields: ['actor_id']
+      },
+      {
+        fields: ['action']
+      },
+      {
+        fields: ['created_at']
+      }
+    ]
+  });
+
+  AuditLog.associate = function(models) {
+    AuditLog.belongsTo(models.User, {
+      foreignKey: 'actorId',
+      as: 'actor'
+    });
+  };
+
+  return AuditLog;
+};
@@ -17,11 +17,18 @@ module.exports = (sequelize, DataTypes) => {
           key: 'id',
         },
       },
+      // Raw, truncated or null depending on privacy.ipMode (ClickPrivacyService)
       ipAddress: {
         type: DataTypes.INET,
         field: 'ip_address',
         allowNull: true,
       },
+      visitorId: {
+        type: DataTypes.STRING(64),
+        field: 'visitor_id',
+        allowNull: true,
+        comment: 'HMAC of the visitor IP with a rotating salt - unique clicks without keeping the IP',
+      },
       userAgent: {
         type: DataTypes.TEXT,
         field: 'user_agent',
@@ -35,10 +42,24 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING(2),
         allowNull: true,
       },
+      region: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
       city: {
         type: DataTypes.STRING(100),
         allowNull: true,
       },
+      // Autonomous system of the visitor IP (GeoLite2-ASN)
+      asn: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      asOrganization: {
+        type: DataTypes.STRING(255),
+        field: 'as_organization',
+        allowNull: true,
+      },
       deviceType: {
         type: DataTypes.ENUM('desktop', 'mobile', 'tablet', 'bot'),
         field: 'device_type',
@@ -48,15 +69,48 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING(100),
         allowNull: true,
       },
+      browserVersion: {
+        type: DataTypes.STRING(50),
+        field: 'browser_version',
+        allowNull: true,
+      },
       os: {
         type: DataTypes.STRING(100),
         allowNull: true,
       },
+      osVersion: {
+        type: DataTypes.STRING(50),
+        field: 'os_version',
+        allowNull: true,
+      },
       isBot: {
         type: DataTypes.BOOLEAN,
         field: 'is_bot',
         defaultValue: false,
       },
+      // Link.routingRules[].id that picked the destination, null = originalUrl
+      routingRuleId: {
+        type: DataTypes.STRING(32),
+        field: 'routing_rule_id',
+        allowNull: true,
+      },
+      // A/B split: Link.variants[].id served to this click
+      variantId: {
+        type: DataTypes.STRING(32),
+        field: 'variant_id',
+        allowNull: true,
+      },
+      // Conversion postback / pixel for this click (first one only)
+      convertedAt: {
+        type: DataTypes.DATE,
+        field: 'converted_at',
+        allowNull: true,
+      },
+      conversionValue: {
+        type: DataTypes.DECIMAL(12, 2),
+        field: 'conversion_value',
+        allowNull: true,
+      },
       // ✅ REMOVED: No separate timestamp field
       // ✅ We'll use createdAt for everything
     },
@@ -82,6 +136,10 @@ module.exports = (sequelize, DataTypes) => {
           name: 'idx_clicks_link_date',
           fields: ['link_id', 'created_at'], // For link analytics by date
         },
+        {
+          name: 'idx_clicks_link_visitor',
+          fields: ['link_id', 'visitor_id'], // For unique click checks
+        },
         {
           name: 'idx_clicks_country_date',
           fields: ['country', 'created_at'], // For geo analytics
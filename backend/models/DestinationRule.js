@@ -0,0 +1,64 @@
+// backend/models/DestinationRule.js
+module.exports = (sequelize, DataTypes) => {
+  const DestinationRule = sequelize.define('DestinationRule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Hostname (matches the domain and its subdomains), IP address or CIDR range
+    pattern: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 255]
+      }
+    },
+    listType: {
+      type: DataTypes.ENUM('allow', 'deny'),
+      allowNull: false,
+      field: 'list_type'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'destination_rules',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['pattern', 'list_type'],
+        unique: true
+      }
+    ],
+    hooks: {
+      beforeValidate: (rule) => {
+        if (rule.pattern) {
+          rule.pattern = rule.pattern.toLowerCase().trim().replace(/^\*?\./, '').replace(/\.$/, '');
+        }
+      }
+    }
+  });
+
+  DestinationRule.associate = function(models) {
+    DestinationRule.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  };
+
+  return DestinationRule;
+};
@@ -16,6 +16,17 @@ module.exports = (sequelize, DataTypes) => {
       },
       onDelete: 'CASCADE'
     },
+    // null = the creator's personal space, otherwise shared with the workspace members
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'workspace_id',
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
     domain: {
       type: DataTypes.STRING(255),
       allowNull: false,
@@ -39,6 +50,12 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: false,
       field: 'is_active'
     },
+    // Set when the owner is suspended / deactivates the account - restored together
+    suspendedAt: {
+      type: DataTypes.DATE,
+      field: 'suspended_at',
+      allowNull: true
+    },
     isVerified: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
@@ -118,7 +135,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       field: 'custom_landing_page',
       allowNull: true,
-      comment: 'Custom HTML for 404/preview pages'
+      comment: 'HTML template for redirect pages (404, expired, password...) - {{title}} {{message}} {{content}}, see domains/links/views/redirectPages.js'
     },
     analyticsCode: {
       type: DataTypes.TEXT,
@@ -135,6 +152,9 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['user_id']
       },
+      {
+        fields: ['workspace_id']
+      },
       {
         fields: ['domain'],
         unique: true
@@ -252,6 +272,11 @@ module.exports = (sequelize, DataTypes) => {
       as: 'user',
       onDelete: 'CASCADE'
     });
+
+    Domain.belongsTo(models.Workspace, {
+      foreignKey: 'workspaceId',
+      as: 'workspace'
+    });
     
     Domain.hasMany(models.Link, {
       foreignKey: 'domainId',
@@ -1,4 +1,6 @@
 // backend/models/Link.js - FIXED fullShortUrl generation
+const { isWithinTimeWindow } = require('../shared/utils/timeWindow');
+
 module.exports = (sequelize, DataTypes) => {
   const Link = sequelize.define('Link', {
     id: {
@@ -16,6 +18,17 @@ module.exports = (sequelize, DataTypes) => {
       },
       onDelete: 'CASCADE'
     },
+    // null = the creator's personal space, otherwise shared with the workspace members
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'workspace_id',
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
     
     // Domain Association
     domainId: {
@@ -121,6 +134,16 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true
     },
     
+    // Crawler / preview fetcher hits - not in clickCount / uniqueClicks
+    botClicks: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      field: 'bot_clicks',
+      validate: {
+        min: 0
+      }
+    },
+    
     // Advanced features
     password: {
       type: DataTypes.STRING(255),
@@ -134,6 +157,53 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true
     },
     
+    // Click limits - the link expires once either is reached (bot hits do not count)
+    maxClicks: {
+      type: DataTypes.INTEGER,
+      field: 'max_clicks',
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    
+    maxUniqueClicks: {
+      type: DataTypes.INTEGER,
+      field: 'max_unique_clicks',
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    
+    // Scheduling - not live before activateAt, and only inside one of the windows when any are set
+    activateAt: {
+      type: DataTypes.DATE,
+      field: 'activate_at',
+      allowNull: true
+    },
+    
+    availabilityWindows: {
+      type: DataTypes.JSONB,
+      field: 'availability_windows',
+      defaultValue: [],
+      comment: 'Recurring [{ days, start, end, timezone }] windows, see LinkAvailabilityService'
+    },
+    
+    // Where visitors go instead while the link is expired / not live (null -> status page)
+    fallbackUrl: {
+      type: DataTypes.STRING(2048),
+      field: 'fallback_url',
+      allowNull: true
+    },
+    
+    // Set once when the link expires (date or click limit) - the owner is notified once
+    expiredAt: {
+      type: DataTypes.DATE,
+      field: 'expired_at',
+      allowNull: true
+    },
+    
     isActive: {
       type: DataTypes.BOOLEAN,
       defaultValue: true,
@@ -156,12 +226,87 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Fetched metadata from original URL'
     },
     
+    // Owner overrides of the social preview served to bots - { title, description, image }
+    socialPreview: {
+      type: DataTypes.JSONB,
+      field: 'social_preview',
+      defaultValue: {},
+      comment: 'OpenGraph/Twitter overrides, fall back to urlMetadata'
+    },
+    
     // Geographic restrictions
     geoRestrictions: {
       type: DataTypes.JSONB,
       field: 'geo_restrictions',
       defaultValue: {},
       comment: 'Country/region restrictions'
+    },
+    
+    // Smart routing - ordered [{ id, name, conditions, destinationUrl }], see RoutingRuleService
+    routingRules: {
+      type: DataTypes.JSONB,
+      field: 'routing_rules',
+      defaultValue: [],
+      comment: 'Destination overrides by country/device/OS/language/time, first match wins'
+    },
+    
+    // A/B split - [{ id, name, destinationUrl, weight }], see SplitTestService
+    variants: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Weighted destinations, one per visitor (sticky)'
+    },
+    
+    // How browsers are sent to the destination: HTTP status or an HTML page (see RedirectController)
+    redirectType: {
+      type: DataTypes.ENUM('301', '302', '307', '308', 'meta_refresh', 'interstitial'),
+      defaultValue: '302',
+      allowNull: false,
+      field: 'redirect_type',
+      comment: '301/308 are cached by browsers - repeat visits are not tracked'
+    },
+    
+    // URL reputation (blocklist) flag - set together with isActive = false
+    blockedAt: {
+      type: DataTypes.DATE,
+      field: 'blocked_at',
+      allowNull: true
+    },
+    blockedReason: {
+      type: DataTypes.TEXT,
+      field: 'blocked_reason',
+      allowNull: true,
+      comment: 'Why the destination was flagged, e.g. blocklist name and match'
+    },
+    
+    // Disabled because the owner was suspended - cleared (and link re-enabled) on unsuspend
+    suspendedAt: {
+      type: DataTypes.DATE,
+      field: 'suspended_at',
+      allowNull: true
+    },
+    
+    // Moderation (admin review queue)
+    moderationStatus: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'flagged'),
+      defaultValue: 'approved',
+      allowNull: false,
+      field: 'moderation_status'
+    },
+    moderationReason: {
+      type: DataTypes.TEXT,
+      field: 'moderation_reason',
+      allowNull: true
+    },
+    moderatedBy: {
+      type: DataTypes.UUID,
+      field: 'moderated_by',
+      allowNull: true
+    },
+    moderatedAt: {
+      type: DataTypes.DATE,
+      field: 'moderated_at',
+      allowNull: true
     }
   }, {
     tableName: 'links',
@@ -172,6 +317,9 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['user_id']
       },
+      {
+        fields: ['workspace_id']
+      },
       {
         // CRITICAL: Unique constraint per domain
         fields: ['short_code', 'domain_id'],
@@ -195,6 +343,9 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['click_count']
+      },
+      {
+        fields: ['moderation_status']
       }
     ],
     hooks: {
@@ -207,21 +358,6 @@ module.exports = (sequelize, DataTypes) => {
         if (link.changed('shortCode') || link.changed('domainId')) {
           await generateFullShortUrl(link, options, sequelize);
         }
-      },
-      
-      // Auto-fetch URL metadata
-      afterCreate: async (link, options) => {
-        // Queue URL metadata fetching (non-blocking)
-        if (process.env.AUTO_FETCH_METADATA === 'true') {
-          setImmediate(async () => {
-            try {
-              const metadata = await fetchUrlMetadata(link.originalUrl);
-              await link.update({ urlMetadata: metadata });
-            } catch (error) {
-              console.log('Failed to fetch URL metadata:', error.message);
-            }
-          });
-        }
       }
     }
   });
@@ -264,49 +400,36 @@ module.exports = (sequelize, DataTypes) => {
     return `${protocol}://${systemDomain}/${shortCode}`;
   }
 
-  // Helper function to fetch URL metadata
-  async function fetchUrlMetadata(url) {
-    try {
-      const axios = require('axios');
-      const cheerio = require('cheerio');
-      
-      const response = await axios.get(url, {
-        timeout: 5000,
-        headers: {
-          'User-Agent': 'ShortlinkBot/1.0'
-        }
-      });
-      
-      const $ = cheerio.load(response.data);
-      
-      return {
-        title: $('title').text().trim() || $('meta[property="og:title"]').attr('content') || '',
-        description: $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || '',
-        image: $('meta[property="og:image"]').attr('content') || $('meta[name="twitter:image"]').attr('content') || '',
-        siteName: $('meta[property="og:site_name"]').attr('content') || '',
-        fetchedAt: new Date()
-      };
-    } catch (error) {
-      return {
-        error: error.message,
-        fetchedAt: new Date()
-      };
-    }
-  }
-
   // Instance Methods
-  Link.prototype.isExpired = function() {
-    return this.expiresAt && this.expiresAt <= new Date();
+  // Date, click limits or already marked expired (counters may lag a few seconds, see ClickCounterService)
+  Link.prototype.isExpired = function(now = new Date()) {
+    return Boolean(
+      this.expiredAt ||
+        (this.expiresAt && new Date(this.expiresAt) <= now) ||
+        (this.maxClicks && this.clickCount >= this.maxClicks) ||
+        (this.maxUniqueClicks && this.uniqueClicks >= this.maxUniqueClicks)
+    );
   };
 
-  Link.prototype.canAccess = function(userLocation = null) {
-    if (!this.isActive || this.isExpired()) {
+  Link.prototype.isScheduled = function(now = new Date()) {
+    return Boolean(this.activateAt && new Date(this.activateAt) > now);
+  };
+
+  // No windows -> always; otherwise now has to fall in one of them
+  Link.prototype.isWithinAvailability = function(now = new Date()) {
+    const windows = this.availabilityWindows || [];
+    return windows.length === 0 || windows.some((window) => isWithinTimeWindow(window, now));
+  };
+
+  Link.prototype.canAccess = function(userLocation = null, now = new Date()) {
+    if (!this.isActive || this.isExpired(now) || this.isScheduled(now) || !this.isWithinAvailability(now)) {
       return false;
     }
     
     // Check geographic restrictions
     if (this.geoRestrictions && this.geoRestrictions.countries) {
-      const { countries, type } = this.geoRestrictions;
+      const { type } = this.geoRestrictions;
+      const countries = this.geoRestrictions.countries.map((country) => String(country).toUpperCase());
       if (type === 'blacklist' && userLocation && countries.includes(userLocation.country)) {
         return false;
       }
@@ -328,8 +451,22 @@ module.exports = (sequelize, DataTypes) => {
     await this.update(updateData);
   };
 
-  Link.prototype.buildFinalUrl = function() {
-    let finalUrl = this.originalUrl;
+  // OpenGraph / Twitter card data for crawlers: owner overrides, then fetched metadata, then the link itself
+  Link.prototype.getSocialPreview = function() {
+    const overrides = this.socialPreview || {};
+    const metadata = this.urlMetadata?.error ? {} : this.urlMetadata || {};
+    
+    return {
+      title: overrides.title || metadata.title || this.title || this.originalUrl,
+      description: overrides.description || metadata.description || this.description || '',
+      image: overrides.image || metadata.image || '',
+      siteName: metadata.siteName || ''
+    };
+  };
+
+  // matchedRule = routing rule picked for this visitor (RoutingRuleService.match), null -> originalUrl
+  Link.prototype.buildFinalUrl = function(matchedRule = null) {
+    let finalUrl = matchedRule?.destinationUrl || this.originalUrl;
     
     // Add UTM parameters if configured
     if (this.utmParameters && Object.keys(this.utmParameters).length > 0) {
@@ -346,8 +483,8 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   // Static Methods
-  Link.findByShortCodeAndDomain = async function(shortCode, domainName = null) {
-    const whereClause = { shortCode, isActive: true };
+  Link.findByShortCodeAndDomain = async function(shortCode, domainName = null, { includeInactive = false } = {}) {
+    const whereClause = includeInactive ? { shortCode } : { shortCode, isActive: true };
     const includeClause = [];
     
     if (domainName) {
@@ -414,6 +551,11 @@ module.exports = (sequelize, DataTypes) => {
       as: 'user',
       onDelete: 'CASCADE'
     });
+
+    Link.belongsTo(models.Workspace, {
+      foreignKey: 'workspaceId',
+      as: 'workspace'
+    });
     
     // Domain association
     Link.belongsTo(models.Domain, {
@@ -0,0 +1,89 @@
+// backend/models/PrivacyRequest.js
+// GDPR requests: personal data exports (archive in storage) and scheduled account erasures.
+// Rows outlive the user (user_id -> NULL) as the record that an erasure was carried out.
+module.exports = (sequelize, DataTypes) => {
+  const PrivacyRequest = sequelize.define('PrivacyRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    type: {
+      type: DataTypes.ENUM('export', 'erasure'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    scheduledFor: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'scheduled_for',
+      comment: 'Erasure: end of the grace period, the account is erased after this'
+    },
+    fileKey: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'file_key',
+      comment: 'Export: storage key of the archive, cleared when the archive expires'
+    },
+    fileSize: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'file_size'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'expires_at',
+      comment: 'Export: archive is deleted after this'
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at'
+    },
+    // Export: row counts per file. Erasure: deleted/anonymized counts (no personal data)
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'privacy_requests',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'type']
+      },
+      {
+        fields: ['type', 'status', 'scheduled_for']
+      }
+    ]
+  });
+
+  PrivacyRequest.associate = function(models) {
+    PrivacyRequest.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return PrivacyRequest;
+};
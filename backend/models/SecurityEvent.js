@@ -0,0 +1,72 @@
+// backend/models/SecurityEvent.js
+// Per-user security log: logins, failed attempts, password and 2FA changes, session revocations
+module.exports = (sequelize, DataTypes) => {
+  const SecurityEvent = sequelize.define('SecurityEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'e.g. login.success, login.failed, password.reset, 2fa.enabled, session.revoked'
+    },
+    ipAddress: {
+      type: DataTypes.INET,
+      field: 'ip_address',
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      field: 'user_agent',
+      allowNull: true
+    },
+    // { browser, os, deviceType }
+    device: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    location: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Event details, e.g. login method, revoked session id'
+    }
+  }, {
+    tableName: 'security_events',
+    timestamps: true,
+    updatedAt: false, // Append-only
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      },
+      {
+        fields: ['type']
+      }
+    ]
+  });
+
+  SecurityEvent.associate = function(models) {
+    SecurityEvent.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return SecurityEvent;
+};
@@ -0,0 +1,43 @@
+// backend/models/SystemSetting.js
+// Admin-editable settings - schema, defaults and validation live in core/settings/settingsSchema.js
+module.exports = (sequelize, DataTypes) => {
+  const SystemSetting = sequelize.define('SystemSetting', {
+    key: {
+      type: DataTypes.STRING(100),
+      primaryKey: true
+    },
+    value: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    // Tăng mỗi lần thay đổi, khớp với version trong system_setting_history
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    updatedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'updated_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'system_settings',
+    timestamps: true,
+    underscored: true
+  });
+
+  SystemSetting.associate = function(models) {
+    SystemSetting.belongsTo(models.User, {
+      foreignKey: 'updatedBy',
+      as: 'updater'
+    });
+  };
+
+  return SystemSetting;
+};
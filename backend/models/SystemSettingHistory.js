@@ -0,0 +1,66 @@
+// backend/models/SystemSettingHistory.js
+module.exports = (sequelize, DataTypes) => {
+  const SystemSettingHistory = sequelize.define('SystemSettingHistory', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // null = reset to the default (env / schema)
+    value: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    previousValue: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'previous_value'
+    },
+    changedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'changed_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Admin note, or "Rollback to version N"'
+    }
+  }, {
+    tableName: 'system_setting_history',
+    timestamps: true,
+    updatedAt: false, // History is append-only
+    underscored: true,
+    indexes: [
+      {
+        fields: ['key', 'version'],
+        unique: true
+      },
+      {
+        fields: ['created_at']
+      }
+    ]
+  });
+
+  SystemSettingHistory.associate = function(models) {
+    SystemSettingHistory.belongsTo(models.User, {
+      foreignKey: 'changedBy',
+      as: 'changedByUser'
+    });
+  };
+
+  return SystemSettingHistory;
+};
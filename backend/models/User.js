@@ -46,6 +46,58 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       field: 'password_changed_at'
     },
+    // Tăng lên khi logout all / suspend -> mọi JWT cũ hết hiệu lực
+    tokenVersion: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      field: 'token_version'
+    },
+    lastLogoutAt: {
+      type: DataTypes.DATE,
+      field: 'last_logout_at'
+    },
+    // Admin suspension (set together with isActive = false)
+    suspendedAt: {
+      type: DataTypes.DATE,
+      field: 'suspended_at',
+      allowNull: true
+    },
+    suspendedReason: {
+      type: DataTypes.TEXT,
+      field: 'suspended_reason',
+      allowNull: true
+    },
+    // Two-factor authentication (TOTP)
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      field: 'two_factor_enabled'
+    },
+    twoFactorSecret: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'two_factor_secret',
+      comment: 'AES-256-GCM encrypted base32 secret'
+    },
+    twoFactorRecoveryCodes: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      field: 'two_factor_recovery_codes',
+      comment: 'SHA-256 hashes of unused recovery codes'
+    },
+    // Step TOTP cuối cùng đã dùng - chống replay
+    twoFactorLastStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'two_factor_last_step'
+    },
+    twoFactorEnabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'two_factor_enabled_at'
+    },
     // OAuth fields
     googleId: {
       type: DataTypes.STRING,
@@ -53,6 +105,33 @@ module.exports = (sequelize, DataTypes) => {
     },
     avatar: {
       type: DataTypes.STRING
+    },
+    // Storage key of an uploaded avatar (null for Google / external avatar URLs)
+    avatarKey: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'avatar_key'
+    },
+    // Profile preferences
+    timezone: {
+      type: DataTypes.STRING(64),
+      defaultValue: 'UTC'
+    },
+    locale: {
+      type: DataTypes.STRING(10),
+      defaultValue: 'vi'
+    },
+    // No FK constraint (domains.user_id already references users) - cleared when the domain is deleted
+    defaultDomainId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'default_domain_id'
+    },
+    // Self-service deactivation (admin suspension uses suspendedAt)
+    deactivatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'deactivated_at'
     }
   }, {
     tableName: 'users',
@@ -82,6 +161,9 @@ module.exports = (sequelize, DataTypes) => {
   User.prototype.toJSON = function() {
     const values = Object.assign({}, this.get());
     delete values.password;
+    delete values.twoFactorSecret;
+    delete values.twoFactorRecoveryCodes;
+    delete values.twoFactorLastStep;
     return values;
   };
 
@@ -96,6 +178,22 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'userId',
       as: 'apiKeys'
     });
+
+    User.belongsTo(models.Domain, {
+      foreignKey: 'defaultDomainId',
+      as: 'defaultDomain',
+      constraints: false
+    });
+
+    User.hasMany(models.SecurityEvent, {
+      foreignKey: 'userId',
+      as: 'securityEvents'
+    });
+
+    User.hasMany(models.WorkspaceMember, {
+      foreignKey: 'userId',
+      as: 'workspaceMemberships'
+    });
   };
 
   return User;
@@ -0,0 +1,73 @@
+// backend/models/Workspace.js
+// Team workspace: owns links, domains and API keys shared by its members
+module.exports = (sequelize, DataTypes) => {
+  const Workspace = sequelize.define('Workspace', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: [2, 100]
+      }
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      field: 'created_by',
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    clickRetentionDays: {
+      type: DataTypes.INTEGER,
+      field: 'click_retention_days',
+      allowNull: true,
+      validate: {
+        min: 1,
+        max: 3650
+      },
+      comment: 'Clicks older than this are purged; null = the privacy.clickRetentionDays setting'
+    }
+  }, {
+    tableName: 'workspaces',
+    timestamps: true,
+    underscored: true
+  });
+
+  Workspace.associate = function(models) {
+    Workspace.hasMany(models.WorkspaceMember, {
+      foreignKey: 'workspaceId',
+      as: 'members',
+      onDelete: 'CASCADE'
+    });
+
+    Workspace.hasMany(models.WorkspaceInvitation, {
+      foreignKey: 'workspaceId',
+      as: 'invitations',
+      onDelete: 'CASCADE'
+    });
+
+    Workspace.hasMany(models.Link, {
+      foreignKey: 'workspaceId',
+      as: 'links'
+    });
+
+    Workspace.hasMany(models.Domain, {
+      foreignKey: 'workspaceId',
+      as: 'domains'
+    });
+
+    Workspace.hasMany(models.ApiKey, {
+      foreignKey: 'workspaceId',
+      as: 'apiKeys'
+    });
+  };
+
+  return Workspace;
+};
@@ -0,0 +1,84 @@
+// backend/models/WorkspaceInvitation.js
+// Pending email invitation. The token is only in the email, stored as SHA-256.
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+  const WorkspaceInvitation = sequelize.define('WorkspaceInvitation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'workspace_id',
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('admin', 'editor', 'viewer'),
+      allowNull: false,
+      defaultValue: 'editor'
+    },
+    hashedToken: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      field: 'hashed_token'
+    },
+    invitedBy: {
+      type: DataTypes.UUID,
+      field: 'invited_by',
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      field: 'expires_at',
+      allowNull: false
+    }
+  }, {
+    tableName: 'workspace_invitations',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['workspace_id', 'email'],
+        unique: true
+      }
+    ]
+  });
+
+  WorkspaceInvitation.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  };
+
+  WorkspaceInvitation.associate = function(models) {
+    WorkspaceInvitation.belongsTo(models.Workspace, {
+      foreignKey: 'workspaceId',
+      as: 'workspace'
+    });
+
+    WorkspaceInvitation.belongsTo(models.User, {
+      foreignKey: 'invitedBy',
+      as: 'inviter'
+    });
+  };
+
+  return WorkspaceInvitation;
+};
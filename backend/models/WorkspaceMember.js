@@ -0,0 +1,68 @@
+// backend/models/WorkspaceMember.js
+// Membership with a role: owner (exactly one) > admin > editor > viewer
+module.exports = (sequelize, DataTypes) => {
+  const WorkspaceMember = sequelize.define('WorkspaceMember', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'workspace_id',
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    role: {
+      type: DataTypes.ENUM('owner', 'admin', 'editor', 'viewer'),
+      allowNull: false,
+      defaultValue: 'viewer'
+    },
+    invitedBy: {
+      type: DataTypes.UUID,
+      field: 'invited_by',
+      allowNull: true
+    }
+  }, {
+    tableName: 'workspace_members',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['workspace_id', 'user_id'],
+        unique: true
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  WorkspaceMember.associate = function(models) {
+    WorkspaceMember.belongsTo(models.Workspace, {
+      foreignKey: 'workspaceId',
+      as: 'workspace'
+    });
+
+    WorkspaceMember.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return WorkspaceMember;
+};
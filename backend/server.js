@@ -7,6 +7,10 @@ const http = require('http');
 // Import database and cache
 const db = require('./models');
 const cacheService = require('./core/cache/CacheService');
+const bullMQService = require('./core/queue/BullMQService');
+const settingsService = require('./core/settings/SettingsService');
+const geoIpService = require('./core/geo/GeoIpService');
+const clickCounterService = require('./domains/links/services/ClickCounterService');
 
 // Server configuration
 const PORT = process.env.PORT || 4000;
@@ -46,6 +50,27 @@ async function initializeServices() {
     process.exit(1);
   }
 
+  // Load admin settings (falls back to env defaults if unavailable)
+  try {
+    await settingsService.initialize();
+  } catch (error) {
+    console.warn('⚠️ Settings load failed, using env defaults:', error.message);
+  }
+
+  // Load GeoIP databases (optional - clicks are stored without location if missing)
+  await geoIpService.initialize();
+
+  // Flush buffered click counters to Postgres in the background
+  clickCounterService.start();
+
+  // Initialize background jobs (optional - metadata, email, import...)
+  try {
+    console.log('📋 Starting background job queues...');
+    await bullMQService.initialize();
+  } catch (error) {
+    console.warn('⚠️ BullMQ initialization failed, background jobs disabled:', error.message);
+  }
+
   // Initialize Elasticsearch (optional)
   let elasticsearchStatus = 'disconnected';
   try {
@@ -177,12 +202,30 @@ async function gracefulShutdown(signal) {
     console.log('✅ HTTP server closed');
 
     try {
+      // Stop background workers first - running jobs (imports, click tracking) still need the database
+      if (bullMQService.isInitialized) {
+        await bullMQService.cleanup();
+      }
+
+      // Write click counters still buffered in Redis
+      try {
+        await clickCounterService.stop();
+      } catch (error) {
+        console.error('❌ Click counter flush failed:', error.message);
+      }
+
       // Close database connections
       if (db.sequelize) {
         await db.sequelize.close();
         console.log('✅ Database connections closed');
       }
 
+      // Stop settings pub/sub subscriber
+      await settingsService.disconnect();
+
+      // Stop GeoIP file watchers
+      geoIpService.close();
+
       // Close cache connections
       if (cacheService) {
         await cacheService.disconnect();
@@ -0,0 +1,80 @@
+// shared/utils/timeWindow.js
+// Weekly time windows { days: [0-6, 0 = Sunday], start: 'HH:mm', end: 'HH:mm', timezone: IANA }
+// used by routing rule conditions and link availability windows. start > end spans midnight.
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Validate a window from the API - label prefixes the error messages
+function normalizeTimeWindow(window, label) {
+  if (!window || typeof window !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const { days, start, end, timezone = 'UTC' } = window;
+  const normalized = { timezone };
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`${label} has an unknown timezone: ${timezone}`);
+  }
+
+  if (days !== undefined) {
+    if (!Array.isArray(days) || days.length === 0 || !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new Error(`${label}.days must be weekdays 0-6 (0 = Sunday)`);
+    }
+    normalized.days = [...new Set(days)].sort();
+  }
+
+  if ((start === undefined) !== (end === undefined)) {
+    throw new Error(`${label} needs both start and end`);
+  }
+  if (start !== undefined) {
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start === end) {
+      throw new Error(`${label}.start/end must be different HH:mm times`);
+    }
+    normalized.start = start;
+    normalized.end = end;
+  }
+
+  if (!normalized.days && !normalized.start) {
+    throw new Error(`${label} needs days and/or start/end`);
+  }
+
+  return normalized;
+}
+
+// Is `now` inside the window (in the window's timezone)?
+function isWithinTimeWindow({ days, start, end, timezone }, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(now)
+      .map(({ type, value }) => [type, value])
+  );
+
+  let day = WEEKDAYS[parts.weekday];
+  const time = `${parts.hour}:${parts.minute}`;
+
+  if (start) {
+    if (start < end) {
+      if (time < start || time >= end) return false;
+    } else if (time < end) {
+      day = (day + 6) % 7; // Khung qua nửa đêm: phần sau 0h thuộc ngày bắt đầu
+    } else if (time < start) {
+      return false;
+    }
+  }
+
+  return !days || days.includes(day);
+}
+
+module.exports = {
+  normalizeTimeWindow,
+  isWithinTimeWindow
+};
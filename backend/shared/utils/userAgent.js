@@ -0,0 +1,58 @@
+// shared/utils/userAgent.js
+// User-Agent -> device type / browser / OS (ua-parser-js) + bot detection (isbot signature list)
+const UAParser = require('ua-parser-js');
+const { isbot } = require('isbot');
+
+const CACHE_SIZE = 1000;
+const cache = new Map(); // UA lặp lại rất nhiều -> nhớ kết quả, thứ tự chèn = LRU
+
+// ua-parser device.type -> Click.deviceType (không có type = desktop/laptop)
+const DEVICE_TYPES = {
+  mobile: 'mobile',
+  wearable: 'mobile',
+  tablet: 'tablet',
+};
+
+// Parse a User-Agent: { deviceType, browser, browserVersion, os, osVersion, isBot }
+function parseUserAgent(userAgent) {
+  const ua = String(userAgent || '').trim();
+  if (!ua) {
+    return { deviceType: null, browser: null, browserVersion: null, os: null, osVersion: null, isBot: false };
+  }
+
+  if (cache.has(ua)) {
+    const cached = cache.get(ua);
+    cache.delete(ua);
+    cache.set(ua, cached);
+    return cached;
+  }
+
+  const { browser, os, device } = new UAParser(ua).getResult();
+  const bot = isbot(ua);
+
+  const result = {
+    deviceType: bot ? 'bot' : DEVICE_TYPES[device.type] || 'desktop',
+    browser: browser.name || null,
+    browserVersion: browser.version || null,
+    os: os.name || null,
+    osVersion: os.version || null,
+    isBot: bot,
+  };
+
+  cache.set(ua, result);
+  if (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return result;
+}
+
+// Crawler, link preview fetcher, HTTP library...
+function isBot(userAgent) {
+  return isbot(String(userAgent || ''));
+}
+
+module.exports = {
+  parseUserAgent,
+  isBot
+};
@@ -1,5 +1,14 @@
 // shared/utils/validators.js
 
+// Custom short codes that would clash with app pages or routes of the redirect router
+// (e.g. /conversions is the A/B split postback, /preview/:shortCode the link preview)
+const RESERVED_SHORT_CODES = [
+  'api', 'admin', 'www', 'app', 'dashboard', 'login', 'register',
+  'about', 'contact', 'help', 'support', 'terms', 'privacy',
+  'null', 'undefined', 'true', 'false', 'test', 'demo',
+  'conversions', 'preview', 'health'
+];
+
 // Validate URL
 function validateUrl(url) {
   if (!url || typeof url !== 'string') {
@@ -46,6 +55,11 @@ function validateShortCode(code) {
   return /^[a-zA-Z0-9]{3,50}$/.test(code);
 }
 
+// Reserved short code (case-insensitive)
+function isReservedShortCode(code) {
+  return typeof code === 'string' && RESERVED_SHORT_CODES.includes(code.toLowerCase());
+}
+
 // Validate password
 function validatePassword(password) {
   if (!password || typeof password !== 'string') {
@@ -60,5 +74,7 @@ module.exports = {
   validateUrl,
   validateEmail,
   validateShortCode,
-  validatePassword
+  validatePassword,
+  isReservedShortCode,
+  RESERVED_SHORT_CODES
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+// backend/test-action-tokens.js
+// Password reset / email verification tokens against an in-memory Redis (ioredis-mock) -
+// users and emails are stubbed, no PostgreSQL / SMTP needed
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const RedisMock = require('ioredis-mock');
+
+const cacheService = require('./core/cache/CacheService');
+const mailService = require('./core/mail/MailService');
+const userRepository = require('./domains/users/repositories/UserRepository');
+const sessionService = require('./domains/auth/services/SessionService');
+const securityLogService = require('./domains/auth/services/SecurityLogService');
+const authService = require('./domains/auth/services/AuthService');
+const jwtConfig = require('./domains/auth/config/jwt');
+
+const USER_ID = '0b7e6c1a-52d4-4f0e-8d3a-6a1c9e2f4b10';
+
+// "Database" + hộp thư
+const db = {
+  user: { id: USER_ID, email: 'alice@example.com', name: 'Alice', isActive: true, isEmailVerified: false, tokenVersion: 0 },
+  passwordChanges: 0,
+};
+const outbox = [];
+
+userRepository.findByEmail = async (email) => (email === db.user.email ? { ...db.user } : null);
+userRepository.findById = async (id) => (id === db.user.id ? { ...db.user } : null);
+userRepository.update = async (id, data) => {
+  db.user = { ...db.user, ...data };
+  return { ...db.user };
+};
+userRepository.updatePassword = async (id, password) => {
+  if (id !== db.user.id) return null;
+  db.passwordChanges += 1;
+  db.user = { ...db.user, password };
+  return { ...db.user };
+};
+sessionService.revokeAll = async () => 0;
+securityLogService.record = async () => {};
+mailService.send = async (type, to, data) => {
+  outbox.push({ type, to, data });
+};
+
+// Token nằm ở cuối actionUrl của email gần nhất
+const lastToken = (type) => {
+  const mail = [...outbox].reverse().find((item) => item.type === type);
+  return mail.data.actionUrl.split('/').pop();
+};
+
+const rejectsInvalid = (promise) => assert.rejects(promise, /Invalid or expired token/);
+
+async function testActionTokens() {
+  console.log('🧪 Testing single-use action tokens with an in-memory Redis...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    console.log('📋 Forgot password...');
+    await authService.requestPasswordReset('nobody@example.com');
+    assert.strictEqual(outbox.length, 0, 'email sent for an unknown account');
+
+    await authService.requestPasswordReset('alice@example.com');
+    const firstToken = lastToken('passwordReset');
+    await authService.requestPasswordReset('alice@example.com');
+    const resetToken = lastToken('passwordReset');
+
+    await rejectsInvalid(authService.resetPassword(firstToken, 'NewPassw0rd'));
+    console.log('✅ Unknown emails ignored, a new request replaces the previous token');
+
+    console.log('📋 Reset password...');
+    await assert.rejects(authService.resetPassword(resetToken, 'weak'), /at least 8 characters/);
+    await authService.resetPassword(resetToken, 'NewPassw0rd');
+    await rejectsInvalid(authService.resetPassword(resetToken, 'OtherPassw0rd'));
+    assert.strictEqual(db.passwordChanges, 1);
+    assert.strictEqual(db.user.password, 'NewPassw0rd');
+    console.log('✅ Weak password keeps the token, a used token is rejected');
+
+    console.log('📋 Same token used concurrently...');
+    await authService.requestPasswordReset('alice@example.com');
+    const raceToken = lastToken('passwordReset');
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, (_, index) => authService.resetPassword(raceToken, `RacePassw0rd${index}`))
+    );
+    assert.strictEqual(results.filter((result) => result.status === 'fulfilled').length, 1);
+    assert.strictEqual(db.passwordChanges, 2);
+    console.log('✅ Only one of 5 parallel resets succeeded');
+
+    console.log('📋 Token type, signature and expiry...');
+    await authService.sendVerificationEmail(db.user);
+    const verificationToken = lastToken('emailVerification');
+    await rejectsInvalid(authService.resetPassword(verificationToken, 'NewPassw0rd1'));
+    await rejectsInvalid(authService.resetPassword(`${resetToken}x`, 'NewPassw0rd1'));
+
+    await authService.requestPasswordReset('alice@example.com');
+    const { jti } = jwt.decode(lastToken('passwordReset'));
+    const expiredToken = jwt.sign(
+      { userId: USER_ID, email: db.user.email, type: jwtConfig.tokenTypes.PASSWORD_RESET, jti },
+      jwtConfig.secret,
+      { expiresIn: -60, issuer: jwtConfig.issuer, audience: jwtConfig.audience }
+    );
+    await rejectsInvalid(authService.resetPassword(expiredToken, 'NewPassw0rd1'));
+    assert.strictEqual(db.passwordChanges, 2);
+    console.log('✅ Wrong type, tampered and expired tokens rejected');
+
+    console.log('📋 Email verification...');
+    const verifiedUser = await authService.verifyEmail(verificationToken);
+    assert.strictEqual(verifiedUser.isEmailVerified, true);
+    await rejectsInvalid(authService.verifyEmail(verificationToken));
+
+    db.user = { ...db.user, isEmailVerified: false };
+    await authService.sendVerificationEmail(db.user);
+    const oldEmailToken = lastToken('emailVerification');
+    db.user = { ...db.user, email: 'alice.new@example.com' };
+    await rejectsInvalid(authService.verifyEmail(oldEmailToken));
+    assert.strictEqual(db.user.isEmailVerified, false);
+    console.log('✅ Verification works once and only for the email it was sent to');
+
+    console.log('\n🎉 Action token test completed successfully!');
+  } catch (error) {
+    console.error('❌ Action token test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+testActionTokens();
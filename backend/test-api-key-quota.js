@@ -0,0 +1,88 @@
+// backend/test-api-key-quota.js
+// API key daily quota under concurrent requests - needs the PostgreSQL from config (the quota is one
+// conditional UPDATE, only a real database shows it holds). Redis usage counters use ioredis-mock.
+// Creates missing tables, never drops anything; the test user and its key are deleted at the end.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const { sequelize, User, ApiKey } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const apiKeyService = require('./domains/users/services/ApiKeyService');
+
+const REQUEST_LIMIT = 20;
+const CONCURRENT_REQUESTS = 60;
+
+async function testApiKeyQuota() {
+  console.log('🧪 Testing API key quota against PostgreSQL...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    await sequelize.authenticate();
+  } catch (error) {
+    console.log(`⚠️ PostgreSQL not reachable (${error.message}) - API key quota test skipped`);
+    process.exit();
+  }
+
+  let user;
+  try {
+    await sequelize.sync();
+
+    user = await User.create({
+      email: `quota-test-${Date.now()}@example.com`,
+      name: 'Quota Test',
+      password: 'QuotaTest123',
+    });
+    const { key: plainKey, id: keyId } = await apiKeyService.createKey(user.id, { name: 'Quota test' });
+    await ApiKey.update({ requestLimit: REQUEST_LIMIT }, { where: { id: keyId } });
+
+    console.log('📋 Parallel requests with one key...');
+    const results = await Promise.allSettled(
+      Array.from({ length: CONCURRENT_REQUESTS }, () => apiKeyService.authenticate(plainKey))
+    );
+    const accepted = results.filter((result) => result.status === 'fulfilled');
+    const rejected = results.filter((result) => result.status === 'rejected');
+
+    assert.strictEqual(accepted.length, REQUEST_LIMIT);
+    assert.ok(rejected.every((result) => result.reason.message === 'API key quota exceeded'));
+    assert.deepStrictEqual(
+      accepted.map((result) => result.value.quota.remaining).sort((a, b) => a - b),
+      Array.from({ length: REQUEST_LIMIT }, (_, index) => index)
+    );
+    assert.strictEqual(rejected[0].reason.quota.remaining, 0);
+
+    const apiKey = await ApiKey.findByPk(keyId);
+    assert.strictEqual(apiKey.requestCount, REQUEST_LIMIT);
+    const usage = await apiKeyService.getUsage(user.id, keyId);
+    assert.strictEqual(usage.totalRequests, REQUEST_LIMIT);
+    console.log(`✅ ${accepted.length}/${CONCURRENT_REQUESTS} accepted, counter stopped at the limit`);
+
+    console.log('📋 New quota window...');
+    await apiKey.update({ requestCountResetAt: new Date(Date.now() - 1000) });
+    const { quota } = await apiKeyService.authenticate(plainKey);
+    assert.strictEqual(quota.remaining, REQUEST_LIMIT - 1);
+    assert.ok(new Date(quota.resetAt) > new Date());
+    console.log('✅ Counter restarts once the window has ended');
+
+    console.log('📋 Expired and revoked keys...');
+    await apiKey.update({ expiresAt: new Date(Date.now() - 1000) });
+    await assert.rejects(apiKeyService.authenticate(plainKey), /^Error: Invalid API key$/);
+    await apiKey.update({ expiresAt: null });
+    await apiKeyService.revokeKey(user.id, keyId);
+    await assert.rejects(apiKeyService.authenticate(plainKey), /^Error: Invalid API key$/);
+    await assert.rejects(apiKeyService.authenticate('sk_not-a-key'), /^Error: Invalid API key$/);
+    console.log('✅ Expired, revoked and malformed keys rejected without counting');
+
+    console.log('\n🎉 API key quota test completed successfully!');
+  } catch (error) {
+    console.error('❌ API key quota test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (user) await user.destroy().catch(() => {}); // api_keys xoá theo ON DELETE CASCADE
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testApiKeyQuota();
@@ -0,0 +1,179 @@
+// backend/test-bot-preview.js
+// Social previews for crawlers: owner overrides over fetched metadata, the OpenGraph / Twitter card
+// page served through the redirect route and bot hits counted apart from human clicks - needs the
+// PostgreSQL from config. Redis is ioredis-mock, ElasticSearch and GeoIP are stubbed; test rows are removed.
+const http = require('http');
+const assert = require('assert');
+const express = require('express');
+const RedisMock = require('ioredis-mock');
+
+const config = require('./config');
+const { sequelize, User, Link, Click } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const settingsService = require('./core/settings/SettingsService');
+const geoIpService = require('./core/geo/GeoIpService');
+const clickTrackingService = require('./domains/analytics/services/ClickTrackingService');
+const linkService = require('./domains/links/services/LinkService');
+const redirectPages = require('./domains/links/views/redirectPages');
+
+const RUN = Date.now().toString(36);
+const FACEBOOK = 'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)';
+const TWITTER = 'Twitterbot/1.0';
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+config.redirect.bufferCounters = false; // counters straight to Postgres
+geoIpService.lookup = () => null;
+
+const indexed = [];
+clickTrackingService.isReady = () => true;
+clickTrackingService.esClient = {
+  index: async ({ body }) => indexed.push(body) && { body: { _id: `es-${indexed.length}` } },
+};
+
+const redirectRoutes = require('./domains/links/routes/redirectRoutes');
+
+const get = (port, urlPath, userAgent, accept = 'text/html') =>
+  new Promise((resolve, reject) => {
+    const host = settingsService.get('system.domain') || 'localhost';
+    http
+      .get({ port, path: urlPath, headers: { host, accept, 'user-agent': userAgent } }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+      })
+      .on('error', reject);
+  });
+
+async function testBotPreview() {
+  console.log('🧪 Testing social previews for bots...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  const app = express();
+  app.use('/', redirectRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  const { log } = console;
+  let user;
+  try {
+    console.log('📋 Preview overrides...');
+    assert.deepStrictEqual(linkService.prepareSocialPreview(null), {});
+    assert.deepStrictEqual(
+      linkService.prepareSocialPreview({ title: '  Launch day  ', description: '', image: 'https://cdn.example.com/og.png' }),
+      { title: 'Launch day', image: 'https://cdn.example.com/og.png' }
+    );
+    assert.throws(() => linkService.prepareSocialPreview('Launch'), /must be an object/);
+    assert.throws(() => linkService.prepareSocialPreview({ siteName: 'Example' }), /unknown field siteName/);
+    assert.throws(() => linkService.prepareSocialPreview({ title: 'x'.repeat(201) }), /title must be text of at most 200 characters/);
+    assert.throws(() => linkService.prepareSocialPreview({ description: 42 }), /description must be text/);
+    assert.throws(() => linkService.prepareSocialPreview({ image: 'javascript:alert(1)' }), /image must be an http\(s\) URL/);
+
+    const metadata = { title: 'Fetched title', description: 'Fetched description', image: 'https://example.com/cover.png', siteName: 'Example' };
+    const preview = (values) => Link.build({ originalUrl: 'https://example.com/post', ...values }).getSocialPreview();
+    assert.deepStrictEqual(preview({ urlMetadata: metadata, socialPreview: { title: 'Owner title' } }), {
+      title: 'Owner title',
+      description: 'Fetched description',
+      image: 'https://example.com/cover.png',
+      siteName: 'Example',
+    });
+    assert.deepStrictEqual(preview({ title: 'Link title', urlMetadata: { ...metadata, error: 'timeout' } }), {
+      title: 'Link title',
+      description: '',
+      image: '',
+      siteName: '',
+    });
+    assert.strictEqual(preview({}).title, 'https://example.com/post');
+    console.log('✅ Owner title / description / image win over fetched metadata, link title and URL as fallback');
+
+    console.log('📋 Preview page...');
+    const page = redirectPages.socialPreview({
+      shortUrl: 'https://sl.example/abc',
+      url: 'https://example.com/?a=1&b=2',
+      preview: { title: 'Fish & "Chips" <b>', description: '', image: '', siteName: '' },
+    });
+    assert.match(page, /<meta property="og:title" content="Fish &amp; &quot;Chips&quot; &lt;b&gt;">/);
+    assert.match(page, /<meta property="og:url" content="https:\/\/sl.example\/abc">/);
+    assert.match(page, /<meta name="twitter:card" content="summary">/);
+    assert.doesNotMatch(page, /og:image|og:description|<b>/);
+    assert.match(page, /<a href="https:\/\/example.com\/\?a=1&amp;b=2">/);
+    console.log('✅ Values HTML-escaped, empty tags left out, summary card without an image');
+
+    try {
+      await sequelize.authenticate();
+    } catch (error) {
+      console.log(`⚠️ PostgreSQL not reachable (${error.message}) - redirect checks skipped`);
+      console.log('\n🎉 Bot preview test completed successfully!');
+      return;
+    }
+    await sequelize.sync();
+    linkService.isInitialized = true; // ElasticSearch client đã stub
+
+    console.log('📋 Crawlers on the redirect route...');
+    user = await User.create({ email: `preview-${RUN}@example.com`, name: 'Preview Test', password: 'Preview123' });
+    const link = await Link.create({
+      userId: user.id,
+      originalUrl: 'https://example.com/post',
+      shortCode: `og-${RUN}`,
+      redirectType: '302',
+      urlMetadata: metadata,
+      socialPreview: linkService.prepareSocialPreview({ title: 'Owner title', image: 'https://cdn.example.com/og.png' }),
+    });
+
+    await new Promise((resolve) => (server.listening ? resolve() : server.once('listening', resolve)));
+    const { port } = server.address();
+    console.log = () => {}; // mỗi redirect / bot hit đều được log
+    const facebook = await get(port, `/${link.shortCode}`, FACEBOOK);
+    const twitter = await get(port, `/${link.shortCode}`, TWITTER);
+    const json = await get(port, `/${link.shortCode}`, FACEBOOK, 'application/json');
+    const human = await get(port, `/${link.shortCode}`, BROWSER);
+    console.log = log;
+
+    assert.strictEqual(facebook.status, 200);
+    assert.match(facebook.headers['content-type'], /^text\/html/);
+    assert.strictEqual(facebook.headers['cache-control'], 'no-store');
+    assert.match(facebook.body, /<meta property="og:title" content="Owner title">/);
+    assert.match(facebook.body, /<meta property="og:description" content="Fetched description">/);
+    assert.match(facebook.body, /<meta property="og:image" content="https:\/\/cdn.example.com\/og.png">/);
+    assert.match(facebook.body, /<meta property="og:site_name" content="Example">/);
+    assert.match(facebook.body, new RegExp(`<meta property="og:url" content="http://[^/]+/${link.shortCode}">`));
+    assert.match(twitter.body, /<meta name="twitter:card" content="summary_large_image">/);
+    assert.deepStrictEqual(JSON.parse(json.body), {
+      success: true,
+      message: 'Link information for bot',
+      shortCode: link.shortCode,
+      originalUrl: 'https://example.com/post',
+      title: 'Owner title',
+      description: 'Fetched description',
+      image: 'https://cdn.example.com/og.png',
+      isBot: true,
+    });
+    assert.deepStrictEqual([human.status, human.headers.location], [302, 'https://example.com/post']);
+    console.log('✅ Crawlers get the OpenGraph / Twitter card page (JSON on request), browsers are redirected');
+
+    console.log('📋 Bot hits...');
+    await link.reload();
+    assert.deepStrictEqual([link.clickCount, link.uniqueClicks, link.botClicks], [1, 1, 3]);
+    const clicks = await Click.findAll({ where: { linkId: link.id }, order: [['createdAt', 'ASC']] });
+    assert.deepStrictEqual(clicks.map(({ isBot }) => isBot), [true, true, true, false]);
+    assert.deepStrictEqual(indexed.map(({ isBot }) => isBot), [true, true, true, false]);
+    console.log('✅ Bot hits kept out of clicks / unique clicks, counted in botClicks and flagged isBot on each click');
+
+    console.log('\n🎉 Bot preview test completed successfully!');
+  } catch (error) {
+    console.log = log;
+    console.error('❌ Bot preview test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    if (user) {
+      const links = await Link.findAll({ where: { userId: user.id }, paranoid: false, attributes: ['id'] }).catch(() => []);
+      await Click.destroy({ where: { linkId: links.map(({ id }) => id) } }).catch(() => {});
+      await Link.destroy({ where: { userId: user.id }, force: true, hooks: false }).catch(() => {});
+      await user.destroy().catch(() => {});
+    }
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testBotPreview();
@@ -0,0 +1,215 @@
+// backend/test-bulk-links.js
+// Bulk create / delete / retag / move against the PostgreSQL from config (savepoints and rollbacks
+// need a real database). Destination checks are stubbed (no DNS), Redis is ioredis-mock.
+// Creates missing tables, never drops anything; test users, their links and domain are deleted at the end.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const { sequelize, User, Link, Domain } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const destinationPolicyService = require('./domains/security/services/DestinationPolicyService');
+const urlReputationService = require('./domains/security/services/UrlReputationService');
+const linkService = require('./domains/links/services/LinkService');
+const bulkLinkService = require('./domains/links/services/BulkLinkService');
+
+const RUN = Date.now().toString(36);
+const code = (name) => `${name}-${RUN}`;
+
+// Thứ tự: kiểm tra destination (DNS) / mở transaction
+const events = [];
+destinationPolicyService.assertAllowed = async (url) => {
+  events.push('check');
+  await new Promise((resolve) => setTimeout(resolve, 2)); // DNS lookup
+  if (new URL(url).hostname === 'internal.example') {
+    throw new Error('Destination not allowed: private network address');
+  }
+};
+urlReputationService.assertNotFlagged = async () => {};
+linkService.queueMetadataJob = async () => {};
+
+const transaction = sequelize.transaction.bind(sequelize);
+sequelize.transaction = (...args) => {
+  if (args.length === 0) events.push('begin'); // savepoint = transaction({ transaction }, fn)
+  return transaction(...args);
+};
+
+const findLinks = (userId, options = {}) => Link.findAll({ where: { userId }, order: [['shortCode', 'ASC']], ...options });
+
+async function testBulkLinks() {
+  console.log('🧪 Testing bulk link operations against PostgreSQL...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    await sequelize.authenticate();
+  } catch (error) {
+    console.log(`⚠️ PostgreSQL not reachable (${error.message}) - bulk link test skipped`);
+    process.exit();
+  }
+
+  const { log, error: logError } = console;
+  const quiet = () => Object.assign(console, { log: () => {}, error: () => {} }); // bulk + link hooks log từng bước
+  const loud = () => Object.assign(console, { log, error: logError });
+  const users = [];
+  let domain;
+  try {
+    await sequelize.sync();
+    quiet();
+
+    const [user, other] = await Promise.all(
+      ['bulk', 'bulk-other'].map((name) =>
+        User.create({ email: `${name}-test-${RUN}@example.com`, name: 'Bulk Test', password: 'BulkTest123' })
+      )
+    );
+    users.push(user, other);
+    domain = await Domain.create({ userId: user.id, domain: `go-${RUN}.example.com`, isActive: true, isVerified: true });
+
+    // ===== CREATE =====
+    let result = await bulkLinkService.execute(user.id, {
+      action: 'create',
+      items: [
+        { originalUrl: 'https://example.com/a', customCode: code('a'), tags: ['x'] },
+        { originalUrl: 'not a url' },
+        { originalUrl: 'http://internal.example/admin' },
+        { originalUrl: 'https://example.com/dup', customCode: code('a') },
+        { originalUrl: 'https://example.com/b', customCode: code('b') },
+        { originalUrl: 'https://example.com/c', customCode: code('c'), tags: ['x', 'y'] },
+      ],
+    });
+    loud();
+    console.log('📋 Bulk create with invalid items...');
+
+    assert.strictEqual(result.committed, true);
+    assert.deepStrictEqual(result.summary, { total: 6, succeeded: 3, failed: 3 });
+    assert.deepStrictEqual(
+      result.results.map(({ success, error }) => (success ? 'ok' : error)),
+      ['ok', 'Invalid URL format', 'Destination not allowed: private network address', 'Custom short code already exists', 'ok', 'ok']
+    );
+    assert.deepStrictEqual((await findLinks(user.id)).map((link) => link.shortCode), [code('a'), code('b'), code('c')]);
+    assert.ok(events.lastIndexOf('check') < events.indexOf('begin'), 'destinations checked inside the transaction');
+    console.log('✅ Valid items created, failures reported per item, checks ran before the transaction');
+
+    console.log('📋 Short code taken between the check and the insert...');
+    await Link.create({ userId: user.id, domainId: domain.id, originalUrl: 'https://example.com/r', shortCode: code('r') });
+    const isShortCodeTaken = linkService.isShortCodeTaken;
+    linkService.isShortCodeTaken = async (shortCode, ...rest) =>
+      shortCode === code('r') ? false : isShortCodeTaken.call(linkService, shortCode, ...rest);
+    quiet();
+    result = await bulkLinkService.execute(user.id, {
+      action: 'create',
+      items: [
+        { originalUrl: 'https://example.com/d', customCode: code('d') },
+        { originalUrl: 'https://example.com/r2', customCode: code('r'), domainId: domain.id },
+        { originalUrl: 'https://example.com/e', customCode: code('e') },
+      ],
+    });
+    loud();
+    linkService.isShortCodeTaken = isShortCodeTaken;
+
+    assert.deepStrictEqual(result.results.map(({ success }) => success), [true, false, true]);
+    assert.strictEqual(result.results[1].error, 'Custom short code already exists');
+    assert.strictEqual((await findLinks(user.id)).length, 6);
+    console.log('✅ Unique violation only undoes its own savepoint');
+
+    console.log('📋 Atomic create...');
+    quiet();
+    result = await bulkLinkService.execute(user.id, {
+      action: 'create',
+      atomic: true,
+      items: [
+        { originalUrl: 'https://example.com/f', customCode: code('f') },
+        { originalUrl: 'https://example.com/g', customCode: code('a') }, // đã tồn tại
+      ],
+    });
+    loud();
+
+    assert.strictEqual(result.committed, false);
+    assert.deepStrictEqual(result.summary, { total: 2, succeeded: 0, failed: 1 });
+    assert.strictEqual(result.results[0].rolledBack, true);
+    assert.strictEqual(await Link.count({ where: { shortCode: code('f') } }), 0);
+    console.log('✅ One failure rolls back the whole request');
+
+    const [a, b, c, d, e] = await findLinks(user.id);
+    const foreign = await Link.create({ userId: other.id, originalUrl: 'https://example.com/o', shortCode: code('o') });
+
+    // ===== RETAG =====
+    console.log('📋 Retag...');
+    quiet();
+    await bulkLinkService.execute(user.id, { action: 'retag', items: [a.id, c.id], tags: ['y', 'z'], tagMode: 'add' });
+    await bulkLinkService.execute(user.id, { action: 'retag', items: [c.id], tags: ['x'], tagMode: 'remove' });
+    result = await bulkLinkService.execute(user.id, {
+      action: 'retag',
+      items: [{ id: b.id, tags: ['own'] }, d.id],
+      tags: [' promo ', 'promo'],
+      tagMode: 'set',
+    });
+    loud();
+
+    assert.strictEqual(result.summary.succeeded, 2);
+    const tagsOf = async (link) => (await Link.findByPk(link.id)).tags;
+    assert.deepStrictEqual(await tagsOf(a), ['x', 'y', 'z']);
+    assert.deepStrictEqual(await tagsOf(b), ['own']);
+    assert.deepStrictEqual(await tagsOf(c), ['y', 'z']);
+    assert.deepStrictEqual(await tagsOf(d), ['promo']);
+    console.log('✅ add / remove / set modes, per-item tags override');
+
+    // ===== MOVE =====
+    console.log('📋 Move to a custom domain...');
+    await Link.create({ userId: user.id, domainId: domain.id, originalUrl: 'https://example.com/taken', shortCode: code('e') });
+    quiet();
+    result = await bulkLinkService.execute(user.id, { action: 'move', items: [a.id, e.id, foreign.id], domainId: domain.id });
+    loud();
+
+    assert.deepStrictEqual(
+      result.results.map(({ success, error }) => (success ? 'ok' : error)),
+      ['ok', `Short code "${code('e')}" already exists on the target domain`, 'Link not found or unauthorized']
+    );
+    const moved = await Link.findByPk(a.id);
+    assert.strictEqual(moved.domainId, domain.id);
+    assert.ok(moved.fullShortUrl.endsWith(`://${domain.domain}/${code('a')}`), moved.fullShortUrl);
+    assert.strictEqual((await Link.findByPk(e.id)).domainId, null);
+    quiet();
+    await assert.rejects(
+      bulkLinkService.execute(other.id, { action: 'move', items: [foreign.id], domainId: domain.id }),
+      /Domain not found or not verified/
+    );
+    loud();
+    console.log('✅ Links moved, code conflicts and other users\' links reported');
+
+    // ===== DELETE =====
+    console.log('📋 Atomic delete...');
+    quiet();
+    result = await bulkLinkService.execute(user.id, { action: 'delete', atomic: true, items: [b.id, c.id, 'not-a-uuid'] });
+    loud();
+    assert.strictEqual(result.committed, false);
+    assert.deepStrictEqual(result.results.map(({ error }) => error || null), [null, null, 'Invalid link id']);
+    assert.strictEqual(await Link.count({ where: { id: [b.id, c.id] } }), 2);
+    console.log('✅ Nothing deleted when one item fails');
+
+    console.log('📋 Delete...');
+    quiet();
+    result = await bulkLinkService.execute(user.id, { action: 'delete', items: [b.id, c.id, foreign.id] });
+    loud();
+    assert.deepStrictEqual(result.summary, { total: 3, succeeded: 2, failed: 1 });
+    assert.strictEqual(await Link.count({ where: { id: [b.id, c.id] } }), 0);
+    assert.strictEqual(await Link.count({ where: { id: [b.id, c.id] }, paranoid: false }), 2);
+    assert.ok(await Link.findByPk(foreign.id));
+    console.log('✅ Own links soft-deleted, other users\' links untouched');
+
+    console.log('\n🎉 Bulk link test completed successfully!');
+  } catch (error) {
+    loud();
+    console.error('❌ Bulk link test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    const userIds = users.map((user) => user.id);
+    await Link.destroy({ where: { userId: userIds }, force: true, hooks: false }).catch(() => {});
+    if (domain) await domain.destroy().catch(() => {});
+    await User.destroy({ where: { id: userIds } }).catch(() => {});
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testBulkLinks();
@@ -0,0 +1,183 @@
+// backend/test-click-privacy.js
+// Click privacy: privacy.ipMode anonymization, the rotating visitor salt, unique clicks on the
+// anonymized id and the retention purge (Postgres + ElasticSearch delete-by-query) - needs the
+// PostgreSQL from config. Redis is ioredis-mock, ElasticSearch is stubbed. The default retention
+// policy runs with a 10-year window and only the test workspaces are loaded, so other data is not touched.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const { sequelize, User, Link, Click, Workspace } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const settingsService = require('./core/settings/SettingsService');
+const clickTrackingService = require('./domains/analytics/services/ClickTrackingService');
+const clickPrivacyService = require('./domains/analytics/services/ClickPrivacyService');
+const linkService = require('./domains/links/services/LinkService');
+
+const RUN = Date.now().toString(36);
+const DAY = 24 * 60 * 60 * 1000;
+
+const settings = { 'privacy.ipMode': 'truncate', 'privacy.visitorSaltRotationHours': 24, 'privacy.clickRetentionDays': 3650 };
+const getSetting = settingsService.get.bind(settingsService);
+settingsService.get = (key) => (key in settings ? settings[key] : getSetting(key));
+
+const deleteQueries = [];
+clickTrackingService.esClient = {
+  deleteByQuery: async (request) => deleteQueries.push(request) && { body: { deleted: 2 } },
+};
+
+async function testClickPrivacy() {
+  console.log('🧪 Testing click anonymization and retention...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    await sequelize.authenticate();
+  } catch (error) {
+    console.log(`⚠️ PostgreSQL not reachable (${error.message}) - click privacy test skipped`);
+    process.exit();
+  }
+
+  const { log, warn } = console;
+  let user;
+  const workspaces = [];
+  try {
+    await sequelize.sync();
+
+    console.log('📋 IP modes...');
+    const anonymize = async (mode, ip) => {
+      settings['privacy.ipMode'] = mode;
+      return await clickPrivacyService.anonymize(ip);
+    };
+
+    const truncated = await anonymize('truncate', '203.0.113.77');
+    assert.strictEqual(truncated.ipAddress, '203.0.113.0');
+    assert.match(truncated.visitorId, /^[0-9a-f]{32}$/);
+    assert.strictEqual(truncated.visitorId, truncated.visitorKey);
+    assert.strictEqual((await anonymize('truncate', '2001:db8:abcd:12:1:2:3:4')).ipAddress, '2001:db8:abcd::');
+    assert.strictEqual((await anonymize('truncate', '2001:db8::1')).ipAddress, '2001:db8:0::');
+    assert.strictEqual((await anonymize('truncate', '::ffff:198.51.100.23')).ipAddress, '198.51.100.0');
+
+    assert.strictEqual((await anonymize('full', '::ffff:198.51.100.23')).ipAddress, '198.51.100.23');
+    const hashed = await anonymize('hash', '203.0.113.77');
+    assert.deepStrictEqual([hashed.ipAddress, hashed.visitorId], [null, truncated.visitorId]);
+    const dropped = await anonymize('none', '203.0.113.77');
+    assert.deepStrictEqual([dropped.ipAddress, dropped.visitorId, dropped.visitorKey], [null, null, truncated.visitorKey]);
+    assert.deepStrictEqual(await anonymize('full', 'not-an-ip'), { ipAddress: null, visitorId: null, visitorKey: null });
+    assert.notStrictEqual((await anonymize('hash', '203.0.113.78')).visitorId, truncated.visitorId);
+    console.log('✅ full / truncate (/24, /48) / hash / none, IPv4-mapped addresses normalized, bad IPs dropped');
+
+    console.log('📋 Visitor salt...');
+    const otherInstance = new clickPrivacyService.constructor();
+    assert.strictEqual((await otherInstance.anonymize('203.0.113.77')).visitorId, truncated.visitorId);
+    settings['privacy.visitorSaltRotationHours'] = 12;
+    const rotated = await clickPrivacyService.anonymize('203.0.113.77');
+    assert.notStrictEqual(rotated.visitorId, truncated.visitorId);
+    assert.strictEqual(await cacheService.redis.ttl(`privacy:visitor-salt:${12 * 3600}:${Math.floor(Date.now() / 1000 / (12 * 3600))}`), 2 * 12 * 3600);
+    settings['privacy.visitorSaltRotationHours'] = 24;
+    assert.strictEqual((await clickPrivacyService.anonymize('203.0.113.77')).visitorId, truncated.visitorId);
+    console.log('✅ Salt shared by instances through Redis, a new period gives new visitor ids');
+
+    console.log('📋 Unique clicks...');
+    user = await User.create({ email: `privacy-${RUN}@example.com`, name: 'Privacy Test', password: 'Privacy123' });
+    const [first, second] = await Link.bulkCreate(
+      ['p1', 'p2'].map((code) => ({ userId: user.id, originalUrl: 'https://example.com/', shortCode: `${code}-${RUN}` }))
+    );
+    for (const mode of ['truncate', 'none']) {
+      await cacheService.redis.flushall();
+      const visitor = await anonymize(mode, '192.0.2.10');
+      const neighbour = await anonymize(mode, '192.0.2.11'); // cùng /24, khác visitor
+      assert.deepStrictEqual(
+        [
+          await linkService.isUniqueClick(first.id, visitor),
+          await linkService.isUniqueClick(first.id, visitor),
+          await linkService.isUniqueClick(first.id, neighbour),
+          await linkService.isUniqueClick(second.id, visitor),
+        ],
+        [true, false, true, true],
+        `mode ${mode}`
+      );
+    }
+    assert.strictEqual(await linkService.isUniqueClick(first.id, await anonymize('truncate', '')), true);
+
+    // Không có Redis: tra clicks theo visitorId
+    const visitor = await anonymize('hash', '192.0.2.50');
+    await Click.create({ linkId: first.id, visitorId: visitor.visitorId });
+    cacheService.redis.status = 'end';
+    const withoutRedis = [await linkService.isUniqueClick(first.id, visitor), await linkService.isUniqueClick(second.id, visitor)];
+    cacheService.redis.status = 'ready';
+    assert.deepStrictEqual(withoutRedis, [false, true]);
+    console.log('✅ Same anonymized visitor counted once per link, /24 neighbours stay distinct, Postgres fallback');
+
+    console.log('📋 Retention purge...');
+    const [strict, relaxed] = await Promise.all([
+      Workspace.create({ name: `Strict ${RUN}`, createdBy: user.id, clickRetentionDays: 7 }),
+      Workspace.create({ name: `Relaxed ${RUN}`, createdBy: user.id }),
+    ]);
+    workspaces.push(strict, relaxed);
+    const findWorkspaces = Workspace.findAll.bind(Workspace);
+    Workspace.findAll = (options) => findWorkspaces({ ...options, where: { ...options.where, id: workspaces.map(({ id }) => id) } });
+
+    const links = await Link.bulkCreate(
+      [strict.id, relaxed.id, null].map((workspaceId, index) => ({
+        userId: user.id,
+        workspaceId,
+        originalUrl: 'https://example.com/',
+        shortCode: `r${index}-${RUN}`,
+      }))
+    );
+    const ages = [3, 10, 3700];
+    await Click.destroy({ where: { linkId: first.id } });
+    await Click.bulkCreate(
+      links.flatMap((link) => ages.map((days) => ({ linkId: link.id, createdAt: new Date(Date.now() - days * DAY), referrer: `${days}d` })))
+    );
+
+    clickTrackingService.isReady = () => true;
+    console.log = () => {};
+    const result = await clickPrivacyService.purgeExpiredClicks();
+    console.log = log;
+
+    const remaining = async (link) => (await Click.findAll({ where: { linkId: link.id }, order: [['createdAt', 'DESC']] })).map(({ referrer }) => referrer);
+    assert.deepStrictEqual(await remaining(links[0]), ['3d']);
+    assert.deepStrictEqual(await remaining(links[1]), ['3d', '10d']);
+    assert.deepStrictEqual(await remaining(links[2]), ['3d', '10d']);
+    assert.strictEqual(result.policies, 2);
+    assert.ok(result.postgres >= 4);
+    assert.strictEqual(result.elasticsearch, 4);
+
+    const [strictQuery, defaultQuery] = deleteQueries.map(({ query }) => query.bool);
+    assert.deepStrictEqual(strictQuery.filter[1], { term: { workspaceId: strict.id } });
+    assert.deepStrictEqual(defaultQuery.must_not, [{ terms: { workspaceId: [strict.id] } }]);
+    const cutoffDays = (filter) => Math.round((Date.now() - new Date(filter[0].range.timestamp.lt)) / DAY);
+    assert.deepStrictEqual([cutoffDays(strictQuery.filter), cutoffDays(defaultQuery.filter)], [7, 3650]);
+    console.log('✅ Workspace windows and the system default applied to Postgres rows and ElasticSearch documents');
+
+    console.log('📋 ElasticSearch down / retention off...');
+    clickTrackingService.isReady = () => false;
+    settings['privacy.clickRetentionDays'] = 0;
+    Object.assign(console, { log: () => {}, warn: () => {} });
+    const degraded = await clickPrivacyService.purgeExpiredClicks();
+    Object.assign(console, { log, warn });
+    assert.deepStrictEqual(degraded, { policies: 1, postgres: 0, elasticsearch: null });
+    assert.strictEqual(deleteQueries.length, 2);
+    console.log('✅ Postgres still purged without ElasticSearch, retention 0 keeps clicks outside workspace policies');
+
+    console.log('\n🎉 Click privacy test completed successfully!');
+  } catch (error) {
+    Object.assign(console, { log, warn });
+    console.error('❌ Click privacy test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (user) {
+      const links = await Link.findAll({ where: { userId: user.id }, paranoid: false, attributes: ['id'] }).catch(() => []);
+      await Click.destroy({ where: { linkId: links.map(({ id }) => id) } }).catch(() => {});
+      await Link.destroy({ where: { userId: user.id }, force: true, hooks: false }).catch(() => {});
+      await Promise.all(workspaces.map((workspace) => workspace.destroy().catch(() => {})));
+      await user.destroy().catch(() => {});
+    }
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testClickPrivacy();
@@ -0,0 +1,144 @@
+// backend/test-destination-policy.js
+// DestinationPolicyService (SSRF) with stubbed DNS and admin rules (không cần PostgreSQL / mạng)
+const http = require('http');
+const dns = require('dns');
+const assert = require('assert');
+
+process.env.DESTINATION_ALLOWLIST = 'intranet.example.com';
+process.env.DESTINATION_DENYLIST = 'evil.example.com,8.8.4.0/24';
+
+const { DestinationRule } = require('./models');
+const destinationPolicyService = require('./domains/security/services/DestinationPolicyService');
+
+// Admin rules "trong database"
+DestinationRule.findAll = async () => [{ pattern: '10.20.0.0/16', listType: 'allow' }];
+
+// DNS giả: hostname -> danh sách địa chỉ, đổi được giữa lúc check và lúc kết nối (rebinding)
+const records = {
+  'public.example.com': ['93.184.216.34'],
+  'mixed.example.com': ['93.184.216.34', '10.0.0.5'],
+  'mapped.example.com': ['::ffff:192.168.1.1'],
+  'intranet.example.com': ['10.0.0.7'],
+  'rebind.example.com': ['93.184.216.34'],
+};
+const toRecords = (hostname) =>
+  (records[hostname] || []).map((address) => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+dns.promises.lookup = async (hostname) => {
+  const found = toRecords(hostname);
+  if (found.length === 0) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+  return found;
+};
+const systemLookup = dns.lookup;
+dns.lookup = (hostname, options, callback) => {
+  if (!(hostname in records)) return systemLookup(hostname, options, callback); // server.listen('127.0.0.1')
+  callback(null, toRecords(hostname));
+};
+
+async function expectBlocked(url, pattern) {
+  const result = await destinationPolicyService.checkUrl(url);
+  assert.strictEqual(result.allowed, false, `${url} should be blocked`);
+  if (pattern) assert.match(result.reason, pattern, url);
+}
+
+async function expectAllowed(url) {
+  const result = await destinationPolicyService.checkUrl(url);
+  assert.strictEqual(result.allowed, true, `${url} should be allowed (${result.reason})`);
+}
+
+const lookup = (hostname, options = {}) =>
+  new Promise((resolve, reject) =>
+    destinationPolicyService.createLookup()(hostname, options, (error, address, family) =>
+      error ? reject(error) : resolve({ address, family })
+    )
+  );
+
+async function testDestinationPolicy() {
+  console.log('🧪 Testing destination policy (SSRF)...\n');
+
+  try {
+    console.log('📋 Protocols and internal hostnames...');
+    await expectBlocked('javascript:alert(1)', /Only http and https/);
+    await expectBlocked('file:///etc/passwd', /Only http and https/);
+    await expectBlocked('http://localhost:8080/', /Internal hostnames/);
+    await expectBlocked('http://localhost./', /Internal hostnames/);
+    await expectBlocked('http://metadata.internal/', /Internal hostnames/);
+    await expectBlocked('http://printer.local/', /Internal hostnames/);
+    console.log('✅ Non-http schemes and internal names blocked');
+
+    console.log('📋 IPv4 literals in every notation...');
+    await expectBlocked('http://127.0.0.1/', /private or reserved/);
+    await expectBlocked('http://2130706433/', /private or reserved/); // 127.0.0.1 dạng số thập phân
+    await expectBlocked('http://0x7f.1/', /private or reserved/);
+    await expectBlocked('http://0177.0.0.1/', /private or reserved/);
+    await expectBlocked('http://169.254.169.254/latest/meta-data/', /private or reserved/);
+    await expectBlocked('http://100.64.0.1/', /private or reserved/);
+    await expectAllowed('http://93.184.216.34/');
+    console.log('✅ Loopback, metadata and CGNAT addresses blocked');
+
+    console.log('📋 IPv6, IPv4-mapped and translated addresses...');
+    await expectBlocked('http://[::1]/', /private or reserved/);
+    await expectBlocked('http://[::ffff:10.0.0.1]/', /private or reserved/);
+    await expectBlocked('http://[::ffff:a00:1]/', /private or reserved/);
+    await expectBlocked('http://[::ffff:127.0.0.1]:6379/', /private or reserved/);
+    await expectBlocked('http://[::127.0.0.1]/', /private or reserved/);
+    await expectBlocked('http://[64:ff9b::a9fe:a9fe]/', /private or reserved/); // NAT64 của 169.254.169.254
+    await expectBlocked('http://[fd00::1]/', /private or reserved/);
+    await expectBlocked('http://[fe80::1]/', /private or reserved/);
+    await expectAllowed('http://[2606:4700:4700::1111]/');
+    console.log('✅ IPv6 forms of private IPv4 addresses blocked');
+
+    console.log('📋 Hostnames resolving to private addresses...');
+    await expectAllowed('https://public.example.com/path');
+    await expectBlocked('https://mixed.example.com/', /private or reserved/);
+    await expectBlocked('https://mapped.example.com/', /private or reserved/);
+    await expectAllowed('https://unresolvable.example.com/');
+    console.log('✅ Any private address in the DNS answer blocks the host');
+
+    console.log('📋 Allow / deny lists...');
+    await expectBlocked('https://www.evil.example.com/', /deny list/);
+    await expectBlocked('http://8.8.4.4/', /deny list/);
+    await expectAllowed('https://intranet.example.com/');
+    await expectAllowed('http://10.20.3.4/');
+    await expectBlocked('http://10.21.0.1/', /private or reserved/);
+    console.log('✅ Env and admin rules applied');
+
+    console.log('📋 DNS rebinding (connection-time lookup)...');
+    await expectAllowed('https://rebind.example.com/');
+    records['rebind.example.com'] = ['127.0.0.1'];
+
+    await assert.rejects(lookup('rebind.example.com'), (error) => error.code === 'EDESTINATIONBLOCKED');
+    await assert.rejects(lookup('rebind.example.com', { all: true }), (error) => error.code === 'EDESTINATIONBLOCKED');
+    assert.deepStrictEqual(await lookup('public.example.com'), { address: '93.184.216.34', family: 4 });
+    assert.strictEqual((await lookup('intranet.example.com')).address, '10.0.0.7'); // allow list
+    console.log('✅ Lookup re-checks addresses the socket connects to');
+
+    // Agent thật dùng lookup: request tới server loopback bị chặn trước khi kết nối
+    const server = http.createServer((req, res) => res.end('internal'));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const error = await new Promise((resolve) => {
+        http
+          .get(
+            { host: 'rebind.example.com', port: server.address().port, lookup: destinationPolicyService.createLookup() },
+            () => resolve(null)
+          )
+          .on('error', resolve);
+      });
+      assert.ok(error, 'request reached the loopback server');
+      assert.strictEqual(error.code, 'EDESTINATIONBLOCKED');
+    } finally {
+      server.close();
+    }
+    console.log('✅ HTTP request to a rebound host never connects');
+
+    console.log('\n🎉 Destination policy test completed successfully!');
+  } catch (error) {
+    console.error('❌ Destination policy test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+testDestinationPolicy();
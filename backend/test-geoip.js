@@ -0,0 +1,224 @@
+// backend/test-geoip.js
+// GeoIP lookups from local .mmdb files: City + ASN fields, LRU cache, hot reload when the file is
+// replaced, and geoRestrictions on Link.canAccess. Small MaxMind DB files are written to a temp dir
+// by the encoder below - no PostgreSQL, no network.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+
+const geoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+process.env.GEOIP_CITY_DB = path.join(geoDir, 'city.mmdb');
+process.env.GEOIP_ASN_DB = path.join(geoDir, 'asn.mmdb');
+process.env.GEOIP_CACHE_SIZE = '3';
+process.env.GEOIP_WATCH_INTERVAL_MS = '50';
+
+const { Link } = require('./models');
+const geoIpService = require('./core/geo/GeoIpService');
+const redirectController = require('./domains/links/controllers/RedirectController');
+
+// ===== MaxMind DB writer (IPv4 tree, 24-bit records) =====
+
+const control = (type, size) => {
+  let sizeBits = size;
+  let extra = [];
+  if (size >= 285) {
+    sizeBits = 30;
+    extra = [(size - 285) >> 8, (size - 285) & 0xff];
+  } else if (size >= 29) {
+    sizeBits = 29;
+    extra = [size - 29];
+  }
+  return Buffer.from(type <= 7 ? [(type << 5) | sizeBits, ...extra] : [sizeBits, type - 7, ...extra]);
+};
+
+const encode = (value) => {
+  if (typeof value === 'string') {
+    const body = Buffer.from(value);
+    return Buffer.concat([control(2, body.length), body]);
+  }
+  if (typeof value === 'number') {
+    const body = Buffer.alloc(4);
+    body.writeUInt32BE(value);
+    let start = 0;
+    while (start < 4 && body[start] === 0) start++; // uint32 với số byte tối thiểu
+    return Buffer.concat([control(6, 4 - start), body.subarray(start)]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([control(11, value.length), ...value.map(encode)]);
+  }
+  const entries = Object.entries(value);
+  return Buffer.concat([control(7, entries.length), ...entries.flatMap(([key, item]) => [encode(key), encode(item)])]);
+};
+
+// networks: { '203.0.113.0/24': {...record} }
+const writeDatabase = (file, databaseType, networks) => {
+  const nodes = [[null, null]];
+  let data = Buffer.alloc(0);
+
+  for (const [cidr, record] of Object.entries(networks)) {
+    const [address, prefix] = cidr.split('/');
+    const bits = address.split('.').flatMap((octet) => Number(octet).toString(2).padStart(8, '0').split('').map(Number));
+    const offset = data.length;
+    data = Buffer.concat([data, encode(record)]);
+
+    let node = 0;
+    for (let depth = 0; depth < Number(prefix) - 1; depth++) {
+      const bit = bits[depth];
+      if (nodes[node][bit] === null) {
+        nodes.push([null, null]);
+        nodes[node][bit] = { node: nodes.length - 1 };
+      }
+      node = nodes[node][bit].node;
+    }
+    nodes[node][bits[Number(prefix) - 1]] = { data: offset };
+  }
+
+  const nodeCount = nodes.length;
+  const tree = Buffer.alloc(nodeCount * 6);
+  nodes.forEach((pair, index) => {
+    pair.forEach((entry, side) => {
+      const value = entry === null ? nodeCount : entry.node !== undefined ? entry.node : nodeCount + 16 + entry.data;
+      tree.writeUIntBE(value, index * 6 + side * 3, 3);
+    });
+  });
+
+  const metadata = encode({
+    node_count: nodeCount,
+    record_size: 24,
+    ip_version: 4,
+    database_type: databaseType,
+    languages: ['en'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: Math.floor(Date.UTC(2026, 9, 1) / 1000),
+    description: { en: 'test database' },
+  });
+
+  const content = Buffer.concat([tree, Buffer.alloc(16), data, Buffer.from('ABCDEF4D61784D696E642E636F6D', 'hex'), metadata]);
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, content);
+  fs.renameSync(temp, file); // như geoipupdate: thay file một lần
+};
+
+const cityRecord = (country, city, region) => ({
+  country: { iso_code: country, names: { en: country } },
+  ...(city ? { city: { names: { en: city } } } : {}),
+  ...(region ? { subdivisions: [{ iso_code: region[0], names: { en: region[1] } }] } : {}),
+});
+
+// Chờ fs.watchFile nhận ra file mới (mtime khác)
+const waitFor = async (condition, label) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (condition()) return;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+};
+
+async function testGeoIp() {
+  console.log('🧪 Testing local GeoIP lookups...\n');
+  const { log, warn, error: logError } = console;
+
+  try {
+    console.log('📋 No databases...');
+    Object.assign(console, { log: () => {}, warn: () => {} });
+    await geoIpService.initialize();
+    Object.assign(console, { log, warn });
+    assert.strictEqual(geoIpService.isReady(), false);
+    assert.strictEqual(geoIpService.lookup('203.0.113.10'), null);
+    console.log('✅ Missing files disable lookups instead of failing startup');
+
+    console.log('📋 City + ASN lookups...');
+    writeDatabase(process.env.GEOIP_CITY_DB, 'GeoLite2-City', {
+      '203.0.113.0/24': cityRecord('VN', 'Ho Chi Minh City', ['SG', 'Ho Chi Minh']),
+      '198.51.100.0/25': cityRecord('DE', 'Berlin', ['BE', 'Land Berlin']),
+      '192.0.2.0/24': { registered_country: { iso_code: 'US' } },
+    });
+    writeDatabase(process.env.GEOIP_ASN_DB, 'GeoLite2-ASN', {
+      '203.0.113.0/24': { autonomous_system_number: 7552, autonomous_system_organization: 'Viettel Group' },
+      '100.64.0.0/10': { autonomous_system_number: 64512, autonomous_system_organization: 'Carrier NAT' },
+    });
+    Object.assign(console, { log: () => {} });
+    await waitFor(() => geoIpService.readers.city && geoIpService.readers.asn, 'the databases to appear');
+    Object.assign(console, { log });
+
+    assert.deepStrictEqual(geoIpService.lookup('203.0.113.10'), {
+      country: 'VN',
+      region: 'Ho Chi Minh',
+      regionCode: 'SG',
+      city: 'Ho Chi Minh City',
+      asn: 7552,
+      asOrganization: 'Viettel Group',
+    });
+    assert.strictEqual(geoIpService.lookup('::ffff:198.51.100.5').city, 'Berlin');
+    assert.strictEqual(geoIpService.lookup('198.51.100.200'), null, '/25 must not match the upper half');
+    assert.deepStrictEqual(geoIpService.lookup('192.0.2.1'), { country: 'US', region: null, regionCode: null, city: null, asn: null, asOrganization: null });
+    assert.deepStrictEqual(geoIpService.lookup('100.100.1.1'), { country: null, region: null, regionCode: null, city: null, asn: 64512, asOrganization: 'Carrier NAT' });
+    assert.strictEqual(geoIpService.lookup('10.0.0.1'), null);
+    assert.strictEqual(geoIpService.lookup('not-an-ip'), null);
+    Object.assign(console, { warn: () => {} });
+    assert.strictEqual(geoIpService.lookup('2001:db8::1'), null, 'IPv6 in an IPv4 database');
+    Object.assign(console, { warn });
+    assert.strictEqual((await redirectController.getUserLocation('203.0.113.10')).country, 'VN');
+    console.log('✅ Country / region / city from City, ASN and organization from ASN, unknown IPs null');
+
+    console.log('📋 Cache...');
+    geoIpService.cache.clear();
+    const resolve = geoIpService.resolve.bind(geoIpService);
+    const resolved = [];
+    geoIpService.resolve = (ip) => resolved.push(ip) && resolve(ip);
+    ['203.0.113.1', '203.0.113.2', '203.0.113.1', '203.0.113.3', '203.0.113.4', '203.0.113.1', '203.0.113.2'].forEach((ip) => geoIpService.lookup(ip));
+    geoIpService.resolve = resolve;
+    assert.deepStrictEqual(resolved, ['203.0.113.1', '203.0.113.2', '203.0.113.3', '203.0.113.4', '203.0.113.2']);
+    assert.deepStrictEqual([...geoIpService.cache.keys()], ['203.0.113.4', '203.0.113.1', '203.0.113.2']);
+    console.log('✅ Least recently used entry evicted at GEOIP_CACHE_SIZE, hits refresh an entry');
+
+    console.log('📋 Hot reload...');
+    writeDatabase(process.env.GEOIP_CITY_DB, 'GeoLite2-City', { '203.0.113.0/24': cityRecord('SG', 'Singapore') });
+    fs.utimesSync(process.env.GEOIP_CITY_DB, new Date(), new Date(Date.now() + 5000));
+    Object.assign(console, { log: () => {} });
+    await waitFor(() => geoIpService.lookup('203.0.113.10')?.country === 'SG', 'the city database reload');
+    Object.assign(console, { log });
+    assert.deepStrictEqual(geoIpService.lookup('203.0.113.10'), {
+      country: 'SG',
+      region: null,
+      regionCode: null,
+      city: 'Singapore',
+      asn: 7552,
+      asOrganization: 'Viettel Group',
+    });
+    assert.strictEqual(geoIpService.lookup('198.51.100.5'), null);
+
+    const reader = geoIpService.readers.city;
+    Object.assign(console, { error: () => {} });
+    fs.writeFileSync(process.env.GEOIP_CITY_DB, 'half-written file');
+    fs.utimesSync(process.env.GEOIP_CITY_DB, new Date(), new Date(Date.now() + 10000));
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    Object.assign(console, { error: logError });
+    assert.strictEqual(geoIpService.readers.city, reader, 'broken file replaced the loaded database');
+    assert.strictEqual(geoIpService.lookup('203.0.113.10').country, 'SG');
+    console.log('✅ Replaced file picked up without a restart (cache cleared), broken files keep the old database');
+
+    console.log('📋 Geo restrictions...');
+    const link = (geoRestrictions) => Link.build({ originalUrl: 'https://example.com', shortCode: 'geo', isActive: true, geoRestrictions });
+    const singapore = geoIpService.lookup('203.0.113.10');
+    assert.strictEqual(link({ type: 'blacklist', countries: ['sg'] }).canAccess(singapore), false);
+    assert.strictEqual(link({ type: 'whitelist', countries: ['VN', 'SG'] }).canAccess(singapore), true);
+    assert.strictEqual(link({ type: 'whitelist', countries: ['VN'] }).canAccess(singapore), false);
+    assert.strictEqual(link({ type: 'whitelist', countries: ['VN'] }).canAccess(geoIpService.lookup('10.0.0.1')), true);
+    console.log('✅ Looked-up country drives whitelist / blacklist, unknown locations are let through');
+
+    console.log('\n🎉 GeoIP test completed successfully!');
+  } catch (error) {
+    Object.assign(console, { log, warn, error: logError });
+    console.error('❌ GeoIP test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    geoIpService.close();
+    fs.rmSync(geoDir, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+testGeoIp();
@@ -0,0 +1,178 @@
+// backend/test-link-availability.js
+// Link availability: validation, click / unique click limits claimed under concurrency, activateAt,
+// availability windows, fallback URLs, the expiry sweep and the owner's expiry email (queued once) -
+// needs the PostgreSQL from config. Redis is ioredis-mock, the queues are stubbed; test rows are removed.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const config = require('./config');
+const { sequelize, User, Link, Click } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const bullMQService = require('./core/queue/BullMQService');
+const linkService = require('./domains/links/services/LinkService');
+const linkAvailabilityService = require('./domains/links/services/LinkAvailabilityService');
+
+const RUN = Date.now().toString(36);
+const HOUR = 60 * 60 * 1000;
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+const GOOGLEBOT = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+
+config.redirect.bufferCounters = false; // counters straight to Postgres
+
+// Email + click tracking jobs giữ lại để kiểm tra
+const emails = [];
+bullMQService.isInitialized = true;
+bullMQService.addEmailJob = async (template, to, data) => emails.push({ template, to, ...data });
+bullMQService.addClickTrackingJob = async () => {};
+
+// HH:mm (UTC) `hours` giờ sau bây giờ
+const utcTime = (hours) => new Date(Date.now() + hours * HOUR).toISOString().slice(11, 16);
+
+async function testLinkAvailability() {
+  console.log('🧪 Testing link availability and click limits...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  const { log } = console;
+  let user;
+  try {
+    console.log('📋 Validation...');
+    assert.strictEqual(linkAvailabilityService.normalizeLimit('', 'maxClicks'), null);
+    assert.strictEqual(linkAvailabilityService.normalizeLimit('25', 'maxClicks'), 25);
+    assert.throws(() => linkAvailabilityService.normalizeLimit(0, 'maxClicks'), /Invalid maxClicks: must be a positive integer/);
+    assert.throws(() => linkAvailabilityService.normalizeLimit(1.5, 'maxUniqueClicks'), /Invalid maxUniqueClicks/);
+    assert.deepStrictEqual(linkAvailabilityService.normalizeActivateAt('2026-11-01T08:00:00Z'), new Date('2026-11-01T08:00:00Z'));
+    assert.throws(() => linkAvailabilityService.normalizeActivateAt('next monday'), /Invalid activateAt: must be a date/);
+    assert.deepStrictEqual(
+      linkAvailabilityService.normalizeWindows([{ days: [5, 1, 2, 3, 4], start: '09:00', end: '17:00', timezone: 'Europe/Berlin' }]),
+      [{ timezone: 'Europe/Berlin', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }]
+    );
+    assert.throws(() => linkAvailabilityService.normalizeWindows({}), /must be an array/);
+    assert.throws(() => linkAvailabilityService.normalizeWindows(Array(11).fill({ days: [1] })), /at most 10 windows/);
+    assert.throws(() => linkAvailabilityService.normalizeWindows([{ days: [1] }, { start: '25:00', end: '02:00' }]), /window #2.start\/end/);
+    assert.deepStrictEqual(await linkService.prepareAvailability({ maxClicks: '3', fallbackUrl: '' }), { maxClicks: 3, fallbackUrl: null });
+    await assert.rejects(linkService.prepareAvailability({ fallbackUrl: 'javascript:alert(1)' }), /Invalid fallbackUrl: must be an http\(s\) URL/);
+    console.log('✅ Limits, activateAt, windows and fallback URL validated');
+
+    console.log('📋 Link status...');
+    const now = new Date('2026-10-19T08:00:00Z'); // thứ Hai, 10:00 Berlin
+    const status = (values) => {
+      const link = Link.build({ originalUrl: 'https://example.com', shortCode: 'status', isActive: true, ...values });
+      return [linkAvailabilityService.getStatus(link, now), link.canAccess(null, now)];
+    };
+    const office = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', timezone: 'Europe/Berlin' };
+    assert.deepStrictEqual(status({}), [null, true]);
+    assert.deepStrictEqual(status({ expiresAt: new Date(now - HOUR) }), ['expired', false]);
+    assert.deepStrictEqual(status({ maxClicks: 5, clickCount: 5 }), ['expired', false]);
+    assert.deepStrictEqual(status({ maxClicks: 5, clickCount: 4, maxUniqueClicks: 2, uniqueClicks: 2 }), ['expired', false]);
+    assert.deepStrictEqual(status({ expiredAt: new Date(now - HOUR), maxClicks: 10, clickCount: 1 }), ['expired', false]);
+    assert.deepStrictEqual(status({ activateAt: new Date(now.getTime() + HOUR) }), ['scheduled', false]);
+    assert.deepStrictEqual(status({ activateAt: new Date(now.getTime() + HOUR), expiresAt: new Date(now - HOUR) }), ['expired', false]);
+    assert.deepStrictEqual(status({ availabilityWindows: [office] }), [null, true]);
+    assert.deepStrictEqual(status({ availabilityWindows: [{ ...office, start: '12:00' }] }), ['unavailable', false]);
+    assert.deepStrictEqual(status({ availabilityWindows: [{ ...office, start: '12:00' }, { days: [1], timezone: 'UTC' }] }), [null, true]);
+    console.log('✅ Expiry before schedule before availability windows, canAccess agrees');
+
+    try {
+      await sequelize.authenticate();
+    } catch (error) {
+      console.log(`⚠️ PostgreSQL not reachable (${error.message}) - redirect checks skipped`);
+      console.log('\n🎉 Link availability test completed successfully!');
+      return;
+    }
+    await sequelize.sync();
+    linkService.isInitialized = true; // không cần ElasticSearch
+
+    user = await User.create({ email: `availability-${RUN}@example.com`, name: 'Availability Test', password: 'Available123' });
+    const createLink = (code, values) =>
+      Link.create({ userId: user.id, originalUrl: 'https://example.com/offer', shortCode: `${code}-${RUN}`, title: 'Offer', ...values });
+    let visitor = 0;
+    const visit = (link, userAgent = BROWSER) =>
+      linkService.processClick(link.shortCode, null, { ipAddress: `198.51.100.${(visitor += 1)}`, userAgent });
+    const outcome = (result) => (result.blocked ? `blocked:${result.reason}` : result.fallback ? `fallback:${result.originalUrl}` : result.originalUrl);
+
+    console.log('📋 Click limits...');
+    const limited = await createLink('max', { maxClicks: 3, fallbackUrl: 'https://example.com/sold-out' });
+    console.log = () => {};
+    const bot = await visit(limited, GOOGLEBOT);
+    const burst = await Promise.all(Array.from({ length: 6 }, () => visit(limited)));
+    console.log = log;
+    assert.deepStrictEqual(burst.map(outcome).sort(), [
+      ...Array(3).fill('fallback:https://example.com/sold-out'),
+      ...Array(3).fill('https://example.com/offer'),
+    ]);
+    assert.strictEqual(bot.isBot, true);
+    await limited.reload();
+    assert.deepStrictEqual([limited.clickCount, limited.uniqueClicks, limited.botClicks], [3, 3, 1]);
+    assert.ok(limited.expiredAt, 'expiredAt not set');
+    assert.strictEqual(await Click.count({ where: { linkId: limited.id, isBot: false } }), 3);
+
+    const unique = await createLink('uniq', { maxUniqueClicks: 1 });
+    console.log = () => {};
+    const firstVisit = await linkService.processClick(unique.shortCode, null, { ipAddress: '203.0.113.9', userAgent: BROWSER });
+    const secondVisit = await linkService.processClick(unique.shortCode, null, { ipAddress: '203.0.113.9', userAgent: BROWSER });
+    console.log = log;
+    assert.deepStrictEqual([outcome(firstVisit), outcome(secondVisit)], ['https://example.com/offer', 'blocked:expired']);
+    console.log('✅ Concurrent visits never pass maxClicks, the last allowed click expires the link, bots use no slot');
+
+    console.log('📋 Scheduling and windows...');
+    const scheduled = await createLink('soon', { activateAt: new Date(Date.now() + HOUR) });
+    const teaser = await createLink('teaser', { activateAt: new Date(Date.now() + HOUR), fallbackUrl: 'https://example.com/coming-soon' });
+    const closed = await createLink('closed', { availabilityWindows: [{ start: utcTime(2), end: utcTime(3), timezone: 'UTC' }] });
+    const open = await createLink('open', { activateAt: new Date(Date.now() - HOUR), availabilityWindows: [{ days: [0, 1, 2, 3, 4, 5, 6], timezone: 'UTC' }] });
+    console.log = () => {};
+    const results = [await visit(scheduled), await visit(teaser), await visit(closed), await visit(open)];
+    console.log = log;
+    assert.deepStrictEqual(results.map(outcome), [
+      'blocked:scheduled',
+      'fallback:https://example.com/coming-soon',
+      'blocked:unavailable',
+      'https://example.com/offer',
+    ]);
+    assert.deepStrictEqual(results.map(({ fallback }) => fallback || null), [null, 'scheduled', null, null]);
+    await teaser.reload();
+    assert.deepStrictEqual([teaser.clickCount, teaser.expiredAt], [0, null], 'fallback visit counted');
+    console.log('✅ Not live before activateAt or outside windows, fallback URL not counted as a click');
+
+    console.log('📋 Expiry sweep and email...');
+    const dated = await createLink('dated', { expiresAt: new Date(Date.now() - HOUR), fallbackUrl: 'https://example.com/ended' });
+    const findLinks = Link.findAll.bind(Link);
+    Link.findAll = (options) => findLinks({ ...options, where: { ...options.where, userId: user.id } });
+    console.log = () => {};
+    const sweep = await linkAvailabilityService.expireDueLinks();
+    const again = await linkAvailabilityService.expireDueLinks();
+    console.log = log;
+    Link.findAll = findLinks;
+    assert.deepStrictEqual([sweep, again], [{ expired: 1 }, { expired: 0 }]);
+    await dated.reload();
+    assert.ok(dated.expiredAt, 'sweep did not mark the link');
+
+    const pick = ({ template, to, shortCode, reason, limit, fallbackUrl }) => [template, to, shortCode, reason, limit, fallbackUrl];
+    assert.deepStrictEqual(emails.map(pick), [
+      ['linkExpired', user.email, limited.shortCode, 'clicks', 3, 'https://example.com/sold-out'],
+      ['linkExpired', user.email, unique.shortCode, 'unique_clicks', 1, null],
+      ['linkExpired', user.email, dated.shortCode, 'date', null, 'https://example.com/ended'],
+    ]);
+    assert.strictEqual(await linkAvailabilityService.markExpired(limited, 'clicks'), false);
+    assert.strictEqual(emails.length, 3);
+    console.log('✅ Unvisited links expired by the sweep, owner emailed once per link with the reason');
+
+    console.log('\n🎉 Link availability test completed successfully!');
+  } catch (error) {
+    console.log = log;
+    console.error('❌ Link availability test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (user) {
+      const links = await Link.findAll({ where: { userId: user.id }, paranoid: false, attributes: ['id'] }).catch(() => []);
+      await Click.destroy({ where: { linkId: links.map(({ id }) => id) } }).catch(() => {});
+      await Link.destroy({ where: { userId: user.id }, force: true, hooks: false }).catch(() => {});
+      await user.destroy().catch(() => {});
+    }
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testLinkAvailability();
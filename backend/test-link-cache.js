@@ -0,0 +1,139 @@
+// backend/test-link-cache.js
+// LinkCacheService invalidation against an in-memory Redis (ioredis-mock) - no PostgreSQL:
+// the query interface is stubbed, so Link.update and transactions only run their hooks
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+const Transaction = require('sequelize/lib/transaction');
+
+const { Link, sequelize } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const config = require('./config');
+const linkCacheService = require('./domains/links/services/LinkCacheService');
+
+const LINK_ID = '6f1c1d9e-3b7a-4c1e-9a55-2f7d0c6b1a01';
+
+// "Database": committed row + number of reads
+const db = { row: { id: LINK_ID, shortCode: 'sale', originalUrl: 'https://example.com/', isActive: true }, reads: 0 };
+let beforeRead = null;
+
+Link.findByShortCodeAndDomain = async (shortCode) => {
+  db.reads += 1;
+  const row = { ...db.row };
+  if (beforeRead) await beforeRead();
+  return shortCode === row.shortCode ? Link.build(row, { isNewRecord: false }) : null;
+};
+
+// Hook bulk update theo id đọc shortCode/domain của các link đó
+Link.findAll = async ({ where }) =>
+  [].concat(where.id).includes(db.row.id) ? [Link.build(db.row, { isNewRecord: false })] : [];
+
+const queryInterface = sequelize.getQueryInterface();
+queryInterface.bulkUpdate = async () => [1];
+queryInterface.commitTransaction = async (transaction) => {
+  if (!transaction.parent && transaction.onCommit) transaction.onCommit(); // dữ liệu hiện ra cho request khác
+};
+
+// Transaction / savepoint như sequelize.transaction() tạo, không cần kết nối thật
+const startTransaction = (parent = null) => {
+  const transaction = new Transaction(sequelize, parent ? { transaction: parent } : {});
+  transaction.connection = {};
+  return transaction;
+};
+
+async function testLinkCache() {
+  console.log('🧪 Testing link cache invalidation with an in-memory Redis...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+  config.redirect.linkCache = true;
+
+  try {
+    console.log('📋 Cache fill and hit...');
+    assert.strictEqual((await linkCacheService.resolve('sale')).isActive, true);
+    assert.strictEqual((await linkCacheService.resolve('sale')).isActive, true);
+    assert.strictEqual(db.reads, 1);
+    console.log('✅ Second redirect served from Redis');
+
+    console.log('📋 Bulk deactivate inside a savepoint...');
+    const transaction = startTransaction();
+    const savepoint = startTransaction(transaction);
+    await Link.update({ isActive: false }, { where: { id: LINK_ID }, transaction: savepoint });
+    await savepoint.commit(); // release savepoint - transaction gốc chưa commit
+
+    // Redirect giữa lúc release savepoint và commit thật: vẫn đọc dữ liệu cũ
+    assert.strictEqual((await linkCacheService.resolve('sale')).isActive, true);
+
+    transaction.onCommit = () => {
+      db.row = { ...db.row, isActive: false };
+    };
+    await transaction.commit();
+
+    const afterCommit = await linkCacheService.resolve('sale');
+    assert.strictEqual(afterCommit.isActive, false, 'cache still serves the row from before the commit');
+    console.log('✅ Invalidated on the outer commit, not on the savepoint release');
+
+    console.log('📋 Invalidation while a miss is reading the database...');
+    db.row = { ...db.row, isActive: true };
+    await linkCacheService.invalidateKeys([{ shortCode: 'sale', domainId: null, domainName: null }]);
+
+    beforeRead = async () => {
+      // Update + invalidation chen vào sau khi request này đã đọc row cũ
+      db.row = { ...db.row, originalUrl: 'https://example.com/new' };
+      await linkCacheService.invalidateKeys([{ shortCode: 'sale', domainId: null, domainName: null }]);
+    };
+    assert.strictEqual((await linkCacheService.resolve('sale')).originalUrl, 'https://example.com/');
+    beforeRead = null;
+
+    assert.strictEqual(await cacheService.get(cacheService.linkCacheKey('sale')), null, 'stale row was written back');
+    assert.strictEqual((await linkCacheService.resolve('sale')).originalUrl, 'https://example.com/new');
+    console.log('✅ Stale read not cached after a concurrent invalidation');
+
+    console.log('📋 Generation bump while a miss is reading the database...');
+    await linkCacheService.invalidateKeys([{ shortCode: 'sale', domainId: null, domainName: null }]);
+    beforeRead = () => linkCacheService.bumpGeneration();
+    await linkCacheService.resolve('sale');
+    beforeRead = null;
+    assert.strictEqual(await cacheService.get(cacheService.linkCacheKey('sale')), null);
+    console.log('✅ Stale read not cached after a concurrent bulk change');
+
+    console.log('📋 Bulk update by id (metadata job, flagged link)...');
+    db.row = { ...db.row, shortCode: 'sale' };
+    const generation = await cacheService.get('link:resolve:generation');
+    await linkCacheService.resolve('sale');
+    await linkCacheService.resolve('missing-before'); // entry của link khác vẫn phải còn
+    let reads = db.reads;
+
+    const metadata = { title: 'Sale', fetchedAt: new Date().toISOString() };
+    await Link.update({ urlMetadata: metadata }, { where: { id: LINK_ID } });
+    db.row = { ...db.row, urlMetadata: metadata };
+
+    assert.strictEqual(await cacheService.get('link:resolve:generation'), generation, 'whole cache wiped');
+    assert.strictEqual(await linkCacheService.resolve('missing-before'), null);
+    assert.strictEqual(db.reads, reads, 'other entries were invalidated');
+    assert.deepStrictEqual((await linkCacheService.resolve('sale')).urlMetadata, metadata);
+    assert.strictEqual(db.reads, reads + 1);
+    console.log('✅ Only the updated link was invalidated');
+
+    reads = db.reads;
+    await Link.update({ isActive: false }, { where: { userId: 'someone' } });
+    await Link.update({ shortCode: 'sale2' }, { where: { id: LINK_ID } });
+    assert.strictEqual(await cacheService.get('link:resolve:generation'), generation + 2);
+    console.log('✅ Updates not keyed by id, or changing the short code, still bump the generation');
+
+    console.log('📋 Not found entries...');
+    reads = db.reads;
+    assert.strictEqual(await linkCacheService.resolve('missing'), null);
+    assert.strictEqual(await linkCacheService.resolve('missing'), null);
+    assert.strictEqual(db.reads, reads + 1);
+    console.log('✅ Unknown short code cached as not found');
+
+    console.log('\n🎉 Link cache test completed successfully!');
+  } catch (error) {
+    console.error('❌ Link cache test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+testLinkCache();
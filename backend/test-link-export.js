@@ -0,0 +1,154 @@
+// backend/test-link-export.js
+// Streaming link export (CSV / JSON / NDJSON) through the server-side cursor - needs the PostgreSQL
+// from config. Creates missing tables, never drops anything; the test users and their links,
+// domain and workspace are deleted at the end.
+const assert = require('assert');
+const { PassThrough } = require('stream');
+
+const { sequelize, User, Link, Domain, Workspace } = require('./models');
+const linkExportService = require('./domains/links/services/LinkExportService');
+const linkImportService = require('./domains/links/services/LinkImportService');
+
+const RUN = Date.now().toString(36);
+const LINK_COUNT = 1100; // > 2 batch cursor (500)
+
+// Export vào bộ nhớ, như HTTP response
+const exportLinks = async (owner, format, filters = {}) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  const count = await linkExportService.streamLinks(owner, format, filters, output);
+  return { count, text: Buffer.concat(chunks).toString() };
+};
+
+async function testLinkExport() {
+  console.log('🧪 Testing streaming link export against PostgreSQL...\n');
+
+  try {
+    await sequelize.authenticate();
+  } catch (error) {
+    console.log(`⚠️ PostgreSQL not reachable (${error.message}) - link export test skipped`);
+    process.exit();
+  }
+
+  const { log } = console;
+  const users = [];
+  let domain;
+  let workspace;
+  try {
+    await sequelize.sync();
+
+    const [user, other] = await Promise.all(
+      ['export', 'export-other'].map((name) =>
+        User.create({ email: `${name}-test-${RUN}@example.com`, name: 'Export Test', password: 'ExportTest123' })
+      )
+    );
+    users.push(user, other);
+    domain = await Domain.create({ userId: user.id, domain: `go-${RUN}.example.com`, isActive: true, isVerified: true });
+    workspace = await Workspace.create({ name: `Export ${RUN}`, createdBy: user.id });
+
+    const base = { userId: user.id, originalUrl: 'https://example.com/', fullShortUrl: 'https://sl.example/x' };
+    await Link.bulkCreate(
+      Array.from({ length: LINK_COUNT }, (_, index) => ({
+        ...base,
+        shortCode: `e${index}-${RUN}`,
+        title: `Link ${index}`,
+        clickCount: (index * 7) % 1000,
+        createdAt: new Date(Date.UTC(2026, 0, 1) + index * 60000),
+      }))
+    );
+    await Link.bulkCreate([
+      {
+        ...base,
+        shortCode: `special-${RUN}`,
+        customCode: `special-${RUN}`,
+        domainId: domain.id,
+        title: 'Sale, "50%" off\nnow',
+        campaign: 'spring',
+        tags: ['promo', 'email'],
+        utmParameters: { utm_source: 'newsletter', utm_medium: 'email' },
+        clickCount: 5000,
+      },
+      { ...base, shortCode: `inactive-${RUN}`, isActive: false },
+      { ...base, shortCode: `deleted-${RUN}`, deletedAt: new Date() },
+      { ...base, shortCode: `other-${RUN}`, userId: other.id },
+      { ...base, shortCode: `team-${RUN}`, workspaceId: workspace.id, title: 'Team link' },
+    ]);
+    const total = LINK_COUNT + 1;
+
+    console.log('📋 CSV...');
+    console.log = () => {}; // export log từng lần
+    const csv = await exportLinks(user.id, 'csv', { sortBy: 'clickCount', sortOrder: 'DESC' });
+    console.log = log;
+
+    assert.strictEqual(csv.count, total);
+    const rows = linkImportService.parseFile(csv.text, 'csv');
+    assert.strictEqual(rows.length, total);
+    assert.deepStrictEqual(Object.keys(rows[0]).slice(0, 5), ['id', 'shortCode', 'customCode', 'fullShortUrl', 'originalUrl']);
+    const [special] = rows;
+    assert.strictEqual(special.title, 'Sale, "50%" off\nnow');
+    assert.strictEqual(special.domain, domain.domain);
+    assert.strictEqual(special.tags, 'promo;email');
+    assert.strictEqual(special.utm_source, 'newsletter');
+    assert.strictEqual(rows[1].domain, 'system');
+    const clickCounts = rows.map((row) => Number(row.clickCount));
+    assert.deepStrictEqual(clickCounts, [...clickCounts].sort((a, b) => b - a));
+    assert.ok(!rows.some((row) => /^(inactive|deleted|other|team)-/.test(row.shortCode)));
+
+    const reimport = linkImportService.normalizeRow(special);
+    assert.deepStrictEqual(reimport.errors, []);
+    assert.deepStrictEqual(reimport.data.tags, ['promo', 'email']);
+    assert.deepStrictEqual(reimport.data.utmParameters, { utm_source: 'newsletter', utm_medium: 'email' });
+    console.log(`✅ ${csv.count} rows across cursor batches, quoted fields, sorted, readable by the importer`);
+
+    console.log('📋 JSON and NDJSON...');
+    console.log = () => {};
+    const json = await exportLinks(user.id, 'json', { sortBy: 'createdAt', sortOrder: 'ASC' });
+    const ndjson = await exportLinks(user.id, 'ndjson', { search: 'special' });
+    const team = await exportLinks({ userId: other.id, workspaceId: workspace.id }, 'ndjson');
+    console.log = log;
+
+    const links = JSON.parse(json.text);
+    assert.strictEqual(links.length, total);
+    assert.strictEqual(links[0].shortCode, `e0-${RUN}`);
+    assert.strictEqual(links[LINK_COUNT - 1].shortCode, `e${LINK_COUNT - 1}-${RUN}`);
+    assert.strictEqual(new Set(links.map(({ id }) => id)).size, total);
+    assert.deepStrictEqual(links.find(({ campaign }) => campaign === 'spring').tags, ['promo', 'email']);
+
+    const lines = ndjson.text.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(({ shortCode }) => shortCode), [`special-${RUN}`]);
+    assert.deepStrictEqual(lines[0].utmParameters, { utm_source: 'newsletter', utm_medium: 'email' });
+    assert.deepStrictEqual(team.text.trim().split('\n').map((line) => JSON.parse(line).shortCode), [`team-${RUN}`]);
+    console.log('✅ JSON array and NDJSON lines, search filter, workspace scope');
+
+    console.log('📋 Empty exports and validation...');
+    console.log = () => {};
+    const emptyOwner = { userId: other.id, workspaceId: null };
+    await Link.destroy({ where: { userId: other.id } });
+    assert.strictEqual((await exportLinks(emptyOwner, 'json')).text, '[]\n');
+    assert.strictEqual((await exportLinks(emptyOwner, 'ndjson')).text, '');
+    assert.match((await exportLinks(emptyOwner, 'csv')).text, /^id,shortCode,.*,updatedAt\n$/);
+    console.log = log;
+
+    assert.throws(() => linkExportService.getFormat('xml'), /Invalid format/);
+    assert.throws(() => linkExportService.buildExportQuery(user.id, { sortBy: 'password' }), /Invalid sortBy/);
+    assert.throws(() => linkExportService.buildExportQuery(user.id, { sortOrder: 'sideways' }), /Invalid sortOrder/);
+    console.log('✅ Empty files stay well-formed, bad formats / sorts rejected');
+
+    console.log('\n🎉 Link export test completed successfully!');
+  } catch (error) {
+    console.log = log;
+    console.error('❌ Link export test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    const userIds = users.map((user) => user.id);
+    await Link.destroy({ where: { userId: userIds }, force: true, hooks: false }).catch(() => {});
+    if (workspace) await workspace.destroy().catch(() => {});
+    if (domain) await domain.destroy().catch(() => {});
+    await User.destroy({ where: { id: userIds } }).catch(() => {});
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testLinkExport();
@@ -0,0 +1,174 @@
+// backend/test-link-import.js
+// Link import: CSV/JSON parsing, dry-run report (row errors, duplicates, conflicts with existing
+// links), the import itself and who may poll an import job. Models, destination checks and the
+// queue are stubbed, Redis is ioredis-mock - no PostgreSQL needed.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const { Link, Domain, WorkspaceMember } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const bullMQService = require('./core/queue/BullMQService');
+const destinationPolicyService = require('./domains/security/services/DestinationPolicyService');
+const urlReputationService = require('./domains/security/services/UrlReputationService');
+const linkService = require('./domains/links/services/LinkService');
+const linkImportService = require('./domains/links/services/LinkImportService');
+
+const USER_ID = '7a1c3e50-2b4d-4f6a-8c9e-0d1f2a3b4c5d';
+const TEAMMATE_ID = '7a1c3e50-2b4d-4f6a-8c9e-0d1f2a3b4c5e';
+const VIEWER_ID = '7a1c3e50-2b4d-4f6a-8c9e-0d1f2a3b4c5f';
+const WORKSPACE_ID = 'b2d4f6a8-1c3e-4a5b-9d7f-2e4a6c8b0d1f';
+const DOMAIN_ID = 'c3e5a7b9-2d4f-4b6c-8e0a-3f5b7d9c1e2a';
+
+// Short code đã có trong DB (kể cả link đã xoá mềm)
+const existingCodes = { [DOMAIN_ID]: ['promo'], null: ['taken', 'old-deleted'] };
+Link.findAll = async ({ where }) =>
+  (existingCodes[where.domainId] || []).filter((code) => where.shortCode.includes(code)).map((shortCode) => ({ shortCode }));
+Domain.findOne = async ({ where }) => (where.id === DOMAIN_ID && where.userId === USER_ID ? { id: DOMAIN_ID } : null);
+
+destinationPolicyService.checkUrl = async (url) =>
+  new URL(url).hostname === '10.0.0.5' ? { allowed: false, reason: 'private network address' } : { allowed: true };
+urlReputationService.checkUrl = async (url) =>
+  new URL(url).hostname === 'malware.example' ? { flagged: true, list: 'test-blocklist' } : { flagged: false };
+urlReputationService.assertNotFlagged = async () => {};
+destinationPolicyService.assertAllowed = async () => {};
+
+const created = [];
+linkService.prepareLinkData = async (owner, data) => ({ ...owner, ...data, shortCode: data.customCode || `gen${created.length}` });
+linkService.queueMetadataJob = async () => {};
+Link.create = async (attributes) => {
+  if (attributes.customCode === 'race') throw new Error('Custom short code already exists');
+  const link = { id: `link-${created.length}`, ...attributes, fullShortUrl: `https://sl.example/${attributes.shortCode}` };
+  created.push(link);
+  return link;
+};
+
+const roles = { [TEAMMATE_ID]: 'editor', [VIEWER_ID]: 'viewer' };
+WorkspaceMember.findOne = async ({ where }) =>
+  where.workspaceId === WORKSPACE_ID && roles[where.userId]
+    ? { workspaceId: WORKSPACE_ID, role: roles[where.userId], workspace: { name: 'Growth' } }
+    : null;
+
+const jobs = {
+  personal: { id: 'personal', userId: USER_ID, workspaceId: null, state: 'completed' },
+  team: { id: 'team', userId: USER_ID, workspaceId: WORKSPACE_ID, state: 'active' },
+};
+bullMQService.getImportJob = async (jobId) => jobs[jobId] || null;
+
+const CSV = [
+  'url,customCode,title,tags,expiresAt,utm_source',
+  'https://example.com/a,spring,Spring sale,promo;email,,newsletter',
+  'not-a-url,,,,,',
+  'https://10.0.0.5/admin,,,,,',
+  'https://malware.example/x,,,,,',
+  'https://example.com/b,taken,,,,',
+  'https://example.com/c,spring,,,,',
+  'https://example.com/d,,,,2001-01-01,',
+  'https://example.com/e,old-deleted,,,,',
+  'https://example.com/f,,No code,,,',
+].join('\n');
+
+async function testLinkImport() {
+  console.log('🧪 Testing link import validation and job access...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+  const { log } = console;
+
+  try {
+    console.log('📋 Parsing files...');
+    const rows = linkImportService.parseFile(CSV, 'csv');
+    assert.strictEqual(rows.length, 9);
+    assert.deepStrictEqual(linkImportService.parseFile('{"links":[{"url":"https://example.com"}]}', 'json'), [{ url: 'https://example.com' }]);
+    assert.throws(() => linkImportService.parseFile('  ', 'csv'), /Import file is empty/);
+    assert.throws(() => linkImportService.parseFile('{"links":[]}', 'json'), /Import file contains no rows/);
+    assert.throws(() => linkImportService.parseFile('[{', 'json'), /^Error: Invalid JSON/);
+    assert.throws(() => linkImportService.parseFile('a,b', 'xml'), /Invalid import format/);
+    console.log('✅ CSV and JSON parsed, empty / malformed files rejected');
+
+    console.log('📋 Dry run...');
+    console.log = () => {};
+    const report = await linkImportService.runImport({ userId: USER_ID, rows, options: { dryRun: true } });
+    console.log = log;
+
+    assert.strictEqual(report.dryRun, true);
+    assert.strictEqual(report.totalRows, 9);
+    assert.strictEqual(report.validRows, 2);
+    assert.strictEqual(report.invalidRows, 7);
+    const errorsOf = (row) => report.errors.find((entry) => entry.row === row)?.errors || [];
+    assert.ok(errorsOf(2).includes('Invalid URL format'));
+    assert.deepStrictEqual(errorsOf(3), ['Destination not allowed: private network address']);
+    assert.deepStrictEqual(errorsOf(4), ['Destination not allowed: flagged as malicious (test-blocklist)']);
+    assert.deepStrictEqual(errorsOf(6), ['Duplicate customCode "spring" (also on row 1)']);
+    assert.deepStrictEqual(errorsOf(7), ['expiresAt must be in the future']);
+    assert.deepStrictEqual(report.conflicts, [
+      { row: 5, customCode: 'taken' },
+      { row: 8, customCode: 'old-deleted' },
+    ]);
+    assert.deepStrictEqual(errorsOf(5), ['Short code "taken" already exists on this domain']);
+    assert.strictEqual(created.length, 0, 'dry run created links');
+    console.log('✅ Row errors, duplicates and conflicts (soft-deleted links too) reported, nothing created');
+
+    console.log('📋 Row normalisation...');
+    const { data } = linkImportService.normalizeRow(rows[0]);
+    assert.deepStrictEqual(data.tags, ['promo', 'email']);
+    assert.deepStrictEqual(data.utmParameters, { utm_source: 'newsletter' });
+    assert.deepStrictEqual(linkImportService.normalizeRow({ url: 'https://example.com', utmParameters: '{"utm_x":"1"}' }).errors, [
+      'Unknown UTM parameter: utm_x',
+    ]);
+    assert.deepStrictEqual(linkImportService.normalizeRow(['https://example.com']).errors, ['Row must be an object']);
+    console.log('✅ Tags, utm_* columns and UTM JSON mapped');
+
+    console.log('📋 Custom domain...');
+    console.log = () => {};
+    const domainReport = await linkImportService.runImport({
+      userId: USER_ID,
+      rows: [{ url: 'https://example.com/p', customCode: 'promo' }, { url: 'https://example.com/t', customCode: 'taken' }],
+      options: { dryRun: true, domainId: DOMAIN_ID },
+    });
+    console.log = log;
+    assert.deepStrictEqual(domainReport.conflicts, [{ row: 1, customCode: 'promo' }]);
+    await assert.rejects(
+      linkImportService.validateRows({ userId: TEAMMATE_ID }, rows, { domainId: DOMAIN_ID }),
+      /Domain not found or not verified/
+    );
+    console.log('✅ Conflicts checked on the target domain, other users\' domains rejected');
+
+    console.log('📋 Import...');
+    const progress = [];
+    console.log = () => {};
+    const result = await linkImportService.runImport(
+      { userId: USER_ID, rows: [...rows, { url: 'https://example.com/r', customCode: 'race' }], options: { workspaceId: WORKSPACE_ID } },
+      async (value) => progress.push(value)
+    );
+    console.log = log;
+
+    assert.strictEqual(result.createdRows, 2);
+    assert.deepStrictEqual(created.map(({ shortCode, workspaceId }) => [shortCode, workspaceId]), [
+      ['spring', WORKSPACE_ID],
+      ['gen1', WORKSPACE_ID],
+    ]);
+    assert.strictEqual(result.failedRows, 8);
+    assert.deepStrictEqual(result.errors.find((entry) => entry.row === 10).errors, ['Custom short code already exists']);
+    assert.deepStrictEqual([progress[0], progress[progress.length - 1]], [20, 100]);
+    console.log('✅ Valid rows created in the workspace, insert failures reported per row');
+
+    console.log('📋 Job access...');
+    assert.strictEqual((await linkImportService.getJob(USER_ID, 'personal')).id, 'personal');
+    assert.strictEqual(await linkImportService.getJob(TEAMMATE_ID, 'personal'), null);
+    assert.strictEqual((await linkImportService.getJob(TEAMMATE_ID, 'team')).id, 'team');
+    assert.strictEqual(await linkImportService.getJob(VIEWER_ID, 'team'), null);
+    assert.strictEqual(await linkImportService.getJob(USER_ID, 'team'), null, 'creator left the workspace');
+    assert.strictEqual(await linkImportService.getJob(USER_ID, 'missing'), null);
+    console.log('✅ Personal jobs for their creator, workspace jobs for the workspace\'s editors');
+
+    console.log('\n🎉 Link import test completed successfully!');
+  } catch (error) {
+    console.log = log;
+    console.error('❌ Link import test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+testLinkImport();
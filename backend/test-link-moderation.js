@@ -0,0 +1,166 @@
+// backend/test-link-moderation.js
+// Link moderation state transitions with their audit trail, bulk review and new-user approval mode -
+// needs the PostgreSQL from config (row locks, savepoints). Destination checks are stubbed (no DNS).
+// Creates missing tables, never drops anything; test users, links and audit entries are deleted at the end.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const { sequelize, User, Link, AuditLog } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const settingsService = require('./core/settings/SettingsService');
+const destinationPolicyService = require('./domains/security/services/DestinationPolicyService');
+const urlReputationService = require('./domains/security/services/UrlReputationService');
+const linkService = require('./domains/links/services/LinkService');
+const linkModerationService = require('./domains/admin/services/LinkModerationService');
+
+const RUN = Date.now().toString(36);
+const DAY = 24 * 60 * 60 * 1000;
+
+destinationPolicyService.assertAllowed = async () => {};
+urlReputationService.assertNotFlagged = async () => {};
+
+// moderation.requireApproval bật cho test (mặc định tắt)
+const settings = { 'moderation.requireApproval': true, 'moderation.newUserDays': 7 };
+const getSetting = settingsService.get.bind(settingsService);
+settingsService.get = (key) => (key in settings ? settings[key] : getSetting(key));
+
+async function testLinkModeration() {
+  console.log('🧪 Testing link moderation against PostgreSQL...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    await sequelize.authenticate();
+  } catch (error) {
+    console.log(`⚠️ PostgreSQL not reachable (${error.message}) - link moderation test skipped`);
+    process.exit();
+  }
+
+  const { log } = console;
+  const users = [];
+  const statusOf = async (link) => (await Link.findByPk(link.id, { paranoid: false })).moderationStatus;
+  try {
+    await sequelize.sync();
+
+    const createUser = async (name, attributes = {}) => {
+      const user = await User.create({ email: `${name}-${RUN}@example.com`, name, password: 'Moderation123', ...attributes });
+      users.push(user);
+      return user;
+    };
+    const admin = await createUser('mod-admin', { role: 'admin' });
+    const newcomer = await createUser('mod-new');
+    const veteran = await createUser('mod-old');
+    await User.update({ createdAt: new Date(Date.now() - 30 * DAY) }, { where: { id: veteran.id }, silent: true });
+
+    console.log('📋 New-user approval mode...');
+    assert.strictEqual(await linkModerationService.requiresApproval(newcomer.id), true);
+    assert.strictEqual(await linkModerationService.requiresApproval(veteran.id), false);
+    assert.strictEqual(await linkModerationService.requiresApproval(admin.id), false);
+    settings['moderation.requireApproval'] = false;
+    assert.strictEqual(await linkModerationService.requiresApproval(newcomer.id), false);
+    settings['moderation.requireApproval'] = true;
+
+    const prepared = await linkService.prepareLinkData(newcomer.id, { originalUrl: 'https://example.com/new', customCode: `pend-${RUN}` });
+    assert.strictEqual(prepared.moderationStatus, 'pending');
+    assert.strictEqual(
+      (await linkService.prepareLinkData(veteran.id, { originalUrl: 'https://example.com/old', customCode: `appr-${RUN}` })).moderationStatus,
+      'approved'
+    );
+    console.log('✅ Links of \'user\' accounts younger than newUserDays start pending, only while the setting is on');
+
+    const create = (code, attributes = {}) =>
+      Link.create({ userId: newcomer.id, originalUrl: `https://example.com/${code}`, shortCode: `${code}-${RUN}`, moderationStatus: 'pending', ...attributes });
+    const [pending, second, third] = await Promise.all(['a', 'b', 'c'].map((code) => create(code)));
+
+    console.log('📋 Single transitions...');
+    console.log = () => {}; // mỗi thay đổi trạng thái được log
+    const approved = await linkModerationService.moderate(pending.id, 'approve', { adminId: admin.id, ipAddress: '198.51.100.9' });
+    assert.strictEqual(approved.moderationStatus, 'approved');
+    assert.strictEqual(approved.moderatedBy, admin.id);
+    assert.ok(approved.moderatedAt instanceof Date);
+
+    await assert.rejects(linkModerationService.moderate(pending.id, 'reject', { adminId: admin.id }), /Reason is required/);
+    await assert.rejects(linkModerationService.moderate(pending.id, 'flag', { adminId: admin.id }), /Reason is required/);
+    await assert.rejects(linkModerationService.moderate(pending.id, 'ban', { adminId: admin.id, reason: 'x' }), /Invalid action/);
+    await assert.rejects(linkModerationService.moderate('nope', 'approve', { adminId: admin.id }), /Link not found/);
+    assert.strictEqual(await statusOf(pending), 'approved');
+
+    await linkModerationService.moderate(pending.id, 'flag', { adminId: admin.id, reason: 'Reported as phishing' });
+    await linkModerationService.moderate(pending.id, 'reject', { adminId: admin.id, reason: 'Confirmed phishing' });
+    console.log = log;
+    assert.strictEqual(await statusOf(pending), 'rejected');
+
+    const { entries, pagination } = await linkModerationService.getAuditTrail(pending.id);
+    assert.strictEqual(pagination.total, 3);
+    assert.deepStrictEqual(
+      entries.map(({ action, reason, metadata }) => [action, metadata.previousStatus, metadata.newStatus, reason]),
+      [
+        ['link.reject', 'flagged', 'rejected', 'Confirmed phishing'],
+        ['link.flag', 'approved', 'flagged', 'Reported as phishing'],
+        ['link.approve', 'pending', 'approved', null],
+      ]
+    );
+    assert.strictEqual(entries[2].ipAddress, '198.51.100.9');
+    assert.strictEqual(entries[0].actor.email, admin.email);
+    console.log('✅ pending -> approved -> flagged -> rejected, reasons required, each step audited');
+
+    console.log('📋 Blocklist false positive...');
+    await second.update({ isActive: false, blockedAt: new Date(), blockedReason: 'Listed in phishing.domains (example.com)' });
+    console.log = () => {};
+    await linkModerationService.moderate(second.id, 'flag', { adminId: null, reason: 'Listed in phishing.domains (example.com)' });
+    await linkModerationService.moderate(second.id, 'approve', { adminId: admin.id });
+    console.log = log;
+    await second.reload();
+    assert.deepStrictEqual([second.moderationStatus, second.isActive, second.blockedAt, second.blockedReason], ['approved', true, null, null]);
+    console.log('✅ Approving a blocklist-flagged link clears the block and reactivates it');
+
+    console.log('📋 Bulk review...');
+    console.log = () => {};
+    await assert.rejects(linkModerationService.bulkModerate([third.id], 'flag', { adminId: admin.id, reason: 'x' }), /Invalid action/);
+    await assert.rejects(linkModerationService.bulkModerate([third.id], 'reject', { adminId: admin.id }), /Reason is required/);
+    await assert.rejects(linkModerationService.bulkModerate([], 'approve', { adminId: admin.id }), /non-empty array/);
+    const missing = '00000000-0000-4000-8000-000000000000';
+    const bulk = await linkModerationService.bulkModerate([third.id, 'bad-id', missing], 'reject', { adminId: admin.id, reason: 'Spam' });
+    console.log = log;
+
+    assert.deepStrictEqual(bulk.summary, { total: 3, succeeded: 1, failed: 2 });
+    assert.deepStrictEqual(bulk.results.map(({ error }) => error || null), [null, 'Invalid link id', 'Link not found']);
+    assert.strictEqual(await statusOf(third), 'rejected');
+    assert.strictEqual(await AuditLog.count({ where: { targetId: third.id, action: 'link.reject' } }), 1);
+    console.log('✅ Unknown ids fail alone, the rest is applied and audited');
+
+    console.log('📋 Queue and removal...');
+    const queue = await linkModerationService.listLinks({ status: 'rejected', userId: newcomer.id });
+    assert.deepStrictEqual(queue.links.map(({ shortCode }) => shortCode).sort(), [`a-${RUN}`, `c-${RUN}`]);
+    assert.ok(queue.links.every((link) => link.password === undefined && link.user.email === newcomer.email));
+    assert.ok(queue.counts.rejected >= 2);
+    assert.strictEqual((await linkModerationService.listLinks({ search: `mod-new-${RUN}` })).pagination.total, 3);
+    await assert.rejects(linkModerationService.listLinks({ status: 'deleted' }), /Invalid status/);
+
+    console.log = () => {};
+    await linkModerationService.removeLink(pending.id, { adminId: admin.id, reason: 'Phishing' });
+    console.log = log;
+    assert.strictEqual(await Link.findByPk(pending.id), null);
+    const removed = await Link.findByPk(pending.id, { paranoid: false });
+    assert.strictEqual(removed.isActive, false);
+    assert.strictEqual((await linkModerationService.getAuditTrail(pending.id)).entries[0].action, 'link.delete');
+    console.log('✅ Queue filters by status / owner / email search, removal soft-deletes with an audit entry');
+
+    console.log('\n🎉 Link moderation test completed successfully!');
+  } catch (error) {
+    console.log = log;
+    console.error('❌ Link moderation test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    const userIds = users.map((user) => user.id);
+    const links = await Link.findAll({ where: { userId: userIds }, paranoid: false, attributes: ['id'] }).catch(() => []);
+    await AuditLog.destroy({ where: { targetId: links.map(({ id }) => id) } }).catch(() => {});
+    await Link.destroy({ where: { userId: userIds }, force: true, hooks: false }).catch(() => {});
+    await User.destroy({ where: { id: userIds } }).catch(() => {});
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testLinkModeration();
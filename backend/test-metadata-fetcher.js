@@ -0,0 +1,157 @@
+// backend/test-metadata-fetcher.js
+// Chạy MetadataService với một HTTP fixture server local (không cần Redis/PostgreSQL)
+const http = require('http');
+const assert = require('assert');
+
+// Fixture server chạy trên loopback -> phải nằm trong allow list của destination policy
+process.env.DESTINATION_ALLOWLIST = '127.0.0.1';
+
+const metadataService = require('./domains/links/services/MetadataService');
+
+const fixtures = {
+  '/article': (req, res, base) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!doctype html><html><head>
+      <title>  Fallback   title </title>
+      <meta property="og:title" content="OG Title">
+      <meta property="og:description" content="OG description">
+      <meta property="og:image" content="/images/cover.png">
+      <meta property="og:site_name" content="Fixture Site">
+      <meta property="og:type" content="article">
+      <meta name="twitter:card" content="summary_large_image">
+      <meta name="twitter:site" content="@fixture">
+      <link rel="canonical" href="/article">
+      <link rel="shortcut icon" href="/static/icon.png">
+      <link rel="alternate" type="application/json+oembed" href="${base}/oembed.json">
+    </head><body>Xin chào</body></html>`);
+  },
+  '/oembed.json': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ type: 'video', version: '1.0', provider_name: 'Fixture', html: '<iframe></iframe>' }));
+  },
+  '/plain': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><head><title>Plain page</title><meta name="description" content="Plain description"></head></html>');
+  },
+  '/redirect-1': (req, res) => {
+    res.writeHead(301, { Location: '/redirect-2' });
+    res.end();
+  },
+  '/redirect-2': (req, res) => {
+    res.writeHead(302, { Location: '/plain' });
+    res.end();
+  },
+  '/to-internal': (req, res) => {
+    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+    res.end();
+  },
+  '/loop': (req, res) => {
+    res.writeHead(302, { Location: '/loop' });
+    res.end();
+  },
+  '/large': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.write('<html><head><title>Large page</title></head><body>');
+    res.end('x'.repeat(512 * 1024));
+  },
+  '/slow': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.write('<html><head>');
+    setTimeout(() => res.end('<title>Too late</title></head></html>'), 2000);
+  },
+  '/server-error': (req, res) => {
+    res.writeHead(503);
+    res.end();
+  },
+  '/missing': (req, res) => {
+    res.writeHead(404);
+    res.end();
+  },
+};
+
+async function expectError(promise, pattern, retryable) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.match(error.message, pattern);
+    assert.strictEqual(error.retryable, retryable);
+    return;
+  }
+  throw new Error(`Expected error matching ${pattern}`);
+}
+
+async function testMetadataFetcher() {
+  console.log('🧪 Testing MetadataService against local fixture server...\n');
+
+  const server = http.createServer((req, res) => {
+    const handler = fixtures[req.url];
+    if (!handler) {
+      res.writeHead(404);
+      return res.end();
+    }
+    handler(req, res, `http://127.0.0.1:${server.address().port}`);
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log('📋 OpenGraph / Twitter Card / oEmbed / favicon...');
+    const article = await metadataService.fetchMetadata(`${base}/article`);
+    assert.strictEqual(article.title, 'OG Title');
+    assert.strictEqual(article.description, 'OG description');
+    assert.strictEqual(article.image, `${base}/images/cover.png`);
+    assert.strictEqual(article.siteName, 'Fixture Site');
+    assert.strictEqual(article.canonicalUrl, `${base}/article`);
+    assert.strictEqual(article.favicon, `${base}/static/icon.png`);
+    assert.strictEqual(article.twitter.card, 'summary_large_image');
+    assert.strictEqual(article.oembed.provider_name, 'Fixture');
+    assert.strictEqual(article.oembed.html, undefined);
+    console.log('✅ Article metadata parsed');
+
+    console.log('📋 Redirects...');
+    const redirected = await metadataService.fetchMetadata(`${base}/redirect-1`);
+    assert.strictEqual(redirected.finalUrl, `${base}/plain`);
+    assert.strictEqual(redirected.redirects, 2);
+    assert.strictEqual(redirected.title, 'Plain page');
+    assert.strictEqual(redirected.description, 'Plain description');
+    assert.strictEqual(redirected.favicon, `${base}/favicon.ico`);
+    console.log('✅ Redirect chain followed');
+
+    await expectError(metadataService.fetchMetadata(`${base}/redirect-1`, { maxRedirects: 1 }), /Too many redirects/, false);
+    await expectError(metadataService.fetchMetadata(`${base}/loop`), /Redirect loop/, false);
+    console.log('✅ Redirect limits enforced');
+
+    console.log('📋 Size and time caps...');
+    const large = await metadataService.fetchMetadata(`${base}/large`, { maxBytes: 64 * 1024 });
+    assert.strictEqual(large.truncated, true);
+    assert.strictEqual(large.title, 'Large page');
+    console.log('✅ Body truncated at size cap');
+
+    await expectError(metadataService.fetchMetadata(`${base}/slow`, { timeout: 500 }), /Timed out/, true);
+    console.log('✅ Timeout enforced');
+
+    console.log('📋 Error classification...');
+    await expectError(metadataService.fetchMetadata(`${base}/server-error`), /HTTP 503/, true);
+    await expectError(metadataService.fetchMetadata(`${base}/missing`), /HTTP 404/, false);
+    await expectError(metadataService.fetchMetadata('ftp://example.com/file'), /Unsupported protocol/, false);
+    console.log('✅ Retryable vs permanent errors classified');
+
+    console.log('📋 Destination policy...');
+    await expectError(metadataService.fetchMetadata(`${base}/to-internal`), /Destination not allowed/, false);
+    await expectError(metadataService.fetchMetadata('http://localhost/'), /Internal hostnames/, false);
+    await expectError(metadataService.fetchMetadata('http://[::ffff:10.0.0.1]/'), /private or reserved/, false);
+    console.log('✅ Private destinations blocked, including redirect hops');
+
+    console.log('\n🎉 Metadata fetcher test completed successfully!');
+  } catch (error) {
+    console.error('❌ Metadata fetcher test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    process.exit();
+  }
+}
+
+testMetadataFetcher();
@@ -0,0 +1,175 @@
+// backend/test-privacy-export.js
+// Personal data export: archive streamed to private storage + authenticated download.
+// Models and the analytics store are stubbed (không cần PostgreSQL / ElasticSearch), files go to a temp dir.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const assert = require('assert');
+const express = require('express');
+const AdmZip = require('adm-zip');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-export-'));
+process.env.STORAGE_LOCAL_DIR = path.join(storageRoot, 'uploads');
+process.env.STORAGE_PRIVATE_DIR = path.join(storageRoot, 'private');
+
+const { User, Link, Click, Domain, ApiKey, SecurityEvent, WorkspaceMember, PrivacyRequest } = require('./models');
+const authMiddleware = require('./domains/auth/middleware/authMiddleware');
+const authService = require('./domains/auth/services/AuthService');
+const clickTrackingService = require('./domains/analytics/services/ClickTrackingService');
+const privacyService = require('./domains/users/services/PrivacyService');
+
+const USER_ID = '3c9a1f20-7d4e-4b6a-9e21-5f0c8d7b6a31';
+const OTHER_USER_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+const LINK_COUNT = 1200;
+const CLICK_COUNT = 25000;
+
+const uuid = (prefix, index) => `${prefix}-0000-4000-8000-${String(index).padStart(12, '0')}`;
+
+// "Database": link/click sinh dần theo keyset (id > lastId), giống Postgres trả từng batch
+const keyset = (total, prefix, toRow) => async ({ where, limit }) => {
+  const lastId = where.id ? Object.getOwnPropertySymbols(where.id).map((symbol) => where.id[symbol])[0] : null;
+  const start = lastId ? parseInt(lastId.slice(-12)) + 1 : 0;
+  const rows = [];
+  for (let index = start; index < Math.min(start + limit, total); index++) {
+    rows.push(toRow(uuid(prefix, index), index));
+  }
+  return rows;
+};
+
+User.findByPk = async () => User.build({ id: USER_ID, email: 'carol@example.com', name: 'Carol' });
+WorkspaceMember.findAll = async () => [];
+Domain.findAll = async () => [];
+ApiKey.findAll = async () => [];
+SecurityEvent.findAll = async () => [];
+Link.findAll = keyset(LINK_COUNT, '11111111', (id, index) =>
+  Link.build({ id, userId: USER_ID, shortCode: `c${index}`, originalUrl: 'https://example.com/', password: index === 0 ? 'secret' : null })
+);
+Click.findAll = keyset(CLICK_COUNT, '22222222', (id, index) => ({ id, linkId: uuid('11111111', index % LINK_COUNT) }));
+clickTrackingService.scrollUserClicks = async (userId, onBatch) => {
+  await onBatch([{ linkId: uuid('11111111', 0), userId }]);
+  throw new Error('ElasticSearch unavailable'); // lỗi giữa chừng
+};
+authService.queueEmail = async () => {};
+
+const requests = new Map();
+const saveRequest = (data) => {
+  const request = { createdAt: new Date(), ...data, update: async (changes) => Object.assign(request, changes) };
+  requests.set(request.id, request);
+  return request;
+};
+PrivacyRequest.findByPk = async (id) => requests.get(id) || null;
+PrivacyRequest.findOne = async ({ where }) =>
+  [...requests.values()].find((request) => Object.entries(where).every(([key, value]) => request[key] === value)) || null;
+
+// API: user lấy từ header thay cho JWT
+authMiddleware.verifyToken = (req, res, next) => {
+  req.user = { id: req.get('x-test-user') };
+  next();
+};
+const userRoutes = require('./domains/users/routes/userRoutes');
+
+const get = (port, urlPath, userId) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ port, path: urlPath, headers: { 'x-test-user': userId } }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      })
+      .on('error', reject);
+  });
+
+async function testPrivacyExport() {
+  console.log('🧪 Testing personal data export archive and download...\n');
+
+  const app = express();
+  app.use('/api/users', userRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  const { log, error: logError } = console;
+  const quiet = () => Object.assign(console, { log: () => {}, error: () => {} }); // lỗi 404 / job lỗi được log
+  const loud = () => Object.assign(console, { log, error: logError });
+
+  try {
+    console.log('📋 Building the archive...');
+    const request = saveRequest({ id: '5e0f6b1c-2a3d-4c5e-8f90-1a2b3c4d5e6f', userId: USER_ID, type: 'export', status: 'pending' });
+    const result = await privacyService.runExport(request.id);
+
+    assert.strictEqual(request.status, 'completed', request.error);
+    assert.strictEqual(result.links, LINK_COUNT);
+    assert.strictEqual(result.clicks, CLICK_COUNT);
+    assert.strictEqual(result.clickEvents, null);
+
+    const privateFile = path.join(process.env.STORAGE_PRIVATE_DIR, request.fileKey);
+    assert.strictEqual(fs.statSync(privateFile).size, request.fileSize);
+    assert.ok(!fs.existsSync(path.join(process.env.STORAGE_LOCAL_DIR, request.fileKey)), 'archive is under /uploads');
+    console.log('✅ Archive written to private storage, size recorded');
+
+    console.log('📋 Archive content...');
+    const zip = new AdmZip(privateFile);
+    const read = (name) => zip.readAsText(name);
+
+    const links = JSON.parse(read('links.json'));
+    assert.strictEqual(links.length, LINK_COUNT);
+    assert.strictEqual(new Set(links.map(({ id }) => id)).size, LINK_COUNT);
+    assert.strictEqual(links[0].passwordProtected, true);
+    assert.ok(links.every((link) => !('password' in link)));
+
+    const clicks = read('clicks.ndjson').trim().split('\n').map((line) => JSON.parse(line));
+    assert.strictEqual(clicks.length, CLICK_COUNT);
+    assert.strictEqual(clicks[CLICK_COUNT - 1].id, uuid('22222222', CLICK_COUNT - 1));
+
+    assert.strictEqual(read('click-events.ndjson').trim().split('\n').length, 1);
+    assert.match(read('README.txt'), /click-events\.ndjson is empty or incomplete/);
+    assert.ok(!('password' in JSON.parse(read('profile.json'))));
+    console.log(`✅ ${LINK_COUNT} links and ${CLICK_COUNT} clicks written in batches, partial click events noted`);
+
+    console.log('📋 Download endpoint...');
+    const { port } = server.address();
+    const { downloadUrl } = privacyService.toPublic(request);
+    assert.strictEqual(downloadUrl, `/api/users/privacy/requests/${request.id}/download`);
+
+    quiet();
+    const own = await get(port, downloadUrl, USER_ID);
+    assert.strictEqual(own.status, 200);
+    assert.strictEqual(own.headers['cache-control'], 'no-store');
+    assert.strictEqual(own.headers['content-type'], 'application/zip');
+    assert.match(own.headers['content-disposition'], /^attachment; filename="personal-data-\d{4}-\d{2}-\d{2}\.zip"$/);
+    assert.ok(own.body.equals(fs.readFileSync(privateFile)));
+
+    const other = await get(port, downloadUrl, OTHER_USER_ID);
+    assert.strictEqual(other.status, 404);
+    assert.strictEqual(other.headers['cache-control'], 'no-store');
+    assert.strictEqual((await get(port, '/api/users/privacy/requests/not-a-uuid/download', USER_ID)).status, 404);
+
+    await request.update({ expiresAt: new Date(Date.now() - 1000) });
+    assert.strictEqual((await get(port, downloadUrl, USER_ID)).status, 404);
+    loud();
+    console.log('✅ Owner downloads with no-store, other users and expired exports get 404');
+
+    console.log('📋 Failed export...');
+    Click.findAll = async () => {
+      throw new Error('connection lost');
+    };
+    const failed = saveRequest({ id: '6e0f6b1c-2a3d-4c5e-8f90-1a2b3c4d5e6f', userId: USER_ID, type: 'export', status: 'pending' });
+    quiet();
+    await assert.rejects(privacyService.runExport(failed.id), /connection lost/);
+    loud();
+    assert.strictEqual(failed.status, 'failed');
+    const files = fs.readdirSync(path.join(process.env.STORAGE_PRIVATE_DIR, 'privacy-exports', USER_ID));
+    assert.deepStrictEqual(files, [path.basename(request.fileKey)]);
+    console.log('✅ No partial archive left behind');
+
+    console.log('\n🎉 Privacy export test completed successfully!');
+  } catch (error) {
+    loud();
+    console.error('❌ Privacy export test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+testPrivacyExport();
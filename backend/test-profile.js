@@ -0,0 +1,248 @@
+// backend/test-profile.js
+// Profile: update validation, avatar storage, change password, account deactivation and deletion
+// cascading to links, clicks, domains, API keys and workspaces - needs the PostgreSQL from config.
+// Redis is ioredis-mock, ElasticSearch purge and emails are stubbed, files go to a temp dir.
+// Creates missing tables, never drops anything; test users and their data are deleted at the end.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-'));
+process.env.STORAGE_LOCAL_DIR = path.join(storageRoot, 'uploads');
+process.env.STORAGE_PRIVATE_DIR = path.join(storageRoot, 'private');
+
+const { sequelize, User, Link, Click, Domain, ApiKey, Workspace, WorkspaceMember, SecurityEvent, AuditLog } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const authService = require('./domains/auth/services/AuthService');
+const sessionService = require('./domains/auth/services/SessionService');
+const clickTrackingService = require('./domains/analytics/services/ClickTrackingService');
+const workspaceService = require('./domains/workspaces/services/WorkspaceService');
+const apiKeyService = require('./domains/users/services/ApiKeyService');
+const profileService = require('./domains/users/services/ProfileService');
+
+const RUN = Date.now().toString(36);
+const PASSWORD = 'Profile123';
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(32)]);
+const request = { ip: '203.0.113.20', get: () => 'Mozilla/5.0 (Windows NT 10.0) Chrome/126.0' };
+
+authService.queueEmail = async () => {};
+const purged = [];
+clickTrackingService.purgeUserClicks = async (userId, linkIds) => purged.push({ userId, linkIds }) && linkIds.length;
+
+const avatarFile = (key) => path.join(storageRoot, 'uploads', key);
+
+async function testProfile() {
+  console.log('🧪 Testing profile and account closing against PostgreSQL...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    await sequelize.authenticate();
+  } catch (error) {
+    console.log(`⚠️ PostgreSQL not reachable (${error.message}) - profile test skipped`);
+    process.exit();
+  }
+
+  const { log, warn } = console;
+  const quiet = () => Object.assign(console, { log: () => {}, warn: () => {} });
+  const loud = () => Object.assign(console, { log, warn });
+  const users = [];
+  const workspaceIds = [];
+  try {
+    await sequelize.sync();
+
+    const createUser = async (name, attributes = {}) => {
+      const user = await User.create({ email: `${name}-${RUN}@example.com`, name, password: PASSWORD, ...attributes });
+      users.push(user);
+      return user;
+    };
+    const alice = await createUser('profile-alice');
+    const owner = await createUser('profile-owner');
+    const leaving = await createUser('profile-leaving');
+    const google = await createUser('profile-google', { password: null, googleId: `g-${RUN}` });
+    const admin = await createUser('profile-admin', { role: 'admin' });
+
+    console.log('📋 Profile update...');
+    const [verified, unverified, foreign] = await Promise.all([
+      Domain.create({ userId: alice.id, domain: `go-${RUN}.example.com`, isActive: true, isVerified: true }),
+      Domain.create({ userId: alice.id, domain: `new-${RUN}.example.com`, isActive: true, isVerified: false }),
+      Domain.create({ userId: owner.id, domain: `owner-${RUN}.example.com`, isActive: true, isVerified: true }),
+    ]);
+
+    quiet();
+    const profile = await profileService.updateProfile(alice.id, {
+      name: '  Alice Nguyen ',
+      timezone: 'Asia/Ho_Chi_Minh',
+      locale: 'en',
+      defaultDomainId: verified.id,
+      email: alice.email.toUpperCase(),
+    });
+    loud();
+    assert.deepStrictEqual(
+      [profile.name, profile.timezone, profile.locale, profile.defaultDomain.domain],
+      ['Alice Nguyen', 'Asia/Ho_Chi_Minh', 'en', verified.domain]
+    );
+    assert.deepStrictEqual([profile.hasPassword, profile.googleLinked, profile.password, profile.googleId], [true, false, undefined, undefined]);
+    assert.strictEqual((await profileService.getProfile(google.id)).hasPassword, false);
+
+    const update = (data) => profileService.updateProfile(alice.id, data);
+    await assert.rejects(update({ email: 'someone@example.com' }), /Email cannot be changed/);
+    await assert.rejects(update({ name: ' A ' }), /Invalid name/);
+    await assert.rejects(update({ timezone: 'Mars/Olympus' }), /Invalid timezone/);
+    await assert.rejects(update({ locale: 'fr' }), /Invalid locale/);
+    await assert.rejects(update({ defaultDomainId: unverified.id }), /Invalid defaultDomainId/);
+    await assert.rejects(update({ defaultDomainId: foreign.id }), /Invalid defaultDomainId/);
+    quiet();
+    assert.strictEqual((await update({ defaultDomainId: null })).defaultDomainId, null);
+    loud();
+    console.log('✅ Name / timezone / locale / default domain validated, email read-only, no secrets returned');
+
+    console.log('📋 Avatar...');
+    quiet();
+    const first = await profileService.uploadAvatar(alice.id, PNG);
+    const firstKey = (await User.findByPk(alice.id)).avatarKey;
+    const second = await profileService.uploadAvatar(alice.id, JPEG);
+    const secondKey = (await User.findByPk(alice.id)).avatarKey;
+    loud();
+    assert.match(firstKey, new RegExp(`^avatars/${alice.id}/[0-9a-f]{16}\\.png$`));
+    assert.ok(first.avatar.endsWith(`/uploads/${firstKey}`));
+    assert.match(second.avatar, /\.jpg$/);
+    assert.strictEqual(fs.existsSync(avatarFile(firstKey)), false, 'previous avatar kept');
+    assert.deepStrictEqual(fs.readFileSync(avatarFile(secondKey)), JPEG);
+
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+    await assert.rejects(profileService.uploadAvatar(alice.id, svg), /Supported formats: PNG, JPEG, GIF, WebP/);
+    await assert.rejects(profileService.uploadAvatar(alice.id, Buffer.alloc(0)), /Send the file as the request body/);
+    await assert.rejects(profileService.uploadAvatar(alice.id, Buffer.concat([PNG, Buffer.alloc(2 * 1024 * 1024)])), /Maximum size is 2MB/);
+
+    quiet();
+    assert.strictEqual((await profileService.removeAvatar(alice.id)).avatar, null);
+    loud();
+    assert.strictEqual(fs.existsSync(avatarFile(secondKey)), false);
+    console.log('✅ Images detected by content (no SVG), replaced and removed files deleted from storage');
+
+    console.log('📋 Change password...');
+    quiet();
+    const current = await authService.createSession(alice, request);
+    await authService.createSession(alice, request);
+    const change = (currentPassword, newPassword) =>
+      authService.changePassword(alice.id, currentPassword, newPassword, { ...request, user: { sessionId: current.sessionId } });
+
+    await assert.rejects(change('Wrong123', 'Changed456'), /Incorrect current password/);
+    await assert.rejects(change(PASSWORD, 'short'), /at least 8 characters/);
+    await assert.rejects(change(PASSWORD, PASSWORD), /must be different/);
+    assert.deepStrictEqual(await change(PASSWORD, 'Changed456'), { sessionsRevoked: 1 });
+    await assert.rejects(authService.changePassword(google.id, '', 'Changed456'), /OAUTH_USER_NO_PASSWORD/);
+    loud();
+
+    const stored = await User.findByPk(alice.id);
+    assert.deepStrictEqual([await stored.comparePassword('Changed456'), await stored.comparePassword(PASSWORD)], [true, false]);
+    assert.deepStrictEqual((await sessionService.listForUser(alice.id)).map(({ id }) => id), [current.sessionId]);
+    const events = await SecurityEvent.findAll({ where: { userId: alice.id }, order: [['createdAt', 'ASC']] });
+    assert.deepStrictEqual(events.map(({ type }) => type), ['password.change_failed', 'password.changed']);
+    assert.strictEqual(events[1].ipAddress, request.ip);
+    console.log('✅ Current password checked with comparePassword, other sessions revoked, attempts logged');
+
+    // Workspace: shared (owner + alice + leaving), của riêng alice, của leaving có thêm member
+    quiet();
+    const shared = await workspaceService.createWorkspace(owner.id, { name: `Shared ${RUN}` });
+    const solo = await workspaceService.createWorkspace(alice.id, { name: `Solo ${RUN}` });
+    const team = await workspaceService.createWorkspace(leaving.id, { name: `Team ${RUN}` });
+    workspaceIds.push(shared.id, solo.id, team.id);
+    await workspaceService.addMember(shared.id, alice.id, 'editor', owner.id);
+    await workspaceService.addMember(shared.id, leaving.id, 'editor', owner.id);
+    await workspaceService.addMember(team.id, owner.id, 'viewer', leaving.id);
+    loud();
+
+    const createLink = (user, code, attributes = {}) =>
+      Link.create({ userId: user.id, originalUrl: `https://example.com/${code}`, shortCode: `${code}-${RUN}`, ...attributes });
+
+    console.log('📋 Deactivation...');
+    const [personal, inShared] = await Promise.all([
+      createLink(leaving, 'lv-personal'),
+      createLink(leaving, 'lv-shared', { workspaceId: shared.id }),
+    ]);
+    quiet();
+    await apiKeyService.createKey(leaving.id, { name: 'CI' });
+    await authService.createSession(leaving, request);
+
+    const deactivate = (credentials) => profileService.deactivateAccount(leaving.id, credentials, request);
+    await assert.rejects(deactivate({ password: 'Wrong123' }), /Current password is incorrect/);
+    await assert.rejects(deactivate({ password: PASSWORD }), /owns a workspace with other members/);
+    await WorkspaceMember.destroy({ where: { workspaceId: team.id, userId: owner.id } });
+    const deactivated = await deactivate({ password: PASSWORD, reason: 'Taking a break' });
+    await assert.rejects(profileService.deactivateAccount(admin.id, { password: PASSWORD }), /Cannot close an admin account/);
+    await assert.rejects(profileService.deactivateAccount(google.id, { confirmEmail: 'x@example.com' }), /confirm your email/);
+    loud();
+
+    assert.deepStrictEqual(deactivated, { linksDisabled: 1, apiKeysRevoked: 1, sessionsRevoked: 1 });
+    await Promise.all([personal, inShared, leaving].map((row) => row.reload()));
+    assert.deepStrictEqual([personal.isActive, inShared.isActive], [false, true]);
+    assert.deepStrictEqual([leaving.isActive, !!leaving.deactivatedAt], [false, true]);
+    assert.strictEqual(await ApiKey.count({ where: { userId: leaving.id, isActive: true } }), 0);
+    assert.strictEqual(await SecurityEvent.count({ where: { userId: leaving.id, type: 'account.deactivated' } }), 1);
+    console.log('✅ Personal links and API keys disabled, shared workspace links keep working, sessions revoked');
+
+    console.log('📋 Deletion...');
+    const [kept, removed, soloLink, handedOver] = await Promise.all([
+      createLink(alice, 'al-kept'),
+      createLink(alice, 'al-removed', { deletedAt: new Date() }),
+      createLink(alice, 'al-solo', { workspaceId: solo.id }),
+      createLink(alice, 'al-shared', { workspaceId: shared.id }),
+    ]);
+    await Click.bulkCreate([kept, removed, soloLink, handedOver].map(({ id }) => ({ linkId: id })));
+    quiet();
+    await apiKeyService.createKey(alice.id, { name: 'Zapier' });
+    await profileService.uploadAvatar(alice.id, PNG);
+    const avatarKey = (await User.findByPk(alice.id)).avatarKey;
+
+    await assert.rejects(profileService.deleteAccount(alice.id, { password: PASSWORD }, request), /Current password is incorrect/);
+    const { deleted } = await profileService.deleteAccount(alice.id, { password: 'Changed456' }, request);
+    loud();
+
+    assert.strictEqual(await User.findByPk(alice.id), null);
+    assert.deepStrictEqual([deleted.links, deleted.domains, deleted.apiKeys, deleted.clickDocuments], [2, 2, 1, 3]);
+    assert.deepStrictEqual(purged[0].linkIds.sort(), [kept.id, removed.id, soloLink.id].sort());
+    assert.strictEqual(await Link.count({ where: { id: [kept.id, removed.id, soloLink.id] }, paranoid: false }), 0);
+    assert.strictEqual(await Click.count({ where: { linkId: [kept.id, removed.id, soloLink.id] } }), 0);
+    assert.strictEqual(await Workspace.findByPk(solo.id), null);
+    await handedOver.reload();
+    assert.deepStrictEqual([handedOver.userId, handedOver.workspaceId], [owner.id, shared.id]);
+    assert.strictEqual(await Click.count({ where: { linkId: handedOver.id } }), 1);
+    assert.strictEqual(await WorkspaceMember.count({ where: { userId: alice.id } }), 0);
+    assert.strictEqual(await SecurityEvent.count({ where: { userId: alice.id } }), 0);
+    assert.strictEqual(fs.existsSync(avatarFile(avatarKey)), false);
+    assert.deepStrictEqual(await sessionService.listForUser(alice.id), []);
+
+    const [entry] = await AuditLog.findAll({ where: { targetId: alice.id, action: 'user.self_delete' } });
+    assert.deepStrictEqual([entry.actorId, entry.ipAddress, JSON.stringify(entry.metadata).includes(alice.email)], [null, request.ip, false]);
+    console.log('✅ Links (soft-deleted too), clicks, domains, API keys, solo workspace and avatar erased, shared work handed over');
+
+    console.log('\n🎉 Profile test completed successfully!');
+  } catch (error) {
+    loud();
+    console.error('❌ Profile test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    const userIds = users.map((user) => user.id);
+    const links = await Link.findAll({ where: { userId: userIds }, paranoid: false, attributes: ['id'] }).catch(() => []);
+    await Click.destroy({ where: { linkId: links.map(({ id }) => id) } }).catch(() => {});
+    await Link.destroy({ where: { userId: userIds }, force: true, hooks: false }).catch(() => {});
+    await Domain.destroy({ where: { userId: userIds }, force: true }).catch(() => {});
+    await ApiKey.destroy({ where: { userId: userIds } }).catch(() => {});
+    await WorkspaceMember.destroy({ where: { workspaceId: workspaceIds } }).catch(() => {});
+    await Workspace.destroy({ where: { id: workspaceIds } }).catch(() => {});
+    await SecurityEvent.destroy({ where: { userId: userIds } }).catch(() => {});
+    await AuditLog.destroy({ where: { targetId: userIds } }).catch(() => {});
+    await User.destroy({ where: { id: userIds } }).catch(() => {});
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testProfile();
@@ -0,0 +1,93 @@
+// backend/test-redirect-types.js
+// Redirect responses per link redirect type, through the redirect routes - the click pipeline
+// (linkService.processClick) is stubbed, no PostgreSQL / Redis needed
+const http = require('http');
+const assert = require('assert');
+const express = require('express');
+
+const linkService = require('./domains/links/services/LinkService');
+const geoIpService = require('./core/geo/GeoIpService');
+
+const DESTINATION = 'https://example.com/landing?utm_source=sl';
+
+// shortCode -> kết quả processClick
+const results = {
+  perm301: { originalUrl: DESTINATION, redirectType: '301' },
+  temp302: { originalUrl: DESTINATION, redirectType: '302' },
+  temp307: { originalUrl: DESTINATION, redirectType: '307' },
+  perm308: { originalUrl: DESTINATION, redirectType: '308' },
+  meta: { originalUrl: DESTINATION, redirectType: 'meta_refresh' },
+  wait: { originalUrl: DESTINATION, redirectType: 'interstitial' },
+  expired: { originalUrl: 'https://example.com/expired', redirectType: '301', fallback: 'expired' },
+};
+
+linkService.processClick = async (shortCode) => results[shortCode] || null;
+geoIpService.lookup = async () => null;
+const redirectRoutes = require('./domains/links/routes/redirectRoutes');
+
+const get = (port, urlPath, accept = 'text/html') =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ port, path: urlPath, headers: { accept, 'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0' } }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+      })
+      .on('error', reject);
+  });
+
+async function testRedirectTypes() {
+  console.log('🧪 Testing redirect types and caching headers...\n');
+
+  const app = express();
+  app.use('/', redirectRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  const { log } = console;
+
+  try {
+    await new Promise((resolve) => server.once('listening', resolve));
+    const { port } = server.address();
+    console.log = () => {}; // mỗi redirect đều được log
+
+    for (const [shortCode, status] of [['perm301', 301], ['temp302', 302], ['temp307', 307], ['perm308', 308]]) {
+      const res = await get(port, `/${shortCode}`);
+      assert.strictEqual(res.status, status, shortCode);
+      assert.strictEqual(res.headers.location, DESTINATION);
+      assert.strictEqual(res.headers['cache-control'], 'no-store', `${shortCode} cacheable`);
+    }
+
+    const expired = await get(port, '/expired');
+    assert.strictEqual(expired.status, 301);
+    assert.strictEqual(expired.headers.location, 'https://example.com/expired');
+    assert.strictEqual(expired.headers['cache-control'], 'no-store');
+    console.log = log;
+    console.log('✅ 301/302/307/308 redirect with Cache-Control: no-store, fallbacks too');
+
+    console.log = () => {};
+    const meta = await get(port, '/meta');
+    assert.strictEqual(meta.status, 200);
+    assert.strictEqual(meta.headers['cache-control'], 'no-store');
+    assert.match(meta.body, /http-equiv="refresh"/);
+
+    const wait = await get(port, '/wait');
+    assert.strictEqual(wait.status, 200);
+    assert.strictEqual(wait.headers['cache-control'], 'no-store');
+    assert.match(wait.headers['content-security-policy'], /script-src 'nonce-/);
+
+    const json = JSON.parse((await get(port, '/meta', 'application/json')).body);
+    assert.deepStrictEqual(json, { success: true, redirectUrl: DESTINATION, redirectType: 'meta_refresh' });
+    console.log = log;
+    console.log('✅ meta_refresh / interstitial pages are not cached, API clients get JSON');
+
+    console.log('\n🎉 Redirect type test completed successfully!');
+  } catch (error) {
+    console.log = log;
+    console.error('❌ Redirect type test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    process.exit();
+  }
+}
+
+testRedirectTypes();
@@ -0,0 +1,194 @@
+// backend/test-routing-rules.js
+// Smart routing rules: validation, first-match ordering by country / device / OS / language / time
+// window, the chosen destination in buildFinalUrl and the rule id stored on each click - needs the
+// PostgreSQL from config. Redis is ioredis-mock, the ElasticSearch client is stubbed; test rows are removed.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const config = require('./config');
+const { sequelize, User, Link, Click } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const clickTrackingService = require('./domains/analytics/services/ClickTrackingService');
+const linkService = require('./domains/links/services/LinkService');
+const routingRuleService = require('./domains/links/services/RoutingRuleService');
+const { isWithinTimeWindow } = require('./shared/utils/timeWindow');
+
+const RUN = Date.now().toString(36);
+const IPHONE =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+const ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+config.redirect.bufferCounters = false; // counters straight to Postgres
+
+const indexed = [];
+clickTrackingService.isReady = () => true;
+clickTrackingService.esClient = {
+  index: async ({ body }) => indexed.push(body) && { body: { _id: `es-${indexed.length}` } },
+};
+
+// HH:mm (UTC) `hours` giờ sau bây giờ
+const utcTime = (hours) => new Date(Date.now() + hours * 3600 * 1000).toISOString().slice(11, 16);
+
+async function testRoutingRules() {
+  console.log('🧪 Testing smart routing rules...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  const { log } = console;
+  let user;
+  try {
+    console.log('📋 Validation...');
+    const [normalized] = routingRuleService.normalize([
+      {
+        id: 'de',
+        name: '  Germany  ',
+        destinationUrl: 'https://example.com/de',
+        conditions: { countries: ['de', 'AT', 'de'], deviceTypes: ['Mobile'], languages: ['DE-at'], timeWindow: { days: [5, 1, 1] } },
+      },
+    ]);
+    assert.deepStrictEqual(normalized, {
+      id: 'de',
+      name: 'Germany',
+      destinationUrl: 'https://example.com/de',
+      conditions: { countries: ['DE', 'AT'], deviceTypes: ['mobile'], languages: ['de-at'], timeWindow: { timezone: 'UTC', days: [1, 5] } },
+    });
+    assert.match(routingRuleService.normalize([{ destinationUrl: 'https://example.com', conditions: { os: ['iOS'] } }])[0].id, /^[0-9a-f]{8}$/);
+    assert.deepStrictEqual(routingRuleService.normalize(null), []);
+
+    const invalid = (rules) => () => routingRuleService.normalize(rules);
+    const rule = (conditions, extra = {}) => ({ destinationUrl: 'https://example.com', conditions, ...extra });
+    assert.throws(invalid({}), /must be an array/);
+    assert.throws(invalid(Array.from({ length: 21 }, () => rule({ os: ['iOS'] }))), /Too many routing rules \(max 20\)/);
+    assert.throws(invalid([rule({ os: ['iOS'] }, { id: 'a' }), rule({ os: ['Android'] }, { id: 'a' })]), /#2: id must be unique/);
+    assert.throws(invalid([rule({ os: ['iOS'] }, { destinationUrl: 'javascript:alert(1)' })]), /destinationUrl must be an http\(s\) URL/);
+    assert.throws(invalid([rule({})]), /at least one condition/);
+    assert.throws(invalid([rule({ browsers: ['Chrome'] })]), /unknown condition browsers/);
+    assert.throws(invalid([rule({ countries: ['DEU'] })]), /countries has an invalid value: DEU/);
+    assert.throws(invalid([rule({ deviceTypes: ['watch'] })]), /deviceTypes has an invalid value: watch/);
+    assert.throws(invalid([rule({ languages: [] })]), /must be a list of 1-50 values/);
+    assert.throws(invalid([rule({ timeWindow: { start: '09:00' } })]), /needs both start and end/);
+    assert.throws(invalid([rule({ timeWindow: { start: '09:00', end: '09:00' } })]), /must be different HH:mm times/);
+    assert.throws(invalid([rule({ timeWindow: { days: [7] } })]), /days must be weekdays 0-6/);
+    assert.throws(invalid([rule({ timeWindow: { days: [1], timezone: 'Mars/Olympus' } })]), /unknown timezone: Mars\/Olympus/);
+    console.log('✅ Values normalized and deduplicated, ids generated, bad rules rejected with their position');
+
+    console.log('📋 Rule order and conditions...');
+    const rules = routingRuleService.normalize([
+      { id: 'ios', destinationUrl: 'https://apps.apple.com/app/id1', conditions: { os: ['ios'] } },
+      { id: 'android', destinationUrl: 'https://play.google.com/store/apps/details?id=app', conditions: { os: ['Android'] } },
+      { id: 'de-mobile', destinationUrl: 'https://example.com/de/m', conditions: { countries: ['DE'], deviceTypes: ['mobile', 'tablet'] } },
+      { id: 'de', destinationUrl: 'https://example.com/de', conditions: { countries: ['DE'] } },
+      { id: 'french', destinationUrl: 'https://example.com/fr', conditions: { languages: ['fr'] } },
+      { id: 'swiss-german', destinationUrl: 'https://example.com/ch', conditions: { languages: ['de-ch'] } },
+    ]);
+    const matched = (visitor) => routingRuleService.match(rules, visitor)?.id || null;
+    assert.strictEqual(matched({ country: 'DE', deviceType: 'mobile', os: 'iOS' }), 'ios', 'earlier rule must win');
+    assert.strictEqual(matched({ country: 'US', deviceType: 'tablet', os: 'Android' }), 'android');
+    assert.strictEqual(matched({ country: 'DE', deviceType: 'tablet', os: 'iPadOS' }), 'de-mobile');
+    assert.strictEqual(matched({ country: 'DE', deviceType: 'desktop', os: 'Windows' }), 'de');
+    assert.strictEqual(matched({ country: 'BE', deviceType: 'desktop', acceptLanguage: 'nl-BE;q=0.8, fr-BE, en;q=0.5' }), 'french');
+    assert.strictEqual(matched({ country: 'CH', acceptLanguage: 'de-CH,de;q=0.9' }), 'swiss-german');
+    assert.strictEqual(matched({ country: 'AT', acceptLanguage: 'de-AT,de;q=0.9' }), null, 'de-ch must not match de-AT');
+    assert.strictEqual(matched({ country: 'US', acceptLanguage: 'fr;q=0, *;q=0.9' }), null);
+    assert.strictEqual(matched({}), null);
+    assert.strictEqual(routingRuleService.match(null, { country: 'DE' }), null);
+    console.log('✅ First matching rule wins, all conditions of a rule must match, Accept-Language q-values respected');
+
+    console.log('📋 Time windows...');
+    // 2026-10-19 là thứ Hai
+    const at = (iso) => new Date(iso);
+    const office = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:30', timezone: 'Asia/Ho_Chi_Minh' };
+    assert.strictEqual(isWithinTimeWindow(office, at('2026-10-19T02:00:00Z')), true); // 09:00 ICT
+    assert.strictEqual(isWithinTimeWindow(office, at('2026-10-19T10:30:00Z')), false); // 17:30 ICT, end exclusive
+    assert.strictEqual(isWithinTimeWindow(office, at('2026-10-18T05:00:00Z')), false); // Chủ nhật
+    assert.strictEqual(isWithinTimeWindow(office, at('2026-10-24T02:00:00Z')), false); // 09:00 thứ Bảy ICT
+
+    const night = { days: [5], start: '22:00', end: '02:00', timezone: 'UTC' };
+    assert.strictEqual(isWithinTimeWindow(night, at('2026-10-23T23:00:00Z')), true); // tối thứ Sáu
+    assert.strictEqual(isWithinTimeWindow(night, at('2026-10-24T01:59:00Z')), true); // sau nửa đêm vẫn thuộc thứ Sáu
+    assert.strictEqual(isWithinTimeWindow(night, at('2026-10-24T23:00:00Z')), false); // tối thứ Bảy
+    assert.strictEqual(isWithinTimeWindow(night, at('2026-10-23T01:00:00Z')), false); // sau nửa đêm của thứ Năm
+    assert.strictEqual(isWithinTimeWindow({ start: '22:00', end: '02:00', timezone: 'UTC' }, at('2026-10-23T12:00:00Z')), false);
+
+    const [officeHours] = routingRuleService.normalize([
+      { id: 'office', destinationUrl: 'https://example.com/support', conditions: { countries: ['VN'], timeWindow: office } },
+    ]);
+    assert.strictEqual(routingRuleService.match([officeHours], { country: 'VN', now: at('2026-10-19T03:00:00Z') })?.id, 'office');
+    assert.strictEqual(routingRuleService.match([officeHours], { country: 'VN', now: at('2026-10-19T12:00:00Z') }), null);
+    console.log('✅ Weekdays and hours in the rule timezone, end exclusive, windows spanning midnight');
+
+    console.log('📋 Final URL...');
+    const link = Link.build({ originalUrl: 'https://example.com/home', utmParameters: { utm_source: 'sl', utm_medium: '' } });
+    assert.strictEqual(link.buildFinalUrl(), 'https://example.com/home?utm_source=sl');
+    assert.strictEqual(link.buildFinalUrl(rules[1]), 'https://play.google.com/store/apps/details?id=app&utm_source=sl');
+    console.log('✅ Matched rule destination replaces originalUrl, UTM parameters still added');
+
+    try {
+      await sequelize.authenticate();
+    } catch (error) {
+      console.log(`⚠️ PostgreSQL not reachable (${error.message}) - click routing checks skipped`);
+      console.log('\n🎉 Routing rule test completed successfully!');
+      return;
+    }
+    await sequelize.sync();
+    linkService.isInitialized = true; // ElasticSearch client đã stub
+
+    console.log('📋 Routed clicks...');
+    user = await User.create({ email: `routing-${RUN}@example.com`, name: 'Routing Test', password: 'Routing123' });
+    const routed = await Link.create({
+      userId: user.id,
+      originalUrl: 'https://example.com/',
+      shortCode: `route-${RUN}`,
+      routingRules: routingRuleService.normalize([
+        { id: 'closed', destinationUrl: 'https://example.com/closed', conditions: { timeWindow: { start: utcTime(2), end: utcTime(3) } } },
+        { id: 'ios', destinationUrl: 'https://apps.apple.com/app/id1', conditions: { os: ['iOS'] } },
+        { id: 'de', destinationUrl: 'https://example.com/de', conditions: { countries: ['DE'], languages: ['de'] } },
+      ]),
+    });
+
+    const visit = async (index, userAgent, country, acceptLanguage) =>
+      await linkService.processClick(routed.shortCode, null, { ipAddress: `198.51.100.${index}`, userAgent, acceptLanguage }, { country });
+    console.log = () => {};
+    const results = [
+      await visit(1, IPHONE, 'DE', 'de-DE'),
+      await visit(2, ANDROID, 'DE', 'de-DE,en;q=0.5'),
+      await visit(3, DESKTOP, 'DE', 'en-US'),
+      await visit(4, DESKTOP, 'US', 'de'),
+    ];
+    console.log = log;
+
+    assert.deepStrictEqual(
+      results.map(({ originalUrl, routingRuleId }) => [originalUrl, routingRuleId]),
+      [
+        ['https://apps.apple.com/app/id1', 'ios'],
+        ['https://example.com/de', 'de'],
+        ['https://example.com/', null],
+        ['https://example.com/', null],
+      ]
+    );
+    const clicks = await Click.findAll({ where: { linkId: routed.id }, order: [['createdAt', 'ASC']] });
+    assert.deepStrictEqual(clicks.map(({ routingRuleId }) => routingRuleId), ['ios', 'de', null, null]);
+    assert.deepStrictEqual(indexed.map(({ routingRuleId }) => routingRuleId), ['ios', 'de', null, null]);
+    assert.ok(indexed.every((document) => !('acceptLanguage' in document)), 'Accept-Language indexed');
+    console.log('✅ Destination chosen per visitor, matched rule id stored in Postgres and ElasticSearch');
+
+    console.log('\n🎉 Routing rule test completed successfully!');
+  } catch (error) {
+    console.log = log;
+    console.error('❌ Routing rule test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (user) {
+      const links = await Link.findAll({ where: { userId: user.id }, paranoid: false, attributes: ['id'] }).catch(() => []);
+      await Click.destroy({ where: { linkId: links.map(({ id }) => id) } }).catch(() => {});
+      await Link.destroy({ where: { userId: user.id }, force: true, hooks: false }).catch(() => {});
+      await user.destroy().catch(() => {});
+    }
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testRoutingRules();
@@ -0,0 +1,91 @@
+// backend/test-sessions.js
+// Session writes racing a revoke, against an in-memory Redis (ioredis-mock) - user lookup stubbed,
+// no PostgreSQL needed
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const cacheService = require('./core/cache/CacheService');
+const userRepository = require('./domains/users/repositories/UserRepository');
+const sessionService = require('./domains/auth/services/SessionService');
+const authService = require('./domains/auth/services/AuthService');
+
+const user = { id: '4b7e2c90-1d3f-4a6b-8c5e-9f0a1b2c3d4e', email: 'dave@example.com', name: 'Dave', isActive: true, tokenVersion: 0 };
+
+userRepository.findById = async () => ({ ...user });
+userRepository.updateLastSeen = async () => {};
+
+const req = { ip: '203.0.113.7', get: (header) => (header === 'User-Agent' ? 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0' : undefined) };
+const exists = async (sessionId) => (await cacheService.redis.exists(sessionService.key(sessionId))) === 1;
+const stale = (session) => ({ ...session, lastActivity: new Date(Date.now() - 5 * 60 * 1000) });
+
+// sessionService.get trả session rồi session bị thu hồi trước khi request ghi lại (request song song)
+const revokeAfterRead = () => {
+  const get = sessionService.get;
+  sessionService.get = async (sessionId) => {
+    const session = await get.call(sessionService, sessionId);
+    sessionService.get = get;
+    await sessionService.revoke(user.id, sessionId);
+    return session;
+  };
+};
+
+async function testSessions() {
+  console.log('🧪 Testing session updates racing a revoke with an in-memory Redis...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+  const { log, error: logError } = console;
+  const quiet = () => Object.assign(console, { log: () => {}, error: () => {} }); // lỗi refresh / verify được log
+  const loud = () => Object.assign(console, { log, error: logError });
+
+  try {
+    console.log('📋 Activity on a live session...');
+    let { tokens, sessionId } = await authService.createSession(user, req);
+    let session = await sessionService.get(sessionId);
+    assert.strictEqual(await sessionService.touch(stale(session), req), true);
+    assert.strictEqual((await authService.verifyToken(tokens.accessToken, req)).sessionId, sessionId);
+
+    const refreshed = await authService.refreshToken(tokens.refreshToken);
+    session = await sessionService.get(sessionId);
+    assert.strictEqual(session.tokens.accessToken, refreshed.accessToken);
+    console.log('✅ touch and refresh update an existing session');
+
+    console.log('📋 Revoked between read and write...');
+    await sessionService.revoke(user.id, sessionId);
+    assert.strictEqual(await sessionService.touch(stale(session), req), false);
+    assert.strictEqual(await exists(sessionId), false);
+    await assert.rejects(sessionService.updateTokens(session, refreshed), /Session has been revoked/);
+    assert.strictEqual(await exists(sessionId), false);
+    console.log('✅ touch / updateTokens do not recreate a revoked session');
+
+    console.log('📋 Refresh racing a revoke...');
+    quiet();
+    ({ tokens, sessionId } = await authService.createSession(user, req));
+    revokeAfterRead();
+    await assert.rejects(authService.refreshToken(tokens.refreshToken), /Invalid or expired refresh token/);
+    assert.strictEqual(await exists(sessionId), false);
+    assert.ok(await cacheService.get(`blacklist:${tokens.refreshToken}`), 'old refresh token blacklisted');
+    loud();
+    console.log('✅ Refresh fails and the session stays revoked');
+
+    console.log('📋 Request racing a revoke...');
+    ({ tokens, sessionId } = await authService.createSession(user, req));
+    await cacheService.setIfExists(sessionService.key(sessionId), stale(await sessionService.get(sessionId)));
+    revokeAfterRead();
+    quiet();
+    await assert.rejects(authService.verifyToken(tokens.accessToken, req), /Session has been revoked/);
+    loud();
+    assert.strictEqual(await exists(sessionId), false);
+    console.log('✅ Access token rejected once the session is gone');
+
+    console.log('\n🎉 Session test completed successfully!');
+  } catch (error) {
+    loud();
+    console.error('❌ Session test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+testSessions();
@@ -0,0 +1,172 @@
+// backend/test-settings.js
+// System settings: validation, versioned updates, history / rollback, Redis pub/sub hot reload
+// between instances and a rate limiter rebuilt on change - needs the PostgreSQL from config, Redis
+// is ioredis-mock. Overrides of the keys used here are restored and the test history rows deleted at the end.
+const http = require('http');
+const assert = require('assert');
+const express = require('express');
+const { Op } = require('sequelize');
+const RedisMock = require('ioredis-mock');
+
+const { sequelize, User, SystemSetting, SystemSettingHistory } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const settingsService = require('./core/settings/SettingsService');
+const { validateSetting } = require('./core/settings/settingsSchema');
+const { passwordResetLimiter } = require('./domains/security/middleware/rateLimiter');
+
+const RUN = Date.now().toString(36);
+const KEYS = ['links.interstitialSeconds', 'privacy.ipMode', 'rateLimit.passwordReset.max'];
+
+const get = (port) =>
+  new Promise((resolve, reject) => {
+    http.get({ port, path: '/reset' }, (res) => resolve(res.statusCode) || res.resume()).on('error', reject);
+  });
+
+// Chờ process "chính" nhận thay đổi qua pub/sub
+const nextChange = (keys) => new Promise((resolve) => settingsService.onChange(keys, resolve));
+
+async function testSettings() {
+  console.log('🧪 Testing system settings against PostgreSQL...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    await sequelize.authenticate();
+  } catch (error) {
+    console.log(`⚠️ PostgreSQL not reachable (${error.message}) - settings test skipped`);
+    process.exit();
+  }
+
+  const { log } = console;
+  const app = express();
+  app.get('/reset', passwordResetLimiter, (req, res) => res.json({ success: true }));
+  const server = app.listen(0, '127.0.0.1');
+
+  let admin;
+  let snapshot = [];
+  const lastVersions = {};
+  try {
+    await sequelize.sync();
+    snapshot = await SystemSetting.findAll({ where: { key: KEYS }, raw: true });
+    for (const key of KEYS) {
+      lastVersions[key] = (await SystemSettingHistory.max('version', { where: { key } })) || 0;
+    }
+    admin = await User.create({ email: `settings-${RUN}@example.com`, name: 'Settings Admin', password: 'Settings123', role: 'admin' });
+
+    console.log = () => {};
+    await settingsService.initialize();
+    const other = new settingsService.constructor(); // process thứ hai, cùng Redis
+    await other.initialize();
+    await other.update({ [KEYS[0]]: null, [KEYS[1]]: null, [KEYS[2]]: null });
+    console.log = log;
+    const base = (await SystemSettingHistory.max('version', { where: { key: KEYS[0] } })) || 0;
+
+    console.log('📋 Validation...');
+    assert.strictEqual(validateSetting('links.interstitialSeconds', ' 12 '), 12);
+    assert.strictEqual(validateSetting('moderation.requireApproval', 'false'), false);
+    assert.strictEqual(validateSetting('system.domain', '  '), null);
+    assert.strictEqual(validateSetting('system.domain', ' go.example.com:8080 '), 'go.example.com:8080');
+    assert.throws(() => validateSetting('links.interstitialSeconds', 31), /^Error: Invalid value for links.interstitialSeconds: must be at most 30$/);
+    assert.throws(() => validateSetting('links.interstitialSeconds', 2.5), /must be an integer/);
+    assert.throws(() => validateSetting('moderation.requireApproval', 1), /must be a boolean/);
+    assert.throws(() => validateSetting('privacy.ipMode', 'partial'), /has an invalid format/);
+    assert.throws(() => validateSetting('links.conversionParam', 'x'.repeat(33)), /at most 32 characters/);
+    assert.throws(() => settingsService.get('links.unknown'), /Unknown setting/);
+
+    await assert.rejects(settingsService.update({}), /non-empty object/);
+    await assert.rejects(settingsService.update([1]), /non-empty object/);
+    await assert.rejects(settingsService.update({ [KEYS[0]]: 10, 'links.unknown': 1 }), /Unknown setting: links.unknown/);
+    await assert.rejects(settingsService.update({ [KEYS[0]]: 10, [KEYS[1]]: 'partial' }), /Invalid value for privacy.ipMode/);
+    assert.strictEqual(await SystemSetting.count({ where: { key: KEYS } }), 0, 'partial update written');
+    console.log('✅ Values coerced and range / format checked, nothing written when one value is invalid');
+
+    console.log('📋 Versioned updates and hot reload...');
+    const defaults = settingsService.getAll().find(({ key }) => key === KEYS[0]);
+    assert.deepStrictEqual([defaults.isDefault, defaults.version, defaults.constraints.max], [true, null, 30]);
+
+    let received = nextChange([KEYS[0], KEYS[1]]);
+    console.log = () => {};
+    const first = await other.update({ [KEYS[0]]: '12', [KEYS[1]]: 'hash' }, { adminId: admin.id, reason: 'GDPR review' });
+    const changedKeys = await received;
+    console.log = log;
+
+    assert.deepStrictEqual(first.changed, [KEYS[0], KEYS[1]]);
+    assert.deepStrictEqual(changedKeys, [KEYS[0], KEYS[1]]);
+    assert.deepStrictEqual([settingsService.get(KEYS[0]), settingsService.get(KEYS[1])], [12, 'hash']);
+    const version12 = settingsService.getAll().find(({ key }) => key === KEYS[0]);
+    assert.deepStrictEqual([version12.isDefault, version12.version, version12.updatedBy], [false, base + 1, admin.id]);
+
+    console.log = () => {};
+    assert.deepStrictEqual((await other.update({ [KEYS[0]]: 12 })).changed, []);
+    received = nextChange([KEYS[0]]);
+    await other.update({ [KEYS[0]]: 20 }, { adminId: admin.id });
+    await received;
+    received = nextChange([KEYS[0]]);
+    await other.update({ [KEYS[0]]: null }, { adminId: admin.id, reason: 'Back to default' });
+    await received;
+    console.log = log;
+    assert.strictEqual(settingsService.get(KEYS[0]), defaults.defaultValue);
+    assert.strictEqual(await SystemSetting.findByPk(KEYS[0]), null);
+    console.log('✅ Each change is a new version, no-op updates skipped, other instances reload through pub/sub');
+
+    console.log('📋 History and rollback...');
+    const { entries } = await settingsService.getHistory({ key: KEYS[0], limit: 3 });
+    assert.deepStrictEqual(
+      entries.map(({ version, value, previousValue }) => [version - base, value, previousValue]),
+      [[3, null, 20], [2, 20, 12], [1, 12, null]]
+    );
+    assert.deepStrictEqual([entries[2].reason, entries[2].changedByUser.email], ['GDPR review', admin.email]);
+    await assert.rejects(settingsService.getHistory({ key: 'links.unknown' }), /Unknown setting/);
+
+    console.log = () => {};
+    received = nextChange([KEYS[0]]);
+    const rolledBack = await other.rollback(KEYS[0], entries[1].version, { adminId: admin.id });
+    await received;
+    console.log = log;
+    assert.deepStrictEqual(rolledBack.changed, [KEYS[0]]);
+    assert.strictEqual(settingsService.get(KEYS[0]), 20);
+    const [latest] = (await settingsService.getHistory({ key: KEYS[0], limit: 1 })).entries;
+    assert.deepStrictEqual([latest.version, latest.reason], [entries[0].version + 1, `Rollback to version ${entries[1].version}`]);
+    await assert.rejects(settingsService.rollback(KEYS[0], 999999), /Version not found/);
+    await assert.rejects(settingsService.rollback(KEYS[0], 'latest'), /Version not found/);
+    console.log('✅ Newest first with actor and reason, rollback restores an old value as a new version');
+
+    console.log('📋 Rate limiter reload...');
+    await new Promise((resolve) => (server.listening ? resolve() : server.once('listening', resolve)));
+    const { port } = server.address();
+    assert.deepStrictEqual(await Promise.all([get(port), get(port)]), [200, 200]);
+
+    console.log = () => {};
+    received = nextChange([KEYS[2]]);
+    await other.update({ [KEYS[2]]: 1 }, { adminId: admin.id });
+    await received;
+    const statuses = [await get(port), await get(port)]; // 429 được log
+    console.log = log;
+    assert.deepStrictEqual(statuses, [200, 429]);
+    console.log('✅ rateLimit.passwordReset.max changed on another instance applies without a restart');
+
+    console.log = () => {};
+    await other.disconnect();
+    console.log = log;
+
+    console.log('\n🎉 Settings test completed successfully!');
+  } catch (error) {
+    console.log = log;
+    console.error('❌ Settings test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    await settingsService.disconnect().catch(() => {});
+    for (const key of KEYS) {
+      await SystemSettingHistory.destroy({ where: { key, version: { [Op.gt]: lastVersions[key] || 0 } } }).catch(() => {});
+    }
+    await SystemSetting.destroy({ where: { key: KEYS } }).catch(() => {});
+    if (snapshot.length > 0) await SystemSetting.bulkCreate(snapshot).catch(() => {});
+    if (admin) await admin.destroy().catch(() => {});
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testSettings();
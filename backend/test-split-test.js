@@ -0,0 +1,176 @@
+// backend/test-split-test.js
+// A/B split links: variant validation, sticky / weighted picking, the z-test report and signed
+// conversion postbacks. Click / Link queries are stubbed - no PostgreSQL needed.
+const http = require('http');
+const assert = require('assert');
+const express = require('express');
+
+const { Click } = require('./models');
+const splitTestService = require('./domains/links/services/SplitTestService');
+
+const LINK_ID = 'd4f6a8c0-3e5b-4c7d-9f1a-4b6d8f0a2c3e';
+const PLAIN_LINK_ID = 'd4f6a8c0-3e5b-4c7d-9f1a-4b6d8f0a2c3f';
+const variants = [
+  { id: 'a', name: 'Control', destinationUrl: 'https://example.com/a', weight: 1 },
+  { id: 'b', name: 'New hero', destinationUrl: 'https://example.com/b', weight: 3 },
+];
+const link = { id: LINK_ID, variants };
+
+// Click trong "DB": click của link A/B và click của link thường
+const clicks = new Map();
+const addClick = (id, linkId, variantId) => {
+  clicks.set(id, {
+    id,
+    linkId,
+    variantId,
+    convertedAt: null,
+    conversionValue: null,
+    link: { id: linkId, variants: linkId === LINK_ID ? variants : [] },
+  });
+  return id;
+};
+const splitClick = addClick('0e1f2a3b-4c5d-4e6f-8a7b-9c0d1e2f3a4b', LINK_ID, 'b');
+const plainClick = addClick('0e1f2a3b-4c5d-4e6f-8a7b-9c0d1e2f3a4c', PLAIN_LINK_ID, null);
+const lookups = [];
+Click.findByPk = async (id) => {
+  lookups.push(id);
+  return clicks.get(id) || null;
+};
+Click.update = async (changes, { where }) => {
+  const click = clicks.get(where.id);
+  if (click && click.convertedAt === where.convertedAt) Object.assign(click, changes);
+};
+
+const post = (port, body) =>
+  new Promise((resolve, reject) => {
+    const req = http.request({ port, method: 'POST', path: '/conversions', headers: { 'content-type': 'application/json' } }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks)) }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+
+async function testSplitTest() {
+  console.log('🧪 Testing A/B split variants, report and conversions...\n');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/', require('./domains/links/routes/redirectRoutes'));
+  const server = app.listen(0, '127.0.0.1');
+
+  try {
+    console.log('📋 Variant validation...');
+    assert.deepStrictEqual(splitTestService.normalize(undefined), []);
+    assert.deepStrictEqual(
+      splitTestService.normalize([{ destinationUrl: 'https://example.com/1' }, { destinationUrl: 'https://example.com/2', weight: 0 }]).map(
+        ({ id, weight }) => [id, weight]
+      ),
+      [['a', 1], ['b', 0]]
+    );
+    assert.throws(() => splitTestService.normalize([{ destinationUrl: 'https://example.com' }]), /use 2-10 variants/);
+    assert.throws(
+      () => splitTestService.normalize([{ id: 'x', destinationUrl: 'https://example.com' }, { id: 'x', destinationUrl: 'https://example.com' }]),
+      /id must be unique/
+    );
+    assert.throws(() => splitTestService.normalize([{ destinationUrl: 'ftp://example.com' }, { destinationUrl: 'https://example.com' }]), /http\(s\) URL/);
+    assert.throws(() => splitTestService.normalize(variants.map((variant) => ({ ...variant, weight: 0 }))), /weight above 0/);
+    console.log('✅ 2-10 variants, unique ids, http(s) destinations, one live weight');
+
+    console.log('📋 Picking variants...');
+    assert.strictEqual(splitTestService.pick({ id: LINK_ID, variants: [] }), null);
+    assert.strictEqual(splitTestService.pick(link, { stickyVariantId: 'a', visitorKey: 'visitor-1' }).id, 'a');
+    assert.strictEqual(splitTestService.pick(link, { stickyVariantId: 'gone', visitorKey: 'visitor-1' }).id, splitTestService.pick(link, { visitorKey: 'visitor-1' }).id);
+    const paused = { id: LINK_ID, variants: [{ ...variants[0], weight: 0 }, variants[1]] };
+    assert.strictEqual(splitTestService.pick(paused, { stickyVariantId: 'a' }).id, 'b');
+
+    for (let visitor = 0; visitor < 50; visitor++) {
+      const first = splitTestService.pick(link, { visitorKey: `visitor-${visitor}` }).id;
+      assert.strictEqual(splitTestService.pick(link, { visitorKey: `visitor-${visitor}` }).id, first);
+    }
+
+    const counts = { a: 0, b: 0 };
+    for (let visitor = 0; visitor < 4000; visitor++) {
+      counts[splitTestService.pick(link, { visitorKey: `v${visitor}` }).id]++;
+    }
+    assert.ok(Math.abs(counts.b / 4000 - 0.75) < 0.03, `weight 3:1 gave ${counts.a}:${counts.b}`);
+    console.log(`✅ Sticky cookie kept while its variant is live, same visitor same bucket, 1:3 split ${counts.a}:${counts.b}`);
+
+    console.log('📋 Report...');
+    Click.findAll = async () => [
+      { variantId: 'a', clicks: '1000', conversions: '100', conversionValue: '2500.50' },
+      { variantId: 'b', clicks: '1000', conversions: '130', conversionValue: '3100' },
+    ];
+    let report = await splitTestService.getReport(link, new Date(0), new Date());
+    const [control, challenger] = report.variants;
+    assert.strictEqual(report.controlId, 'a');
+    assert.strictEqual(control.pValue, null);
+    assert.strictEqual(control.conversionValue, 2500.5);
+    assert.strictEqual(challenger.conversionRate, 0.13);
+    assert.ok(Math.abs(challenger.uplift - 0.3) < 1e-9);
+    assert.ok(Math.abs(challenger.pValue - 0.0355) < 0.001, `p = ${challenger.pValue}`);
+    assert.strictEqual(challenger.significant, true);
+    assert.strictEqual(report.winnerId, 'b');
+
+    Click.findAll = async () => [
+      { variantId: 'a', clicks: '100', conversions: '10', conversionValue: null },
+      { variantId: 'b', clicks: '100', conversions: '12', conversionValue: null },
+    ];
+    report = await splitTestService.getReport(link, new Date(0), new Date());
+    assert.strictEqual(report.variants[1].significant, false);
+    assert.strictEqual(report.winnerId, null);
+
+    Click.findAll = async () => [
+      { variantId: 'a', clicks: '1000', conversions: '150', conversionValue: null },
+      { variantId: 'b', clicks: '1000', conversions: '90', conversionValue: null },
+    ];
+    assert.strictEqual((await splitTestService.getReport(link, new Date(0), new Date())).winnerId, 'a');
+
+    Click.findAll = async () => [{ variantId: 'a', clicks: '40', conversions: '0', conversionValue: null }];
+    report = await splitTestService.getReport(link, new Date(0), new Date());
+    assert.deepStrictEqual(report.variants.map(({ clicks, pValue }) => [clicks, pValue]), [[40, null], [0, null]]);
+    assert.strictEqual(await splitTestService.getReport({ id: PLAIN_LINK_ID, variants: [] }, new Date(0), new Date()), null);
+    console.log(`✅ z-test p = ${challenger.pValue.toFixed(4)} for 10% vs 13%, winners only when significant`);
+
+    console.log('📋 Conversion postbacks...');
+    await new Promise((resolve) => server.listening ? resolve() : server.once('listening', resolve));
+    const { port } = server.address();
+    const token = splitTestService.signClick(LINK_ID, splitClick);
+    assert.match(token, new RegExp(`^${splitClick}\\.[A-Za-z0-9_-]{43}$`));
+
+    assert.strictEqual((await post(port, { clickId: splitClick })).status, 404);
+    assert.strictEqual((await post(port, { clickId: `${splitClick}.${'A'.repeat(43)}` })).status, 404);
+    assert.strictEqual((await post(port, { clickId: splitTestService.signClick(PLAIN_LINK_ID, splitClick) })).status, 404);
+    assert.strictEqual((await post(port, { clickId: splitTestService.signClick(PLAIN_LINK_ID, plainClick) })).status, 404);
+    assert.strictEqual(clicks.get(splitClick).convertedAt, null);
+
+    assert.strictEqual((await post(port, { clickId: token, value: -5 })).status, 400);
+    assert.deepStrictEqual(await post(port, { clickId: token, value: '19.90' }), {
+      status: 200,
+      body: { success: true, message: 'Conversion recorded' },
+    });
+    const { convertedAt } = clicks.get(splitClick);
+    assert.strictEqual(clicks.get(splitClick).conversionValue, 19.9);
+
+    assert.strictEqual((await post(port, { clickId: token, value: 99 })).status, 200);
+    assert.strictEqual(clicks.get(splitClick).convertedAt, convertedAt);
+    assert.strictEqual(clicks.get(splitClick).conversionValue, 19.9);
+
+    lookups.length = 0;
+    assert.strictEqual(await splitTestService.recordConversion('not-a-token'), false);
+    assert.strictEqual(await splitTestService.recordConversion(`${splitClick}.short`), false);
+    assert.strictEqual(lookups.length, 0, 'malformed tokens reached the database');
+    console.log('✅ Only signed tokens of split clicks convert, first conversion kept');
+
+    console.log('\n🎉 Split test completed successfully!');
+  } catch (error) {
+    console.error('❌ Split test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    process.exit();
+  }
+}
+
+testSplitTest();
@@ -0,0 +1,114 @@
+// backend/test-two-factor-attempts.js
+// 2FA login attempt limit against an in-memory Redis (ioredis-mock) - user, code check and
+// session creation are stubbed, no PostgreSQL needed
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const cacheService = require('./core/cache/CacheService');
+const userRepository = require('./domains/users/repositories/UserRepository');
+const twoFactorService = require('./domains/auth/services/TwoFactorService');
+const securityLogService = require('./domains/auth/services/SecurityLogService');
+const authService = require('./domains/auth/services/AuthService');
+
+const VALID_CODE = '123456';
+const user = { id: '9d2f4a61-0c3e-4b8a-a7d5-1e6f3b9c2a40', email: 'bob@example.com', name: 'Bob', isActive: true };
+
+// Số code thực sự được kiểm tra + số lần đăng nhập thành công
+const stats = { checked: 0, logins: 0 };
+
+twoFactorService.findUser = async () => ({ ...user });
+twoFactorService.verifyUserCode = async (target, code) => {
+  stats.checked += 1;
+  await new Promise((resolve) => setTimeout(resolve, 5)); // query DB
+  if (code !== VALID_CODE) throw new Error('Invalid two-factor code');
+  return 'totp';
+};
+userRepository.updateLastSeen = async () => {};
+securityLogService.record = async () => {};
+authService.createSession = async () => {
+  stats.logins += 1;
+  return { tokens: { accessToken: 'access', refreshToken: 'refresh' }, sessionId: `session-${stats.logins}` };
+};
+
+const newChallenge = async () => (await authService.createTwoFactorChallenge(user)).challengeToken;
+const login = (challengeToken, code) => authService.completeTwoFactorLogin(challengeToken, code);
+const LOCKED = /Too many invalid two-factor codes/;
+// Hết cửa sổ khoá (TTL của bộ đếm)
+const endLockout = () => cacheService.del(`2fa:attempts:user:${user.id}`);
+
+async function testTwoFactorAttempts() {
+  console.log('🧪 Testing two-factor login attempt limits with an in-memory Redis...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    console.log('📋 Typos before the right code...');
+    let challenge = await newChallenge();
+    for (let i = 0; i < 4; i++) {
+      await assert.rejects(login(challenge, '000000'), /Invalid two-factor code/);
+    }
+    const result = await login(challenge, VALID_CODE);
+    assert.strictEqual(result.sessionId, 'session-1');
+    await assert.rejects(login(challenge, VALID_CODE), /Invalid or expired token/);
+
+    challenge = await newChallenge();
+    for (let i = 0; i < 4; i++) {
+      await assert.rejects(login(challenge, '000000'), /Invalid two-factor code/);
+    }
+    console.log('✅ 4 wrong codes keep the challenge, success is single use and resets the count');
+
+    console.log('📋 Sequential guessing...');
+    await endLockout();
+    challenge = await newChallenge();
+    for (let i = 0; i < 4; i++) {
+      await assert.rejects(login(challenge, `00000${i}`), /Invalid two-factor code/);
+    }
+    await assert.rejects(login(challenge, '000009'), LOCKED);
+    await assert.rejects(login(challenge, VALID_CODE), /Invalid or expired token/);
+    console.log('✅ Challenge revoked after the 5th wrong code');
+
+    console.log('📋 Logging in again with the password...');
+    stats.checked = 0;
+    for (let i = 0; i < 3; i++) {
+      challenge = await newChallenge(); // mật khẩu đúng -> challenge mới
+      await assert.rejects(login(challenge, '000000'), LOCKED);
+      await assert.rejects(login(challenge, VALID_CODE), /Invalid or expired token/);
+    }
+    challenge = await newChallenge();
+    await assert.rejects(login(challenge, VALID_CODE), LOCKED);
+    assert.strictEqual(stats.checked, 0, 'codes checked while locked');
+    const ttl = await cacheService.redis.ttl(`2fa:attempts:user:${user.id}`);
+    assert.ok(ttl > 14 * 60 && ttl <= 15 * 60, `lockout ttl ${ttl}`);
+    console.log('✅ New challenges stay locked, no code is checked');
+
+    console.log('📋 Parallel guessing...');
+    await endLockout();
+    challenge = await newChallenge();
+    stats.checked = 0;
+    const guesses = Array.from({ length: 30 }, (_, index) => String(index).padStart(6, '0'));
+    guesses.push(VALID_CODE); // code đúng ở cuối loạt request đồng thời
+    const results = await Promise.allSettled(guesses.map((code) => login(challenge, code)));
+
+    assert.ok(stats.checked <= 5, `${stats.checked} codes checked for one challenge`);
+    assert.strictEqual(results.filter((item) => item.status === 'fulfilled').length, 0);
+    assert.strictEqual(stats.logins, 1);
+    await assert.rejects(login(challenge, VALID_CODE), /Invalid or expired token/);
+    console.log(`✅ ${guesses.length} parallel requests checked ${stats.checked} codes`);
+
+    console.log('📋 After the lockout window...');
+    await endLockout();
+    challenge = await newChallenge();
+    assert.strictEqual((await login(challenge, VALID_CODE)).sessionId, 'session-2');
+    console.log('✅ Valid code accepted again once the window has passed');
+
+    console.log('\n🎉 Two-factor attempt test completed successfully!');
+  } catch (error) {
+    console.error('❌ Two-factor attempt test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+testTwoFactorAttempts();
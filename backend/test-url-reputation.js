@@ -0,0 +1,153 @@
+// backend/test-url-reputation.js
+// Local blocklists: domain / hosts / SHA-256 prefix list matching, reload and the periodic link
+// rescan. Lists are written to a temp BLOCKLIST_DIR, links and moderation are stubbed (no PostgreSQL).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const assert = require('assert');
+
+const blocklistDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blocklists-'));
+process.env.BLOCKLIST_DIR = blocklistDir;
+
+const { Link, sequelize } = require('./models');
+const linkModerationService = require('./domains/admin/services/LinkModerationService');
+const urlReputationService = require('./domains/security/services/UrlReputationService');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+const writeList = (name, lines) => fs.writeFileSync(path.join(blocklistDir, name), lines.join('\n'));
+
+// 2500 link active (> 2 batch rescan), vài link có đích nằm trong blocklist
+const LINK_COUNT = 2500;
+const uuid = (index) => `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`;
+const destinations = {
+  10: { originalUrl: 'https://login.phish.example/account' },
+  1200: { originalUrl: 'https://example.com/', routingRules: [{ id: 'r1', destinationUrl: 'http://203.0.113.66/payload' }] },
+  2100: { originalUrl: 'https://example.com/', variants: [{ id: 'a', destinationUrl: 'https://example.com/a' }, { id: 'b', destinationUrl: 'https://files.example.net/dl/tool.exe' }] },
+  2400: { originalUrl: 'https://example.com/', fallbackUrl: 'https://cdn.phish.example/' },
+};
+const links = Array.from({ length: LINK_COUNT }, (_, index) => ({
+  id: uuid(index),
+  userId: 'user-1',
+  shortCode: `s${index}`,
+  originalUrl: `https://example.com/page/${index}`,
+  routingRules: [],
+  variants: [],
+  fallbackUrl: null,
+  ...destinations[index],
+}));
+
+Link.count = async () => links.length;
+Link.findAll = async ({ where, limit }) => {
+  const lastId = where.id ? Object.getOwnPropertySymbols(where.id).map((symbol) => where.id[symbol])[0] : null;
+  return links.filter((link) => !lastId || link.id > lastId).slice(0, limit);
+};
+const deactivated = [];
+const moderated = [];
+sequelize.transaction = async (callback) => callback({ id: 'transaction' });
+Link.update = async (changes, { where, transaction }) => {
+  assert.ok(transaction, 'link deactivated outside the transaction');
+  deactivated.push({ id: where.id, ...changes });
+};
+linkModerationService.moderate = async (linkId, action, { reason }, { transaction }) => {
+  assert.ok(transaction, 'moderation entry outside the transaction');
+  moderated.push({ linkId, action, reason });
+};
+
+async function testUrlReputation() {
+  console.log('🧪 Testing blocklist matching and link rescan...\n');
+  const { log, warn } = console;
+
+  try {
+    console.log('📋 Loading lists...');
+    writeList('phishing.domains', ['# phishing feed', 'phish.example', 'BAD-SITE.example  # uppercase + comment', '']);
+    writeList('malware.hosts', ['0.0.0.0 malware.example.org www.malware.example.org', '127.0.0.1 localhost', 'not-an-ip spam.example', '0.0.0.0 203.0.113.66']);
+    writeList('urls.sha256', [sha256('files.example.net/dl/').slice(0, 8), 'zz-not-hex', sha256('other.example/').slice(0, 64)]);
+    writeList('notes.md', ['ignored.example']);
+
+    console.log = () => {};
+    const status = await urlReputationService.reload();
+    console.log = log;
+    assert.deepStrictEqual(status.lists, [
+      { name: 'malware.hosts', type: 'hosts', size: 3 },
+      { name: 'phishing.domains', type: 'domain', size: 2 },
+      { name: 'urls.sha256', type: 'hashPrefix', size: 2 },
+    ]);
+    console.log('✅ .domains / .hosts / .sha256 lists parsed, comments, localhost and bad lines skipped');
+
+    console.log('📋 Matching...');
+    const check = (url) => urlReputationService.checkUrl(url);
+    assert.strictEqual((await check('https://phish.example/')).list, 'phishing.domains');
+    assert.strictEqual((await check('https://secure.login.PHISH.example./x')).match, 'phish.example');
+    assert.strictEqual((await check('https://bad-site.example')).flagged, true);
+    assert.strictEqual((await check('https://notphish.example/')).flagged, false);
+    assert.strictEqual((await check('https://example/')).flagged, false);
+
+    assert.strictEqual((await check('http://www.malware.example.org/a')).list, 'malware.hosts');
+    assert.strictEqual((await check('http://cdn.malware.example.org/a')).flagged, false, 'hosts entries are exact');
+    assert.strictEqual((await check('http://203.0.113.66:8080/')).match, '203.0.113.66');
+    assert.strictEqual((await check('http://localhost/')).flagged, false);
+
+    const hashMatch = await check('https://files.example.net/dl/tool.exe?v=2');
+    assert.deepStrictEqual([hashMatch.type, hashMatch.match], ['hashPrefix', 'files.example.net/dl/']);
+    assert.strictEqual((await check('https://a.b.other.example/deep/path')).match, 'other.example/');
+    assert.strictEqual((await check('https://files.example.net/public/')).flagged, false);
+    assert.strictEqual((await check('not a url')).flagged, false);
+
+    console.log = () => {};
+    await assert.rejects(
+      urlReputationService.assertNotFlagged('https://phish.example/login'),
+      /^Error: Destination not allowed: flagged as malicious \(phishing\.domains\)$/
+    );
+    console.log = log;
+    await urlReputationService.assertNotFlagged('https://example.com/');
+    console.log('✅ Domain lists match subdomains, hosts lists exact hosts, hash prefixes host/path expressions');
+
+    console.log('📋 Reload...');
+    fs.unlinkSync(path.join(blocklistDir, 'phishing.domains'));
+    writeList('scam.txt', ['example.com']);
+    console.log = () => {};
+    await urlReputationService.reload();
+    console.log = log;
+    assert.strictEqual((await check('https://phish.example/')).flagged, false);
+    assert.strictEqual((await check('https://shop.example.com/')).list, 'scam.txt');
+    fs.unlinkSync(path.join(blocklistDir, 'scam.txt'));
+    writeList('phishing.domains', ['phish.example']);
+    console.log('✅ Removed lists stop matching, new lists match after reload');
+
+    console.log('📋 Rescan...');
+    const progress = [];
+    console.log = () => {};
+    const result = await urlReputationService.rescanLinks(async (value) => progress.push(value));
+    console.log = log;
+
+    assert.strictEqual(result.scanned, LINK_COUNT);
+    assert.deepStrictEqual(result.links.map(({ shortCode }) => shortCode), ['s10', 's1200', 's2100', 's2400']);
+    assert.match(result.links[1].reason, /malware\.hosts \(203\.0\.113\.66\)/);
+    assert.deepStrictEqual(deactivated.map(({ id, isActive }) => [id, isActive]), [10, 1200, 2100, 2400].map((index) => [uuid(index), false]));
+    assert.ok(deactivated.every(({ blockedAt, blockedReason }) => blockedAt instanceof Date && /^Listed in /.test(blockedReason)));
+    assert.deepStrictEqual(moderated.map(({ action }) => action), ['flag', 'flag', 'flag', 'flag']);
+    assert.deepStrictEqual(progress, [40, 80, 99, 100]);
+    console.log('✅ Routing rule, variant and fallback destinations checked, flagged links deactivated and queued');
+
+    console.log('📋 No lists...');
+    fs.readdirSync(blocklistDir).forEach((file) => fs.unlinkSync(path.join(blocklistDir, file)));
+    Object.assign(console, { log: () => {}, warn: () => {} });
+    const empty = await urlReputationService.rescanLinks();
+    Object.assign(console, { log, warn });
+    assert.deepStrictEqual(empty, { scanned: 0, flagged: 0, links: [] });
+    assert.strictEqual(deactivated.length, 4);
+    console.log('✅ Rescan is a no-op without lists');
+
+    console.log('\n🎉 URL reputation test completed successfully!');
+  } catch (error) {
+    Object.assign(console, { log, warn });
+    console.error('❌ URL reputation test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(blocklistDir, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+testUrlReputation();
@@ -0,0 +1,145 @@
+// backend/test-user-agent.js
+// User-Agent parsing: device type (tablet / wearable included), browser + OS with versions, bot
+// detection, the parse cache and the fields each click stores in Postgres and ElasticSearch - needs
+// the PostgreSQL from config. Redis is ioredis-mock, the ElasticSearch client is stubbed; test rows are removed.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const config = require('./config');
+const { sequelize, User, Link, Click } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const clickTrackingService = require('./domains/analytics/services/ClickTrackingService');
+const linkService = require('./domains/links/services/LinkService');
+const sessionService = require('./domains/auth/services/SessionService');
+const { parseUserAgent, isBot } = require('./shared/utils/userAgent');
+
+const RUN = Date.now().toString(36);
+
+const UA = {
+  windowsChrome: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  macEdge:
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.2478.51',
+  linuxFirefox: 'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0',
+  iphone:
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1',
+  androidPhone: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36',
+  ipad: 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1',
+  androidTablet: 'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  watch: 'Mozilla/5.0 (Linux; Tizen 5.5; SAMSUNG SM-R820) AppleWebKit/537.3 (KHTML, like Gecko) SamsungBrowser/1.0 Mobile Safari/537.36',
+  googlebot: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+  facebook: 'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+  slack: 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)',
+  curl: 'curl/8.5.0',
+};
+
+config.redirect.bufferCounters = false; // counters straight to Postgres, no flush needed
+
+const indexed = [];
+clickTrackingService.isReady = () => true;
+clickTrackingService.esClient = {
+  index: async ({ body }) => indexed.push(body) && { body: { _id: `es-${indexed.length}` } },
+};
+
+async function testUserAgent() {
+  console.log('🧪 Testing user-agent parsing and bot detection...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  const { log } = console;
+  let user;
+  try {
+    console.log('📋 Devices, browsers and OS...');
+    const pick = (ua) => {
+      const { deviceType, browser, browserVersion, os, osVersion } = parseUserAgent(ua);
+      return [deviceType, browser, browserVersion, os, osVersion];
+    };
+    assert.deepStrictEqual(pick(UA.windowsChrome), ['desktop', 'Chrome', '124.0.0.0', 'Windows', '10']);
+    assert.deepStrictEqual(pick(UA.macEdge), ['desktop', 'Edge', '124.0.2478.51', 'Mac OS', '10.15.7']);
+    assert.deepStrictEqual(pick(UA.linuxFirefox), ['desktop', 'Firefox', '128.0', 'Ubuntu', null]);
+    assert.deepStrictEqual(pick(UA.iphone), ['mobile', 'Mobile Safari', '17.4', 'iOS', '17.4']);
+    assert.deepStrictEqual(pick(UA.androidPhone), ['mobile', 'Chrome', '124.0.0.0', 'Android', '14']);
+    assert.deepStrictEqual(pick(UA.ipad), ['tablet', 'Mobile Safari', '16.6', 'iOS', '16.6']);
+    assert.deepStrictEqual(pick(UA.androidTablet), ['tablet', 'Chrome', '120.0.0.0', 'Android', '13']);
+    assert.strictEqual(parseUserAgent(UA.watch).deviceType, 'mobile');
+    assert.deepStrictEqual(parseUserAgent('   '), { deviceType: null, browser: null, browserVersion: null, os: null, osVersion: null, isBot: false });
+    assert.deepStrictEqual(parseUserAgent(undefined), parseUserAgent(''));
+    console.log('✅ Phones / wearables mobile, iPad + Android tablets tablet, browser and OS versions kept');
+
+    console.log('📋 Bots...');
+    for (const ua of [UA.googlebot, UA.facebook, UA.slack, UA.curl]) {
+      assert.deepStrictEqual(pick(ua), ['bot', null, null, null, null], ua);
+      assert.strictEqual(isBot(ua), true, ua);
+    }
+    assert.strictEqual(isBot(UA.iphone), false);
+    assert.strictEqual(isBot(null), false);
+    console.log('✅ Crawlers, link preview fetchers and HTTP clients flagged as bots');
+
+    console.log('📋 Parse cache...');
+    assert.strictEqual(parseUserAgent(UA.iphone), parseUserAgent(` ${UA.iphone} `), 'repeated UA parsed again');
+    const oldest = parseUserAgent('Mozilla/5.0 cache-0');
+    for (let index = 1; index <= 1000; index++) parseUserAgent(`Mozilla/5.0 cache-${index}`);
+    assert.notStrictEqual(parseUserAgent('Mozilla/5.0 cache-0'), oldest, 'oldest entry kept past 1000');
+    assert.strictEqual(parseUserAgent('Mozilla/5.0 cache-1000'), parseUserAgent('Mozilla/5.0 cache-1000'));
+    console.log('✅ Same UA served from the cache, oldest entry dropped after 1000');
+
+    console.log('📋 Session devices...');
+    assert.deepStrictEqual(sessionService.describeDevice(UA.androidTablet), { browser: 'Chrome 120', os: 'Android', deviceType: 'tablet' });
+    assert.deepStrictEqual(sessionService.describeDevice(UA.googlebot), { browser: 'Unknown', os: 'Unknown', deviceType: 'bot' });
+    assert.deepStrictEqual(sessionService.describeDevice('unknown'), { browser: 'Unknown', os: 'Unknown', deviceType: 'unknown' });
+    console.log('✅ Session list shows browser major version, OS and device type');
+
+    try {
+      await sequelize.authenticate();
+    } catch (error) {
+      console.log(`⚠️ PostgreSQL not reachable (${error.message}) - click storage checks skipped`);
+      console.log('\n🎉 User-agent test completed successfully!');
+      return;
+    }
+    await sequelize.sync();
+    linkService.isInitialized = true; // ElasticSearch client đã stub
+
+    console.log('📋 Stored click fields...');
+    user = await User.create({ email: `ua-${RUN}@example.com`, name: 'UA Test', password: 'UserAgent123' });
+    const link = await Link.create({ userId: user.id, originalUrl: 'https://example.com/', shortCode: `ua-${RUN}` });
+
+    console.log = () => {};
+    const visits = [];
+    for (const [index, userAgent] of [UA.ipad, UA.facebook, UA.windowsChrome].entries()) {
+      visits.push(await linkService.processClick(link.shortCode, null, { ipAddress: `198.51.100.${index + 1}`, userAgent }));
+    }
+    console.log = log;
+    assert.deepStrictEqual(visits.map((visit) => visit.isBot), [false, true, false]);
+
+    const clicks = await Click.findAll({ where: { linkId: link.id }, order: [['createdAt', 'ASC']] });
+    const stored = (row) => [row.deviceType, row.browser, row.browserVersion, row.os, row.osVersion, row.isBot];
+    assert.deepStrictEqual(clicks.map(stored), [
+      ['tablet', 'Mobile Safari', '16.6', 'iOS', '16.6', false],
+      ['bot', null, null, null, null, true],
+      ['desktop', 'Chrome', '124.0.0.0', 'Windows', '10', false],
+    ]);
+    assert.deepStrictEqual(indexed.map(stored), clicks.map(stored));
+    assert.deepStrictEqual(indexed.map(({ userAgent }) => userAgent), [UA.ipad, UA.facebook, UA.windowsChrome]);
+
+    await link.reload();
+    assert.deepStrictEqual([link.clickCount, link.uniqueClicks, link.botClicks], [2, 2, 1]);
+    console.log('✅ Device / browser / OS / bot written to Postgres and ElasticSearch, bot hits counted apart');
+
+    console.log('\n🎉 User-agent test completed successfully!');
+  } catch (error) {
+    console.log = log;
+    console.error('❌ User-agent test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (user) {
+      const links = await Link.findAll({ where: { userId: user.id }, paranoid: false, attributes: ['id'] }).catch(() => []);
+      await Click.destroy({ where: { linkId: links.map(({ id }) => id) } }).catch(() => {});
+      await Link.destroy({ where: { userId: user.id }, force: true, hooks: false }).catch(() => {});
+      await user.destroy().catch(() => {});
+    }
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testUserAgent();
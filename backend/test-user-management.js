@@ -0,0 +1,181 @@
+// backend/test-user-management.js
+// Admin user management: search, role changes, suspend / unsuspend (links, domains, sessions) and
+// read-only impersonation through authMiddleware - needs the PostgreSQL from config, Redis is
+// ioredis-mock. Creates missing tables, never drops anything; test users and their data are deleted at the end.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const { sequelize, User, Link, Domain, AuditLog } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const authService = require('./domains/auth/services/AuthService');
+const sessionService = require('./domains/auth/services/SessionService');
+const authMiddleware = require('./domains/auth/middleware/authMiddleware');
+const userManagementService = require('./domains/admin/services/UserManagementService');
+
+const RUN = Date.now().toString(36);
+const request = { ip: '127.0.0.1', get: () => 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0' };
+
+// authMiddleware.verifyToken với req/res giả -> { status, body } hoặc { status: 200, user }
+const authenticate = (method, token) =>
+  new Promise((resolve) => {
+    const req = { method, headers: { authorization: `Bearer ${token}` } };
+    const res = {
+      status(statusCode) {
+        this.statusCode = statusCode;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    authMiddleware.verifyToken(req, res, () => resolve({ status: 200, user: req.user }));
+  });
+
+async function testUserManagement() {
+  console.log('🧪 Testing admin user management against PostgreSQL...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    await sequelize.authenticate();
+  } catch (error) {
+    console.log(`⚠️ PostgreSQL not reachable (${error.message}) - user management test skipped`);
+    process.exit();
+  }
+
+  const { log, error: logError } = console;
+  const quiet = () => Object.assign(console, { log: () => {}, error: () => {} });
+  const loud = () => Object.assign(console, { log, error: logError });
+  const users = [];
+  try {
+    await sequelize.sync();
+
+    const createUser = async (name, attributes = {}) => {
+      const user = await User.create({ email: `${name}-${RUN}@example.com`, name: `${name} ${RUN}`, password: 'Support123', ...attributes });
+      users.push(user);
+      return user;
+    };
+    const admin = await createUser('um-admin', { role: 'admin' });
+    const otherAdmin = await createUser('um-admin2', { role: 'admin' });
+    const customer = await createUser('um-customer');
+    const editor = await createUser('um-editor', { role: 'editor' });
+
+    console.log('📋 Search...');
+    const search = (filters) => userManagementService.listUsers({ search: RUN, ...filters });
+    assert.strictEqual((await search()).pagination.total, 4);
+    assert.deepStrictEqual((await search({ role: 'admin', sortBy: 'email', sortOrder: 'asc' })).users.map(({ email }) => email), [
+      admin.email,
+      otherAdmin.email,
+    ]);
+    assert.deepStrictEqual((await search({ search: `um-customer-${RUN}@EXAMPLE` })).users.map(({ id }) => id), [customer.id]);
+    const page = await search({ limit: 3, offset: 0 });
+    assert.deepStrictEqual([page.users.length, page.pagination.hasMore], [3, true]);
+    assert.ok(page.users.every((user) => user.password === undefined));
+    await assert.rejects(search({ role: 'owner' }), /Invalid role/);
+    await assert.rejects(search({ status: 'banned' }), /Invalid status/);
+    await assert.rejects(search({ sortBy: 'password' }), /Invalid sortBy/);
+    console.log('✅ Email / name search (case-insensitive), role filter, sort and paging, no password hashes');
+
+    console.log('📋 Role changes...');
+    const actor = { adminId: admin.id, ipAddress: '198.51.100.7' };
+    await cacheService.set(`user:id:${customer.id}`, { id: customer.id, role: 'user' }, 60);
+    quiet();
+    const promoted = await userManagementService.changeRole(customer.id, 'editor', { ...actor, reason: 'Team lead' });
+    await userManagementService.changeRole(customer.id, 'editor', actor);
+    loud();
+    assert.strictEqual(promoted.role, 'editor');
+    assert.strictEqual(await cacheService.get(`user:id:${customer.id}`), null);
+    await assert.rejects(userManagementService.changeRole(customer.id, 'owner', actor), /Invalid role/);
+    await assert.rejects(userManagementService.changeRole(admin.id, 'user', actor), /Cannot change your own role/);
+    await assert.rejects(userManagementService.changeRole('nope', 'user', actor), /User not found/);
+    const roleEntries = await AuditLog.findAll({ where: { targetId: customer.id, action: 'user.role_change' } });
+    assert.deepStrictEqual(roleEntries.map(({ metadata, reason }) => [metadata.previousRole, metadata.newRole, reason]), [['user', 'editor', 'Team lead']]);
+    console.log('✅ Role changed and user cache cleared, no-op changes and self changes not audited');
+
+    console.log('📋 Suspend...');
+    const [active, paused] = await Link.bulkCreate([
+      { userId: customer.id, originalUrl: 'https://example.com/a', shortCode: `um-a-${RUN}` },
+      { userId: customer.id, originalUrl: 'https://example.com/b', shortCode: `um-b-${RUN}`, isActive: false },
+    ]);
+    const domain = await Domain.create({ userId: customer.id, domain: `um-${RUN}.example.com`, isActive: true, isVerified: true });
+
+    quiet();
+    const user = await User.findByPk(customer.id);
+    const { tokens } = await authService.createSession(user, request);
+    const second = await authService.createSession(user, request);
+    assert.strictEqual((await authenticate('GET', tokens.accessToken)).status, 200);
+
+    await assert.rejects(userManagementService.suspendUser(customer.id, actor), /Reason is required/);
+    await assert.rejects(userManagementService.suspendUser(admin.id, { ...actor, reason: 'x' }), /Cannot suspend your own account/);
+    const suspended = await userManagementService.suspendUser(customer.id, { ...actor, reason: 'Chargeback fraud' });
+    await assert.rejects(userManagementService.suspendUser(customer.id, { ...actor, reason: 'again' }), /already suspended/);
+    const afterSuspend = await authenticate('GET', second.tokens.accessToken);
+    loud();
+
+    assert.deepStrictEqual([suspended.linksDisabled, suspended.sessionsRevoked], [1, 2]);
+    assert.deepStrictEqual(await sessionService.listForUser(customer.id), []);
+    assert.strictEqual(afterSuspend.status, 401);
+    await Promise.all([active, paused, domain].map((row) => row.reload()));
+    assert.deepStrictEqual([active.isActive, !!active.suspendedAt, paused.isActive, paused.suspendedAt], [false, true, false, null]);
+    assert.deepStrictEqual([domain.isActive, !!domain.suspendedAt], [false, true]);
+    const stored = await User.findByPk(customer.id);
+    assert.deepStrictEqual([stored.isActive, stored.suspendedReason], [false, 'Chargeback fraud']);
+    assert.strictEqual((await search({ status: 'suspended' })).users[0].id, customer.id);
+    console.log('✅ Account, active links and domains disabled, both sessions revoked and their tokens rejected');
+
+    console.log('📋 Unsuspend...');
+    quiet();
+    const { linksRestored } = await userManagementService.unsuspendUser(customer.id, actor);
+    await assert.rejects(userManagementService.unsuspendUser(customer.id, actor), /User is not suspended/);
+    loud();
+    await Promise.all([active, paused, domain].map((row) => row.reload()));
+    assert.strictEqual(linksRestored, 1);
+    assert.deepStrictEqual([active.isActive, paused.isActive, domain.isActive], [true, false, true]);
+    console.log('✅ Only the links disabled by the suspension come back');
+
+    console.log('📋 Impersonation...');
+    quiet();
+    await assert.rejects(userManagementService.impersonate(editor.id, actor), /Reason is required/);
+    await assert.rejects(userManagementService.impersonate(otherAdmin.id, { ...actor, reason: 'x' }), /another admin/);
+    await assert.rejects(userManagementService.impersonate(admin.id, { ...actor, reason: 'x' }), /Cannot impersonate yourself/);
+    const impersonation = await userManagementService.impersonate(editor.id, { ...actor, reason: 'Ticket #4512' });
+    const read = await authenticate('GET', impersonation.accessToken);
+    const write = await authenticate('POST', impersonation.accessToken);
+    const remove = await authenticate('DELETE', impersonation.accessToken);
+    loud();
+
+    assert.strictEqual(impersonation.readOnly, true);
+    assert.strictEqual(impersonation.user.password, undefined);
+    assert.ok(impersonation.expiresAt - Date.now() <= 15 * 60 * 1000);
+    assert.deepStrictEqual([read.status, read.user.id, read.user.impersonatedBy], [200, editor.id, admin.id]);
+    assert.deepStrictEqual([write.status, write.body.code], [403, 'IMPERSONATION_READ_ONLY']);
+    assert.strictEqual(remove.status, 403);
+    assert.deepStrictEqual(await sessionService.listForUser(editor.id), [], 'impersonation opened a session');
+    console.log('✅ Read-only token: GET allowed, writes 403, no session for the impersonated user');
+
+    console.log('📋 Audit trail...');
+    const { entries } = await userManagementService.getAuditTrail(customer.id);
+    assert.deepStrictEqual(entries.map(({ action }) => action).sort(), ['user.role_change', 'user.suspend', 'user.unsuspend']);
+    assert.ok(entries.every(({ actor: entryActor, ipAddress }) => entryActor.id === admin.id && ipAddress === '198.51.100.7'));
+    const [impersonated] = (await userManagementService.getAuditTrail(editor.id)).entries;
+    assert.deepStrictEqual([impersonated.action, impersonated.reason, impersonated.metadata.readOnly], ['user.impersonate', 'Ticket #4512', true]);
+    console.log('✅ Role change, suspension and impersonation audited with actor, reason and IP');
+
+    console.log('\n🎉 User management test completed successfully!');
+  } catch (error) {
+    loud();
+    console.error('❌ User management test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    const userIds = users.map((user) => user.id);
+    await AuditLog.destroy({ where: { targetId: userIds } }).catch(() => {});
+    await Link.destroy({ where: { userId: userIds }, force: true, hooks: false }).catch(() => {});
+    await Domain.destroy({ where: { userId: userIds }, force: true }).catch(() => {});
+    await User.destroy({ where: { id: userIds } }).catch(() => {});
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testUserManagement();
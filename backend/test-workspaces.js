@@ -0,0 +1,221 @@
+// backend/test-workspaces.js
+// Workspaces: invitations, role checks in requireWorkspaceRole / checkOwnershipOrAdmin and the
+// membership cache being cleared on role changes, removal and ownership transfer - needs the
+// PostgreSQL from config, Redis is ioredis-mock, emails are captured.
+// Creates missing tables, never drops anything; test users and workspaces are deleted at the end.
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+
+const { sequelize, User, Link, ApiKey, Workspace, WorkspaceMember, WorkspaceInvitation } = require('./models');
+const cacheService = require('./core/cache/CacheService');
+const settingsService = require('./core/settings/SettingsService');
+const authService = require('./domains/auth/services/AuthService');
+const authMiddleware = require('./domains/auth/middleware/authMiddleware');
+const apiKeyService = require('./domains/users/services/ApiKeyService');
+const workspaceService = require('./domains/workspaces/services/WorkspaceService');
+const invitationService = require('./domains/workspaces/services/InvitationService');
+
+const RUN = Date.now().toString(36);
+
+const emails = [];
+authService.queueEmail = async (type, to, data) => emails.push({ type, to, data });
+
+const settings = { 'workspaces.maxPerUser': 2, 'workspaces.maxMembers': 4 };
+const getSetting = settingsService.get.bind(settingsService);
+settingsService.get = (key) => (key in settings ? settings[key] : getSetting(key));
+
+// Chạy một middleware với req/res giả -> { status, code, req }
+const run = (middleware, { user, headers = {}, apiKey = null }) =>
+  new Promise((resolve) => {
+    const req = { user, apiKey, params: {}, query: {}, headers, get: (name) => headers[name] };
+    const res = {
+      status(statusCode) {
+        this.statusCode = statusCode;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, code: body.code, req });
+      },
+    };
+    middleware(req, res, () => resolve({ status: 200, req }));
+  });
+
+async function testWorkspaces() {
+  console.log('🧪 Testing workspaces and role checks against PostgreSQL...\n');
+
+  cacheService.redis = new RedisMock();
+  cacheService.redis.status = 'ready';
+
+  try {
+    await sequelize.authenticate();
+  } catch (error) {
+    console.log(`⚠️ PostgreSQL not reachable (${error.message}) - workspace test skipped`);
+    process.exit();
+  }
+
+  const { log, error: logError } = console;
+  const quiet = () => Object.assign(console, { log: () => {}, error: () => {} });
+  const loud = () => Object.assign(console, { log, error: logError });
+  const users = [];
+  const workspaceIds = [];
+  try {
+    await sequelize.sync();
+
+    const createUser = async (name, attributes = {}) => {
+      const user = await User.create({ email: `${name}-${RUN}@example.com`, name, password: 'Workspace123', ...attributes });
+      users.push(user);
+      return user;
+    };
+    const [owner, manager, writer, reader, outsider] = await Promise.all(
+      ['ws-owner', 'ws-manager', 'ws-writer', 'ws-reader', 'ws-outsider'].map((name) => createUser(name))
+    );
+    const siteAdmin = await createUser('ws-admin', { role: 'admin' });
+    const asUser = (user) => ({ id: user.id, email: user.email, role: user.role });
+
+    console.log('📋 Workspaces and invitations...');
+    quiet();
+    const workspace = await workspaceService.createWorkspace(owner.id, { name: ` Growth ${RUN} ` });
+    workspaceIds.push(workspace.id, (await workspaceService.createWorkspace(owner.id, { name: `Spare ${RUN}` })).id);
+    loud();
+    assert.deepStrictEqual([workspace.name, workspace.role, workspace.memberCount], [`Growth ${RUN}`, 'owner', 1]);
+    await assert.rejects(workspaceService.createWorkspace(owner.id, { name: 'Third' }), /can own up to 2 workspaces/);
+
+    const ownerActor = { userId: owner.id, role: 'owner' };
+    quiet();
+    await invitationService.invite(workspace.id, ownerActor, { email: manager.email, role: 'admin' });
+    await invitationService.invite(workspace.id, ownerActor, { email: writer.email.toUpperCase() });
+    await invitationService.invite(workspace.id, { userId: manager.id, role: 'admin' }, { email: reader.email, role: 'viewer' });
+    await assert.rejects(
+      invitationService.invite(workspace.id, { userId: manager.id, role: 'admin' }, { email: 'x@example.com', role: 'admin' }),
+      /Only the workspace owner can invite admins/
+    );
+    await assert.rejects(invitationService.invite(workspace.id, ownerActor, { email: 'new@example.com' }), /Member limit reached. A workspace can have up to 4 members/);
+    await assert.rejects(invitationService.invite(workspace.id, ownerActor, { email: owner.email }), /already a member/);
+    loud();
+
+    const tokenFor = (user) => emails.filter(({ to }) => to === user.email).pop().data.actionUrl.split('/').pop();
+    assert.deepStrictEqual(emails.map(({ type }) => type), ['workspaceInvitation', 'workspaceInvitation', 'workspaceInvitation']);
+    await assert.rejects(invitationService.acceptInvitation(tokenFor(writer), outsider), /different email address/);
+    await assert.rejects(invitationService.acceptInvitation('f'.repeat(64), writer), /not found or expired/);
+    quiet();
+    for (const user of [manager, writer, reader]) {
+      await invitationService.acceptInvitation(tokenFor(user), user);
+    }
+    loud();
+    assert.deepStrictEqual(
+      (await workspaceService.listMembers(workspace.id)).map(({ email, role }) => [email, role]),
+      [[owner.email, 'owner'], [manager.email, 'admin'], [writer.email, 'editor'], [reader.email, 'viewer']]
+    );
+    assert.strictEqual(await WorkspaceInvitation.count({ where: { workspaceId: workspace.id } }), 0);
+    await assert.rejects(invitationService.acceptInvitation(tokenFor(writer), writer), /not found or expired/);
+    console.log('✅ Invitations by email token, roles kept, member and ownership limits enforced');
+
+    console.log('📋 Workspace switcher (requireWorkspaceRole)...');
+    const header = { 'X-Workspace-Id': workspace.id };
+    const requireEditor = authMiddleware.requireWorkspaceRole('editor');
+    quiet();
+    const personal = await run(requireEditor, { user: asUser(reader) });
+    const asWriter = await run(requireEditor, { user: asUser(writer), headers: header });
+    const asReader = await run(requireEditor, { user: asUser(reader), headers: header });
+    const asOutsider = await run(requireEditor, { user: asUser(outsider), headers: header });
+    const badId = await run(requireEditor, { user: asUser(writer), headers: { 'X-Workspace-Id': 'not-a-uuid' } });
+    const key = await apiKeyService.createKey({ userId: writer.id, workspaceId: workspace.id }, { name: 'Zapier' });
+    const viaKey = await run(requireEditor, { user: asUser(writer), apiKey: { workspaceId: workspace.id }, headers: { 'X-Workspace-Id': workspaceIds[1] } });
+    loud();
+
+    assert.deepStrictEqual([personal.status, personal.req.workspace], [200, null]);
+    assert.deepStrictEqual([asWriter.status, asWriter.req.workspace], [200, { id: workspace.id, name: `Growth ${RUN}`, role: 'editor' }]);
+    assert.deepStrictEqual([asReader.status, asReader.code], [403, 'INSUFFICIENT_PERMISSIONS']);
+    assert.deepStrictEqual([asOutsider.status, asOutsider.code], [404, 'WORKSPACE_NOT_FOUND']);
+    assert.strictEqual(badId.status, 404);
+    assert.deepStrictEqual([viaKey.status, viaKey.req.workspace.id], [200, workspace.id]);
+    console.log('✅ Header selects the workspace, API keys stay in their own, roles ranked viewer < editor < admin < owner');
+
+    console.log('📋 Resource ownership (checkOwnershipOrAdmin)...');
+    const [teamLink, ownLink] = await Link.bulkCreate([
+      { userId: writer.id, workspaceId: workspace.id, originalUrl: 'https://example.com/team', shortCode: `ws-team-${RUN}` },
+      { userId: outsider.id, originalUrl: 'https://example.com/own', shortCode: `ws-own-${RUN}` },
+    ]);
+    const ownerOf = (link) => async () => ({ userId: link.userId, workspaceId: link.workspaceId });
+    const canEdit = (link) => authMiddleware.checkOwnershipOrAdmin(ownerOf(link), { minRole: 'editor' });
+    const canView = (link) => authMiddleware.checkOwnershipOrAdmin(ownerOf(link));
+
+    quiet();
+    const checks = {
+      managerEdits: await run(canEdit(teamLink), { user: asUser(manager) }),
+      readerViews: await run(canView(teamLink), { user: asUser(reader) }),
+      readerEdits: await run(canEdit(teamLink), { user: asUser(reader) }),
+      creatorOutside: await run(canView(teamLink), { user: asUser(outsider) }),
+      siteAdmin: await run(canEdit(teamLink), { user: asUser(siteAdmin) }),
+      personalOwner: await run(canEdit(ownLink), { user: asUser(outsider) }),
+      personalOther: await run(canView(ownLink), { user: asUser(owner) }),
+      missing: await run(authMiddleware.checkOwnershipOrAdmin(async () => null), { user: asUser(owner) }),
+    };
+    loud();
+    assert.deepStrictEqual(
+      Object.fromEntries(Object.entries(checks).map(([name, { status }]) => [name, status])),
+      { managerEdits: 200, readerViews: 200, readerEdits: 403, creatorOutside: 404, siteAdmin: 200, personalOwner: 200, personalOther: 403, missing: 404 }
+    );
+    console.log('✅ Workspace resources checked by membership role, personal ones by owner id, admins pass');
+
+    console.log('📋 Membership cache...');
+    const cacheKey = workspaceService.membershipKey(workspace.id, reader.id);
+    assert.strictEqual((await cacheService.get(cacheKey)).role, 'viewer');
+    await WorkspaceMember.update({ role: 'editor' }, { where: { workspaceId: workspace.id, userId: reader.id } });
+    assert.strictEqual((await workspaceService.getMembership(workspace.id, reader.id)).role, 'viewer', 'membership not cached');
+    await WorkspaceMember.update({ role: 'viewer' }, { where: { workspaceId: workspace.id, userId: reader.id } });
+
+    const managerActor = { userId: manager.id, role: 'admin' };
+    quiet();
+    await workspaceService.updateMemberRole(workspace.id, managerActor, reader.id, 'editor');
+    const promoted = await run(canEdit(teamLink), { user: asUser(reader) });
+    await assert.rejects(workspaceService.updateMemberRole(workspace.id, managerActor, reader.id, 'admin'), /Only the workspace owner can manage admins/);
+    await assert.rejects(workspaceService.updateMemberRole(workspace.id, ownerActor, owner.id, 'viewer'), /Cannot change the workspace owner/);
+    await assert.rejects(workspaceService.removeMember(workspace.id, { userId: reader.id, role: 'editor' }, writer.id), /Only workspace admins/);
+
+    const removed = await workspaceService.removeMember(workspace.id, managerActor, writer.id);
+    const afterRemoval = await run(canView(teamLink), { user: asUser(writer) });
+    const switcher = await run(requireEditor, { user: asUser(writer), headers: header });
+
+    await workspaceService.transferOwnership(workspace.id, owner.id, manager.id);
+    const formerOwner = await workspaceService.getMembership(workspace.id, owner.id);
+    const newOwner = await workspaceService.getMembership(workspace.id, manager.id);
+    await assert.rejects(workspaceService.removeMember(workspace.id, { userId: owner.id, role: 'admin' }, manager.id), /Cannot remove the workspace owner/);
+    loud();
+
+    assert.strictEqual(promoted.status, 200);
+    assert.deepStrictEqual(removed, { userId: writer.id, apiKeysRevoked: 1 });
+    assert.strictEqual((await ApiKey.findByPk(key.id)).isActive, false);
+    assert.deepStrictEqual([afterRemoval.status, switcher.status], [404, 404]);
+    assert.strictEqual(await cacheService.get(workspaceService.membershipKey(workspace.id, writer.id)), null);
+    await teamLink.reload();
+    assert.strictEqual(teamLink.workspaceId, workspace.id, 'links of removed members stay in the workspace');
+    assert.deepStrictEqual([formerOwner.role, newOwner.role], ['admin', 'owner']);
+    console.log('✅ Role changes, removal and transfer take effect at once, removed members lose their workspace API keys');
+
+    console.log('📋 Scope...');
+    assert.deepStrictEqual(workspaceService.scopeWhere(owner.id), { userId: owner.id, workspaceId: null });
+    assert.deepStrictEqual(workspaceService.scopeWhere({ userId: owner.id, workspaceId: workspace.id }), { workspaceId: workspace.id });
+    assert.deepStrictEqual(workspaceService.scopeFor({ user: { id: owner.id }, workspace: null }), { userId: owner.id, workspaceId: null });
+    assert.deepStrictEqual((await workspaceService.listForUser(reader.id)).map(({ id, role, memberCount }) => [id, role, memberCount]), [[workspace.id, 'editor', 3]]);
+    console.log('✅ Personal scope by user, workspace scope by workspace only');
+
+    console.log('\n🎉 Workspace test completed successfully!');
+  } catch (error) {
+    loud();
+    console.error('❌ Workspace test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    const userIds = users.map((user) => user.id);
+    await Link.destroy({ where: { userId: userIds }, force: true, hooks: false }).catch(() => {});
+    await ApiKey.destroy({ where: { userId: userIds } }).catch(() => {});
+    await WorkspaceInvitation.destroy({ where: { workspaceId: workspaceIds } }).catch(() => {});
+    await WorkspaceMember.destroy({ where: { workspaceId: workspaceIds } }).catch(() => {});
+    await Workspace.destroy({ where: { id: workspaceIds } }).catch(() => {});
+    await User.destroy({ where: { id: userIds } }).catch(() => {});
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+testWorkspaces();
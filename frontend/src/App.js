@@ -17,6 +17,7 @@ import ProfilePage from './pages/ProfilePage';
 import AnalyticsPage from './pages/AnalyticsPage';
 import NotFoundPage from './pages/NotFoundPage';
 import DomainManagementPage from './pages/DomainManagementPage';
+import InvitationPage from './pages/InvitationPage';
 import AdminDashboardPage from './pages/AdminDashboardPage';
 
 // Import components
@@ -193,6 +194,13 @@ const AppContent = () => {
           */}
         </Route>
 
+        {/* Workspace invitation - public, accepting needs login */}
+        <Route path="/invitations/:token" element={
+          <SimpleLayout>
+            <InvitationPage />
+          </SimpleLayout>
+        } />
+
         {/* ✅ SPECIFIC 404 route - only for unknown app routes */}
         <Route path="/404" element={<NotFoundPage />} />
         
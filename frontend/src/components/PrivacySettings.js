@@ -0,0 +1,210 @@
+// frontend/src/components/PrivacySettings.js - Xuất dữ liệu cá nhân & yêu cầu xoá tài khoản (GDPR)
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, Button, Space, Typography, List, Tag, Modal, Form, Input, Alert, message } from 'antd';
+import { DownloadOutlined, DeleteOutlined, ExportOutlined, UndoOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import useAuthStore from '../stores/authStore';
+
+const { Text, Paragraph } = Typography;
+
+const STATUS_COLORS = {
+  pending: 'blue',
+  processing: 'processing',
+  completed: 'green',
+  failed: 'red',
+  cancelled: 'default',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('vi-VN') : '-');
+
+const PrivacySettings = () => {
+  const { user } = useAuthStore();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [erasureOpen, setErasureOpen] = useState(false);
+  const [erasureLoading, setErasureLoading] = useState(false);
+  const [erasureForm] = Form.useForm();
+
+  const fetchRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/api/users/privacy/requests');
+      setRequests(response.data.data.requests || []);
+    } catch (error) {
+      console.error('Error fetching privacy requests:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const pendingErasure = requests.find((request) => request.type === 'erasure' && request.status === 'pending');
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await axios.post('/api/users/privacy/export');
+      message.success(response.data.message);
+      fetchRequests();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Không thể tạo bản xuất dữ liệu');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Archive chỉ tải được kèm token -> tải qua axios rồi lưu blob
+  const handleDownload = async (request) => {
+    try {
+      const response = await axios.get(request.downloadUrl, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `personal-data-${(request.completedAt || request.createdAt).slice(0, 10)}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading data export:', error);
+      message.error('Không thể tải bản xuất dữ liệu');
+    }
+  };
+
+  const handleRequestErasure = async (values) => {
+    setErasureLoading(true);
+    try {
+      await axios.post('/api/users/privacy/erasure', values);
+      message.success('Đã lên lịch xoá tài khoản');
+      setErasureOpen(false);
+      erasureForm.resetFields();
+      fetchRequests();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Không thể yêu cầu xoá tài khoản');
+    } finally {
+      setErasureLoading(false);
+    }
+  };
+
+  const handleCancelErasure = async () => {
+    try {
+      await axios.delete('/api/users/privacy/erasure');
+      message.success('Đã huỷ yêu cầu xoá tài khoản');
+      fetchRequests();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Không thể huỷ yêu cầu');
+    }
+  };
+
+  return (
+    <Card title="Quyền riêng tư & dữ liệu">
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        {pendingErasure && (
+          <Alert
+            type="warning"
+            showIcon
+            message={`Tài khoản sẽ bị xoá vĩnh viễn vào ${formatDate(pendingErasure.scheduledFor)}`}
+            action={
+              <Button size="small" icon={<UndoOutlined />} onClick={handleCancelErasure}>
+                Huỷ xoá
+              </Button>
+            }
+          />
+        )}
+
+        <Paragraph type="secondary" style={{ marginBottom: 0 }}>
+          Tải về toàn bộ dữ liệu của bạn (hồ sơ, liên kết, tên miền, API key, lịch sử click) dưới dạng file ZIP.
+          Bạn sẽ nhận email khi file sẵn sàng.
+        </Paragraph>
+
+        <Space wrap>
+          <Button icon={<ExportOutlined />} loading={exporting} onClick={handleExport}>
+            Xuất dữ liệu của tôi
+          </Button>
+          {!pendingErasure && (
+            <Button danger icon={<DeleteOutlined />} onClick={() => setErasureOpen(true)}>
+              Yêu cầu xoá tài khoản
+            </Button>
+          )}
+        </Space>
+
+        <List
+          loading={loading}
+          dataSource={requests}
+          locale={{ emptyText: 'Chưa có yêu cầu nào' }}
+          renderItem={(request) => (
+            <List.Item
+              actions={
+                request.downloadUrl
+                  ? [
+                      <Button key="download" type="link" icon={<DownloadOutlined />} onClick={() => handleDownload(request)}>
+                        Tải về
+                      </Button>,
+                    ]
+                  : []
+              }
+            >
+              <Space direction="vertical" size={0}>
+                <Space>
+                  <Text strong>{request.type === 'export' ? 'Xuất dữ liệu' : 'Xoá tài khoản'}</Text>
+                  <Tag color={STATUS_COLORS[request.status]}>{request.status}</Tag>
+                </Space>
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  Tạo lúc {formatDate(request.createdAt)}
+                  {request.expiresAt && request.downloadUrl && ` · hết hạn ${formatDate(request.expiresAt)}`}
+                  {request.error && ` · ${request.error}`}
+                </Text>
+              </Space>
+            </List.Item>
+          )}
+        />
+      </Space>
+
+      <Modal
+        title="Xoá tài khoản"
+        open={erasureOpen}
+        onCancel={() => setErasureOpen(false)}
+        onOk={() => erasureForm.submit()}
+        confirmLoading={erasureLoading}
+        okText="Lên lịch xoá"
+        okButtonProps={{ danger: true }}
+        cancelText="Đóng"
+      >
+        <Paragraph>
+          Tài khoản, liên kết, tên miền và lịch sử click sẽ bị xoá vĩnh viễn sau thời gian chờ. Bạn vẫn dùng được
+          tài khoản và có thể huỷ trước thời điểm đó.
+        </Paragraph>
+        <Form form={erasureForm} layout="vertical" onFinish={handleRequestErasure}>
+          {user?.hasPassword === false ? (
+            <Form.Item
+              label="Nhập lại email để xác nhận"
+              name="confirmEmail"
+              rules={[{ required: true, message: 'Vui lòng nhập email!' }]}
+            >
+              <Input />
+            </Form.Item>
+          ) : (
+            <Form.Item
+              label="Mật khẩu hiện tại"
+              name="password"
+              rules={[{ required: true, message: 'Vui lòng nhập mật khẩu!' }]}
+            >
+              <Input.Password />
+            </Form.Item>
+          )}
+          {user?.twoFactorEnabled && (
+            <Form.Item label="Mã xác thực 2 bước" name="code" rules={[{ required: true, message: 'Vui lòng nhập mã!' }]}>
+              <Input maxLength={20} />
+            </Form.Item>
+          )}
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default PrivacySettings;
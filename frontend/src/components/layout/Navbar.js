@@ -29,6 +29,8 @@ import {
   MonitorOutlined       // System monitoring
 } from '@ant-design/icons';
 import useAuthStore from '../../stores/authStore';
+import useWorkspaceStore from '../../stores/workspaceStore';
+import WorkspaceSwitcher from './WorkspaceSwitcher';
 
 const { Header } = Layout;
 const { Title } = Typography;
@@ -37,6 +39,7 @@ const Navbar = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const { user, isAuthenticated, logout } = useAuthStore();
+  const resetWorkspaces = useWorkspaceStore((state) => state.reset);
 
   // ✅ STEP 1: Khai báo tất cả computed values trước
   const isAdmin = user?.role === 'admin';
@@ -55,6 +58,7 @@ const Navbar = () => {
   // ✅ STEP 2: Functions
   const handleLogout = async () => {
     await logout();
+    resetWorkspaces();
     navigate('/');
   };
 
@@ -236,6 +240,8 @@ const Navbar = () => {
         <Col>
           {isAuthenticated ? (
             <Space size="large" align="center">
+              <WorkspaceSwitcher />
+
               {/* Quick Create Button */}
               <Link to="/create">
                 <Button 
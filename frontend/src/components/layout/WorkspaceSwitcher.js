@@ -0,0 +1,100 @@
+// frontend/src/components/layout/WorkspaceSwitcher.js - Chọn không gian cá nhân / workspace nhóm
+import React, { useEffect, useState } from 'react';
+import { Select, Modal, Input, Space, Typography, Divider, Button } from 'antd';
+import { UserOutlined, TeamOutlined, PlusOutlined } from '@ant-design/icons';
+import useWorkspaceStore from '../../stores/workspaceStore';
+
+const { Text } = Typography;
+
+const WorkspaceSwitcher = () => {
+  const { workspaces, currentWorkspaceId, fetchWorkspaces, switchWorkspace, createWorkspace } = useWorkspaceStore();
+  const [createOpen, setCreateOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    fetchWorkspaces();
+  }, [fetchWorkspaces]);
+
+  const handleChange = (value) => {
+    switchWorkspace(value === 'personal' ? null : value);
+    // Tải lại để các trang lấy dữ liệu theo workspace mới
+    window.location.reload();
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    const result = await createWorkspace(name.trim());
+    setCreating(false);
+
+    if (result.success) {
+      setCreateOpen(false);
+      setName('');
+      window.location.reload();
+    }
+  };
+
+  const options = [
+    {
+      value: 'personal',
+      label: (
+        <Space>
+          <UserOutlined />
+          Cá nhân
+        </Space>
+      ),
+    },
+    ...workspaces.map((workspace) => ({
+      value: workspace.id,
+      label: (
+        <Space>
+          <TeamOutlined />
+          {workspace.name}
+          <Text type="secondary" style={{ fontSize: 12 }}>{workspace.role}</Text>
+        </Space>
+      ),
+    })),
+  ];
+
+  return (
+    <>
+      <Select
+        value={currentWorkspaceId || 'personal'}
+        options={options}
+        onChange={handleChange}
+        style={{ minWidth: 180 }}
+        popupMatchSelectWidth={false}
+        dropdownRender={(menu) => (
+          <>
+            {menu}
+            <Divider style={{ margin: '4px 0' }} />
+            <Button type="text" icon={<PlusOutlined />} block onClick={() => setCreateOpen(true)}>
+              Tạo workspace
+            </Button>
+          </>
+        )}
+      />
+
+      <Modal
+        title="Tạo workspace"
+        open={createOpen}
+        onOk={handleCreate}
+        onCancel={() => setCreateOpen(false)}
+        confirmLoading={creating}
+        okButtonProps={{ disabled: name.trim().length < 2 }}
+        okText="Tạo"
+        cancelText="Hủy"
+      >
+        <Input
+          placeholder="Tên workspace, ví dụ: Marketing"
+          value={name}
+          maxLength={100}
+          onChange={(e) => setName(e.target.value)}
+          onPressEnter={handleCreate}
+        />
+      </Modal>
+    </>
+  );
+};
+
+export default WorkspaceSwitcher;
@@ -18,7 +18,8 @@ import {
   Dropdown,
   Tooltip,
   Badge,
-  Tag
+  Tag,
+  Table
 } from 'antd';
 import {
   BarChartOutlined,
@@ -204,7 +205,7 @@ const AnalyticsPage = () => {
   }, [analyticsData]);
 
   const stats = useMemo(() => {
-    if (!analyticsData) return { totalClicks: 0, uniqueClicks: 0, clickRate: 0, avgDaily: 0 };
+    if (!analyticsData) return { totalClicks: 0, uniqueClicks: 0, botClicks: 0, clickRate: 0, avgDaily: 0 };
     return AnalyticsTransformer.calculateStats(analyticsData);
   }, [analyticsData]);
 
@@ -386,6 +387,9 @@ const AnalyticsPage = () => {
             prefix={<EyeOutlined style={{ color: '#1890ff' }} />}
             valueStyle={{ color: '#1890ff' }}
           />
+          {stats.botClicks > 0 && (
+            <Text type="secondary">+ {stats.botClicks} lượt bot (không tính vào clicks)</Text>
+          )}
         </Card>
       </Col>
       <Col xs={24} sm={12} lg={6}>
@@ -423,6 +427,63 @@ const AnalyticsPage = () => {
     </Row>
   );
 
+  const renderSplitTest = () => {
+    const abTest = analyticsData?.abTest;
+    if (!abTest) return null;
+
+    const columns = [
+      {
+        title: 'Variant',
+        key: 'variant',
+        render: (_, variant) => (
+          <Space direction="vertical" size={0}>
+            <Space>
+              <Text strong>{variant.name || variant.id}</Text>
+              {variant.id === abTest.controlId && <Tag>Control</Tag>}
+              {variant.id === abTest.winnerId && <Tag color="green">Winner</Tag>}
+            </Space>
+            <Text type="secondary" style={{ fontSize: 12 }} ellipsis={{ tooltip: variant.destinationUrl }}>
+              {variant.destinationUrl}
+            </Text>
+          </Space>
+        )
+      },
+      { title: 'Tỷ trọng', dataIndex: 'weight', key: 'weight' },
+      { title: 'Clicks', dataIndex: 'clicks', key: 'clicks' },
+      { title: 'Chuyển đổi', dataIndex: 'conversions', key: 'conversions' },
+      {
+        title: 'Tỷ lệ',
+        dataIndex: 'conversionRate',
+        key: 'conversionRate',
+        render: (rate) => `${(rate * 100).toFixed(2)}%`
+      },
+      {
+        title: 'So với control',
+        key: 'uplift',
+        render: (_, variant) => {
+          if (variant.id === abTest.controlId) return '-';
+          const uplift = variant.uplift === null ? '-' : `${variant.uplift > 0 ? '+' : ''}${(variant.uplift * 100).toFixed(1)}%`;
+          return (
+            <Space>
+              <Text>{uplift}</Text>
+              <Tooltip title={variant.pValue === null ? 'Chưa đủ dữ liệu' : `p = ${variant.pValue.toFixed(4)}`}>
+                <Tag color={variant.significant ? 'green' : 'default'}>
+                  {variant.significant ? `Có ý nghĩa (${Math.round(abTest.confidenceLevel * 100)}%)` : 'Chưa có ý nghĩa'}
+                </Tag>
+              </Tooltip>
+            </Space>
+          );
+        }
+      }
+    ];
+
+    return (
+      <Card title="A/B Test" size="small">
+        <Table rowKey="id" size="small" pagination={false} columns={columns} dataSource={abTest.variants} />
+      </Card>
+    );
+  };
+
   const renderCharts = () => (
     <Row gutter={[16, 16]}>
       {/* Clicks Over Time */}
@@ -487,6 +548,9 @@ const AnalyticsPage = () => {
         </Card>
       </Col>
 
+      {/* A/B split variants */}
+      {analyticsData?.abTest && <Col xs={24}>{renderSplitTest()}</Col>}
+
       {/* Top Locations */}
       <Col xs={24}>
         <Card title="Top Locations" size="small">
@@ -0,0 +1,100 @@
+// frontend/src/pages/InvitationPage.js - Xem và chấp nhận lời mời vào workspace
+import React, { useEffect, useState } from 'react';
+import { Button, Result, Spin } from 'antd';
+import { useNavigate, useParams } from 'react-router-dom';
+import { TeamOutlined } from '@ant-design/icons';
+import apiClient from '../utils/apiClient';
+import useAuthStore from '../stores/authStore';
+import useWorkspaceStore from '../stores/workspaceStore';
+import notificationService from '../services/notificationService';
+
+const ROLE_LABELS = {
+  admin: 'Quản trị',
+  editor: 'Biên tập',
+  viewer: 'Chỉ xem',
+};
+
+const InvitationPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated } = useAuthStore();
+  const { fetchWorkspaces, switchWorkspace } = useWorkspaceStore();
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState(null);
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    apiClient
+      .get(`/api/workspaces/invitations/${token}`)
+      .then((response) => setInvitation(response.data.data))
+      .catch((err) => setError(err.response?.data?.error || 'Lời mời không tồn tại hoặc đã hết hạn'));
+  }, [token]);
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    try {
+      const response = await apiClient.post(`/api/workspaces/invitations/${token}/accept`);
+      const workspace = response.data.data;
+
+      await fetchWorkspaces();
+      switchWorkspace(workspace.id);
+      notificationService.success(response.data.message);
+      navigate('/dashboard');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Không thể chấp nhận lời mời');
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <Result
+        status="warning"
+        title="Không thể mở lời mời"
+        subTitle={error}
+        extra={<Button onClick={() => navigate('/')}>Về trang chủ</Button>}
+      />
+    );
+  }
+
+  if (!invitation) {
+    return (
+      <div style={{ textAlign: 'center', padding: 48 }}>
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  const wrongAccount = isAuthenticated && user?.email?.toLowerCase() !== invitation.email;
+
+  return (
+    <Result
+      icon={<TeamOutlined />}
+      title={`Tham gia workspace ${invitation.workspace.name}`}
+      subTitle={
+        `${invitation.invitedBy ? `${invitation.invitedBy} mời` : 'Lời mời dành cho'} ${invitation.email} ` +
+        `với vai trò ${ROLE_LABELS[invitation.role] || invitation.role}.` +
+        (wrongAccount ? ` Bạn đang đăng nhập bằng ${user.email}, hãy đăng nhập đúng tài khoản.` : '')
+      }
+      extra={
+        isAuthenticated ? (
+          <Button type="primary" loading={accepting} disabled={wrongAccount} onClick={handleAccept}>
+            Chấp nhận lời mời
+          </Button>
+        ) : (
+          [
+            <Button key="login" type="primary" onClick={() => navigate('/login', { state: { from: { pathname: `/invitations/${token}` } } })}>
+              Đăng nhập
+            </Button>,
+            <Button key="register" onClick={() => navigate('/register')}>
+              Tạo tài khoản
+            </Button>,
+          ]
+        )
+      }
+    />
+  );
+};
+
+export default InvitationPage;
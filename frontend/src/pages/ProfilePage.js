@@ -1,5 +1,5 @@
 // frontend/src/pages/ProfilePage.js
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { 
   Card, 
   Form, 
@@ -11,6 +11,7 @@ import {
   Row,
   Col,
   Divider,
+  Select,
   message
 } from 'antd';
 import {
@@ -21,6 +22,7 @@ import {
   CameraOutlined
 } from '@ant-design/icons';
 import useAuthStore from '../stores/authStore';
+import PrivacySettings from '../components/PrivacySettings';
 import axios from 'axios';
 
 const { Title, Text } = Typography;
@@ -29,6 +31,8 @@ const ProfilePage = () => {
   const { user, updateUser } = useAuthStore();
   const [loading, setLoading] = useState(false);
   const [passwordLoading, setPasswordLoading] = useState(false);
+  const [avatarLoading, setAvatarLoading] = useState(false);
+  const avatarInputRef = useRef(null);
   
   const [profileForm] = Form.useForm();
   const [passwordForm] = Form.useForm();
@@ -38,7 +42,9 @@ const ProfilePage = () => {
     if (user) {
       profileForm.setFieldsValue({
         name: user.name,
-        email: user.email
+        email: user.email,
+        timezone: user.timezone || 'UTC',
+        locale: user.locale || 'vi'
       });
     }
   }, [user, profileForm]);
@@ -48,7 +54,8 @@ const ProfilePage = () => {
     try {
       const response = await axios.put('/api/users/profile', {
         name: values.name,
-        email: values.email
+        timezone: values.timezone,
+        locale: values.locale
       });
       
       const updatedUser = response.data.data;
@@ -62,6 +69,33 @@ const ProfilePage = () => {
     }
   };
 
+  // Ảnh gửi thẳng làm request body, backend tự nhận diện định dạng
+  const handleAvatarChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (file.size > 2 * 1024 * 1024) {
+      message.error('Ảnh tối đa 2MB!');
+      return;
+    }
+
+    setAvatarLoading(true);
+    try {
+      const response = await axios.put('/api/users/avatar', file, {
+        headers: { 'Content-Type': file.type || 'application/octet-stream' }
+      });
+
+      updateUser(response.data.data);
+      message.success('Cập nhật ảnh đại diện thành công!');
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Upload ảnh thất bại';
+      message.error(errorMessage);
+    } finally {
+      setAvatarLoading(false);
+    }
+  };
+
   const handleChangePassword = async (values) => {
     setPasswordLoading(true);
     try {
@@ -118,9 +152,31 @@ const ProfilePage = () => {
                     { type: 'email', message: 'Email không hợp lệ!' }
                   ]}
                 >
-                  <Input prefix={<MailOutlined />} />
+                  <Input prefix={<MailOutlined />} disabled />
                 </Form.Item>
 
+                <Row gutter={16}>
+                  <Col xs={24} sm={12}>
+                    <Form.Item label="Múi giờ" name="timezone">
+                      <Select
+                        showSearch
+                        options={(Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : ['UTC', 'Asia/Ho_Chi_Minh'])
+                          .map((tz) => ({ value: tz, label: tz }))}
+                      />
+                    </Form.Item>
+                  </Col>
+                  <Col xs={24} sm={12}>
+                    <Form.Item label="Ngôn ngữ" name="locale">
+                      <Select
+                        options={[
+                          { value: 'vi', label: 'Tiếng Việt' },
+                          { value: 'en', label: 'English' }
+                        ]}
+                      />
+                    </Form.Item>
+                  </Col>
+                </Row>
+
                 <Form.Item>
                   <Button 
                     type="primary" 
@@ -146,9 +202,17 @@ const ProfilePage = () => {
                   style={{ marginBottom: 16 }}
                 />
                 <br />
+                <input
+                  ref={avatarInputRef}
+                  type="file"
+                  accept="image/png,image/jpeg,image/gif,image/webp"
+                  style={{ display: 'none' }}
+                  onChange={handleAvatarChange}
+                />
                 <Button 
                   icon={<CameraOutlined />}
-                  onClick={() => message.info('Tính năng upload ảnh sẽ có trong phiên bản tiếp theo!')}
+                  loading={avatarLoading}
+                  onClick={() => avatarInputRef.current?.click()}
                 >
                   Thay đổi ảnh
                 </Button>
@@ -248,6 +312,9 @@ const ProfilePage = () => {
             </Col>
           </Row>
         </Card>
+
+        {/* Privacy (GDPR) */}
+        <PrivacySettings />
       </Space>
     </div>
   );
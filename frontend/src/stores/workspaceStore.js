@@ -0,0 +1,90 @@
+// frontend/src/stores/workspaceStore.js - Workspace hiện tại (null = không gian cá nhân)
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import axios from 'axios';
+import apiClient from '../utils/apiClient';
+import notificationService from '../services/notificationService';
+
+// Backend đọc workspace từ header X-Workspace-Id cho links, domains, analytics và API keys
+const applyWorkspaceHeader = (workspaceId) => {
+  [apiClient, axios].forEach((client) => {
+    if (workspaceId) {
+      client.defaults.headers.common['X-Workspace-Id'] = workspaceId;
+    } else {
+      delete client.defaults.headers.common['X-Workspace-Id'];
+    }
+  });
+};
+
+const useWorkspaceStore = create()(
+  persist(
+    (set, get) => ({
+      workspaces: [],
+      currentWorkspaceId: null,
+      loading: false,
+
+      getCurrentWorkspace: () => {
+        const { workspaces, currentWorkspaceId } = get();
+        return workspaces.find((workspace) => workspace.id === currentWorkspaceId) || null;
+      },
+
+      fetchWorkspaces: async () => {
+        set({ loading: true });
+        try {
+          const response = await apiClient.get('/api/workspaces');
+          const workspaces = response.data.data.workspaces || [];
+
+          set({ workspaces, loading: false });
+
+          // Bị xoá khỏi workspace đang chọn → quay về không gian cá nhân
+          const { currentWorkspaceId } = get();
+          if (currentWorkspaceId && !workspaces.some((workspace) => workspace.id === currentWorkspaceId)) {
+            get().switchWorkspace(null);
+          }
+
+          return { success: true, data: workspaces };
+        } catch (error) {
+          console.error('Error fetching workspaces:', error);
+          set({ loading: false });
+          return { success: false };
+        }
+      },
+
+      switchWorkspace: (workspaceId) => {
+        applyWorkspaceHeader(workspaceId);
+        set({ currentWorkspaceId: workspaceId });
+      },
+
+      createWorkspace: async (name) => {
+        try {
+          const response = await apiClient.post('/api/workspaces', { name });
+          const workspace = response.data.data;
+
+          set({ workspaces: [...get().workspaces, { ...workspace, role: 'owner', memberCount: 1 }] });
+          get().switchWorkspace(workspace.id);
+          notificationService.success(`Đã tạo workspace ${workspace.name}`);
+
+          return { success: true, data: workspace };
+        } catch (error) {
+          const errorMessage = error.response?.data?.error || 'Không thể tạo workspace';
+          notificationService.error(errorMessage);
+          return { success: false, error: errorMessage };
+        }
+      },
+
+      reset: () => {
+        applyWorkspaceHeader(null);
+        set({ workspaces: [], currentWorkspaceId: null });
+      },
+    }),
+    {
+      name: 'workspace-storage',
+      partialize: (state) => ({ currentWorkspaceId: state.currentWorkspaceId }),
+      onRehydrateStorage: () => (state) => {
+        applyWorkspaceHeader(state?.currentWorkspaceId || null);
+      },
+    }
+  )
+);
+
+export default useWorkspaceStore;
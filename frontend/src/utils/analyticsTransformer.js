@@ -10,6 +10,7 @@ const CHART_COLORS = [
 const DEFAULT_ANALYTICS_STRUCTURE = {
   totalClicks: 0,
   uniqueClicks: 0,
+  botClicks: 0,
   dailyClicks: [],
   topCountries: [],
   topDevices: [],
@@ -54,13 +55,16 @@ export class AnalyticsTransformer {
       const extractedData = {
         totalClicks: this.extractTotalClicks(analyticsData),
         uniqueClicks: this.extractUniqueClicks(analyticsData),
+        // Bot / crawler hits - reported apart, not part of totalClicks
+        botClicks: sanitizeNumber(analyticsData.botClicks || analyticsData.totals?.botClicks),
         dailyClicks: this.extractDailyClicks(analyticsData),
         topCountries: this.extractTopCountries(analyticsData),
         topDevices: this.extractTopDevices(analyticsData),
         topBrowsers: this.extractTopBrowsers(analyticsData),
         link: this.extractLinkInfo(analyticsData),
         period: this.extractPeriodInfo(analyticsData),
-        meta: this.extractMetaInfo(analyticsData)
+        meta: this.extractMetaInfo(analyticsData),
+        abTest: analyticsData.abTest || null
       };
 
       console.log('✅ Analytics data transformed:', extractedData);
@@ -291,6 +295,7 @@ export class AnalyticsTransformer {
     return {
       totalClicks,
       uniqueClicks,
+      botClicks: data.botClicks,
       clickRate: parseFloat(clickRate.toFixed(1)),
       avgDaily
     };
@@ -358,6 +363,7 @@ export class AnalyticsTransformer {
     return {
       ...DEFAULT_ANALYTICS_STRUCTURE,
       link: null,
+      abTest: null,
       period: {
         range: '7d',
         start: dayjs().subtract(7, 'days').toISOString(),